@@ -1,67 +1,105 @@
 import React, { useEffect, useMemo, useRef, useState } from 'react';
 import { BarChart, Bar, XAxis, YAxis, ResponsiveContainer, Tooltip } from 'recharts';
+import BaselineManager from './BaselineManager';
+import BestResponsePanel from './BestResponsePanel';
+import ChartEditor from './ChartEditor';
+import DeviationReport from './DeviationReport';
+import DrillMode from './DrillMode';
+import EquityCalculator from './EquityCalculator';
+import PushFoldMode from './PushFoldMode';
+import SolverMode from './SolverMode';
+import HandGrid from './HandGrid';
 import ProfileManager from './ProfileManager';
+import RangeTools from './RangeTools';
+import PreflopEquityStatus from './PreflopEquityStatus';
+import ScenarioNavigator from './ScenarioNavigator';
+import TableSettings from './TableSettings';
+import IcmCalculator from './IcmCalculator';
+import { actionClass } from './actionColors';
+import { parseCards } from './poker/cards';
+import { loadIcmSettings, saveIcmSettings } from './poker/icm';
+import { DEFAULT_GAME } from './poker/preflopGame';
+import { loadPreflopEquityTable } from './poker/preflopEquity';
+import { describeRake, loadTableSettings, saveTableSettings } from './poker/rake';
+import { randomSeed, shuffle } from './poker/rng';
+import { defaultWorkerCount, MAX_SIM_WORKERS, startSimulation } from './poker/simulationRunner';
+import {
+  deviationsByHand,
+  evaluateDeviations,
+  extractHeroDecisions,
+  loadHeroDecisions,
+  mergeDecisions,
+  saveHeroDecisions,
+} from './stats/deviations';
+import {
+  findBaseline,
+  loadActiveBaselineId,
+  loadCustomBaselines,
+  saveActiveBaselineId,
+  saveCustomBaselines,
+} from './strategy/baselineLibrary';
+import { handsInGroup, paintHands, setMixAction } from './strategy/chartEditing';
+import { applyRangeToChart } from './strategy/rangeNotation';
+import { POSITIONS } from './strategy/positions';
+import { DEFAULT_NODE, describeNode, getScenario, normalizeStrategy, parseNodeKey } from './strategy/scenarios';
+import { loadProfiles, profileTree, rebuildProfileStrategies, saveProfiles } from './strategy/profileLibrary';
+import { createSavedStrategy, loadSavedStrategies, saveSavedStrategies } from './strategy/strategyLibrary';
 
 /**
  * Dynamic GTO Poker Chart + Testing Mode (EV Monte Carlo)
  *
  * - Adds a Testing Mode tab that runs Monte Carlo equities & EV sims between our chart (adjustedStrategy)
- *   and an opponent profile (baselineGTO).
+ *   and one or more villain seats, each playing its own profile (baselineGTO by default).
  *
  * Notes:
- * - Preflop-focused EV model.
- * - Monte Carlo sampler (200 sims default) for showdown equities.
- * - Simplified pot arithmetic: pot, raiseSize, callSize are user inputs.
+ * - Preflop-focused EV model: either a 6-max game with blinds, antes, stacks and sizes in bb where
+ *   villains answer from their profile's node charts (results in bb/100, or $EV under ICM), or the
+ *   simplified pot model.
+ * - Monte Carlo sampler (200 sims default) for showdown equities, driven by a seedable PRNG so runs replay exactly.
+ * - Simplified pot arithmetic (model 'simple'): pot, raiseSize, callSize are user inputs.
  *
  * Performance:
- * - Increasing simulations per matchup increases accuracy but slows UI (runs in-browser).
+ * - Increasing simulations per matchup increases accuracy but takes longer; runs happen in Web Workers
+ *   with live progress, streaming partial results and Cancel.
  */
 
+// Villain seats in a multiway Testing run (a 6-max table)
+const MAX_VILLAIN_SEATS = 5;
+
 const PokerChart = () => {
   // Hand rankings from AA (top-left) to 22 (bottom-right)
   const ranks = ['A', 'K', 'Q', 'J', 'T', '9', '8', '7', '6', '5', '4', '3', '2'];
 
-  // Baseline GTO strategy (simplified preflop ranges)
-  const baselineGTO = {
-    // Pairs
-    'AA': { fold: 0, call: 0, raise: 100 },
-    'KK': { fold: 0, call: 5, raise: 95 },
-    'QQ': { fold: 0, call: 15, raise: 85 },
-    'JJ': { fold: 5, call: 25, raise: 70 },
-    'TT': { fold: 10, call: 30, raise: 60 },
-    '99': { fold: 20, call: 40, raise: 40 },
-    '88': { fold: 30, call: 50, raise: 20 },
-    '77': { fold: 40, call: 45, raise: 15 },
-    '66': { fold: 50, call: 35, raise: 15 },
-    '55': { fold: 60, call: 30, raise: 10 },
-    '44': { fold: 70, call: 25, raise: 5 },
-    '33': { fold: 80, call: 18, raise: 2 },
-    '22': { fold: 85, call: 15, raise: 0 },
-
-    // Suited connectors and broadway
-    'AKs': { fold: 0, call: 10, raise: 90 },
-    'AQs': { fold: 0, call: 20, raise: 80 },
-    'AJs': { fold: 5, call: 25, raise: 70 },
-    'ATs': { fold: 10, call: 30, raise: 60 },
-    'KQs': { fold: 15, call: 35, raise: 50 },
-    'KJs': { fold: 25, call: 40, raise: 35 },
-    'QJs': { fold: 35, call: 45, raise: 20 },
-    'JTs': { fold: 40, call: 50, raise: 10 },
-    'T9s': { fold: 60, call: 35, raise: 5 },
-    '98s': { fold: 70, call: 28, raise: 2 },
-    '87s': { fold: 80, call: 20, raise: 0 },
-
-    // Offsuit broadway
-    'AKo': { fold: 0, call: 15, raise: 85 },
-    'AQo': { fold: 10, call: 30, raise: 60 },
-    'AJo': { fold: 20, call: 40, raise: 40 },
-    'ATo': { fold: 35, call: 45, raise: 20 },
-    'KQo': { fold: 40, call: 50, raise: 10 },
-    'KJo': { fold: 55, call: 40, raise: 5 },
-    'QJo': { fold: 70, call: 28, raise: 2 },
-    'JTo': { fold: 80, call: 20, raise: 0 },
+  // Baseline library: built-ins plus user baselines, one of them active (see strategy/baselineLibrary.js)
+  const [customBaselines, setCustomBaselines] = useState(loadCustomBaselines);
+  const [activeBaselineId, setActiveBaselineId] = useState(loadActiveBaselineId);
+  const activeBaseline = findBaseline(customBaselines, activeBaselineId);
+
+  useEffect(() => { saveCustomBaselines(customBaselines); }, [customBaselines]);
+  useEffect(() => { saveActiveBaselineId(activeBaseline.id); }, [activeBaseline.id]);
+
+  const handleSaveBaseline = (baseline) => {
+    setCustomBaselines((prev) => ({ ...prev, [baseline.id]: baseline }));
+    handleSelectBaseline(baseline.id);
+  };
+
+  // Imported ranges belong to the baseline they were made on (saving one keeps them in it)
+  const handleSelectBaseline = (baselineId) => {
+    setActiveBaselineId(baselineId);
+    setChartOverrides({});
+    setEditHistory({ past: [], future: [] });
+  };
+
+  const handleDeleteBaseline = (baselineId) => {
+    setCustomBaselines(({ [baselineId]: _, ...rest }) => rest);
   };
 
+  // Baseline GTO chart for the selected decision node
+  const [selectedNode, setSelectedNode] = useState(DEFAULT_NODE);
+  const selectedScenario = getScenario(parseNodeKey(selectedNode).scenario);
+  const baselineStrategy = activeBaseline.strategy;
+  const baselineGTO = baselineStrategy[selectedNode];
+
   const [opponentStats, setOpponentStats] = useState({
     foldTo3Bet: 65,
     observed3BetFold: 45,
@@ -82,22 +120,133 @@ const PokerChart = () => {
   const [selectedHand, setSelectedHand] = useState(null);
   const [showExploitation, setShowExploitation] = useState(true);
 
+  // Edited or imported charts replace a node's adjusted chart for this session, keyed by node
+  const [chartOverrides, setChartOverrides] = useState({});
+  const activeStrategy = chartOverrides[selectedNode] || adjustedStrategy;
+
+  // Chart editor state: undo/redo keeps snapshots of the whole override map
+  const [editMode, setEditMode] = useState(false);
+  const [brush, setBrush] = useState({ fold: 0, call: 0, raise: 100 });
+  const [editHistory, setEditHistory] = useState({ past: [], future: [] });
+  const HISTORY_LIMIT = 50;
+
+  // Apply an edit to the selected node's chart; `record: false` extends the current brush stroke
+  const editChart = (transform, { record = true } = {}) => {
+    if (record) {
+      setEditHistory((h) => ({ past: [...h.past, chartOverrides].slice(-HISTORY_LIMIT), future: [] }));
+    }
+    setChartOverrides((prev) => ({
+      ...prev,
+      [selectedNode]: transform(prev[selectedNode] || adjustedStrategy),
+    }));
+    setShowExploitation(true);
+  };
+
+  const undoEdit = () => {
+    if (!editHistory.past.length) return;
+    setEditHistory({
+      past: editHistory.past.slice(0, -1),
+      future: [chartOverrides, ...editHistory.future],
+    });
+    setChartOverrides(editHistory.past[editHistory.past.length - 1]);
+  };
+
+  const redoEdit = () => {
+    if (!editHistory.future.length) return;
+    setEditHistory({
+      past: [...editHistory.past, chartOverrides],
+      future: editHistory.future.slice(1),
+    });
+    setChartOverrides(editHistory.future[0]);
+  };
+
+  const discardNodeEdits = () => {
+    setEditHistory((h) => ({ past: [...h.past, chartOverrides].slice(-HISTORY_LIMIT), future: [] }));
+    setChartOverrides(({ [selectedNode]: _, ...rest }) => rest);
+  };
+
+  const handleImportRange = (action, weights) => {
+    editChart((chart) => applyRangeToChart(chart, action, weights));
+  };
+
+  const handleSetHandFrequency = (action, value) => {
+    editChart((chart) => ({ ...chart, [selectedHand]: setMixAction(chart[selectedHand], action, value) }));
+  };
+
+  // Named strategies saved from the editor (see strategy/strategyLibrary.js)
+  const [savedStrategies, setSavedStrategies] = useState(loadSavedStrategies);
+  useEffect(() => { saveSavedStrategies(savedStrategies); }, [savedStrategies]);
+
+  const handleSaveStrategy = (name) => {
+    const saved = createSavedStrategy(name, currentTree);
+    setSavedStrategies((prev) => ({ ...prev, [saved.id]: saved }));
+  };
+
+  const handleDeleteStrategy = (strategyId) => {
+    setSavedStrategies(({ [strategyId]: _, ...rest }) => rest);
+  };
+
   // profile state
   const [currentProfile, setCurrentProfile] = useState(null);
 
-   // Add missing profile-related state
-  const [profiles, setProfiles] = useState({
-    'baseline': { 
-      id: 'baseline', 
-      name: 'GTO Baseline', 
-      strategy: baselineGTO,
-      stats: { vpip: 23, foldTo3Bet: 65 }
-    }
+  // Whole tree as currently shown: the profile's (or baseline's) charts plus session edits
+  const currentTree = {
+    ...(currentProfile && currentProfile.strategy ? normalizeStrategy(currentProfile.strategy) : baselineStrategy),
+    ...chartOverrides,
+  };
+  // Same, with the selected node as displayed (including live adjustments); drills and the
+  // deviation report score against this
+  const activeTree = { ...currentTree, [selectedNode]: activeStrategy };
+
+  // Hero's imported preflop decisions, compared to the active charts (see stats/deviations.js)
+  const [heroDecisions, setHeroDecisions] = useState(loadHeroDecisions);
+  const [deviationHeatmap, setDeviationHeatmap] = useState('off'); // 'off' | 'node' | 'all'
+  useEffect(() => { saveHeroDecisions(heroDecisions); }, [heroDecisions]);
+
+  const handleHandsImported = (hands) => {
+    setHeroDecisions((prev) => mergeDecisions(prev, hands.flatMap(extractHeroDecisions)));
+  };
+
+  const deviationResults = evaluateDeviations(heroDecisions, activeTree);
+  const heatmapResults = deviationHeatmap === 'node'
+    ? deviationResults.filter((r) => r.nodeKey === selectedNode)
+    : deviationResults;
+  const deviationsPerHand = deviationHeatmap === 'off' ? {} : deviationsByHand(heatmapResults);
+
+  const deviationOverlay = (hand) => {
+    const g = deviationsPerHand[hand];
+    if (!g || g.deviations === 0) return null;
+    return {
+      opacity: 0.15 + (0.6 * g.rate) / 100,
+      title: `${g.deviations}/${g.decisions} of Hero's decisions deviate`,
+    };
+  };
+
+  // Ctrl/Cmd+Z to undo, Ctrl/Cmd+Shift+Z or Ctrl/Cmd+Y to redo while editing
+  useEffect(() => {
+    if (!editMode) return;
+    const onKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.target.tagName === 'INPUT') return;
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        undoEdit();
+      } else if (key === 'y' || (key === 'z' && e.shiftKey)) {
+        e.preventDefault();
+        redoEdit();
+      }
+    };
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
   });
+
+  // Opponent profiles, edited in ProfileManager and playable from any Testing seat
+  const [profiles, setProfiles] = useState(loadProfiles);
+  useEffect(() => { saveProfiles(profiles); }, [profiles]);
   
   // Testing mode profile selection state
   const [heroProfile, setHeroProfile] = useState('current'); // 'current' uses adjustedStrategy
-  const [villainProfile, setVillainProfile] = useState('baseline');
+  const [villainProfiles, setVillainProfiles] = useState(['baseline']); // one entry per villain seat
 
 
   // Realtime analysis state
@@ -108,29 +257,118 @@ const PokerChart = () => {
   const [feed, setFeed] = useState([]);
   const FEED_LIMIT = 30;
 
-  const handleRunSim = async () => {
+  // Charts, seed and parameters are stored with the results so Replay reproduces the run exactly,
+  // even after the profiles or charts it used have changed
+  const executeSim = (run) => {
+    if (simRunnerRef.current) simRunnerRef.current.cancel();
+    const { simParams: params } = run;
     setSimResults(null);
     setSimRunning(true);
-    
+    setSimProgress({ done: 0, total: params.sampleHands === 'all' ? 169 : 50 });
+
+    simRunnerRef.current = startSimulation(
+      {
+        oppStrategies: run.oppStrategies,
+        heroStrategy: run.heroStrategy,
+        model: params.model,
+        nodeKey: run.nodeKey,
+        game: params.game,
+        heroTree: run.heroTree,
+        oppTrees: run.oppTrees,
+        icm: run.icm,
+        ante: run.table.ante,
+        rake: run.table.rake,
+        simsPerMatchup: params.simsPerMatchup,
+        potSize: params.potSize,
+        raiseSize: params.raiseSize,
+        callSize: params.callSize,
+        sample: params.sampleHands,
+        seed: params.seed,
+        board: run.board,
+        dead: run.dead,
+        // a run recorded with Monte Carlo equities replays with Monte Carlo
+        equityTable: run.equity === 'exact' ? equityTable : null,
+      },
+      {
+        workers: params.workers,
+        // partial results stream into the panel as hands finish
+        onProgress: ({ done, total, results }) => {
+          setSimProgress({ done, total });
+          setSimResults({ ...results, run, partial: done < total });
+        },
+        onDone: () => {
+          simRunnerRef.current = null;
+          setSimRunning(false);
+        },
+        onError: (error) => {
+          console.error('Simulation error:', error);
+          simRunnerRef.current = null;
+          setSimRunning(false);
+        },
+      },
+    );
+  };
+
+  // Stop the run and keep whatever finished as a partial result
+  const handleCancelSim = () => {
+    if (simRunnerRef.current) simRunnerRef.current.cancel();
+    simRunnerRef.current = null;
+    setSimRunning(false);
+  };
+
+  const handleRunSim = () => {
+    let board, dead;
     try {
-      const heroStrategy = getProfileStrategy(heroProfile, profiles, adjustedStrategy, baselineGTO);
-      const oppStrategy = getProfileStrategy(villainProfile, profiles, adjustedStrategy, baselineGTO);
-      
-      const r = await runSimulation({
-        heroStrategy,
-        oppStrategy,
-        simsPerMatchup: simParams.simsPerMatchup,
-        potSize: simParams.potSize,
-        raiseSize: simParams.raiseSize,
-        callSize: simParams.callSize,
-        sample: simParams.sampleHands,
-      });
-      
-      setSimResults(r);
-    } catch (error) {
-      console.error('Simulation error:', error);
-    } finally {
-      setSimRunning(false);
+      board = parseCards(simParams.board);
+      dead = parseCards(simParams.dead);
+      if (board.length > 5) throw new Error('A board has at most 5 cards');
+      const both = board.find((card) => dead.includes(card));
+      if (both) throw new Error(`${both} is both on the board and dead`);
+    } catch (e) {
+      setSimError(e.message);
+      return;
+    }
+    setSimError(null);
+
+    const selectable = { ...profiles, ...savedStrategies };
+    // A blank seed gets a fresh one, recorded with the results
+    const seed = simParams.seed === '' ? String(randomSeed()) : simParams.seed;
+    executeSim({
+      simParams: { ...simParams, seed },
+      table: tableSettings,
+      icm: simParams.model === 'game' && simParams.icm ? icmSettings : null,
+      board,
+      dead,
+      // the exact table covers heads-up preflop only
+      equity: equityTable && (simParams.model === 'game' || villainProfiles.length === 1) && board.length === 0 && dead.length === 0
+        ? 'exact' : 'monte-carlo',
+      nodeKey: selectedNode,
+      heroProfile,
+      villainProfiles,
+      heroStrategy: getProfileStrategy(heroProfile, selectable, activeStrategy, baselineGTO, selectedNode, baselineStrategy),
+      oppStrategies: villainProfiles.map((id) => getProfileStrategy(id, selectable, activeStrategy, baselineGTO, selectedNode, baselineStrategy)),
+      heroTree: getProfileTree(heroProfile, selectable, activeTree, baselineStrategy),
+      oppTrees: villainProfiles.map((id) => getProfileTree(id, selectable, activeTree, baselineStrategy)),
+    });
+  };
+
+  const handleReplaySim = (run) => {
+    setSimParams(run.simParams);
+    setTableSettings(run.table);
+    if (run.icm) setIcmSettings(run.icm);
+    setSelectedNode(run.nodeKey);
+    setHeroProfile(run.heroProfile);
+    setVillainProfiles(run.villainProfiles);
+    executeSim(run);
+  };
+
+  const copyRunSettings = async (run) => {
+    const { heroStrategy, oppStrategies, heroTree, oppTrees, ...settings } = run;
+    const text = JSON.stringify(settings, null, 2);
+    try {
+      await navigator.clipboard.writeText(text);
+    } catch (e) {
+      window.prompt('Copy run settings:', text);
     }
   };
 
@@ -138,17 +376,47 @@ const PokerChart = () => {
   const [compareProfile, setCompareProfile] = useState(null);
   
   // Testing mode state
-  const [mode, setMode] = useState('analysis'); // 'analysis' | 'testing'
+  const [mode, setMode] = useState('analysis'); // 'analysis' | 'testing' | 'profiles' | 'drill' | 'equity' | 'pushfold' | 'solver'
   const [simResults, setSimResults] = useState(null);
   const [simRunning, setSimRunning] = useState(false);
+  const [simProgress, setSimProgress] = useState({ done: 0, total: 0 });
+  const simRunnerRef = useRef(null);
+  const [simError, setSimError] = useState(null);
+  const [equityTable, setEquityTable] = useState(() => loadPreflopEquityTable());
   const [simParams, setSimParams] = useState({
+    model: 'game', // 'game' plays the hand out at a 6-max table (see poker/preflopGame.js) | 'simple'
+    game: DEFAULT_GAME, // blinds, stack and bet sizes in bb
+    icm: false, // game model: score results in ICM prize equity instead of chips
     simsPerMatchup: 200,
     potSize: 1,
     raiseSize: 1, // extra hero puts in for raise (hero invests this when raising)
     callSize: 1,  // hero cost when calling an open
     sampleHands: 'all', // or 'sample' - reserve option
+    seed: '', // blank = random seed per run
+    board: '', // known board cards, e.g. "Ah Kd 2c" (switches equities to Monte Carlo)
+    dead: '', // dead cards
+    workers: defaultWorkerCount(), // hands are split across this many Web Workers
   });
 
+  // Rake and antes for every EV calculation and the profile adjustments (see poker/rake.js)
+  const [tableSettings, setTableSettings] = useState(loadTableSettings);
+  useEffect(() => { saveTableSettings(tableSettings); }, [tableSettings]);
+
+  // Profile strategies are adjustments of the active baseline under the table's rake, with called
+  // pots sized by the Testing game settings
+  useEffect(() => {
+    setProfiles((prev) => rebuildProfileStrategies(prev, baselineStrategy, tableSettings.rake, simParams.game));
+  }, [baselineStrategy, tableSettings.rake, simParams.game]);
+
+  // Tournament payouts and stacks for ICM (see poker/icm.js), shared by Testing and Push/Fold
+  const [icmSettings, setIcmSettings] = useState(loadIcmSettings);
+  useEffect(() => { saveIcmSettings(icmSettings); }, [icmSettings]);
+
+  // Don't leave workers running after the chart unmounts
+  useEffect(() => () => {
+    if (simRunnerRef.current) simRunnerRef.current.cancel();
+  }, []);
+
   // Build the full 169-hand matrix keys
   const all169 = useMemo(() => {
     const keys = [];
@@ -184,10 +452,14 @@ const PokerChart = () => {
   // Dynamic strategy adjustment based on opponent tendencies
   useEffect(() => {
     if (currentProfile && currentProfile.strategy) {
-      // Use the profile's pre-calculated strategy instead of real-time adjustments
-      setAdjustedStrategy(currentProfile.strategy);
+      // Use the profile's pre-calculated strategy for this node instead of real-time adjustments
+      setAdjustedStrategy(normalizeStrategy(currentProfile.strategy)[selectedNode] || baselineGTO);
     } else {
-      if (opponentStats.handsPlayed < 5) return;
+      // Observed fold-to-3-bet only tells us how to 3-bet the opener, so only vsOpen nodes move
+      if (opponentStats.handsPlayed < 5 || selectedScenario.id !== 'vsOpen') {
+        setAdjustedStrategy(baselineGTO);
+        return;
+      }
       const foldDeviation = opponentStats.foldTo3Bet - opponentStats.observed3BetFold;
       const adjustmentFactor = Math.min(Math.abs(foldDeviation) / 100, 0.3);
 
@@ -214,7 +486,7 @@ const PokerChart = () => {
       setAdjustedStrategy(newStrategy);
       // eslint-disable-next-line react-hooks/exhaustive-deps
     }
-  }, [currentProfile, opponentStats]);
+  }, [currentProfile, opponentStats, selectedNode, activeBaseline]);
 
   // Realtime hand analysis ticker
   useEffect(() => {
@@ -231,7 +503,7 @@ const PokerChart = () => {
           const hand = shuffled169[next];
           setNowAnalyzing(hand);
           setFeed((f) => {
-            const item = makeFeedItem(hand, adjustedStrategy, baselineGTO);
+            const item = makeFeedItem(hand, activeStrategy, baselineGTO);
             const nextFeed = [item, ...f];
             if (nextFeed.length > FEED_LIMIT) nextFeed.pop();
             return nextFeed;
@@ -244,464 +516,47 @@ const PokerChart = () => {
     rafId = requestAnimationFrame(step);
     return () => cancelAnimationFrame(rafId);
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [shuffled169, adjustedStrategy]);
-
-  const getActionColor = (hand) => {
-    if (!hand) return 'bg-gray-100';
-    const strategy = showExploitation
-      ? adjustedStrategy[hand] || { fold: 100, call: 0, raise: 0 }
-      : baselineGTO[hand] || { fold: 100, call: 0, raise: 0 };
-
-    const { fold, call, raise } = strategy;
-    if (raise >= 60) return 'bg-red-500';
-    if (raise >= 30) return 'bg-red-300';
-    if (call >= 40) return 'bg-blue-500';
-    if (call >= 20) return 'bg-blue-300';
-    return 'bg-gray-300';
-  };
+  }, [shuffled169, activeStrategy]);
 
-  const getTextColor = (hand) => {
-    if (!hand) return 'text-gray-400';
-    const color = getActionColor(hand);
-    return color.includes('gray') ? 'text-gray-600' : 'text-white';
-  };
+  const getActionColor = (hand) => actionClass((showExploitation ? activeStrategy : baselineGTO)[hand]);
 
   const getStrategyData = () => {
     if (!selectedHand) return [];
     const baseline = baselineGTO[selectedHand] || { fold: 100, call: 0, raise: 0 };
-    const adjusted = adjustedStrategy[selectedHand] || { fold: 100, call: 0, raise: 0 };
+    const adjusted = activeStrategy[selectedHand] || { fold: 100, call: 0, raise: 0 };
     return [
       { action: 'Fold', baseline: baseline.fold, adjusted: adjusted.fold },
-      { action: 'Call', baseline: baseline.call, adjusted: adjusted.call },
-      { action: 'Raise', baseline: baseline.raise, adjusted: adjusted.raise },
+      { action: selectedScenario.callLabel, baseline: baseline.call, adjusted: adjusted.call },
+      { action: selectedScenario.raiseLabel, baseline: baseline.raise, adjusted: adjusted.raise },
     ];
   };
 
   const progressPct = Math.round(((currentIndex + 1) / 169) * 100);
 
-  // ---- Testing Mode: EV Monte Carlo ----
-
-  // Convert strategy object (hand -> {fold, call, raise}) to a range probability map
-  // We'll interpret "raise" probability as portion of times that hand leads to a raise, etc.
-  function strategyToRangeProbMap(strategy) {
-    const map = {};
-    Object.keys(strategy).forEach((hand) => {
-      const s = strategy[hand];
-      const total = (s.fold || 0) + (s.call || 0) + (s.raise || 0) || 1;
-      map[hand] = {
-        fold: (s.fold || 0) / total,
-        call: (s.call || 0) / total,
-        raise: (s.raise || 0) / total,
-      };
-    });
-    return map;
-  }
-
-  // Generate a deck of cards
-  function makeDeck() {
-    const ranksLocal = '23456789TJQKA';
-    const suits = ['s', 'h', 'd', 'c'];
-    const deck = [];
-    for (const r of ranksLocal) {
-      for (const s of suits) {
-        deck.push(r + s);
-      }
-    }
-    return deck;
-  }
-
-  // Map our two-letter/three-letter keys like "AKs" to all possible card combos (without order duplicates)
-  function combosForHandKey(key) {
-    // key like 'AKs' or 'QJo' or '99'
-    const rankOrder = 'AKQJT98765432';
-    const r1 = key[0];
-    const r2 = key[1];
-    const suited = key.length === 3 && key[2] === 's';
-    const offsuit = key.length === 3 && key[2] === 'o';
-    const combos = [];
-    const suits = ['s', 'h', 'd', 'c'];
-
-    if (r1 === r2) {
-      // pocket pair: all combinations of two suits
-      for (let i = 0; i < suits.length; i++) {
-        for (let j = i + 1; j < suits.length; j++) {
-          combos.push([r1 + suits[i], r2 + suits[j]]);
-        }
-      }
-    } else if (suited) {
-      for (let s of suits) {
-        combos.push([r1 + s, r2 + s]);
-      }
-    } else if (offsuit) {
-      for (let s1 of suits) {
-        for (let s2 of suits) {
-          if (s1 === s2) continue;
-          combos.push([r1 + s1, r2 + s2]);
-        }
-      }
-      // remove duplicates for reversed ranks
-    } else {
-      // if no suffix given, treat as offsuit (fallback)
-      for (let s1 of suits) {
-        for (let s2 of suits) {
-          if (s1 === s2) continue;
-          combos.push([r1 + s1, r2 + s2]);
-        }
-      }
-    }
-    return combos;
-  }
-
-  // Draw random distinct cards from deck, avoid blocked cards
-  function drawRandomCards(deck, count, blocked = new Set()) {
-    const remaining = deck.filter((c) => !blocked.has(c));
-    const chosen = [];
-    for (let i = 0; i < count; i++) {
-      const idx = Math.floor(Math.random() * remaining.length);
-      chosen.push(remaining.splice(idx, 1)[0]);
-    }
-    return chosen;
-  }
-
-  // Convert rank char to numeric value for evaluation convenience
-  const rankToValue = {
-    '2': 2, '3': 3, '4': 4, '5':5, '6':6, '7':7, '8':8, '9':9, 'T':10, 'J':11, 'Q':12, 'K':13, 'A':14
-  };
-
-  // Evaluate 7-card best hand and return {category, tiebreaker array}
-  function evaluate7(cards) {
-    // cards: array like ['As','Kd','Th',...]
-    // Build rank counts & suit groups
-    const ranks = {};
-    const suits = {};
-    const ranksList = [];
-    for (const c of cards) {
-      const r = c[0];
-      const s = c[1];
-      ranks[r] = (ranks[r] || 0) + 1;
-      suits[s] = suits[s] || [];
-      suits[s].push(c);
-    }
-    for (const r in ranks) ranksList.push(r);
-
-    // Helper: convert rank array to sorted numeric descending unique list (Ace high)
-    function rankNumsSorted(arr) {
-      const nums = [...new Set(arr.map((r) => rankToValue[r]))].sort((a,b) => b - a);
-      return nums;
-    }
-
-    // Check for flush
-    let flushSuit = null;
-    for (const s in suits) {
-      if (suits[s].length >= 5) { flushSuit = s; break; }
-    }
-
-    // Check for straight (consider Ace low)
-    const allRankNums = [];
-    for (const r in ranks) allRankNums.push(rankToValue[r]);
-    const uniq = [...new Set(allRankNums)].sort((a,b) => a - b);
-    // add Ace as 1 for wheel
-    if (uniq.includes(14)) uniq.unshift(1);
-    let straightTop = null;
-    for (let i = 0; i <= uniq.length - 5; i++) {
-      // check consecutive run of length 5
-      let run = true;
-      for (let k = 1; k < 5; k++) {
-        if (uniq[i + k] !== uniq[i] + k) { run = false; break; }
-      }
-      if (run) {
-        straightTop = uniq[i+4]; // highest card
-      }
-    }
-    // If multiple straights, choose highest top
-    if (straightTop === null && uniq.length >= 5) {
-      // scan from end
-      for (let i = uniq.length - 1; i >= 4; i--) {
-        const a = uniq[i], b = uniq[i-1], c = uniq[i-2], d = uniq[i-3], e = uniq[i-4];
-        if (a === b+1 && b === c+1 && c === d+1 && d === e+1) { straightTop = a; break; }
-      }
-    }
-
-    // Straight flush
-    if (flushSuit) {
-      const flushCards = suits[flushSuit].map((c)=>c[0]);
-      const nums = [...new Set(flushCards.map((r)=>rankToValue[r]))].sort((a,b)=>a-b);
-      if (nums.includes(14)) nums.unshift(1);
-      let sfTop = null;
-      for (let i = 0; i <= nums.length - 5; i++) {
-        let run = true;
-        for (let k = 1; k < 5; k++) {
-          if (nums[i + k] !== nums[i] + k) { run = false; break; }
-        }
-        if (run) sfTop = nums[i+4];
-      }
-      if (sfTop !== null) return { rank: 8, tiebreak: [sfTop] }; // Straight flush
-    }
-
-    // Four of a kind
-    let quadsRank = null;
-    for (const r in ranks) if (ranks[r] === 4) quadsRank = rankToValue[r];
-    if (quadsRank) {
-      // kicker = highest remaining
-      const kickers = Object.keys(ranks).filter((r)=>rankToValue[r] !== quadsRank)
-        .map((r)=>rankToValue[r]).sort((a,b)=>b-a);
-      return { rank: 7, tiebreak: [quadsRank, kickers[0]] };
-    }
-
-    // Full house (three + pair)
-    const trips = Object.keys(ranks).filter((r)=>ranks[r]===3).map((r)=>rankToValue[r]).sort((a,b)=>b-a);
-    const pairs = Object.keys(ranks).filter((r)=>ranks[r]===2).map((r)=>rankToValue[r]).sort((a,b)=>b-a);
-    if (trips.length >= 1 && (pairs.length >= 1 || trips.length >= 2)) {
-      // best trips as trips[0], best pair as either pairs[0] or trips[1]
-      const three = trips[0];
-      let pair = pairs[0] || trips[1];
-      return { rank: 6, tiebreak: [three, pair] };
-    }
-
-    // Flush
-    if (flushSuit) {
-      const vals = suits[flushSuit].map((c)=>rankToValue[c[0]]).sort((a,b)=>b-a).slice(0,5);
-      return { rank: 5, tiebreak: vals };
-    }
-
-    // Straight
-    if (straightTop !== null) return { rank: 4, tiebreak: [straightTop] };
-
-    // Three of a kind
-    if (trips.length >= 1) {
-      const three = trips[0];
-      const kickers = Object.keys(ranks).filter((r)=>rankToValue[r] !== three)
-        .map((r)=>rankToValue[r]).sort((a,b)=>b-a).slice(0,2);
-      return { rank: 3, tiebreak: [three, ...kickers] };
-    }
-
-    // Two pair
-    if (pairs.length >= 2) {
-      const top1 = pairs[0], top2 = pairs[1];
-      const kicker = Object.keys(ranks).filter((r)=>rankToValue[r] !== top1 && rankToValue[r] !== top2)
-        .map((r)=>rankToValue[r]).sort((a,b)=>b-a)[0];
-      return { rank: 2, tiebreak: [top1, top2, kicker] };
-    }
-
-    // One pair
-    if (pairs.length === 1) {
-      const pair = pairs[0];
-      const kickers = Object.keys(ranks).filter((r)=>rankToValue[r] !== pair)
-        .map((r)=>rankToValue[r]).sort((a,b)=>b-a).slice(0,3);
-      return { rank: 1, tiebreak: [pair, ...kickers] };
-    }
-
-    // High card
-    const highcards = Object.keys(ranks).map((r)=>rankToValue[r]).sort((a,b)=>b-a).slice(0,5);
-    return { rank: 0, tiebreak: highcards };
-  }
-
-  // Compare two evaluated hands
-  function compareEvals(a, b) {
-    if (a.rank !== b.rank) return a.rank - b.rank;
-    // compare tiebreak arrays lexicographically
-    for (let i = 0; i < Math.max(a.tiebreak.length, b.tiebreak.length); i++) {
-      const av = a.tiebreak[i] || 0;
-      const bv = b.tiebreak[i] || 0;
-      if (av !== bv) return av - bv;
-    }
-    return 0;
-  }
-
-  // Estimate equity of heroHand vs oppHand by Monte Carlo sampling of boards
-  function estimateEquity(heroCards, oppCards, sims = 200) {
-    // heroCards, oppCards: arrays of 2 card strings each
-    // return {heroWins, oppWins, ties, equityHero}
-    let heroWins = 0, oppWins = 0, ties = 0;
-    const deck = makeDeck();
-    const blocked = new Set([...heroCards, ...oppCards]);
-
-    for (let s = 0; s < sims; s++) {
-      const board = drawRandomCards(deck, 5, blocked);
-      const heroEval = evaluate7([...heroCards, ...board]);
-      const oppEval = evaluate7([...oppCards, ...board]);
-      const cmp = compareEvals(heroEval, oppEval);
-      if (cmp > 0) { heroWins++; }
-      else if (cmp < 0) { oppWins++; }
-      else { ties++; }
-    }
-
-    const equityHero = (heroWins + ties * 0.5) / sims;
-    return { heroWins, oppWins, ties, equityHero };
-  }
-
-  // Sample a random hand combination for a given hand key, respecting blockers
-  function sampleHandForKey(key, blocked = new Set()) {
-    const combos = combosForHandKey(key);
-    // filter combos that conflict with blocked
-    const filtered = combos.filter((pair) => !blocked.has(pair[0]) && !blocked.has(pair[1]));
-    if (filtered.length === 0) return null;
-    const pick = filtered[Math.floor(Math.random() * filtered.length)];
-    return pick;
-  }
-
-  // Create an opponent sampling distribution across specific actions:
-  // For a given hero action (e.g., Raise), opponent's per-hand probabilities determine
-  // whether they fold (gives pot), call/raise (leads to showdown) - we approximate by sampling an opp hand and
-  // choosing to fold or continue according to the opponent's action probabilities for that hand.
-  async function runSimulation({
-    heroStrategy = adjustedStrategy,
-    oppStrategy = baselineGTO,
-    simsPerMatchup = 200,
-    potSize = 1,
-    raiseSize = 1,
-    callSize = 1,
-    sample = 'all',
-  }) {
-    setSimRunning(true);
-    await new Promise((r) => setTimeout(r, 30)); // allow UI breathe
-
-    const heroRange = strategyToRangeProbMap(heroStrategy);
-    const oppRange = strategyToRangeProbMap(oppStrategy);
-    const deckBase = makeDeck();
-
-    const handKeys = sample === 'all' ? all169 : shuffled169.slice(0, 50);
-
-    // accumulator results
-    const accum = {
-      totalMatchups: 0,
-      actions: {
-        Fold: { evSum: 0, count: 0 },
-        Call: { evSum: 0, count: 0 },
-        Raise: { evSum: 0, count: 0 },
-      },
-      perHandStats: {}, // hand -> {avgEVs}
-    };
-
-    // For each hero hand we evaluate EV per action by sampling random opponent hands (weighted by opp range)
-    for (const handKey of handKeys) {
-      const heroCombos = combosForHandKey(handKey);
-      // approximate hero selection by assuming uniform among that hand's combos
-      // We'll evaluate the representative hero combo by sampling combos for the heroKey
-      const perHand = { hand: handKey, ev: { Fold: 0, Call: 0, Raise: 0 }, sims: 0 };
-
-      // We'll run N trials where we:
-      // - sample a hero combo for the handKey
-      // - sample an opponent hand from their entire range (weighted by opp "raise/call/fold" mass)
-      // - depending on hero action, follow outcomes and compute payoff
-      const trials = Math.max(40, Math.min(400, Math.floor(simsPerMatchup / (handKeys.length / 40) || 200)));
-      // to avoid too-long loops, we'll clamp total per-hand sims reasonable
-
-      for (let t = 0; t < trials; t++) {
-        // sample hero combo (avoid conflicts)
-        const heroCombo = heroCombos[Math.floor(Math.random() * heroCombos.length)];
-        const blocked = new Set([heroCombo[0], heroCombo[1]]);
-
-        // sample an opponent hand key according to opp overall mass (sum of raise+call+fold weights)
-        const oppKeys = Object.keys(oppRange);
-        // build weights proportional to (fold+call+raise)
-        const weights = oppKeys.map((k) => {
-          const s = oppStrategy[k] || { fold: 100, call: 0, raise: 0 };
-          return (s.fold || 0) + (s.call || 0) + (s.raise || 0);
-        });
-        // pick a random opponent key by weights
-        let sumW = weights.reduce((a,b)=>a+b,0);
-        let r = Math.random() * sumW;
-        let idx = 0;
-        while (r > 0 && idx < weights.length - 1) { r -= weights[idx]; idx++; }
-        const oppKey = oppKeys[Math.max(0, idx- (r<=0?0:1))] || oppKeys[0];
-
-        // sample opp combo that doesn't conflict
-        const oppCombo = sampleHandForKey(oppKey, blocked);
-        if (!oppCombo) { t--; continue; } // try again
-
-        // Compute outcomes for each hero action
-        // Baseline assumptions:
-        // - potSize before hero action is potSize
-        // - If hero folds: EV = - (heroCurrentInvestment) ; we'll assume hero has 0 invested (we're evaluating a decision pre-commit) so EV=0 for fold baseline
-        //   (but since fold simply avoids losing further money, we set fold EV = 0)
-        // - If hero raises (size=raiseSize): opponent either folds or calls/all-in.
-        //    * if opp folds: hero wins current pot (potSize)
-        //    * if opp calls: we run equity simulation and apply pot arithmetic:
-        //        heroContribution = raiseSize; oppContribution = callSize (we assume callSize equals raiseSize for simplicity)
-        //        totalPot = potSize + heroContribution + oppContribution
-        //        EV_hero = equityHero * totalPot - heroContribution
-        // - If hero calls (size=callSize) against some opp bet: similar to above where both put callSize
-        // NOTE: This is simplified but gives consistent relative EVs.
-
-        // First, estimate equity for showdown between heroCombo and oppCombo
-        const equity = estimateEquity(heroCombo, oppCombo, Math.max(80, Math.min(500, Math.floor(simsPerMatchup / 2)))); // moderate sims per showdown
-
-        // Evaluate Fold
-        const EV_fold = 0; // assumption: folding pre-action means net 0 relative (no extra commitment)
-
-        // Evaluate Raise (opp may fold depending on its per-hand fold probability)
-        const oppProbFold = (oppStrategy[oppKey] && oppStrategy[oppKey].fold !== undefined)
-          ? (oppStrategy[oppKey].fold / ((oppStrategy[oppKey].fold || 0) + (oppStrategy[oppKey].call || 0) + (oppStrategy[oppKey].raise || 0)))
-          : 0.2;
-        const oppProbCallOrContinue = 1 - oppProbFold;
-        const heroContribution = raiseSize;
-        const oppContribution = callSize;
-        const totalPotRaise = potSize + heroContribution + oppContribution;
-        const EV_showdown_raise = equity.equityHero * totalPotRaise - heroContribution;
-        const EV_raise = oppProbFold * potSize + oppProbCallOrContinue * EV_showdown_raise;
-
-        // Evaluate Call (opp put a bet, hero calls)
-        // Need to model probability that opponent actually put that bet — to keep it simple assume the scenario is hero faces a bet and decides to call.
-        // We'll evaluate call EV as showdown EV where both commit callSize (hero pays callSize).
-        const totalPotCall = potSize + callSize + callSize; // both invest callSize
-        const EV_call = equity.equityHero * totalPotCall - callSize;
-
-        // accumulate
-        perHand.ev.Fold += EV_fold;
-        perHand.ev.Raise += EV_raise;
-        perHand.ev.Call += EV_call;
-        perHand.sims += 1;
-
-        // global accum
-        accum.actions.Fold.evSum += EV_fold; accum.actions.Fold.count++;
-        accum.actions.Call.evSum += EV_call; accum.actions.Call.count++;
-        accum.actions.Raise.evSum += EV_raise; accum.actions.Raise.count++;
-        accum.totalMatchups++;
-      }
-
-      // average for this hand
-      perHand.ev.Fold = perHand.ev.Fold / perHand.sims;
-      perHand.ev.Call = perHand.ev.Call / perHand.sims;
-      perHand.ev.Raise = perHand.ev.Raise / perHand.sims;
-      accum.perHandStats[handKey] = perHand;
-    }
-
-    // finalize averages
-    const results = {
-      totalMatchups: accum.totalMatchups,
-      actions: {
-        Fold: { avgEV: accum.actions.Fold.evSum / Math.max(1, accum.actions.Fold.count), count: accum.actions.Fold.count },
-        Call: { avgEV: accum.actions.Call.evSum / Math.max(1, accum.actions.Call.count), count: accum.actions.Call.count },
-        Raise: { avgEV: accum.actions.Raise.evSum / Math.max(1, accum.actions.Raise.count), count: accum.actions.Raise.count },
-      },
-      perHand: accum.perHandStats,
-    };
+  // Strategy trees offered by the Equity tab (with the profiles) and the Best Response panel
+  const chartSources = [
+    { id: 'current', name: 'Current chart', tree: activeTree },
+    { id: 'baseline', name: `Baseline (${activeBaseline.name})`, tree: baselineStrategy },
+    ...Object.values(savedStrategies).map((saved) => ({
+      id: saved.id, name: saved.name, tree: normalizeStrategy(saved.strategy),
+    })),
+  ];
 
-    setSimRunning(false);
-    setSimResults(results);
-    return results;
-  }
-
-  // Handler for running simulation
-  const runSimHandler = async () => {
-    setSimResults(null);
-    
-    // Use current profile as hero, baseline as opponent (or let user select both)
-    const heroStrategy = currentProfile?.strategy || adjustedStrategy;
-    const oppStrategy = baselineGTO; // Could be made configurable
-    
-    const r = await runSimulation({
-      heroStrategy,
-      oppStrategy,
-      simsPerMatchup: simParams.simsPerMatchup,
-      potSize: simParams.potSize,
-      raiseSize: simParams.raiseSize,
-      callSize: simParams.callSize,
-      sample: simParams.sampleHands,
-    });
-    console.log('Simulation finished', r);
-  };
+  // Every profile as a whole tree with its node locks applied (see strategy/profileLibrary.js), with
+  // its stats for Push/Fold's observed all-in calls
+  const profileSources = useMemo(() => Object.values(profiles).map((profile) => ({
+    id: profile.id, name: `Profile: ${profile.name}`, tree: profileTree(profile, baselineStrategy), stats: profile.stats,
+  })), [profiles, baselineStrategy]);
+
+  // The profile picked in ProfileManager can be the villain too, with its node locks
+  const bestResponseSources = currentProfile && currentProfile.stats && currentProfile.id !== 'baseline'
+    ? [...chartSources, {
+      id: 'profile',
+      name: `Profile: ${currentProfile.name}`,
+      tree: { ...baselineStrategy, ...normalizeStrategy(currentProfile.strategy) },
+      locks: currentProfile.locks || [],
+    }]
+    : chartSources;
 
   // ---- UI ----
 
@@ -734,6 +589,30 @@ const PokerChart = () => {
                 >
                   Profiles
                 </button>
+                <button
+                  onClick={() => setMode('drill')}
+                  className={`px-3 py-1 text-sm rounded ${mode === 'drill' ? 'bg-white shadow' : 'text-gray-600'}`}
+                >
+                  Drill
+                </button>
+                <button
+                  onClick={() => setMode('equity')}
+                  className={`px-3 py-1 text-sm rounded ${mode === 'equity' ? 'bg-white shadow' : 'text-gray-600'}`}
+                >
+                  Equity
+                </button>
+                <button
+                  onClick={() => setMode('pushfold')}
+                  className={`px-3 py-1 text-sm rounded ${mode === 'pushfold' ? 'bg-white shadow' : 'text-gray-600'}`}
+                >
+                  Push/Fold
+                </button>
+                <button
+                  onClick={() => setMode('solver')}
+                  className={`px-3 py-1 text-sm rounded ${mode === 'solver' ? 'bg-white shadow' : 'text-gray-600'}`}
+                >
+                  Solver
+                </button>
               </div>
 
               <button
@@ -764,7 +643,46 @@ const PokerChart = () => {
 
         {/* Main content - responsive grid */}
         <div className="p-6">
-          <div className="grid grid-cols-1 xl:grid-cols-3 gap-6">
+          {mode === 'drill' && (
+            <DrillMode
+              strategyTree={activeTree}
+              profileId={currentProfile && currentProfile.id !== 'baseline' ? currentProfile.id : `baseline:${activeBaseline.id}`}
+              profileName={currentProfile && currentProfile.name ? currentProfile.name : `Baseline (${activeBaseline.name})`}
+              selectedNode={selectedNode}
+              onNodeChange={setSelectedNode}
+            />
+          )}
+
+          {mode === 'equity' && (
+            <EquityCalculator
+              strategies={[...chartSources, ...profileSources]}
+              selectedNode={selectedNode}
+              equityTable={equityTable}
+            />
+          )}
+
+          {mode === 'pushfold' && (
+            <PushFoldMode
+              profiles={profileSources}
+              equityTable={equityTable}
+              ante={tableSettings.ante}
+              icmSettings={icmSettings}
+              onIcmChange={setIcmSettings}
+            />
+          )}
+
+          {mode === 'solver' && (
+            <SolverMode
+              baselineTree={baselineStrategy}
+              baselineName={activeBaseline.name}
+              equityTable={equityTable}
+              tableSettings={tableSettings}
+              onSaveBaseline={handleSaveBaseline}
+            />
+          )}
+
+          {/* The chart stays mounted (hidden) in the full-width tabs so the analysis state is kept */}
+          <div className={`grid grid-cols-1 xl:grid-cols-3 gap-6 ${['drill', 'equity', 'pushfold', 'solver'].includes(mode) ? 'hidden' : ''}`}>
             
             {/* Column 1: Opponent Stats or Testing Controls */}
             <div className="bg-gray-50 p-6 rounded-lg">
@@ -825,22 +743,126 @@ const PokerChart = () => {
                 <>
                   <h3 className="text-lg font-semibold mb-4 text-gray-700">Testing Controls</h3>
                   <div className="space-y-3 text-sm">
+                    {[
+                      { label: 'Hero strategy', value: heroProfile, onChange: setHeroProfile },
+                      ...villainProfiles.map((id, i) => ({
+                        label: villainProfiles.length > 1 ? `Villain ${i + 1} strategy` : 'Villain strategy',
+                        value: id,
+                        onChange: (value) => setVillainProfiles(villainProfiles.map((v, j) => (j === i ? value : v))),
+                        onRemove: villainProfiles.length > 1 && (() => setVillainProfiles(villainProfiles.filter((_, j) => j !== i))),
+                      })),
+                    ].map((seat) => (
+                      <div key={seat.label} className="flex justify-between items-center gap-2">
+                        <span>{seat.label}</span>
+                        <div className="flex items-center gap-1">
+                          <select value={seat.value} onChange={(e) => seat.onChange(e.target.value)} className="p-1 border rounded max-w-[10rem]">
+                            <option value="current">Current chart</option>
+                            <option value="baseline">Baseline ({activeBaseline.name})</option>
+                            {Object.keys(profiles).length > 0 && (
+                              <optgroup label="Profiles">
+                                {Object.values(profiles).map((profile) => (
+                                  <option key={profile.id} value={profile.id}>{profile.name}</option>
+                                ))}
+                              </optgroup>
+                            )}
+                            {Object.values(savedStrategies).map((saved) => (
+                              <option key={saved.id} value={saved.id}>{saved.name}</option>
+                            ))}
+                          </select>
+                          {seat.onRemove && (
+                            <button onClick={seat.onRemove} className="px-1 text-red-600 hover:underline" title="Remove this villain seat">×</button>
+                          )}
+                        </div>
+                      </div>
+                    ))}
+                    {villainProfiles.length < MAX_VILLAIN_SEATS && (
+                      <button
+                        onClick={() => setVillainProfiles([...villainProfiles, 'baseline'])}
+                        className="text-xs text-emerald-700 hover:underline"
+                      >
+                        + Add villain seat
+                      </button>
+                    )}
                     <div className="flex justify-between items-center">
                       <span>Simulations / matchup</span>
                       <input type="number" min={20} max={2000} value={simParams.simsPerMatchup} onChange={(e)=>setSimParams({...simParams, simsPerMatchup: Math.max(20, Math.min(2000, Number(e.target.value)))})} className="w-20 p-1 border rounded"/>
                     </div>
                     <div className="flex justify-between items-center">
-                      <span>Pot size</span>
-                      <input type="number" min={0.1} step={0.1} value={simParams.potSize} onChange={(e)=>setSimParams({...simParams, potSize: Math.max(0.1, Number(e.target.value))})} className="w-20 p-1 border rounded"/>
+                      <span>EV model</span>
+                      <select value={simParams.model} onChange={(e)=>setSimParams({...simParams, model: e.target.value})} className="p-1 border rounded">
+                        <option value="game">6-max game (bb)</option>
+                        <option value="simple">Simplified pot</option>
+                      </select>
                     </div>
+                    {simParams.model === 'game' ? (
+                      [
+                        { key: 'smallBlind', label: 'Small blind (bb)', min: 0, step: 0.1 },
+                        { key: 'stack', label: 'Effective stack (bb)', min: 1, step: 5 },
+                        { key: 'openSize', label: 'Open size (bb)', min: 1, step: 0.25 },
+                        { key: 'threeBetSize', label: '3-bet size (bb)', min: 1, step: 0.5 },
+                        { key: 'fourBetSize', label: '4-bet size (bb)', min: 1, step: 1 },
+                      ].map((field) => (
+                        <div key={field.key} className="flex justify-between items-center">
+                          <span>{field.label}</span>
+                          <input
+                            type="number"
+                            min={field.min}
+                            step={field.step}
+                            value={simParams.game[field.key]}
+                            onChange={(e)=>setSimParams({...simParams, game: {...simParams.game, [field.key]: Math.max(field.min, Number(e.target.value) || 0)}})}
+                            className="w-20 p-1 border rounded"
+                          />
+                        </div>
+                      ))
+                    ) : (
+                      <>
+                        <div className="flex justify-between items-center">
+                          <span>Pot size</span>
+                          <input type="number" min={0.1} step={0.1} value={simParams.potSize} onChange={(e)=>setSimParams({...simParams, potSize: Math.max(0.1, Number(e.target.value))})} className="w-20 p-1 border rounded"/>
+                        </div>
+                        <div className="flex justify-between items-center">
+                          <span>Raise size (hero)</span>
+                          <input type="number" min={0.1} step={0.1} value={simParams.raiseSize} onChange={(e)=>setSimParams({...simParams, raiseSize: Math.max(0.1, Number(e.target.value))})} className="w-20 p-1 border rounded"/>
+                        </div>
+                        <div className="flex justify-between items-center">
+                          <span>Call size</span>
+                          <input type="number" min={0.1} step={0.1} value={simParams.callSize} onChange={(e)=>setSimParams({...simParams, callSize: Math.max(0.1, Number(e.target.value))})} className="w-20 p-1 border rounded"/>
+                        </div>
+                      </>
+                    )}
+                    {simParams.model === 'game' && (
+                      <>
+                        <label className="flex justify-between items-center">
+                          <span>$EV under ICM</span>
+                          <input type="checkbox" checked={simParams.icm} onChange={(e)=>setSimParams({...simParams, icm: e.target.checked})}/>
+                        </label>
+                        {simParams.icm && (
+                          <>
+                            <p className="text-xs text-gray-500">The effective stack is the shorter of hero's and the first villain's.</p>
+                            <IcmCalculator settings={icmSettings} onChange={setIcmSettings} seats={POSITIONS} />
+                          </>
+                        )}
+                      </>
+                    )}
+                    <TableSettings settings={tableSettings} onChange={setTableSettings} />
                     <div className="flex justify-between items-center">
-                      <span>Raise size (hero)</span>
-                      <input type="number" min={0.1} step={0.1} value={simParams.raiseSize} onChange={(e)=>setSimParams({...simParams, raiseSize: Math.max(0.1, Number(e.target.value))})} className="w-20 p-1 border rounded"/>
+                      <span>Seed</span>
+                      <input type="text" value={simParams.seed} placeholder="random" onChange={(e)=>setSimParams({...simParams, seed: e.target.value.trim()})} className="w-28 p-1 border rounded"/>
                     </div>
                     <div className="flex justify-between items-center">
-                      <span>Call size</span>
-                      <input type="number" min={0.1} step={0.1} value={simParams.callSize} onChange={(e)=>setSimParams({...simParams, callSize: Math.max(0.1, Number(e.target.value))})} className="w-20 p-1 border rounded"/>
+                      <span>Workers</span>
+                      <input type="number" min={1} max={MAX_SIM_WORKERS} value={simParams.workers} onChange={(e)=>setSimParams({...simParams, workers: Math.max(1, Math.min(MAX_SIM_WORKERS, Number(e.target.value) || 1))})} className="w-20 p-1 border rounded"/>
                     </div>
+                    <div className="flex justify-between items-center">
+                      <span>Board</span>
+                      <input type="text" value={simParams.board} placeholder="none" onChange={(e)=>setSimParams({...simParams, board: e.target.value})} className="w-28 p-1 border rounded"/>
+                    </div>
+                    <div className="flex justify-between items-center">
+                      <span>Dead cards</span>
+                      <input type="text" value={simParams.dead} placeholder="none" onChange={(e)=>setSimParams({...simParams, dead: e.target.value})} className="w-28 p-1 border rounded"/>
+                    </div>
+                    <PreflopEquityStatus table={equityTable} workers={simParams.workers} onReady={setEquityTable} />
+                    {simError && <div className="text-xs text-red-600">{simError}</div>}
 
                     {/* run button with profile awareness */}
                     <div className="pt-2 flex gap-2">
@@ -851,43 +873,60 @@ const PokerChart = () => {
                       >
                         {simRunning ? 'Running...' : 'Run Matchup Sim'}
                       </button>
-                      <button 
-                        onClick={()=>{ setSimResults(null); }} 
-                        className="px-3 py-2 bg-gray-200 rounded"
-                      >
-                        Clear
-                      </button>
+                      {simRunning ? (
+                        <button onClick={handleCancelSim} className="px-3 py-2 bg-red-100 text-red-700 rounded">
+                          Cancel
+                        </button>
+                      ) : (
+                        <button 
+                          onClick={()=>{ setSimResults(null); }} 
+                          className="px-3 py-2 bg-gray-200 rounded"
+                        >
+                          Clear
+                        </button>
+                      )}
                     </div>
 
+                    {simRunning && (
+                      <div>
+                        <div className="flex justify-between text-xs text-gray-600 mb-1">
+                          <span>Simulating hands</span>
+                          <span>{simProgress.done} / {simProgress.total}</span>
+                        </div>
+                        <div className="w-full h-2 bg-gray-200 rounded-full overflow-hidden">
+                          <div className="h-2 bg-emerald-500 rounded-full transition-all duration-300"
+                               style={{ width: `${simProgress.total ? (simProgress.done / simProgress.total) * 100 : 0}%` }} />
+                        </div>
+                      </div>
+                    )}
+
                       {/*results display with profile context */}
                     {simResults && (
                       <div className="mt-4 p-3 bg-white rounded shadow text-sm">
                         <div className="flex justify-between font-semibold mb-2">
-                          <span>Matchup Results</span>
+                          <span>{simResults.run && simResults.run.villainProfiles.length > 1 ? `${simResults.run.villainProfiles.length + 1}-way ` : ''}Matchup Results{simResults.partial && <span className="ml-1 text-xs font-normal text-amber-600">(partial)</span>}</span>
                           <span className="text-xs text-gray-500">
                             {simResults.totalMatchups} matchups
                           </span>
                         </div>
                         
+                        {/* game-model EVs are bb (or prize units under ICM) per hand, shown per 100 hands */}
                         <div className="space-y-1">
-                          <div className="flex justify-between text-xs">
-                            <span>Hero Fold EV</span>
-                            <span className={simResults.actions.Fold.avgEV >= 0 ? 'text-green-600' : 'text-red-600'}>
-                              {simResults.actions.Fold.avgEV.toFixed(3)}
-                            </span>
-                          </div>
-                          <div className="flex justify-between text-xs">
-                            <span>Hero Call EV</span>
-                            <span className={simResults.actions.Call.avgEV >= 0 ? 'text-green-600' : 'text-red-600'}>
-                              {simResults.actions.Call.avgEV.toFixed(3)}
-                            </span>
-                          </div>
-                          <div className="flex justify-between text-xs">
-                            <span>Hero Raise EV</span>
-                            <span className={simResults.actions.Raise.avgEV >= 0 ? 'text-green-600' : 'text-red-600'}>
-                              {simResults.actions.Raise.avgEV.toFixed(3)}
-                            </span>
-                          </div>
+                          {[
+                            ['Hero Fold EV', simResults.actions.Fold.avgEV],
+                            ['Hero Call EV', simResults.actions.Call.avgEV],
+                            ['Hero Raise EV', simResults.actions.Raise.avgEV],
+                            ...(simResults.strategyEV !== null ? [['Hero strategy EV', simResults.strategyEV]] : []),
+                          ].map(([label, ev]) => (
+                            <div key={label} className="flex justify-between text-xs">
+                              <span>{label}</span>
+                              <span className={ev >= 0 ? 'text-green-600' : 'text-red-600'}>
+                                {simResults.params.model !== 'game'
+                                  ? ev.toFixed(3)
+                                  : simResults.params.icm ? `${(ev * 100).toFixed(2)} $/100` : `${(ev * 100).toFixed(1)} bb/100`}
+                              </span>
+                            </div>
+                          ))}
                         </div>
                         
                         {/* Best action indicator */}
@@ -897,6 +936,45 @@ const PokerChart = () => {
                             {getBestAction(simResults.actions)}
                           </span>
                         </div>
+
+                        {/* Run settings: everything needed to reproduce these numbers */}
+                        {simResults.run && (
+                          <div className="mt-2 pt-2 border-t text-xs text-gray-600 space-y-1">
+                            <div className="flex justify-between">
+                              <span>Seed</span>
+                              <span className="font-mono">{simResults.run.simParams.seed}</span>
+                            </div>
+                            <div>
+                              Hero {getProfileDisplayName(simResults.run.heroProfile, { ...profiles, ...savedStrategies })} vs{' '}
+                              {simResults.run.villainProfiles.map((id) => getProfileDisplayName(id, { ...profiles, ...savedStrategies })).join(', ')}
+                            </div>
+                            <div>
+                              {describeNode(simResults.run.nodeKey)} · {simResults.run.simParams.simsPerMatchup} sims · {simResults.params.model === 'game'
+                                ? `blinds ${simResults.params.game.smallBlind}/1 · ${simResults.params.game.stack}bb · ${simResults.params.game.openSize}/${simResults.params.game.threeBetSize}/${simResults.params.game.fourBetSize}bb raises${simResults.params.icm ? ` · ICM ${simResults.params.icm.payouts.join('/')}` : ''}`
+                                : `pot ${simResults.run.simParams.potSize} · raise ${simResults.run.simParams.raiseSize} · call ${simResults.run.simParams.callSize}`}
+                            </div>
+                            <div>
+                              Rake: {describeRake(simResults.params.rake)} · ante {simResults.params.ante}
+                            </div>
+                            <div>
+                              {simResults.run.equity === 'exact' ? 'Exact preflop equities' : 'Monte Carlo equities'}
+                              {simResults.run.board.length > 0 && ` · board ${simResults.run.board.join(' ')}`}
+                              {simResults.run.dead.length > 0 && ` · dead ${simResults.run.dead.join(' ')}`}
+                            </div>
+                            <div className="flex gap-2 pt-1">
+                              <button
+                                onClick={() => handleReplaySim(simResults.run)}
+                                disabled={simRunning}
+                                className="px-2 py-1 bg-gray-200 rounded disabled:opacity-50"
+                              >
+                                Replay
+                              </button>
+                              <button onClick={() => copyRunSettings(simResults.run)} className="px-2 py-1 bg-gray-200 rounded">
+                                Copy run settings
+                              </button>
+                            </div>
+                          </div>
+                        )}
                       </div>
                     )}
                   </div>
@@ -904,12 +982,33 @@ const PokerChart = () => {
               ) : (
                 // New ProfileManager content
                 <>
-                  <h3 className="text-lg font-semibold mb-4 text-gray-700">Profile Management</h3>
+                  <h3 className="text-lg font-semibold mb-4 text-gray-700">Baseline Library</h3>
+                  <BaselineManager
+                    customBaselines={customBaselines}
+                    activeBaseline={activeBaseline}
+                    currentStrategy={currentTree}
+                    onSelect={handleSelectBaseline}
+                    onSave={handleSaveBaseline}
+                    onDelete={handleDeleteBaseline}
+                  />
+
+                  <h3 className="text-lg font-semibold mt-8 mb-4 text-gray-700">Profile Management</h3>
                   <ProfileManager 
                     onProfileChange={setCurrentProfile}
                     currentProfile={currentProfile}
-                    baselineGTO={baselineGTO}
+                    baselineGTO={baselineStrategy}
+                    baselineName={activeBaseline.name}
+                    rake={tableSettings.rake}
+                    game={simParams.game}
+                    savedStrategies={savedStrategies}
+                    onDeleteStrategy={handleDeleteStrategy}
+                    onHandsImported={handleHandsImported}
+                    profiles={profiles}
+                    onProfilesChange={setProfiles}
                   />
+
+                  <h3 className="text-lg font-semibold mt-8 mb-4 text-gray-700">Hero Deviation Report</h3>
+                  <DeviationReport results={deviationResults} onClear={() => setHeroDecisions([])} />
                 </>
               )}
             </div>
@@ -918,55 +1017,64 @@ const PokerChart = () => {
             <div className="bg-gray-50 p-6 rounded-lg">
               <div className="flex flex-col sm:flex-row sm:items-center justify-between mb-4 gap-2">
                 <h3 className="text-lg font-semibold text-gray-700">
-                  {showExploitation ? 'Adjusted Strategy' : 'Baseline GTO'}
+                  {showExploitation ? 'Adjusted Strategy' : `Baseline (${activeBaseline.name})`} • {describeNode(selectedNode)}
                 </h3>
                 <div className="bg-black/80 text-white text-xs px-3 py-1 rounded-full">
                   Analyzing: <span className="font-semibold">{nowAnalyzing || '—'}</span>
                 </div>
               </div>
 
-              <div className="flex justify-center mb-4">
-                <div className="inline-block bg-gray-200 p-4 rounded-lg">
-                  <div
-                    className="gap-1"
-                    style={{
-                      display: 'grid',
-                      gridTemplateColumns: 'repeat(13, 1fr)',
-                      gridTemplateRows: 'repeat(13, 1fr)',
-                    }}
+              {/* Decision tree navigation */}
+              <ScenarioNavigator nodeKey={selectedNode} onChange={setSelectedNode} />
+
+              <div className="flex justify-end items-center gap-2 mb-2">
+                {heroDecisions.length > 0 && (
+                  <select
+                    value={deviationHeatmap}
+                    onChange={(e) => setDeviationHeatmap(e.target.value)}
+                    className="px-2 py-1 text-xs border border-gray-300 rounded"
+                    title="Tint hands where Hero's imported decisions deviate from the chart"
                   >
-                    {ranks.map((rank1, i) =>
-                      ranks.map((rank2, j) => {
-                        const handKey = i === j ? rank1 + rank2 : i < j ? rank1 + rank2 + 's' : rank2 + rank1 + 'o';
-                        const isSelected = selectedHand === handKey;
-                        const isLive = nowAnalyzing === handKey;
-
-                        return (
-                          <div
-                            key={`${i}-${j}`}
-                            className={`
-                              w-8 h-8 flex items-center justify-center text-xs font-bold cursor-pointer
-                              transition-all duration-200 hover:scale-110 hover:z-10 relative rounded-sm
-                              ${getActionColor(handKey)} ${getTextColor(handKey)}
-                              ${isSelected ? 'ring-2 ring-yellow-400 ring-offset-1 z-20' : ''}
-                              ${isLive ? 'shadow-[0_0_0_2px_rgba(16,185,129,0.8)] scale-105' : ''}
-                            `}
-                            style={{ gridColumn: j + 1, gridRow: i + 1 }}
-                            onClick={() => setSelectedHand(handKey)}
-                            title={`${handKey} - Click for details`}
-                          >
-                            {isLive && (
-                              <span className="absolute inset-0 rounded-sm animate-ping bg-emerald-400/50" />
-                            )}
-                            <span className="text-[9px] leading-none relative font-bold">
-                              {i === j ? rank1 + rank2 : i < j ? rank1 + rank2 : rank2 + rank1}
-                            </span>
-                          </div>
-                        );
-                      })
-                    )}
-                  </div>
-                </div>
+                    <option value="off">Deviation heatmap: off</option>
+                    <option value="node">Deviations: this spot</option>
+                    <option value="all">Deviations: all spots</option>
+                  </select>
+                )}
+                <button
+                  onClick={() => setEditMode(!editMode)}
+                  className={`px-3 py-1 text-xs rounded ${editMode ? 'bg-amber-500 text-white' : 'bg-gray-200 hover:bg-gray-300'}`}
+                >
+                  {editMode ? 'Done Editing' : 'Edit Chart'}
+                </button>
+              </div>
+
+              {editMode && (
+                <ChartEditor
+                  brush={brush}
+                  onBrushChange={setBrush}
+                  scenario={selectedScenario}
+                  onApplyGroup={(groupId) => editChart((chart) => paintHands(chart, handsInGroup(groupId), brush))}
+                  onUndo={undoEdit}
+                  onRedo={redoEdit}
+                  canUndo={editHistory.past.length > 0}
+                  canRedo={editHistory.future.length > 0}
+                  hasEdits={!!chartOverrides[selectedNode]}
+                  onDiscard={discardNodeEdits}
+                  onSave={handleSaveStrategy}
+                />
+              )}
+
+              <div className="flex justify-center mb-4">
+                <HandGrid
+                  cellClassName={getActionColor}
+                  selectedHand={selectedHand}
+                  liveHand={editMode ? null : nowAnalyzing}
+                  onSelect={setSelectedHand}
+                  editing={editMode}
+                  onPaintStart={(hand) => editChart((chart) => paintHands(chart, [hand], brush))}
+                  onPaintEnter={(hand) => editChart((chart) => paintHands(chart, [hand], brush), { record: false })}
+                  overlayFor={deviationHeatmap === 'off' ? null : deviationOverlay}
+                />
               </div>
 
               {/* Chart description */}
@@ -982,7 +1090,39 @@ const PokerChart = () => {
                 <LegendSwatch className="bg-blue-300" label="Moderate Call" />
                 <LegendSwatch className="bg-gray-300" label="Fold" />
                 <LegendSwatch className="bg-emerald-400" label="Analyzing" dot />
+                {deviationHeatmap !== 'off' && (
+                  <LegendSwatch className="bg-red-700" label="Hero deviates (darker = more often)" />
+                )}
               </div>
+
+              {/* Range import / export for the chart on screen */}
+              <RangeTools
+                chart={showExploitation ? activeStrategy : baselineGTO}
+                scenario={selectedScenario}
+                onImport={handleImportRange}
+              />
+              {chartOverrides[selectedNode] && (
+                <div className="mt-2 text-center text-xs text-gray-600">
+                  This node has been edited or imported.{' '}
+                  <button
+                    onClick={discardNodeEdits}
+                    className="text-blue-600 hover:underline"
+                  >
+                    Reset
+                  </button>
+                </div>
+              )}
+
+              <BestResponsePanel
+                sources={bestResponseSources}
+                heroTree={activeTree}
+                heroChart={activeStrategy}
+                nodeKey={selectedNode}
+                equityTable={equityTable}
+                tableSettings={tableSettings}
+                selectedHand={selectedHand}
+                onSelectHand={setSelectedHand}
+              />
             </div>
 
             {/* Column 3: Strategy Details + Feed */}
@@ -1011,12 +1151,34 @@ const PokerChart = () => {
                         <XAxis dataKey="action" />
                         <YAxis domain={[0, 100]} />
                         <Tooltip formatter={(value) => `${value}%`} />
-                        <Bar dataKey="baseline" fill="#94a3b8" name="GTO Baseline" />
+                        <Bar dataKey="baseline" fill="#94a3b8" name={`Baseline (${activeBaseline.name})`} />
                         <Bar dataKey="adjusted" fill="#3b82f6" name="Adjusted" />
                       </BarChart>
                     </ResponsiveContainer>
                   </div>
 
+                  {deviationHeatmap !== 'off' && heatmapResults.some((r) => r.hand === selectedHand && r.deviation) && (
+                    <div className="p-3 bg-red-50 rounded-lg text-xs space-y-1">
+                      <p className="font-semibold text-red-800">Hero's deviations with {selectedHand}</p>
+                      {heatmapResults
+                        .filter((r) => r.hand === selectedHand && r.deviation)
+                        .slice(-5)
+                        .map((r) => (
+                          <p key={`${r.handId}-${r.nodeKey}`} className="text-red-700">
+                            {describeNode(r.nodeKey)}: {r.message}
+                          </p>
+                        ))}
+                    </div>
+                  )}
+
+                  {editMode && (
+                    <FrequencyInputs
+                      mix={activeStrategy[selectedHand] || { fold: 100, call: 0, raise: 0 }}
+                      labels={{ fold: 'Fold', call: selectedScenario.callLabel, raise: selectedScenario.raiseLabel }}
+                      onCommit={handleSetHandFrequency}
+                    />
+                  )}
+
                   {showExploitation && opponentStats.handsPlayed > 2 && (
                     <div className="p-4 bg-blue-50 rounded-lg text-sm space-y-2">
                       <p className="font-semibold text-blue-800">Exploitation Analysis:</p>
@@ -1109,15 +1271,6 @@ const PokerChart = () => {
 export default PokerChart;
 
 // Helper functions
-function shuffle(arr) {
-  const a = arr.slice();
-  for (let i = a.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
-    [a[i], a[j]] = [a[j], a[i]];
-  }
-  return a;
-}
-
 
 function makeFeedItem(hand, adjusted, baseline) {
   const stratAdj = adjusted[hand] || { fold: 100, call: 0, raise: 0 };
@@ -1143,6 +1296,35 @@ function pickTopAction({ fold, call, raise }) {
   return entries[0].k;
 }
 
+// Exact per-hand percentages; a value is committed on blur / Enter and the other actions rescale
+function FrequencyInputs({ mix, labels, onCommit }) {
+  return (
+    <div className="p-3 bg-white rounded-lg border text-sm">
+      <div className="font-semibold text-gray-700 mb-2">Exact frequencies</div>
+      <div className="grid grid-cols-3 gap-2">
+        {['fold', 'call', 'raise'].map((action) => (
+          <label key={action} className="text-xs text-gray-600">
+            {labels[action]} %
+            <input
+              key={`${action}-${mix[action]}`}
+              type="number"
+              min={0}
+              max={100}
+              step={0.1}
+              defaultValue={mix[action]}
+              onBlur={(e) => {
+                if (Number(e.target.value) !== mix[action]) onCommit(action, e.target.value);
+              }}
+              onKeyDown={(e) => { if (e.key === 'Enter') e.target.blur(); }}
+              className="w-full p-1 border rounded text-sm"
+            />
+          </label>
+        ))}
+      </div>
+    </div>
+  );
+}
+
 function LegendSwatch({ className = '', label, dot = false }) {
   return (
     <div className="flex items-center gap-1.5">
@@ -1186,10 +1368,20 @@ function getProfileDisplayName(profileId, profiles) {
   return profiles && profiles[profileId] ? profiles[profileId].name : 'Unknown';
 }
 
-function getProfileStrategy(profileId, profiles, adjustedStrategy, baselineGTO) {
+// Chart for one node: 'baseline' and 'current' are already per-node, profiles and saved strategies
+// hold the whole tree (profiles with their node locks applied)
+function getProfileStrategy(profileId, profiles, adjustedStrategy, baselineGTO, nodeKey, baselineTree) {
   if (profileId === 'baseline') return baselineGTO;
   if (profileId === 'current') return adjustedStrategy;
-  return profiles && profiles[profileId] ? profiles[profileId].strategy : baselineGTO;
+  if (!profiles || !profiles[profileId]) return baselineGTO;
+  return profileTree(profiles[profileId], baselineTree)[nodeKey] || baselineGTO;
+}
+
+// Whole tree for a Testing seat (the game model needs every node the hand can reach)
+function getProfileTree(profileId, profiles, activeTree, baselineTree) {
+  if (profileId === 'current') return activeTree;
+  if (profileId === 'baseline' || !profiles || !profiles[profileId]) return baselineTree;
+  return profileTree(profiles[profileId], baselineTree);
 }
 
 function getBestAction(actions) {
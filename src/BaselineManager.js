@@ -0,0 +1,158 @@
+import React, { useState } from 'react';
+import { createBaseline, listBaselines, parseBaselineFile } from './strategy/baselineLibrary';
+
+/**
+ * BaselineManager Component
+ *
+ * Picks the active baseline from the library (built-ins plus user baselines) and handles:
+ * - Saving the current charts (including imported ranges) as a named baseline
+ * - Importing / exporting baselines as JSON
+ * - Deleting user baselines
+ * Library state and persistence live in App; this component only reports changes.
+ */
+
+const BaselineManager = ({
+  customBaselines,
+  activeBaseline,
+  currentStrategy,
+  onSelect,
+  onSave,
+  onDelete,
+}) => {
+  const [showSaveModal, setShowSaveModal] = useState(false);
+  const [importError, setImportError] = useState(null);
+
+  const handleImportFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const baseline = parseBaselineFile(await file.text(), file.name.replace(/\.json$/i, ''));
+      setImportError(null);
+      onSave(baseline);
+    } catch (err) {
+      setImportError(`${file.name}: ${err.message}`);
+    }
+  };
+
+  const exportBaseline = () => {
+    const { name, description, strategy } = activeBaseline;
+    const dataBlob = new Blob([JSON.stringify({ name, description, strategy }, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(dataBlob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${name}_baseline.json`;
+    link.click();
+
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div className="space-y-2">
+      <div className="flex flex-wrap items-center gap-2">
+        <label className="text-sm font-medium text-gray-700">Active Baseline:</label>
+        <select
+          value={activeBaseline.id}
+          onChange={(e) => onSelect(e.target.value)}
+          className="px-3 py-1 border border-gray-300 rounded-md text-sm"
+        >
+          {listBaselines(customBaselines).map((baseline) => (
+            <option key={baseline.id} value={baseline.id}>
+              {baseline.name}{baseline.builtIn ? '' : ' (custom)'}
+            </option>
+          ))}
+        </select>
+      </div>
+      {activeBaseline.description && (
+        <p className="text-xs text-gray-500">{activeBaseline.description}</p>
+      )}
+
+      <div className="flex flex-wrap gap-2 text-sm">
+        <button
+          onClick={() => setShowSaveModal(true)}
+          className="px-3 py-1 bg-blue-600 text-white rounded-md hover:bg-blue-700"
+        >
+          Save Current As…
+        </button>
+        <label className="px-3 py-1 bg-gray-200 rounded-md hover:bg-gray-300 cursor-pointer">
+          Import
+          <input type="file" accept=".json" onChange={handleImportFile} className="hidden" />
+        </label>
+        <button onClick={exportBaseline} className="px-3 py-1 bg-gray-200 rounded-md hover:bg-gray-300">
+          Export
+        </button>
+        {!activeBaseline.builtIn && (
+          <button
+            onClick={() => onDelete(activeBaseline.id)}
+            className="px-3 py-1 bg-red-100 text-red-700 rounded-md hover:bg-red-200"
+          >
+            Delete
+          </button>
+        )}
+      </div>
+      {importError && <p className="text-xs text-red-700">{importError}</p>}
+
+      {showSaveModal && (
+        <SaveBaselineModal
+          onClose={() => setShowSaveModal(false)}
+          onSave={(name, description) => {
+            onSave(createBaseline(name, currentStrategy, description));
+            setShowSaveModal(false);
+          }}
+        />
+      )}
+    </div>
+  );
+};
+
+// Save Baseline Modal
+const SaveBaselineModal = ({ onClose, onSave }) => {
+  const [name, setName] = useState('');
+  const [description, setDescription] = useState('');
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white p-6 rounded-lg max-w-md w-full mx-4">
+        <h3 className="text-lg font-semibold mb-4">Save Baseline</h3>
+
+        <div className="space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Name</label>
+            <input
+              type="text"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md"
+              placeholder="e.g., 60bb MTT"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Description (optional)</label>
+            <input
+              type="text"
+              value={description}
+              onChange={(e) => setDescription(e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md"
+            />
+          </div>
+        </div>
+
+        <div className="flex justify-end gap-3 mt-6">
+          <button onClick={onClose} className="px-4 py-2 text-gray-600 hover:text-gray-800">
+            Cancel
+          </button>
+          <button
+            onClick={() => onSave(name, description)}
+            disabled={!name.trim()}
+            className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:bg-gray-400"
+          >
+            Save Baseline
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default BaselineManager;
@@ -0,0 +1,226 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { actionClass } from './actionColors';
+import HandGrid from './HandGrid';
+import { ALL_HANDS, comboCount } from './poker/cards';
+import { DEFAULT_SOLVER } from './poker/preflopCfr';
+import { runBestResponse } from './poker/simulationRunner';
+import { applyLocks, chartDifference, mixDifference } from './strategy/nodeLocks';
+import { describeNode } from './strategy/scenarios';
+
+/**
+ * BestResponsePanel Component
+ *
+ * Finds hero's most profitable answer to a villain strategy in the solver's abstracted game (see
+ * computeBestResponse in poker/preflopCfr.js), with every other seat playing the villain's tree.
+ * Shows the best-response chart for the node on the main grid next to the heuristic chart there,
+ * how far each hand's main action differs, and in bb/100 how exploitable the villain is, what the
+ * adjusted chart earns against it and how exploitable the adjusted chart is itself.
+ *
+ * A source with node locks (a profile's `locks`, see strategy/nodeLocks.js) is solved twice, as
+ * saved and with the locks applied, and the grid becomes a heat map of where the locked best
+ * response differs from the unlocked one.
+ */
+
+// The action an entry plays most
+function mainAction(entry) {
+  const { fold = 100, call = 0, raise = 0 } = entry || {};
+  if (raise >= call && raise > fold) return 'raise';
+  return call > fold ? 'call' : 'fold';
+}
+
+// "fold/call/raise" percentages
+function formatMix(entry) {
+  const { fold = 100, call = 0, raise = 0 } = entry || {};
+  return `${fold}/${call}/${raise}`;
+}
+
+const mean = (values) => values.reduce((a, b) => a + b, 0) / (values.length || 1);
+const per100 = (x) => `${x >= 0 ? '+' : ''}${(x * 100).toFixed(2)}`;
+
+const BestResponsePanel = ({ sources, heroTree, heroChart, nodeKey, equityTable, tableSettings, selectedHand, onSelectHand }) => {
+  const [villainId, setVillainId] = useState('baseline');
+  const [running, setRunning] = useState(false);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+  const jobRef = useRef(null);
+
+  useEffect(() => () => {
+    if (jobRef.current) jobRef.current.cancel();
+  }, []);
+
+  const villain = sources.find((source) => source.id === villainId) || sources[0];
+  const locks = villain.locks || [];
+
+  const solve = (villainTree, onDone) => runBestResponse(
+    {
+      positions: DEFAULT_SOLVER.positions,
+      game: DEFAULT_SOLVER.game,
+      realization: DEFAULT_SOLVER.realization,
+      ante: tableSettings.ante,
+      rake: tableSettings.rake,
+      equityTable,
+      villainTree,
+      heroTree,
+    },
+    {
+      onDone,
+      onError: (e) => {
+        jobRef.current = null;
+        setRunning(false);
+        setError(e.message);
+      },
+    },
+  );
+
+  // Unlocked first; with locks the locked solve follows and the unlocked one becomes the reference
+  const handleCompute = () => {
+    setError(null);
+    setRunning(true);
+    const finish = (next) => {
+      jobRef.current = null;
+      setRunning(false);
+      setResult(next);
+    };
+    jobRef.current = solve(villain.tree, (unlocked) => {
+      if (locks.length === 0) {
+        finish({ ...unlocked, villainName: villain.name, unlocked: null });
+        return;
+      }
+      jobRef.current = solve(applyLocks(villain.tree, locks), (locked) => {
+        finish({ ...locked, villainName: `${villain.name} (${locks.length} locked)`, unlocked });
+      });
+    });
+  };
+
+  const brChart = result && result.strategy[nodeKey];
+  const unlockedChart = result && result.unlocked && result.unlocked.strategy[nodeKey];
+  let differing = 0;
+  if (brChart) {
+    ALL_HANDS.forEach((hand) => {
+      if (mainAction(brChart[hand]) !== mainAction(heroChart[hand])) differing += comboCount(hand);
+    });
+  }
+  const seats = result ? Object.keys(result.villain.seats) : [];
+
+  return (
+    <div className="mt-6 pt-4 border-t space-y-3 text-sm">
+      <h3 className="text-lg font-semibold text-gray-700">Best Response</h3>
+      <div className="flex items-center gap-2">
+        <span>Villain</span>
+        <select value={villain.id} onChange={(e) => setVillainId(e.target.value)} className="flex-1 p-1 border rounded">
+          {sources.map((source) => <option key={source.id} value={source.id}>{source.name}</option>)}
+        </select>
+        <button
+          onClick={handleCompute}
+          disabled={running}
+          className="px-3 py-1 bg-emerald-600 text-white rounded disabled:bg-gray-400"
+        >
+          {running ? 'Computing...' : 'Compute'}
+        </button>
+      </div>
+      {error && <div className="text-xs text-red-600">{error}</div>}
+
+      {result && (
+        <>
+          <div className="grid grid-cols-2 gap-2 text-xs">
+            <div className="p-2 bg-white rounded">
+              <div className="text-gray-500">{result.villainName} exploitable by</div>
+              <div className="text-lg font-semibold">{(result.villain.exploitability * 100).toFixed(2)} bb/100</div>
+              {result.unlocked && (
+                <div className="text-gray-500">unlocked: {(result.unlocked.villain.exploitability * 100).toFixed(2)} bb/100</div>
+              )}
+            </div>
+            <div className="p-2 bg-white rounded">
+              <div className="text-gray-500">Adjusted chart exploitable by</div>
+              <div className="text-lg font-semibold">{(result.hero.exploitability * 100).toFixed(2)} bb/100</div>
+            </div>
+          </div>
+          <table className="w-full text-xs">
+            <thead>
+              <tr className="text-gray-500">
+                <th className="text-left font-normal">Seat</th>
+                <th className="text-right font-normal">Mirror (bb/100)</th>
+                <th className="text-right font-normal">Adjusted</th>
+                <th className="text-right font-normal">Best response</th>
+              </tr>
+            </thead>
+            <tbody>
+              {seats.map((seat) => (
+                <tr key={seat}>
+                  <td>{seat}</td>
+                  <td className="text-right">{per100(result.villain.seats[seat].ev)}</td>
+                  <td className="text-right">{per100(result.hero.adjusted[seat])}</td>
+                  <td className="text-right">{per100(result.villain.seats[seat].bestResponse)}</td>
+                </tr>
+              ))}
+              <tr className="border-t font-semibold">
+                <td>Average</td>
+                <td className="text-right">{per100(mean(seats.map((seat) => result.villain.seats[seat].ev)))}</td>
+                <td className="text-right">{per100(mean(seats.map((seat) => result.hero.adjusted[seat])))}</td>
+                <td className="text-right">{per100(mean(seats.map((seat) => result.villain.seats[seat].bestResponse)))}</td>
+              </tr>
+            </tbody>
+          </table>
+          <p className="text-xs text-gray-500">
+            Each seat against {result.villainName} everywhere else: playing the villain's own chart (mirror), the
+            adjusted chart, or the best response. {result.settings.game.stack}bb, {result.equitySource} equities.
+          </p>
+
+          <div className="font-medium text-gray-700">Best response • {describeNode(nodeKey)}</div>
+          {!brChart ? (
+            <p className="text-xs text-gray-500">This spot is outside the solver's game (no limps or cold calls).</p>
+          ) : unlockedChart ? (
+            <>
+              <div className="flex justify-center">
+                <HandGrid
+                  cellClassName={(hand) => actionClass(brChart[hand])}
+                  selectedHand={selectedHand}
+                  onSelect={onSelectHand}
+                  overlayFor={(hand) => {
+                    const diff = mixDifference(brChart[hand], unlockedChart[hand]);
+                    return diff >= 1
+                      ? { opacity: Math.min(0.85, 0.15 + diff / 100), title: `Unlocked: ${formatMix(unlockedChart[hand])} (${diff.toFixed(0)}% moved)` }
+                      : null;
+                  }}
+                />
+              </div>
+              <div className="text-xs text-gray-600 text-center">
+                Darker hands changed more against the locked strategy
+                ({chartDifference(brChart, unlockedChart).toFixed(1)}% of the mix moved at this spot).
+              </div>
+              {selectedHand && (
+                <div className="text-xs text-gray-600 text-center">
+                  {selectedHand}: unlocked {formatMix(unlockedChart[selectedHand])} · locked {formatMix(brChart[selectedHand])}
+                </div>
+              )}
+            </>
+          ) : (
+            <>
+              <div className="flex justify-center">
+                <HandGrid
+                  cellClassName={(hand) => actionClass(brChart[hand])}
+                  selectedHand={selectedHand}
+                  onSelect={onSelectHand}
+                  overlayFor={(hand) => (mainAction(brChart[hand]) !== mainAction(heroChart[hand])
+                    ? { opacity: 0.5, title: `Adjusted chart plays ${mainAction(heroChart[hand])}` }
+                    : null)}
+                />
+              </div>
+              <div className="text-xs text-gray-600 text-center">
+                Tinted hands take a different main action in the adjusted chart above
+                ({((differing / 1326) * 100).toFixed(1)}% of combos).
+              </div>
+              {selectedHand && (
+                <div className="text-xs text-gray-600 text-center">
+                  {selectedHand}: adjusted {formatMix(heroChart[selectedHand])} · best response {formatMix(brChart[selectedHand])}
+                </div>
+              )}
+            </>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default BestResponsePanel;
@@ -0,0 +1,155 @@
+import React, { useState } from 'react';
+import { HAND_GROUPS, normalizeMix } from './strategy/chartEditing';
+
+/**
+ * ChartEditor Component
+ *
+ * Toolbar for the grid's edit mode:
+ * - Brush mix (fold / call / raise) used when painting cells, with quick presets
+ * - Bulk "set group to brush" (suited connectors, pocket pairs, ...)
+ * - Undo / redo and discarding the node's edits
+ * - Saving the edited tree as a named strategy
+ */
+
+const BRUSH_PRESETS = [
+  { label: 'Raise', mix: { fold: 0, call: 0, raise: 100 }, className: 'bg-red-500 text-white' },
+  { label: 'Call', mix: { fold: 0, call: 100, raise: 0 }, className: 'bg-blue-500 text-white' },
+  { label: 'Fold', mix: { fold: 100, call: 0, raise: 0 }, className: 'bg-gray-300' },
+  { label: '50/50', mix: { fold: 0, call: 50, raise: 50 }, className: 'bg-purple-400 text-white' },
+];
+
+const ChartEditor = ({
+  brush,
+  onBrushChange,
+  scenario,
+  onApplyGroup,
+  onUndo,
+  onRedo,
+  canUndo,
+  canRedo,
+  hasEdits,
+  onDiscard,
+  onSave,
+}) => {
+  const [groupId, setGroupId] = useState('suitedConnectors');
+  const [showSaveModal, setShowSaveModal] = useState(false);
+
+  const labels = { fold: 'Fold', call: scenario.callLabel, raise: scenario.raiseLabel };
+  const total = brush.fold + brush.call + brush.raise;
+
+  return (
+    <div className="mb-4 p-3 bg-white rounded-lg border text-xs space-y-3">
+      {/* Brush */}
+      <div className="flex flex-wrap items-center gap-2">
+        <span className="font-semibold text-gray-700">Brush:</span>
+        {BRUSH_PRESETS.map((preset) => (
+          <button
+            key={preset.label}
+            onClick={() => onBrushChange(preset.mix)}
+            className={`px-2 py-1 rounded ${preset.className}`}
+          >
+            {preset.label}
+          </button>
+        ))}
+        {['fold', 'call', 'raise'].map((action) => (
+          <label key={action} className="flex items-center gap-1">
+            {labels[action]}
+            <input
+              type="number"
+              min={0}
+              max={100}
+              value={brush[action]}
+              onChange={(e) => onBrushChange({ ...brush, [action]: Math.max(0, Number(e.target.value)) })}
+              onBlur={() => onBrushChange(normalizeMix(brush))}
+              className="w-14 p-1 border rounded"
+            />
+          </label>
+        ))}
+        {Math.abs(total - 100) > 0.05 && (
+          <span className="text-amber-700">Normalized to 100% when painting</span>
+        )}
+      </div>
+
+      {/* Bulk edit */}
+      <div className="flex flex-wrap items-center gap-2">
+        <span className="font-semibold text-gray-700">Set all</span>
+        <select value={groupId} onChange={(e) => setGroupId(e.target.value)} className="p-1 border rounded">
+          {HAND_GROUPS.map((group) => (
+            <option key={group.id} value={group.id}>{group.label}</option>
+          ))}
+        </select>
+        <span>to the brush</span>
+        <button onClick={() => onApplyGroup(groupId)} className="px-2 py-1 bg-gray-200 rounded hover:bg-gray-300">
+          Apply
+        </button>
+      </div>
+
+      {/* History / save */}
+      <div className="flex flex-wrap items-center gap-2">
+        <button onClick={onUndo} disabled={!canUndo} className="px-2 py-1 bg-gray-200 rounded disabled:opacity-50">
+          Undo
+        </button>
+        <button onClick={onRedo} disabled={!canRedo} className="px-2 py-1 bg-gray-200 rounded disabled:opacity-50">
+          Redo
+        </button>
+        <button onClick={onDiscard} disabled={!hasEdits} className="px-2 py-1 bg-gray-200 rounded disabled:opacity-50">
+          Discard Node Edits
+        </button>
+        <button
+          onClick={() => setShowSaveModal(true)}
+          className="ml-auto px-3 py-1 bg-blue-600 text-white rounded hover:bg-blue-700"
+        >
+          Save as Strategy…
+        </button>
+      </div>
+
+      {showSaveModal && (
+        <SaveStrategyModal
+          onClose={() => setShowSaveModal(false)}
+          onSave={(name) => {
+            onSave(name);
+            setShowSaveModal(false);
+          }}
+        />
+      )}
+    </div>
+  );
+};
+
+// Save Strategy Modal
+const SaveStrategyModal = ({ onClose, onSave }) => {
+  const [name, setName] = useState('');
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white p-6 rounded-lg max-w-md w-full mx-4">
+        <h3 className="text-lg font-semibold mb-4">Save Strategy</h3>
+        <p className="text-sm text-gray-600 mb-3">
+          Saves every node of the current tree, including your edits. Saved strategies can be picked in
+          Profile Management and as hero or villain in Testing mode.
+        </p>
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm"
+          placeholder="e.g., BTN steal-heavy"
+        />
+        <div className="flex justify-end gap-3 mt-6">
+          <button onClick={onClose} className="px-4 py-2 text-gray-600 hover:text-gray-800 text-sm">
+            Cancel
+          </button>
+          <button
+            onClick={() => onSave(name)}
+            disabled={!name.trim()}
+            className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:bg-gray-400 text-sm"
+          >
+            Save Strategy
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ChartEditor;
@@ -0,0 +1,100 @@
+import React, { useState } from 'react';
+import { DEVIATION_THRESHOLD, deviationsByCategory } from './stats/deviations';
+import { describeNode } from './strategy/scenarios';
+
+/**
+ * DeviationReport Component
+ *
+ * Summary of Hero's imported preflop decisions against the active charts: overall deviation
+ * rate, rate by hand category and the individual deviations (newest first). The 13×13 heat
+ * overlay lives on the main chart; this panel is the written report.
+ */
+
+const LIST_LIMIT = 25;
+
+const DeviationReport = ({ results, onClear }) => {
+  const [nodeFilter, setNodeFilter] = useState('all');
+
+  if (results.length === 0) {
+    return (
+      <p className="text-sm text-gray-500">
+        Import hand histories with Hero's hole cards to compare Hero's preflop decisions to the chart.
+      </p>
+    );
+  }
+
+  const nodes = [...new Set(results.map((r) => r.nodeKey))];
+  const filtered = nodeFilter === 'all' ? results : results.filter((r) => r.nodeKey === nodeFilter);
+  const deviations = filtered.filter((r) => r.deviation);
+  const categories = Object.entries(deviationsByCategory(filtered)).sort((a, b) => b[1].rate - a[1].rate);
+
+  return (
+    <div className="space-y-4 text-sm">
+      <div className="flex items-center justify-between gap-2">
+        <select
+          value={nodeFilter}
+          onChange={(e) => setNodeFilter(e.target.value)}
+          className="px-2 py-1 border border-gray-300 rounded-md text-xs"
+        >
+          <option value="all">All spots</option>
+          {nodes.map((nodeKey) => (
+            <option key={nodeKey} value={nodeKey}>{describeNode(nodeKey)}</option>
+          ))}
+        </select>
+        <button onClick={onClear} className="text-xs text-red-600 hover:underline">
+          Clear imported decisions
+        </button>
+      </div>
+
+      <div className="grid grid-cols-2 gap-2">
+        <div className="p-2 bg-white rounded">
+          <div className="text-xs text-gray-500">Decisions</div>
+          <div className="font-semibold">{filtered.length}</div>
+        </div>
+        <div className="p-2 bg-white rounded">
+          <div className="text-xs text-gray-500">Deviation rate</div>
+          <div className="font-semibold">
+            {filtered.length ? ((deviations.length / filtered.length) * 100).toFixed(1) : '0.0'}%
+          </div>
+        </div>
+      </div>
+
+      <table className="w-full text-xs">
+        <thead>
+          <tr className="text-left text-gray-500">
+            <th className="py-1">Category</th>
+            <th>Decisions</th>
+            <th>Deviations</th>
+          </tr>
+        </thead>
+        <tbody>
+          {categories.map(([category, g]) => (
+            <tr key={category} className="border-t">
+              <td className="py-1">{category}</td>
+              <td>{g.decisions}</td>
+              <td className={g.rate > 20 ? 'text-red-700 font-semibold' : ''}>
+                {g.deviations} ({g.rate.toFixed(0)}%)
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <div>
+        <div className="font-semibold text-gray-700 mb-1">
+          Deviations <span className="text-xs font-normal text-gray-500">(action used ≤ {DEVIATION_THRESHOLD}% by the chart)</span>
+        </div>
+        <ul className="space-y-1 max-h-56 overflow-y-auto text-xs">
+          {deviations.slice(-LIST_LIMIT).reverse().map((r) => (
+            <li key={`${r.handId}-${r.nodeKey}`} className="p-2 bg-red-50 rounded">
+              <span className="font-semibold">{describeNode(r.nodeKey)}</span>: {r.message}
+              <span className="text-gray-500"> (hand #{r.handId})</span>
+            </li>
+          ))}
+        </ul>
+      </div>
+    </div>
+  );
+};
+
+export default DeviationReport;
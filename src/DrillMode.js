@@ -0,0 +1,267 @@
+import React, { useEffect, useState } from 'react';
+import { CartesianGrid, Line, LineChart, ResponsiveContainer, Tooltip, XAxis, YAxis } from 'recharts';
+import HandGrid from './HandGrid';
+import ScenarioNavigator from './ScenarioNavigator';
+import {
+  MAX_BOX,
+  dealHand,
+  loadDrillStats,
+  recordAnswer,
+  saveDrillStats,
+  scoreAnswer,
+  summarizeDrill,
+  weakestHands,
+} from './strategy/drill';
+import { allNodeKeys, describeNode, getScenario, parseNodeKey } from './strategy/scenarios';
+
+/**
+ * DrillMode Component
+ *
+ * Deals random hands (weighted by combos and by how often we've missed them), asks for
+ * fold / call / raise and scores the answer against the active strategy's mixed frequencies.
+ * Accuracy is stored per profile and per hand class (see strategy/drill.js) and shown as a
+ * heat map, a weakest-hands list and a daily accuracy chart.
+ *
+ * Keyboard: F / C / R to answer, Space or Enter for the next hand.
+ */
+
+const SUIT_SYMBOLS = { s: '♠', h: '♥', d: '♦', c: '♣' };
+const SUIT_COLORS = { s: 'text-gray-900', h: 'text-red-600', d: 'text-blue-600', c: 'text-green-700' };
+
+const DrillMode = ({ strategyTree, profileId, profileName, selectedNode, onNodeChange }) => {
+  const [drillStats, setDrillStats] = useState(loadDrillStats);
+  const [scope, setScope] = useState('node'); // 'node' | 'tree'
+  const [deal, setDeal] = useState(null);
+  const [result, setResult] = useState(null);
+  const [session, setSession] = useState({ attempts: 0, correct: 0 });
+
+  const profileStats = drillStats[profileId] || { name: profileName, hands: {}, history: [] };
+  const nodeKeys = scope === 'node' ? [selectedNode] : allNodeKeys();
+
+  useEffect(() => { saveDrillStats(drillStats); }, [drillStats]);
+
+  const nextHand = () => {
+    setDeal(dealHand(nodeKeys, profileStats.hands));
+    setResult(null);
+  };
+
+  // Deal a fresh hand when the scope, node or profile changes
+  useEffect(() => {
+    nextHand();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [scope, selectedNode, profileId]);
+
+  const answer = (action) => {
+    if (!deal || result) return;
+    const mix = (strategyTree[deal.nodeKey] || {})[deal.hand];
+    const scored = scoreAnswer(mix, action);
+    setResult({ action, mix: mix || { fold: 100, call: 0, raise: 0 }, ...scored });
+    setSession((s) => ({ attempts: s.attempts + 1, correct: s.correct + (scored.correct ? 1 : 0) }));
+    setDrillStats((prev) => ({
+      ...prev,
+      [profileId]: { ...recordAnswer(prev[profileId], deal.hand, scored), name: profileName },
+    }));
+  };
+
+  // Keyboard shortcuts
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if (e.target.tagName === 'INPUT' || e.target.tagName === 'SELECT') return;
+      const key = e.key.toLowerCase();
+      if (!result && { f: 'fold', c: 'call', r: 'raise' }[key]) answer({ f: 'fold', c: 'call', r: 'raise' }[key]);
+      else if (result && (key === ' ' || key === 'enter')) {
+        e.preventDefault();
+        nextHand();
+      }
+    };
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  });
+
+  const scenario = deal ? getScenario(parseNodeKey(deal.nodeKey).scenario) : getScenario('RFI');
+  const labels = { fold: 'Fold', call: scenario.callLabel, raise: scenario.raiseLabel };
+  const summary = summarizeDrill(profileStats);
+  const weakest = weakestHands(profileStats, 8);
+
+  const accuracyColor = (hand) => {
+    const record = profileStats.hands[hand];
+    if (!record) return 'bg-gray-100 text-gray-400';
+    const accuracy = record.correct / record.attempts;
+    if (accuracy >= 0.85) return 'bg-emerald-500 text-white';
+    if (accuracy >= 0.65) return 'bg-emerald-300 text-gray-800';
+    if (accuracy >= 0.45) return 'bg-amber-300 text-gray-800';
+    return 'bg-red-400 text-white';
+  };
+
+  const historyData = profileStats.history.map((day) => ({
+    date: day.date.slice(5),
+    accuracy: Math.round((day.correct / day.attempts) * 100),
+  }));
+
+  return (
+    <div className="grid grid-cols-1 xl:grid-cols-3 gap-6">
+      {/* Question */}
+      <div className="bg-gray-50 p-6 rounded-lg">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-semibold text-gray-700">Drill</h3>
+          <select
+            value={scope}
+            onChange={(e) => setScope(e.target.value)}
+            className="px-2 py-1 border border-gray-300 rounded-md text-sm"
+          >
+            <option value="node">Current node only</option>
+            <option value="tree">Whole tree</option>
+          </select>
+        </div>
+        <p className="text-xs text-gray-500 mb-4">
+          Scored against: <span className="font-semibold">{profileName}</span>
+        </p>
+        {scope === 'node' && <ScenarioNavigator nodeKey={selectedNode} onChange={onNodeChange} />}
+
+        {deal && (
+          <div className="text-center space-y-4">
+            <div className="text-sm font-medium text-gray-600">{describeNode(deal.nodeKey)}</div>
+            <div className="flex justify-center gap-3">
+              {deal.cards.map((card) => (
+                <div
+                  key={card}
+                  className={`w-16 h-24 bg-white border-2 border-gray-300 rounded-lg shadow flex flex-col items-center justify-center text-2xl font-bold ${SUIT_COLORS[card[1]]}`}
+                >
+                  <span>{card[0]}</span>
+                  <span>{SUIT_SYMBOLS[card[1]]}</span>
+                </div>
+              ))}
+            </div>
+            <div className="text-xs text-gray-500">{deal.hand}</div>
+
+            <div className="flex justify-center gap-2">
+              {['fold', 'call', 'raise'].map((action) => (
+                <button
+                  key={action}
+                  onClick={() => answer(action)}
+                  disabled={!!result}
+                  className={`px-4 py-2 rounded-md text-sm font-medium text-white disabled:opacity-60 ${
+                    action === 'fold' ? 'bg-gray-500' : action === 'call' ? 'bg-blue-600' : 'bg-red-600'
+                  } ${result && result.action === action ? 'ring-2 ring-offset-2 ring-yellow-400' : ''}`}
+                >
+                  {labels[action]}
+                </button>
+              ))}
+            </div>
+
+            {result && (
+              <div className={`p-3 rounded-lg text-sm ${result.correct ? 'bg-green-50 text-green-800' : 'bg-red-50 text-red-800'}`}>
+                <div className="font-semibold">
+                  {result.correct ? 'Correct' : 'Miss'} • score {Math.round(result.score * 100)}%
+                </div>
+                <div className="mt-1">
+                  Chart: {['fold', 'call', 'raise']
+                    .filter((a) => result.mix[a] > 0)
+                    .map((a) => `${labels[a]} ${result.mix[a]}%`)
+                    .join(' / ')}
+                </div>
+                <button onClick={nextHand} className="mt-3 px-3 py-1 bg-white border rounded-md text-gray-700 hover:bg-gray-50">
+                  Next Hand
+                </button>
+              </div>
+            )}
+          </div>
+        )}
+
+        <div className="mt-6 text-xs text-gray-500">
+          Session: {session.correct}/{session.attempts} correct
+          {session.attempts > 0 && ` (${Math.round((session.correct / session.attempts) * 100)}%)`}
+          {' '}• Keys: F / C / R, Space for next
+        </div>
+      </div>
+
+      {/* Per-hand accuracy */}
+      <div className="bg-gray-50 p-6 rounded-lg">
+        <h3 className="text-lg font-semibold mb-4 text-gray-700">Accuracy by Hand</h3>
+        <div className="flex justify-center mb-4">
+          <HandGrid
+            cellClassName={accuracyColor}
+            selectedHand={deal && deal.hand}
+            onSelect={() => {}}
+          />
+        </div>
+        <div className="flex justify-center flex-wrap gap-3 text-xs text-gray-600">
+          <span><span className="inline-block w-3 h-3 rounded-sm bg-emerald-500 mr-1" />85%+</span>
+          <span><span className="inline-block w-3 h-3 rounded-sm bg-emerald-300 mr-1" />65%+</span>
+          <span><span className="inline-block w-3 h-3 rounded-sm bg-amber-300 mr-1" />45%+</span>
+          <span><span className="inline-block w-3 h-3 rounded-sm bg-red-400 mr-1" />below</span>
+          <span><span className="inline-block w-3 h-3 rounded-sm bg-gray-100 border mr-1" />not drilled</span>
+        </div>
+      </div>
+
+      {/* Progress */}
+      <div className="bg-gray-50 p-6 rounded-lg space-y-4">
+        <h3 className="text-lg font-semibold text-gray-700">Progress</h3>
+        <div className="grid grid-cols-2 gap-2 text-sm">
+          <div className="p-2 bg-white rounded">
+            <div className="text-xs text-gray-500">Answers</div>
+            <div className="font-semibold">{summary.attempts}</div>
+          </div>
+          <div className="p-2 bg-white rounded">
+            <div className="text-xs text-gray-500">Accuracy</div>
+            <div className="font-semibold">{summary.accuracy === null ? '—' : `${summary.accuracy.toFixed(1)}%`}</div>
+          </div>
+        </div>
+
+        {historyData.length > 1 && (
+          <div className="h-32">
+            <ResponsiveContainer width="100%" height="100%">
+              <LineChart data={historyData}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="date" fontSize={10} />
+                <YAxis domain={[0, 100]} fontSize={10} />
+                <Tooltip formatter={(value) => `${value}%`} />
+                <Line type="monotone" dataKey="accuracy" stroke="#10b981" dot={false} />
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+        )}
+
+        <div>
+          <div className="text-sm font-semibold text-gray-700 mb-1">Most missed</div>
+          {weakest.length === 0 ? (
+            <p className="text-xs text-gray-500">Answer a few hands to see your leaks.</p>
+          ) : (
+            <table className="w-full text-xs">
+              <tbody>
+                {weakest.map((row) => (
+                  <tr key={row.hand} className="border-t">
+                    <td className="py-1 font-semibold">{row.hand}</td>
+                    <td>{row.correct}/{row.attempts}</td>
+                    <td>{row.accuracy.toFixed(0)}%</td>
+                    <td className="text-gray-500">box {row.box}/{MAX_BOX}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+
+        <div>
+          <div className="text-sm font-semibold text-gray-700 mb-1">By profile</div>
+          <table className="w-full text-xs">
+            <tbody>
+              {Object.entries(drillStats).map(([id, stats]) => {
+                const s = summarizeDrill(stats);
+                return (
+                  <tr key={id} className={`border-t ${id === profileId ? 'font-semibold' : ''}`}>
+                    <td className="py-1">{stats.name || id}</td>
+                    <td>{s.attempts} answers</td>
+                    <td>{s.accuracy === null ? '—' : `${s.accuracy.toFixed(0)}%`}</td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default DrillMode;
@@ -0,0 +1,258 @@
+import React, { useEffect, useRef, useState } from 'react';
+import HandGrid from './HandGrid';
+import { comboCount, parseCards } from './poker/cards';
+import { runRangeEquity } from './poker/simulationRunner';
+import { chartToRange, parseRange } from './strategy/rangeNotation';
+import { allNodeKeys, describeNode } from './strategy/scenarios';
+
+/**
+ * EquityCalculator Component
+ *
+ * Range-vs-range equity. Each side's range comes from a strategy's chart at a node (raise, call
+ * or both) or from range notation. With an optional board (flop/turn/river) and dead cards the
+ * calculation runs in a worker (see poker/rangeEquity.js); the per-hand equity of the hero range
+ * is painted onto the 13×13 grid.
+ */
+
+const NOTATION = 'notation';
+const ACTIONS = [
+  { id: 'raise', label: 'Raise' },
+  { id: 'call', label: 'Call' },
+  { id: 'continue', label: 'Raise + call' },
+];
+
+// Grid color for an equity (0..1); hands outside the hero range stay gray
+function equityClass(equity) {
+  if (equity === undefined) return 'bg-gray-200 text-gray-400';
+  if (equity >= 0.7) return 'bg-emerald-600 text-white';
+  if (equity >= 0.6) return 'bg-emerald-400 text-white';
+  if (equity >= 0.5) return 'bg-lime-300 text-gray-800';
+  if (equity >= 0.4) return 'bg-amber-300 text-gray-800';
+  if (equity >= 0.3) return 'bg-orange-400 text-white';
+  return 'bg-red-500 text-white';
+}
+
+// Weight map for one side, or throws with a readable message
+function buildRange(side, strategies) {
+  if (side.source === NOTATION) {
+    const { weights, errors } = parseRange(side.text);
+    if (errors.length) throw new Error(errors[0]);
+    return weights;
+  }
+  const strategy = strategies.find((s) => s.id === side.source);
+  const chart = strategy && strategy.tree[side.nodeKey];
+  if (!chart) throw new Error(`No chart for ${describeNode(side.nodeKey)}`);
+  if (side.action !== 'continue') return chartToRange(chart, side.action);
+  const weights = chartToRange(chart, 'raise');
+  Object.entries(chartToRange(chart, 'call')).forEach(([hand, w]) => { weights[hand] = (weights[hand] || 0) + w; });
+  return weights;
+}
+
+// Share of all 1326 combos in a weight map
+function rangeShare(weights) {
+  const combos = Object.entries(weights).reduce((sum, [hand, w]) => sum + w * comboCount(hand), 0);
+  return (combos / 1326) * 100;
+}
+
+const METHOD_LABELS = {
+  table: 'exact preflop table',
+  enumerated: 'every runout',
+  'monte-carlo': 'Monte Carlo boards',
+};
+
+const RangePicker = ({ label, side, onChange, strategies }) => (
+  <div className="space-y-2 text-sm">
+    <div className="font-semibold text-gray-700">{label}</div>
+    <select
+      value={side.source}
+      onChange={(e) => onChange({ ...side, source: e.target.value })}
+      className="w-full p-1 border rounded"
+    >
+      {strategies.map((s) => (
+        <option key={s.id} value={s.id}>{s.name}</option>
+      ))}
+      <option value={NOTATION}>Range notation…</option>
+    </select>
+    {side.source === NOTATION ? (
+      <textarea
+        value={side.text}
+        onChange={(e) => onChange({ ...side, text: e.target.value })}
+        placeholder="e.g. QQ+, AKs, AQs:0.5"
+        rows={3}
+        className="w-full p-2 border rounded font-mono text-xs"
+      />
+    ) : (
+      <div className="flex gap-2">
+        <select
+          value={side.nodeKey}
+          onChange={(e) => onChange({ ...side, nodeKey: e.target.value })}
+          className="flex-1 min-w-0 p-1 border rounded"
+        >
+          {allNodeKeys().map((key) => (
+            <option key={key} value={key}>{describeNode(key)}</option>
+          ))}
+        </select>
+        <select
+          value={side.action}
+          onChange={(e) => onChange({ ...side, action: e.target.value })}
+          className="p-1 border rounded"
+        >
+          {ACTIONS.map((a) => (
+            <option key={a.id} value={a.id}>{a.label}</option>
+          ))}
+        </select>
+      </div>
+    )}
+  </div>
+);
+
+const EquityCalculator = ({ strategies, selectedNode, equityTable }) => {
+  const [hero, setHero] = useState({ source: 'current', nodeKey: selectedNode, action: 'raise', text: '' });
+  const [villain, setVillain] = useState({ source: 'baseline', nodeKey: selectedNode, action: 'continue', text: '' });
+  const [boardText, setBoardText] = useState('');
+  const [deadText, setDeadText] = useState('');
+  const [samples, setSamples] = useState(2000);
+  const [result, setResult] = useState(null);
+  const [running, setRunning] = useState(false);
+  const [error, setError] = useState(null);
+  const [selectedHand, setSelectedHand] = useState(null);
+  const jobRef = useRef(null);
+
+  useEffect(() => () => {
+    if (jobRef.current) jobRef.current.cancel();
+  }, []);
+
+  const handleCalculate = () => {
+    let options;
+    try {
+      const board = parseCards(boardText);
+      const dead = parseCards(deadText);
+      if (board.length > 5) throw new Error('A board has at most 5 cards');
+      const both = board.find((card) => dead.includes(card));
+      if (both) throw new Error(`${both} is both on the board and dead`);
+      options = {
+        hero: buildRange(hero, strategies),
+        villain: buildRange(villain, strategies),
+        board,
+        dead,
+        equityTable,
+        samples,
+      };
+    } catch (e) {
+      setError(e.message);
+      return;
+    }
+
+    setError(null);
+    setRunning(true);
+    if (jobRef.current) jobRef.current.cancel();
+    jobRef.current = runRangeEquity(options, {
+      onDone: (r) => {
+        jobRef.current = null;
+        setRunning(false);
+        setResult({ ...r, heroShare: rangeShare(options.hero), villainShare: rangeShare(options.villain) });
+      },
+      onError: (e) => {
+        jobRef.current = null;
+        setRunning(false);
+        setError(e.message);
+      },
+    });
+  };
+
+  const selected = result && selectedHand ? result.perHand[selectedHand] : null;
+
+  return (
+    <div className="grid grid-cols-1 xl:grid-cols-3 gap-6">
+      <div className="bg-gray-50 p-6 rounded-lg space-y-4">
+        <h3 className="text-lg font-semibold text-gray-700">Range vs Range Equity</h3>
+        <RangePicker label="Hero range" side={hero} onChange={setHero} strategies={strategies} />
+        <RangePicker label="Villain range" side={villain} onChange={setVillain} strategies={strategies} />
+
+        <div className="space-y-2 text-sm">
+          <div className="flex justify-between items-center">
+            <span>Board</span>
+            <input type="text" value={boardText} placeholder="e.g. Ah 7c 2d" onChange={(e) => setBoardText(e.target.value)} className="w-36 p-1 border rounded"/>
+          </div>
+          <div className="flex justify-between items-center">
+            <span>Dead cards</span>
+            <input type="text" value={deadText} placeholder="none" onChange={(e) => setDeadText(e.target.value)} className="w-36 p-1 border rounded"/>
+          </div>
+          <div className="flex justify-between items-center">
+            <span>Sampled boards</span>
+            <input type="number" min={100} max={20000} step={100} value={samples} onChange={(e) => setSamples(Math.max(100, Math.min(20000, Number(e.target.value) || 100)))} className="w-24 p-1 border rounded"/>
+          </div>
+          <p className="text-xs text-gray-500">
+            {equityTable
+              ? 'Preflop uses the exact equity table; flops and turns enumerate every runout.'
+              : 'Preflop samples boards until the exact table is built (Testing tab); flops and turns enumerate every runout.'}
+          </p>
+        </div>
+
+        <button
+          onClick={handleCalculate}
+          disabled={running}
+          className="w-full px-3 py-2 bg-emerald-600 text-white rounded disabled:bg-gray-400"
+        >
+          {running ? 'Calculating...' : 'Calculate Equity'}
+        </button>
+        {error && <div className="text-xs text-red-600">{error}</div>}
+      </div>
+
+      <div className="bg-gray-50 p-6 rounded-lg flex flex-col items-center">
+        <h3 className="text-lg font-semibold mb-4 text-gray-700">Hero Equity by Hand</h3>
+        <HandGrid
+          cellClassName={(hand) => equityClass(result && result.perHand[hand] ? result.perHand[hand].equity : undefined)}
+          selectedHand={selectedHand}
+          onSelect={setSelectedHand}
+        />
+        <div className="mt-3 flex flex-wrap justify-center gap-2 text-xs">
+          {[0.75, 0.65, 0.55, 0.45, 0.35, 0.2].map((e) => (
+            <span key={e} className={`px-2 py-0.5 rounded ${equityClass(e)}`}>
+              {e >= 0.7 ? '70%+' : e < 0.3 ? '<30%' : `${Math.floor(e * 10) * 10}%+`}
+            </span>
+          ))}
+        </div>
+      </div>
+
+      <div className="bg-gray-50 p-6 rounded-lg text-sm space-y-3">
+        <h3 className="text-lg font-semibold text-gray-700">Results</h3>
+        {!result ? (
+          <p className="text-gray-500">Pick two ranges and press Calculate Equity.</p>
+        ) : result.equity === null ? (
+          <p className="text-gray-500">No live combos: every hand in one of the ranges is blocked by the board or dead cards.</p>
+        ) : (
+          <>
+            <div className="p-3 bg-white rounded shadow">
+              <div className="text-xs text-gray-500">Hero equity</div>
+              <div className="text-3xl font-bold text-emerald-700">{(result.equity * 100).toFixed(2)}%</div>
+              <div className="text-xs text-gray-500 mt-1">
+                {METHOD_LABELS[result.method]}{result.runouts > 0 && ` (${result.runouts.toLocaleString()} boards)`}
+              </div>
+            </div>
+            <div className="grid grid-cols-2 gap-2">
+              <div className="p-2 bg-white rounded">
+                <div className="text-xs text-gray-500">Hero range</div>
+                <div className="font-semibold">{result.heroShare.toFixed(1)}% of hands</div>
+              </div>
+              <div className="p-2 bg-white rounded">
+                <div className="text-xs text-gray-500">Villain range</div>
+                <div className="font-semibold">{result.villainShare.toFixed(1)}% of hands</div>
+              </div>
+            </div>
+            {selectedHand && (
+              <div className="p-2 bg-white rounded">
+                <span className="font-semibold">{selectedHand}</span>:{' '}
+                {selected
+                  ? `${(selected.equity * 100).toFixed(1)}% over ${selected.combos.toFixed(selected.combos % 1 ? 1 : 0)} combos`
+                  : 'not in the hero range (or fully blocked)'}
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default EquityCalculator;
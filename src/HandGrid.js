@@ -0,0 +1,102 @@
+import React, { useEffect, useRef } from 'react';
+import { RANKS, handKeyFor } from './poker/cards';
+
+/**
+ * HandGrid Component
+ *
+ * The 13×13 starting-hand grid (pairs on the diagonal, suited upper right, offsuit lower left).
+ * Colors come from the parent via cellClassName(hand). In edit mode a mouse press starts a brush
+ * stroke: onPaintStart fires for the first cell and onPaintEnter for every cell dragged over until
+ * the button is released.
+ *
+ * overlayFor(hand) may return { opacity, title } to tint a cell red on top of its chart color
+ * (used for the deviation heat map).
+ */
+
+const HandGrid = ({
+  cellClassName,
+  selectedHand,
+  liveHand,
+  onSelect,
+  editing = false,
+  onPaintStart,
+  onPaintEnter,
+  overlayFor,
+}) => {
+  const paintingRef = useRef(false);
+
+  // End the stroke wherever the mouse is released, even outside the grid
+  useEffect(() => {
+    const stop = () => { paintingRef.current = false; };
+    window.addEventListener('mouseup', stop);
+    return () => window.removeEventListener('mouseup', stop);
+  }, []);
+
+  const handleMouseDown = (e, handKey) => {
+    onSelect(handKey);
+    if (!editing) return;
+    e.preventDefault(); // don't start a text selection while dragging
+    paintingRef.current = true;
+    onPaintStart(handKey);
+  };
+
+  const handleMouseEnter = (handKey) => {
+    if (editing && paintingRef.current) onPaintEnter(handKey);
+  };
+
+  return (
+    <div className={`inline-block bg-gray-200 p-4 rounded-lg ${editing ? 'select-none' : ''}`}>
+      <div
+        className="gap-1"
+        style={{
+          display: 'grid',
+          gridTemplateColumns: 'repeat(13, 1fr)',
+          gridTemplateRows: 'repeat(13, 1fr)',
+        }}
+      >
+        {RANKS.map((rank1, i) =>
+          RANKS.map((rank2, j) => {
+            const handKey = handKeyFor(i, j);
+            const isSelected = selectedHand === handKey;
+            const isLive = liveHand === handKey;
+            const overlay = overlayFor ? overlayFor(handKey) : null;
+            const baseTitle = editing ? `${handKey} - Click or drag to paint` : `${handKey} - Click for details`;
+
+            return (
+              <div
+                key={`${i}-${j}`}
+                className={`
+                  w-8 h-8 flex items-center justify-center text-xs font-bold
+                  transition-all duration-200 relative rounded-sm
+                  ${editing ? 'cursor-crosshair' : 'cursor-pointer hover:scale-110 hover:z-10'}
+                  ${cellClassName(handKey)}
+                  ${isSelected ? 'ring-2 ring-yellow-400 ring-offset-1 z-20' : ''}
+                  ${isLive ? 'shadow-[0_0_0_2px_rgba(16,185,129,0.8)] scale-105' : ''}
+                `}
+                style={{ gridColumn: j + 1, gridRow: i + 1 }}
+                onMouseDown={(e) => handleMouseDown(e, handKey)}
+                onMouseEnter={() => handleMouseEnter(handKey)}
+                title={overlay && overlay.title ? `${baseTitle}\n${overlay.title}` : baseTitle}
+              >
+                {overlay && (
+                  <span
+                    className="absolute inset-0 rounded-sm bg-red-700 pointer-events-none"
+                    style={{ opacity: overlay.opacity }}
+                  />
+                )}
+                {isLive && (
+                  <span className="absolute inset-0 rounded-sm animate-ping bg-emerald-400/50" />
+                )}
+                <span className="text-[9px] leading-none relative font-bold">
+                  {handKey.slice(0, 2)}
+                </span>
+              </div>
+            );
+          })
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default HandGrid;
@@ -0,0 +1,71 @@
+import React, { useState } from 'react';
+import { icmEquities, parsePayouts } from './poker/icm';
+
+/**
+ * IcmCalculator Component
+ *
+ * Payout structure and per-seat stacks (bb) with every seat's ICM prize equity next to its share
+ * of the chips. The parent keeps the settings (see poker/icm.js); `seats` picks the seats shown.
+ */
+
+const IcmCalculator = ({ settings, onChange, seats }) => {
+  const [payoutText, setPayoutText] = useState(settings.payouts.join(', '));
+  const stacks = seats.map((seat) => settings.stacks[seat]);
+  const equities = icmEquities(stacks, settings.payouts);
+  const chips = stacks.reduce((a, b) => a + b, 0) || 1;
+  const pool = settings.payouts.slice(0, seats.length).reduce((a, b) => a + b, 0) || 1;
+
+  const handlePayouts = (text) => {
+    setPayoutText(text);
+    const payouts = parsePayouts(text);
+    if (payouts.length > 0) onChange({ ...settings, payouts });
+  };
+
+  return (
+    <div className="space-y-2 text-sm">
+      <div className="flex justify-between items-center gap-2">
+        <span>Payouts</span>
+        <input
+          type="text"
+          value={payoutText}
+          onChange={(e) => handlePayouts(e.target.value)}
+          placeholder="50, 30, 20"
+          className="w-32 p-1 border rounded"
+        />
+      </div>
+      <table className="w-full text-xs">
+        <thead>
+          <tr className="text-gray-500">
+            <th className="text-left font-normal">Seat</th>
+            <th className="text-left font-normal">Stack (bb)</th>
+            <th className="text-right font-normal">Chips</th>
+            <th className="text-right font-normal">ICM $</th>
+            <th className="text-right font-normal">Pool</th>
+          </tr>
+        </thead>
+        <tbody>
+          {seats.map((seat, i) => (
+            <tr key={seat}>
+              <td>{seat}</td>
+              <td>
+                <input
+                  type="number"
+                  min={0}
+                  step={0.5}
+                  value={settings.stacks[seat]}
+                  onChange={(e) => onChange({ ...settings, stacks: { ...settings.stacks, [seat]: Math.max(0, Number(e.target.value) || 0) } })}
+                  className="w-16 p-0.5 border rounded"
+                />
+              </td>
+              <td className="text-right">{((stacks[i] / chips) * 100).toFixed(1)}%</td>
+              <td className="text-right">{equities[i].toFixed(2)}</td>
+              <td className="text-right">{((equities[i] / pool) * 100).toFixed(1)}%</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default IcmCalculator;
@@ -0,0 +1,94 @@
+import React, { useState } from 'react';
+import { createLock, describeLock, lockedHands } from './strategy/nodeLocks';
+import { parseRange } from './strategy/rangeNotation';
+import { allNodeKeys, describeNode } from './strategy/scenarios';
+
+/**
+ * NodeLockEditor Component
+ *
+ * Adds and removes a profile's node locks (see strategy/nodeLocks.js): pick a node, a range (blank
+ * for every hand), an action and the frequency to pin it at, e.g. CO vs 3-bet, "A5s-A2s", raise 0%
+ * for "never 4-bet bluffs". The Best Response panel re-solves hero against the locked strategy.
+ */
+
+const NodeLockEditor = ({ locks = [], onChange }) => {
+  const [draft, setDraft] = useState({ nodeKey: 'CO:vs3Bet', hands: '', action: 'raise', frequency: 0 });
+  const { errors } = parseRange(draft.hands);
+  const covered = errors.length === 0 ? lockedHands(draft).length : 0;
+
+  const handleAdd = () => {
+    onChange([...locks, createLock(draft)]);
+    setDraft({ ...draft, hands: '' });
+  };
+
+  return (
+    <div className="mt-3 pt-3 border-t space-y-2 text-xs">
+      <div className="font-medium text-gray-700">Node locks</div>
+      {locks.length === 0 ? (
+        <p className="text-gray-500">No locks: the Best Response panel solves against the profile as it is.</p>
+      ) : (
+        <ul className="space-y-1">
+          {locks.map((lock) => (
+            <li key={lock.id} className="flex justify-between items-center gap-2">
+              <span>{describeLock(lock)}</span>
+              <button
+                onClick={() => onChange(locks.filter((l) => l.id !== lock.id))}
+                className="px-1 text-red-600 hover:underline"
+                title="Remove this lock"
+              >
+                ×
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+      <div className="grid grid-cols-2 gap-2">
+        <select
+          value={draft.nodeKey}
+          onChange={(e) => setDraft({ ...draft, nodeKey: e.target.value })}
+          className="col-span-2 p-1 border rounded"
+        >
+          {allNodeKeys().map((key) => <option key={key} value={key}>{describeNode(key)}</option>)}
+        </select>
+        <input
+          type="text"
+          value={draft.hands}
+          onChange={(e) => setDraft({ ...draft, hands: e.target.value })}
+          placeholder="Hands, e.g. A5s-A2s (blank = all)"
+          className="col-span-2 p-1 border rounded"
+        />
+        <select value={draft.action} onChange={(e) => setDraft({ ...draft, action: e.target.value })} className="p-1 border rounded">
+          <option value="fold">Fold</option>
+          <option value="call">Call</option>
+          <option value="raise">Raise</option>
+        </select>
+        <div className="flex items-center gap-1">
+          <input
+            type="number"
+            min={0}
+            max={100}
+            step={5}
+            value={draft.frequency}
+            onChange={(e) => setDraft({ ...draft, frequency: Math.max(0, Math.min(100, Number(e.target.value) || 0)) })}
+            className="w-16 p-1 border rounded"
+          />
+          <span>%</span>
+        </div>
+      </div>
+      <div className="flex justify-between items-center">
+        <span className={errors.length > 0 ? 'text-red-600' : 'text-gray-500'}>
+          {errors.length > 0 ? errors.join('; ') : `${covered} hand classes`}
+        </span>
+        <button
+          onClick={handleAdd}
+          disabled={errors.length > 0 || covered === 0}
+          className="px-2 py-1 bg-blue-600 text-white rounded disabled:bg-gray-400"
+        >
+          Add Lock
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default NodeLockEditor;
@@ -0,0 +1,94 @@
+import React, { useMemo, useState } from 'react';
+import { playerStats, searchPlayers } from './stats/playerDatabase';
+
+/**
+ * PlayerDatabase Component
+ *
+ * Every player from imported hands (see stats/playerDatabase.js), searchable by name and sorted
+ * by hands played, with a few quick HUD columns. Promote turns a player's HUD into a profile, or
+ * refreshes the profile made from them before.
+ */
+
+const MAX_ROWS = 100;
+
+const COLUMNS = [
+  ['vpip', 'VPIP'],
+  ['pfr', 'PFR'],
+  ['threeBet', '3B'],
+  ['foldTo3Bet', 'F3B'],
+  ['foldToSteal', 'FvSt'],
+  ['cbetFlop', 'CB'],
+  ['wtsd', 'WTSD'],
+];
+
+const PlayerDatabase = ({ database, promoted = new Set(), onPromote }) => {
+  const [query, setQuery] = useState('');
+  const matches = useMemo(() => searchPlayers(database, query), [database, query]);
+  const rows = useMemo(
+    () => matches.slice(0, MAX_ROWS).map((entry) => ({ entry, stats: playerStats(entry) })),
+    [matches]
+  );
+  const total = Object.keys(database.players).length;
+
+  return (
+    <div className="p-4 bg-gray-50 rounded-lg border space-y-2">
+      <div className="flex justify-between items-center gap-3">
+        <h4 className="font-semibold text-gray-800">Player database</h4>
+        <input
+          type="text"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          placeholder="Search players"
+          className="px-2 py-1 border rounded text-sm"
+        />
+      </div>
+      {total === 0 ? (
+        <p className="text-xs text-gray-500">Import hands to build up stats on everyone at the table.</p>
+      ) : (
+        <>
+          <div className="max-h-80 overflow-y-auto">
+            <table className="w-full text-xs">
+              <thead className="sticky top-0 bg-gray-50">
+                <tr className="text-gray-500 text-left">
+                  <th className="font-normal">Player</th>
+                  <th className="font-normal text-right">Hands</th>
+                  {COLUMNS.map(([stat, label]) => <th key={stat} className="font-normal text-right">{label}</th>)}
+                  <th className="font-normal text-right">AF</th>
+                  <th />
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map(({ entry, stats }) => (
+                  <tr key={entry.name} className="border-t">
+                    <td className="py-1 font-medium">{entry.name}</td>
+                    <td className="text-right">{entry.hands}</td>
+                    {COLUMNS.map(([stat]) => (
+                      <td key={stat} className="text-right" title={stats.samples[stat] && `${stats.samples[stat].successes}/${stats.samples[stat].opportunities}`}>
+                        {stats[stat] !== undefined ? stats[stat].toFixed(0) : '—'}
+                      </td>
+                    ))}
+                    <td className="text-right">{stats.af !== undefined ? stats.af.toFixed(1) : '—'}</td>
+                    <td className="text-right pl-2">
+                      <button
+                        onClick={() => onPromote(entry)}
+                        className="px-2 py-0.5 bg-blue-100 text-blue-700 rounded hover:bg-blue-200"
+                        title={promoted.has(entry.name) ? 'Refresh the profile with the latest stats' : 'Create a profile from these stats'}
+                      >
+                        {promoted.has(entry.name) ? 'Update' : 'Promote'}
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <p className="text-xs text-gray-500">
+            {matches.length > MAX_ROWS ? `Showing ${MAX_ROWS} of ${matches.length} matches` : `${matches.length} of ${total} players`}
+          </p>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default PlayerDatabase;
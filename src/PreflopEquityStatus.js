@@ -0,0 +1,81 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { CANONICAL_BOARD_COUNT, savePreflopEquityTable } from './poker/preflopEquity';
+import { generatePreflopEquityTable } from './poker/simulationRunner';
+
+/**
+ * PreflopEquityStatus Component
+ *
+ * Shows whether the exact preflop equity table is available and lets the user build it. The
+ * build runs in Web Workers with a progress bar and can be cancelled; the finished table is
+ * cached in localStorage and handed to the parent through onReady.
+ */
+
+const PreflopEquityStatus = ({ table, workers, onReady }) => {
+  const [progress, setProgress] = useState(null); // { done, total } while building
+  const [error, setError] = useState(null);
+  const jobRef = useRef(null);
+
+  useEffect(() => () => {
+    if (jobRef.current) jobRef.current.cancel();
+  }, []);
+
+  const handleGenerate = () => {
+    setError(null);
+    setProgress({ done: 0, total: CANONICAL_BOARD_COUNT });
+    jobRef.current = generatePreflopEquityTable({
+      workers,
+      onProgress: setProgress,
+      onDone: (result) => {
+        jobRef.current = null;
+        setProgress(null);
+        try {
+          savePreflopEquityTable(result);
+        } catch (e) {
+          console.error('Failed to cache preflop equity table:', e);
+        }
+        onReady(result);
+      },
+      onError: (e) => {
+        jobRef.current = null;
+        setProgress(null);
+        setError(e.message);
+      },
+    });
+  };
+
+  const handleCancel = () => {
+    if (jobRef.current) jobRef.current.cancel();
+    jobRef.current = null;
+    setProgress(null);
+  };
+
+  if (progress) {
+    const pct = (progress.done / progress.total) * 100;
+    return (
+      <div className="text-xs text-gray-600">
+        <div className="flex justify-between mb-1">
+          <span>Building exact equity table</span>
+          <span>{pct.toFixed(0)}%</span>
+        </div>
+        <div className="w-full h-2 bg-gray-200 rounded-full overflow-hidden">
+          <div className="h-2 bg-indigo-500 rounded-full transition-all duration-300" style={{ width: `${pct}%` }} />
+        </div>
+        <button onClick={handleCancel} className="mt-1 text-red-600 hover:underline">Cancel</button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="flex justify-between items-center text-xs">
+      <span className={table ? 'text-emerald-700' : 'text-gray-600'}>
+        {table ? 'Exact preflop equities' : 'Preflop equities: Monte Carlo'}
+      </span>
+      <button onClick={handleGenerate} className="px-2 py-1 bg-gray-200 rounded" title="Enumerate every board once (a few minutes) and cache the result">
+        {table ? 'Rebuild table' : 'Build exact table'}
+      </button>
+      {error && <span className="text-red-600">{error}</span>}
+    </div>
+  );
+};
+
+export default PreflopEquityStatus;
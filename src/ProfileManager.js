@@ -1,4 +1,13 @@
 import React, { useState, useEffect } from 'react';
+import NodeLockEditor from './NodeLockEditor';
+import PlayerDatabase from './PlayerDatabase';
+import { HAND_HISTORY_ADAPTERS, detectFormat, parseHandHistories } from './parsers';
+import { posterior, profileConfidence, sampleFromRate, STAT_PRIORS } from './stats/bayes';
+import { HUD_STATS, summarizeHud } from './stats/hud';
+import { addHandsToDatabase, loadPlayerDatabase, playerStats, savePlayerDatabase } from './stats/playerDatabase';
+import { generateStrategyFromStats } from './strategy/adjustments';
+import { POSITIONS } from './strategy/positions';
+import { STRATEGY_ID_PREFIX } from './strategy/strategyLibrary';
 
 /**
  * ProfileManager Component - Phase 1 Implementation
@@ -7,60 +16,70 @@ import React, { useState, useEffect } from 'react';
  * - Player profile creation/editing
  * - Hand history import/parsing  
  * - Statistics calculation
- * - Profile save/load to localStorage
+ * - Profile creation and deletion (App keeps them, see strategy/profileLibrary.js)
  * - Profile selection for strategy generation
+ * - Selecting strategies saved from the chart editor
+ * - Per-stat posteriors with credible intervals (see stats/bayes.js)
+ * - The full HUD from imported hands, overall and per seat (see stats/hud.js)
+ * - A database of every player in imported hands, promotable to profiles (see PlayerDatabase.js)
+ * - Node locks on a profile's strategy (kept with the profile, used by the Best Response panel)
  */
 
+// Profiles promoted from the player database: one per player, refreshed on promoting again
+const PLAYER_PROFILE_PREFIX = 'profile_player_';
+
 const ProfileManager = ({ 
   onProfileChange, 
   currentProfile, 
-  baselineGTO 
+  baselineGTO,
+  baselineName = 'GTO',
+  rake = null,
+  game,
+  savedStrategies = {},
+  onDeleteStrategy,
+  onHandsImported,
+  // Profiles live in App (see strategy/profileLibrary.js) so Testing seats can use them too;
+  // onProfilesChange takes a new map or an updater function, like a state setter
+  profiles = {},
+  onProfilesChange: setProfiles
 }) => {
-  const [profiles, setProfiles] = useState({});
   const [selectedProfileId, setSelectedProfileId] = useState('baseline');
   const [showCreateModal, setShowCreateModal] = useState(false);
   const [showImportModal, setShowImportModal] = useState(false);
+  const [playerDatabase, setPlayerDatabase] = useState(loadPlayerDatabase);
   
-  // Load profiles from localStorage on mount
-  useEffect(() => {
-    const saved = localStorage.getItem('pokerProfiles');
-    if (saved) {
-      try {
-        const parsed = JSON.parse(saved);
-        setProfiles(parsed);
-      } catch (e) {
-        console.error('Failed to load profiles:', e);
-      }
-    }
-  }, []);
-
-  // Save profiles to localStorage when profiles change
-  useEffect(() => {
-    if (Object.keys(profiles).length > 0) {
-      localStorage.setItem('pokerProfiles', JSON.stringify(profiles));
-    }
-  }, [profiles]);
+  const isSavedStrategy = selectedProfileId.startsWith(STRATEGY_ID_PREFIX);
 
   // Notify parent when profile selection changes
   useEffect(() => {
-    const profile = selectedProfileId === 'baseline' 
-      ? { id: 'baseline', strategy: baselineGTO, stats: null }
-      : profiles[selectedProfileId];
+    let profile;
+    if (selectedProfileId === 'baseline') {
+      profile = { id: 'baseline', strategy: baselineGTO, stats: null };
+    } else if (selectedProfileId.startsWith(STRATEGY_ID_PREFIX)) {
+      const saved = savedStrategies[selectedProfileId];
+      profile = saved && { id: saved.id, name: saved.name, strategy: saved.strategy, stats: null };
+    } else {
+      profile = profiles[selectedProfileId];
+    }
     
     if (profile && onProfileChange) {
       onProfileChange(profile);
+    } else if (!profile) {
+      // The selected profile or strategy was deleted
+      setSelectedProfileId('baseline');
     }
-  }, [selectedProfileId, profiles, onProfileChange, baselineGTO]);
+  }, [selectedProfileId, profiles, savedStrategies, onProfileChange, baselineGTO]);
 
   const createProfile = (profileData) => {
     const profile = {
       id: profileData.id,
       name: profileData.name,
       stats: profileData.stats || {},
-      strategy: generateStrategyFromStats(profileData.stats || {}, baselineGTO),
+      strategy: generateStrategyFromStats(profileData.stats || {}, baselineGTO, { rake, game }),
+      locks: profileData.locks || [],
       metadata: {
         handsAnalyzed: profileData.handsAnalyzed || 0,
-        confidence: calculateConfidence(profileData.handsAnalyzed || 0),
+        confidence: profileConfidence(profileData.stats),
         lastUpdated: new Date().toISOString(),
         gameType: profileData.gameType || "6-max NLHE"
       }
@@ -92,6 +111,10 @@ const ProfileManager = ({
   const importHandHistories = (handHistories, profileName) => {
     const stats = calculateStatsFromHands(handHistories);
     const profileId = `profile_${Date.now()}`;
+    if (onHandsImported) onHandsImported(handHistories);
+    const { database } = addHandsToDatabase(playerDatabase, handHistories);
+    savePlayerDatabase(database);
+    setPlayerDatabase(database);
     
     createProfile({
       id: profileId,
@@ -104,6 +127,30 @@ const ProfileManager = ({
     setShowImportModal(false);
   };
 
+  // Re-promoting a player refreshes their stats and keeps the profile's node locks
+  const promotePlayer = (entry) => {
+    const profileId = `${PLAYER_PROFILE_PREFIX}${entry.name}`;
+    createProfile({
+      id: profileId,
+      name: entry.name,
+      stats: playerStats(entry),
+      handsAnalyzed: entry.hands,
+      locks: profiles[profileId] && profiles[profileId].locks,
+      gameType: "6-max NLHE"
+    });
+  };
+
+  const promotedPlayers = new Set(Object.keys(profiles)
+    .filter(id => id.startsWith(PLAYER_PROFILE_PREFIX))
+    .map(id => id.slice(PLAYER_PROFILE_PREFIX.length)));
+
+  const updateLocks = (profileId, locks) => {
+    setProfiles(prev => ({
+      ...prev,
+      [profileId]: { ...prev[profileId], locks }
+    }));
+  };
+
   const exportProfile = (profileId) => {
     const profile = profiles[profileId];
     if (!profile) return;
@@ -131,12 +178,21 @@ const ProfileManager = ({
             onChange={(e) => setSelectedProfileId(e.target.value)}
             className="px-3 py-1 border border-gray-300 rounded-md text-sm"
           >
-            <option value="baseline">Baseline GTO</option>
+            <option value="baseline">Baseline ({baselineName})</option>
             {Object.values(profiles).map(profile => (
               <option key={profile.id} value={profile.id}>
                 {profile.name}
               </option>
             ))}
+            {Object.keys(savedStrategies).length > 0 && (
+              <optgroup label="Saved Strategies">
+                {Object.values(savedStrategies).map(saved => (
+                  <option key={saved.id} value={saved.id}>
+                    {saved.name}
+                  </option>
+                ))}
+              </optgroup>
+            )}
           </select>
         </div>
         
@@ -162,9 +218,31 @@ const ProfileManager = ({
           profile={profiles[selectedProfileId]} 
           onDelete={() => deleteProfile(selectedProfileId)}
           onExport={() => exportProfile(selectedProfileId)}
+          onLocksChange={(locks) => updateLocks(selectedProfileId, locks)}
         />
       )}
 
+      {/* Saved Strategy Info */}
+      {isSavedStrategy && savedStrategies[selectedProfileId] && (
+        <div className="p-4 bg-gray-50 rounded-lg border flex items-center justify-between">
+          <div>
+            <h4 className="font-semibold">{savedStrategies[selectedProfileId].name}</h4>
+            <p className="text-xs text-gray-500">
+              Saved strategy • {new Date(savedStrategies[selectedProfileId].createdAt).toLocaleDateString()}
+            </p>
+          </div>
+          <button
+            onClick={() => onDeleteStrategy && onDeleteStrategy(selectedProfileId)}
+            className="px-3 py-1 bg-red-100 text-red-700 rounded-md text-sm hover:bg-red-200"
+          >
+            Delete
+          </button>
+        </div>
+      )}
+
+      {/* Player Database */}
+      <PlayerDatabase database={playerDatabase} promoted={promotedPlayers} onPromote={promotePlayer} />
+
       {/* Create Profile Modal */}
       {showCreateModal && (
         <CreateProfileModal
@@ -184,58 +262,130 @@ const ProfileManager = ({
   );
 };
 
-// Profile Info Component
-const ProfileInfo = ({ profile, onDelete, onExport }) => (
-  <div className="p-4 bg-gray-50 rounded-lg border">
-    <div className="flex justify-between items-start">
+// One stat: posterior mean with its credible interval and counts, or the bare number without counts
+const StatEstimate = ({ stat, stats }) => {
+  const sample = stats.samples && stats.samples[stat];
+  if (!sample) {
+    return (
       <div>
-        <h4 className="font-semibold text-gray-800">{profile.name}</h4>
-        <div className="mt-2 grid grid-cols-2 gap-4 text-sm">
-          <div>
-            <span className="text-gray-600">VPIP:</span>
-            <span className="ml-2 font-medium">{profile.stats.vpip?.toFixed(1) || 'N/A'}%</span>
-          </div>
-          <div>
-            <span className="text-gray-600">PFR:</span>
-            <span className="ml-2 font-medium">{profile.stats.pfr?.toFixed(1) || 'N/A'}%</span>
-          </div>
-          <div>
-            <span className="text-gray-600">Fold to 3-bet:</span>
-            <span className="ml-2 font-medium">{profile.stats.foldTo3Bet?.toFixed(1) || 'N/A'}%</span>
+        <span className="text-gray-600">{STAT_PRIORS[stat].label}:</span>
+        <span className="ml-2 font-medium">{stats[stat]?.toFixed(1) || 'N/A'}%</span>
+      </div>
+    );
+  }
+  const { mean, low, high, successes, opportunities } = posterior(stat, sample);
+  return (
+    <div title={`Posterior with a ${STAT_PRIORS[stat].mean}% population prior; 95% credible interval`}>
+      <span className="text-gray-600">{STAT_PRIORS[stat].label}:</span>
+      <span className="ml-2 font-medium">{mean.toFixed(1)}%</span>
+      <span className="ml-1 text-xs text-gray-500">
+        [{low.toFixed(0)}–{high.toFixed(0)}] {successes}/{opportunities}
+      </span>
+    </div>
+  );
+};
+
+// Posterior of a sampled stat as "mean% [low–high] s/n", or the bare number without observations
+function formatEstimate(stat, values) {
+  const sample = values.samples && values.samples[stat];
+  if (!sample || sample.opportunities === 0) return values[stat] !== undefined ? `${values[stat].toFixed(1)}%` : '—';
+  const { mean, low, high, successes, opportunities } = posterior(stat, sample);
+  return `${mean.toFixed(0)}% [${low.toFixed(0)}–${high.toFixed(0)}] ${successes}/${opportunities}`;
+}
+
+// The full HUD: every stat overall and for one seat
+const HudTable = ({ stats }) => {
+  const seats = POSITIONS.filter((position) => stats.byPosition && stats.byPosition[position]);
+  const [seat, setSeat] = useState(seats[0] || null);
+  const split = seat && stats.byPosition[seat] ? stats.byPosition[seat] : null;
+  const rows = HUD_STATS.filter((stat) => (stats.samples && stats.samples[stat]) || stats[stat] !== undefined);
+  if (rows.length === 0 && seats.length === 0) return null;
+
+  return (
+    <table className="mt-2 w-full text-xs">
+      <thead>
+        <tr className="text-gray-500">
+          <th className="text-left font-normal">Stat</th>
+          <th className="text-left font-normal">Overall</th>
+          <th className="text-left font-normal">
+            {seats.length > 0 && (
+              <select value={seat || ''} onChange={(e) => setSeat(e.target.value)} className="p-0.5 border rounded">
+                {seats.map((position) => <option key={position} value={position}>{position}</option>)}
+              </select>
+            )}
+          </th>
+        </tr>
+      </thead>
+      <tbody>
+        {rows.map((stat) => (
+          <tr key={stat} title={`Posterior mean with a ${STAT_PRIORS[stat].mean}% population prior, 95% credible interval, successes/opportunities`}>
+            <td className="text-gray-600">{STAT_PRIORS[stat].label}</td>
+            <td>{formatEstimate(stat, stats)}</td>
+            <td>{split ? formatEstimate(stat, split) : ''}</td>
+          </tr>
+        ))}
+        {stats.af !== undefined && (
+          <tr title="Postflop bets and raises per call">
+            <td className="text-gray-600">AF</td>
+            <td>{stats.af.toFixed(2)} ({stats.postflop.aggressive}/{stats.postflop.calls})</td>
+            <td>{split && split.af !== undefined ? `${split.af.toFixed(2)} (${split.postflop.aggressive}/${split.postflop.calls})` : ''}</td>
+          </tr>
+        )}
+      </tbody>
+    </table>
+  );
+};
+
+// Profile Info Component
+const ProfileInfo = ({ profile, onDelete, onExport, onLocksChange }) => {
+  // Profiles saved before the stats kept counts fall back to their stored confidence
+  const confidence = profile.stats.samples ? profileConfidence(profile.stats) : profile.metadata.confidence;
+
+  return (
+    <div className="p-4 bg-gray-50 rounded-lg border">
+      <div className="flex justify-between items-start">
+        <div>
+          <h4 className="font-semibold text-gray-800">{profile.name}</h4>
+          <div className="mt-2 grid grid-cols-2 gap-4 text-sm">
+            <StatEstimate stat="vpip" stats={profile.stats} />
+            <StatEstimate stat="pfr" stats={profile.stats} />
+            <StatEstimate stat="foldTo3Bet" stats={profile.stats} />
+            <div>
+              <span className="text-gray-600">Hands:</span>
+              <span className="ml-2 font-medium">{profile.metadata.handsAnalyzed}</span>
+            </div>
           </div>
-          <div>
-            <span className="text-gray-600">Hands:</span>
-            <span className="ml-2 font-medium">{profile.metadata.handsAnalyzed}</span>
+          <HudTable key={profile.id} stats={profile.stats} />
+          <div className="mt-2">
+            <span className={`px-2 py-1 rounded text-xs font-semibold ${
+              confidence > 0.8 ? 'bg-green-100 text-green-800' :
+              confidence > 0.6 ? 'bg-yellow-100 text-yellow-800' :
+              'bg-red-100 text-red-800'
+            }`} title="Average of how much each stat's credible interval has narrowed from the population prior">
+              {(confidence * 100).toFixed(0)}% Confidence
+            </span>
           </div>
         </div>
-        <div className="mt-2">
-          <span className={`px-2 py-1 rounded text-xs font-semibold ${
-            profile.metadata.confidence > 0.8 ? 'bg-green-100 text-green-800' :
-            profile.metadata.confidence > 0.6 ? 'bg-yellow-100 text-yellow-800' :
-            'bg-red-100 text-red-800'
-          }`}>
-            {(profile.metadata.confidence * 100).toFixed(0)}% Confidence
-          </span>
-        </div>
-      </div>
       
-      <div className="flex gap-2">
-        <button
-          onClick={onExport}
-          className="px-2 py-1 bg-gray-200 text-gray-700 rounded text-xs hover:bg-gray-300"
-        >
-          Export
-        </button>
-        <button
-          onClick={onDelete}
-          className="px-2 py-1 bg-red-200 text-red-700 rounded text-xs hover:bg-red-300"
-        >
-          Delete
-        </button>
+        <div className="flex gap-2">
+          <button
+            onClick={onExport}
+            className="px-2 py-1 bg-gray-200 text-gray-700 rounded text-xs hover:bg-gray-300"
+          >
+            Export
+          </button>
+          <button
+            onClick={onDelete}
+            className="px-2 py-1 bg-red-200 text-red-700 rounded text-xs hover:bg-red-300"
+          >
+            Delete
+          </button>
+        </div>
       </div>
+      <NodeLockEditor locks={profile.locks} onChange={onLocksChange} />
     </div>
-  </div>
-);
+  );
+};
 
 // Create Profile Modal
 const CreateProfileModal = ({ onClose, onCreate }) => {
@@ -244,7 +394,10 @@ const CreateProfileModal = ({ onClose, onCreate }) => {
     vpip: '',
     pfr: '',
     foldTo3Bet: '',
-    aggression: ''
+    aggression: '',
+    handsObserved: '',
+    threeBetsFaced: '',
+    foldTo3BetByPosition: {}
   });
 
   const handleSubmit = (e) => {
@@ -254,14 +407,33 @@ const CreateProfileModal = ({ onClose, onCreate }) => {
       vpip: parseFloat(formData.vpip) || 0,
       pfr: parseFloat(formData.pfr) || 0,
       foldTo3Bet: parseFloat(formData.foldTo3Bet) || 65,
-      aggression: parseFloat(formData.aggression) || 1.0
+      aggression: parseFloat(formData.aggression) || 1.0,
+      byPosition: {}
     };
 
+    // The numbers are reads over however many hands were actually seen (required: with no hands
+    // every sample is empty and the stats would change nothing); 3-bets faced defaults to a
+    // typical ~6% of hands
+    const hands = Math.max(0, parseInt(formData.handsObserved, 10) || 0);
+    const faced = formData.threeBetsFaced === '' ? Math.round(hands * 0.06) : parseInt(formData.threeBetsFaced, 10) || 0;
+    stats.samples = {
+      vpip: sampleFromRate(stats.vpip, hands),
+      pfr: sampleFromRate(stats.pfr, hands),
+      foldTo3Bet: sampleFromRate(stats.foldTo3Bet, faced)
+    };
+
+    // Optional per-seat overrides (e.g. a player who only over-folds in the blinds)
+    Object.entries(formData.foldTo3BetByPosition).forEach(([position, value]) => {
+      if (value !== '' && !Number.isNaN(parseFloat(value))) {
+        stats.byPosition[position] = { foldTo3Bet: parseFloat(value) };
+      }
+    });
+
     onCreate({
       id: `manual_${Date.now()}`,
       name: formData.name,
       stats,
-      handsAnalyzed: 100, // Assume manual entry represents reasonable sample
+      handsAnalyzed: hands,
       gameType: "6-max NLHE"
     });
   };
@@ -339,6 +511,62 @@ const CreateProfileModal = ({ onClose, onCreate }) => {
             </div>
           </div>
 
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium mb-1">Hands observed</label>
+              <input
+                type="number"
+                min="1"
+                step="1"
+                value={formData.handsObserved}
+                onChange={(e) => setFormData({...formData, handsObserved: e.target.value})}
+                placeholder="e.g. 200"
+                className="w-full px-3 py-2 border border-gray-300 rounded-md"
+                required
+              />
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium mb-1">3-bets faced</label>
+              <input
+                type="number"
+                min="0"
+                step="1"
+                value={formData.threeBetsFaced}
+                onChange={(e) => setFormData({...formData, threeBetsFaced: e.target.value})}
+                placeholder="~6% of hands"
+                className="w-full px-3 py-2 border border-gray-300 rounded-md"
+              />
+            </div>
+          </div>
+          <p className="text-xs text-gray-500">
+            The sample sets how far the stats are trusted over the population averages: a handful of
+            hands barely moves the strategy away from the baseline.
+          </p>
+
+          <div>
+            <label className="block text-sm font-medium mb-1">Fold to 3-bet when opening from (optional)</label>
+            <div className="grid grid-cols-6 gap-2">
+              {POSITIONS.map((position) => (
+                <div key={position}>
+                  <span className="block text-xs text-gray-600 text-center">{position}</span>
+                  <input
+                    type="number"
+                    min="0"
+                    max="100"
+                    step="0.1"
+                    value={formData.foldTo3BetByPosition[position] || ''}
+                    onChange={(e) => setFormData({
+                      ...formData,
+                      foldTo3BetByPosition: { ...formData.foldTo3BetByPosition, [position]: e.target.value }
+                    })}
+                    className="w-full px-1 py-1 border border-gray-300 rounded-md text-sm"
+                  />
+                </div>
+              ))}
+            </div>
+          </div>
+
           <div className="flex justify-end gap-3 mt-6">
             <button
               type="button"
@@ -364,28 +592,37 @@ const CreateProfileModal = ({ onClose, onCreate }) => {
 const ImportHandsModal = ({ onClose, onImport }) => {
   const [handData, setHandData] = useState('');
   const [profileName, setProfileName] = useState('');
-  const [format, setFormat] = useState('json');
+  const [format, setFormat] = useState('auto');
+  const [parseReport, setParseReport] = useState(null); // { hands, errors } awaiting confirmation
+
+  const detected = format === 'auto' ? detectFormat(handData) : null;
+
+  const handleFileUpload = async (e) => {
+    const files = Array.from(e.target.files || []);
+    if (files.length === 0) return;
+    const contents = await Promise.all(files.map((file) => file.text()));
+    setHandData(contents.join('\n\n'));
+    setParseReport(null);
+  };
 
   const handleImport = () => {
-    try {
-      let hands = [];
-      
-      if (format === 'json') {
-        hands = JSON.parse(handData);
-      } else {
-        // Could add PT4/HM2/other parsers here
-        throw new Error('Format not yet supported');
-      }
+    if (parseReport) {
+      onImport(parseReport.hands, profileName || 'Imported Profile');
+      return;
+    }
 
-      if (!Array.isArray(hands) || hands.length === 0) {
-        throw new Error('Invalid hand data format');
-      }
+    const { hands, errors } = parseHandHistories(handData, format);
 
-      onImport(hands, profileName || 'Imported Profile');
-      
-    } catch (error) {
-      alert('Error importing hands: ' + error.message);
+    if (errors.length > 0 || hands.length === 0) {
+      // Show per-hand failures (or the format diagnostic) and let the user import what parsed
+      setParseReport({
+        hands,
+        errors: errors.length > 0 ? errors : [{ handId: null, line: null, message: 'No hands found in input' }],
+      });
+      return;
     }
+
+    onImport(hands, profileName || 'Imported Profile');
   };
 
   return (
@@ -403,29 +640,51 @@ const ImportHandsModal = ({ onClose, onImport }) => {
               className="w-full px-3 py-2 border border-gray-300 rounded-md"
               placeholder="e.g., Aggressive Villain"
             />
+            <p className="mt-1 text-xs text-gray-500">
+              The profile is built from Hero's hands. Every other player is added to the player database.
+            </p>
           </div>
 
-          <div>
-            <label className="block text-sm font-medium mb-1">Format</label>
-            <select
-              value={format}
-              onChange={(e) => setFormat(e.target.value)}
-              className="px-3 py-2 border border-gray-300 rounded-md"
-            >
-              <option value="json">JSON</option>
-              <option value="pt4" disabled>PokerTracker 4 (Coming Soon)</option>
-              <option value="hm2" disabled>Hold'em Manager 2 (Coming Soon)</option>
-            </select>
+          <div className="flex items-end gap-4">
+            <div>
+              <label className="block text-sm font-medium mb-1">Format</label>
+              <select
+                value={format}
+                onChange={(e) => { setFormat(e.target.value); setParseReport(null); }}
+                className="px-3 py-2 border border-gray-300 rounded-md"
+              >
+                <option value="auto">Auto-detect</option>
+                {HAND_HISTORY_ADAPTERS.map((adapter) => (
+                  <option key={adapter.id} value={adapter.id}>{adapter.label}</option>
+                ))}
+              </select>
+              {format === 'auto' && handData.trim() && (
+                <div className={`mt-1 text-xs ${detected ? 'text-green-700' : 'text-red-600'}`}>
+                  {detected ? `Detected: ${detected.label}` : 'Format not recognized'}
+                </div>
+              )}
+            </div>
+            <div>
+              <label className="block text-sm font-medium mb-1">Upload Files</label>
+              <input
+                type="file"
+                accept=".txt,.json,.xml"
+                multiple
+                onChange={handleFileUpload}
+                className="text-sm"
+              />
+            </div>
           </div>
 
           <div>
             <label className="block text-sm font-medium mb-1">Hand Data</label>
             <textarea
               value={handData}
-              onChange={(e) => setHandData(e.target.value)}
+              onChange={(e) => { setHandData(e.target.value); setParseReport(null); }}
               className="w-full px-3 py-2 border border-gray-300 rounded-md font-mono text-sm"
               rows={12}
-              placeholder={`Paste JSON hand histories here, format:
+              placeholder={`Paste hand histories here (PokerStars, GGPoker, Winamax, iPoker XML or JSON).
+The format is detected automatically. JSON format:
 [
   {
     "handId": "123",
@@ -440,6 +699,22 @@ const ImportHandsModal = ({ onClose, onImport }) => {
             />
           </div>
 
+          {/* Parse report */}
+          {parseReport && (
+            <div className="p-3 bg-yellow-50 border border-yellow-200 rounded-md text-sm">
+              <p className="font-semibold text-yellow-800">
+                Parsed {parseReport.hands.length} hand{parseReport.hands.length === 1 ? '' : 's'}, {parseReport.errors.length} failed
+              </p>
+              <ul className="mt-2 space-y-1 max-h-40 overflow-y-auto font-mono text-xs text-yellow-900">
+                {parseReport.errors.map((err, idx) => (
+                  <li key={idx}>
+                    {err.line ? `Line ${err.line}` : 'Input'}{err.handId ? ` (hand #${err.handId})` : ''}: {err.message}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
           <div className="flex justify-end gap-3">
             <button
               onClick={onClose}
@@ -449,10 +724,10 @@ const ImportHandsModal = ({ onClose, onImport }) => {
             </button>
             <button
               onClick={handleImport}
-              className="px-4 py-2 bg-green-600 text-white rounded-md hover:bg-green-700"
-              disabled={!handData.trim() || !profileName.trim()}
+              className="px-4 py-2 bg-green-600 text-white rounded-md hover:bg-green-700 disabled:bg-gray-400"
+              disabled={!handData.trim() || !profileName.trim() || (parseReport && parseReport.hands.length === 0)}
             >
-              Import
+              {parseReport ? `Import ${parseReport.hands.length} Parsed Hands` : 'Import'}
             </button>
           </div>
         </div>
@@ -463,92 +738,9 @@ const ImportHandsModal = ({ onClose, onImport }) => {
 
 // Helper Functions
 
+// Hero's HUD stats (see stats/hud.js), with counts for the Bayesian model and seat splits
 function calculateStatsFromHands(handHistories) {
-  // Simplified stats calculation - replace with more sophisticated analysis
-  const stats = {
-    vpip: 0,
-    pfr: 0,
-    foldTo3Bet: 0,
-    aggression: 1.0,
-    handsPlayed: handHistories.length
-  };
-
-  let vpipCount = 0;
-  let pfrCount = 0;
-  let foldTo3BetCount = 0;
-  let opportunities = 0;
-
-  handHistories.forEach(hand => {
-    const heroActions = hand.actions?.filter(a => a.player === 'Hero') || [];
-    const preflopActions = heroActions.filter(a => a.street === 'preflop');
-    
-    // VPIP: Voluntarily put money in pot preflop
-    if (preflopActions.some(a => ['call', 'raise', 'bet'].includes(a.action))) {
-      vpipCount++;
-    }
-
-    // PFR: Preflop raise
-    if (preflopActions.some(a => a.action === 'raise')) {
-      pfrCount++;
-    }
-
-    // Fold to 3-bet (simplified)
-    const faced3Bet = hand.actions?.some(a => 
-      a.player !== 'Hero' && a.street === 'preflop' && a.action === 'raise'
-    );
-    if (faced3Bet) {
-      opportunities++;
-      if (preflopActions.some(a => a.action === 'fold')) {
-        foldTo3BetCount++;
-      }
-    }
-  });
-
-  stats.vpip = handHistories.length > 0 ? (vpipCount / handHistories.length) * 100 : 0;
-  stats.pfr = handHistories.length > 0 ? (pfrCount / handHistories.length) * 100 : 0;
-  stats.foldTo3Bet = opportunities > 0 ? (foldTo3BetCount / opportunities) * 100 : 65; // Default GTO
-
-  return stats;
-}
-
-function generateStrategyFromStats(stats, baselineGTO) {
-  // Generate adjusted strategy based on opponent stats
-  // This is where the real GTO adaptation logic goes
-  
-  const adjustmentFactor = Math.min(Math.abs(stats.foldTo3Bet - 65) / 100, 0.3);
-  const newStrategy = {};
-
-  Object.keys(baselineGTO).forEach(hand => {
-    const baseline = baselineGTO[hand];
-    
-    if (stats.foldTo3Bet > 75) {
-      // Opponent folds too much - widen our raising range
-      newStrategy[hand] = {
-        fold: Math.max(0, baseline.fold - adjustmentFactor * 20),
-        call: baseline.call + adjustmentFactor * 5,
-        raise: baseline.raise + adjustmentFactor * 15
-      };
-    } else if (stats.foldTo3Bet < 50) {
-      // Opponent doesn't fold enough - tighten our raising range  
-      newStrategy[hand] = {
-        fold: Math.min(100, baseline.fold + adjustmentFactor * 25),
-        call: Math.max(0, baseline.call - adjustmentFactor * 10),
-        raise: Math.max(0, baseline.raise - adjustmentFactor * 15)
-      };
-    } else {
-      newStrategy[hand] = baseline;
-    }
-  });
-
-  return newStrategy;
-}
-
-function calculateConfidence(handsAnalyzed) {
-  // Simple confidence calculation based on sample size
-  if (handsAnalyzed < 50) return 0.3;
-  if (handsAnalyzed < 200) return 0.6;
-  if (handsAnalyzed < 1000) return 0.8;
-  return 0.95;
+  return summarizeHud(handHistories, 'Hero');
 }
 
 export default ProfileManager;
\ No newline at end of file
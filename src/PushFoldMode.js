@@ -0,0 +1,319 @@
+import React, { useEffect, useRef, useState } from 'react';
+import HandGrid from './HandGrid';
+import IcmCalculator from './IcmCalculator';
+import { ALL_HANDS } from './poker/cards';
+import { callingRangeFromShare, exploitPushRange, PUSH_FOLD_TABLES, rangeShare } from './poker/pushFold';
+import { runPushFold } from './poker/simulationRunner';
+import { posterior } from './stats/bayes';
+import { parseRange } from './strategy/rangeNotation';
+
+/**
+ * PushFoldMode Component
+ *
+ * Short-stack push/fold equilibrium (see poker/pushFold.js) for heads-up or 6-max, solved in a
+ * worker and painted on the 13×13 grid: a seat's shoving range, or a seat's calling range against
+ * a shove from an earlier seat. A villain's range for calling a shove can be compared with the
+ * equilibrium calling range, together with the shoving range that exploits it. The range is either
+ * entered in range notation (see strategy/rangeNotation.js) or comes from a profile's observed
+ * all-in calls (the callShove HUD count, see stats/hud.js): that share of combos, filled with the
+ * hands with the most equity against the push range. Charts are not used for it, since none of
+ * their nodes is calling an all-in; the villain views only appear once there is a range.
+ *
+ * With ICM on, the stacks and payouts come from the ICM calculator and outcomes are valued in prize
+ * equity; the chip EV ranges for the same stacks are solved alongside so the grid can show how
+ * much ICM pressure tightens each range.
+ */
+
+const VIEWS = [
+  { id: 'push', label: 'Nash push' },
+  { id: 'call', label: 'Nash call' },
+  { id: 'villain', label: 'Villain vs Nash call', villain: true },
+  { id: 'exploit', label: 'Exploit push', villain: true },
+  { id: 'icmPush', label: 'ICM vs chip EV push', icm: true },
+  { id: 'icmCall', label: 'ICM vs chip EV call', icm: true },
+];
+
+const DIFF_LEGEND = {
+  villain: ['villain calls, Nash folds', 'Nash calls, villain folds'],
+  exploit: ['push only vs this villain', 'fold only vs this villain'],
+  icmPush: ['push only under ICM', 'push only for chip EV'],
+  icmCall: ['call only under ICM', 'call only for chip EV'],
+};
+
+// Grid color for a push (red) or call (blue) frequency; hands never played stay gray
+function frequencyClass(freq, action) {
+  if (!(freq > 0.005)) return 'bg-gray-200 text-gray-400';
+  if (action === 'push') {
+    if (freq >= 0.95) return 'bg-red-600 text-white';
+    return freq >= 0.5 ? 'bg-red-400 text-white' : 'bg-red-200 text-gray-800';
+  }
+  if (freq >= 0.95) return 'bg-blue-600 text-white';
+  return freq >= 0.5 ? 'bg-blue-400 text-white' : 'bg-blue-200 text-gray-800';
+}
+
+// Grid color for a difference between two ranges (b - a)
+function diffClass(a, b) {
+  const d = b - a;
+  if (d > 0.25) return 'bg-amber-400 text-gray-900';
+  if (d < -0.25) return 'bg-sky-400 text-white';
+  return a > 0.5 ? 'bg-gray-400 text-white' : 'bg-gray-200 text-gray-400';
+}
+
+const pct = (share) => `${(share * 100).toFixed(1)}%`;
+
+const NOTATION = 'notation';
+
+// A profile's all-in calls: the seat's own count when it has one, else the overall one
+function shoveSample(stats, seat) {
+  const split = stats && stats.byPosition && stats.byPosition[seat];
+  const own = split && split.samples && split.samples.callShove;
+  if (own && own.opportunities > 0) return own;
+  const overall = stats && stats.samples && stats.samples.callShove;
+  return overall && overall.opportunities > 0 ? overall : null;
+}
+
+const PushFoldMode = ({ profiles = [], equityTable, ante: defaultAnte = 0, icmSettings, onIcmChange }) => {
+  const [settings, setSettings] = useState({ players: 'hu', stack: 10, smallBlind: 0.5, ante: defaultAnte });
+  const [useIcm, setUseIcm] = useState(false);
+  const [solution, setSolution] = useState(null);
+  const [running, setRunning] = useState(false);
+  const [error, setError] = useState(null);
+  const [pusher, setPusher] = useState('SB');
+  const [caller, setCaller] = useState('BB');
+  const [view, setView] = useState('push');
+  const [villainSource, setVillainSource] = useState(NOTATION);
+  const [villainText, setVillainText] = useState('');
+  const [selectedHand, setSelectedHand] = useState(null);
+  const jobRef = useRef(null);
+
+  useEffect(() => () => {
+    if (jobRef.current) jobRef.current.cancel();
+  }, []);
+
+  const handleSolve = () => {
+    setError(null);
+    setRunning(true);
+    if (jobRef.current) jobRef.current.cancel();
+    const icm = useIcm ? { stacks: icmSettings.stacks, icm: { payouts: icmSettings.payouts } } : {};
+    jobRef.current = runPushFold({ ...settings, ...icm, equityTable }, {
+      onDone: (result) => {
+        jobRef.current = null;
+        setRunning(false);
+        setSolution(result);
+        const seats = result.seats;
+        if (!seats.slice(0, -1).includes(pusher)) setPusher(seats[seats.length - 2]);
+        setCaller(seats[seats.length - 1]);
+        if (!result.chip && VIEWS.find((v) => v.id === view).icm) setView('push');
+      },
+      onError: (e) => {
+        jobRef.current = null;
+        setRunning(false);
+        setError(e.message);
+      },
+    });
+  };
+
+  const seats = solution ? solution.seats : PUSH_FOLD_TABLES[settings.players];
+  const callers = seats.slice(seats.indexOf(pusher) + 1);
+  const activeCaller = callers.includes(caller) ? caller : callers[callers.length - 1];
+  const nashPush = solution && solution.push[pusher];
+  const nashCall = solution && solution.call[activeCaller][pusher];
+
+  // The villain's calling range, as entered or from a profile's all-in calls; the villain views need one
+  const villainProfile = profiles.find((p) => p.id === villainSource);
+  const sample = villainProfile ? shoveSample(villainProfile.stats, activeCaller) : null;
+  const callRate = sample ? posterior('callShove', sample).mean / 100 : null;
+  const villainRange = parseRange(villainProfile ? '' : villainText);
+  const hasVillainRange = villainRange.errors.length === 0 && Object.values(villainRange.weights).some((w) => w > 0);
+  let observed = null;
+  if (solution && sample) observed = callingRangeFromShare(solution, solution.equityTable, pusher, callRate);
+  else if (solution && hasVillainRange) observed = Float64Array.from(ALL_HANDS, (hand) => villainRange.weights[hand] || 0);
+  const exploit = observed ? exploitPushRange(solution, solution.equityTable, pusher, activeCaller, observed) : null;
+  const views = VIEWS.filter((v) => (!v.icm || (solution && solution.chip)) && (!v.villain || observed));
+  const activeView = views.some((v) => v.id === view) ? view : 'push';
+
+  const cellClass = (hand) => {
+    if (!solution) return 'bg-gray-200 text-gray-400';
+    const h = ALL_HANDS.indexOf(hand);
+    if (activeView === 'villain') return diffClass(nashCall[h], observed[h]);
+    if (activeView === 'exploit') return diffClass(nashPush[h], exploit.range[h]);
+    if (activeView === 'icmPush') return diffClass(solution.chip.push[pusher][h], nashPush[h]);
+    if (activeView === 'icmCall') return diffClass(solution.chip.call[activeCaller][pusher][h], nashCall[h]);
+    return activeView === 'call' ? frequencyClass(nashCall[h], 'call') : frequencyClass(nashPush[h], 'push');
+  };
+
+  const h = selectedHand ? ALL_HANDS.indexOf(selectedHand) : -1;
+  const units = solution && solution.settings.icm ? '$' : 'bb';
+
+  return (
+    <div className="grid grid-cols-1 xl:grid-cols-3 gap-6">
+      <div className="bg-gray-50 p-6 rounded-lg space-y-4 text-sm">
+        <h3 className="text-lg font-semibold text-gray-700">Push / Fold</h3>
+        <div className="flex justify-between items-center">
+          <span>Table</span>
+          <select value={settings.players} onChange={(e) => setSettings({ ...settings, players: e.target.value })} className="p-1 border rounded">
+            <option value="hu">Heads-up</option>
+            <option value="6max">6-max</option>
+          </select>
+        </div>
+        {[
+          ...(useIcm ? [] : [{ key: 'stack', label: 'Stack (bb)', min: 1, max: 30, step: 0.5 }]),
+          { key: 'smallBlind', label: 'Small blind (bb)', min: 0, max: 1, step: 0.1 },
+          { key: 'ante', label: 'Ante (bb)', min: 0, max: 1, step: 0.05 },
+        ].map((field) => (
+          <div key={field.key} className="flex justify-between items-center">
+            <span>{field.label}</span>
+            <input
+              type="number"
+              min={field.min}
+              max={field.max}
+              step={field.step}
+              value={settings[field.key]}
+              onChange={(e) => setSettings({ ...settings, [field.key]: Math.max(field.min, Math.min(field.max, Number(e.target.value) || 0)) })}
+              className="w-20 p-1 border rounded"
+            />
+          </div>
+        ))}
+        <label className="flex justify-between items-center">
+          <span>$EV under ICM</span>
+          <input type="checkbox" checked={useIcm} onChange={(e) => setUseIcm(e.target.checked)} />
+        </label>
+        {useIcm && (
+          <IcmCalculator settings={icmSettings} onChange={onIcmChange} seats={PUSH_FOLD_TABLES[settings.players]} />
+        )}
+        <p className="text-xs text-gray-500">
+          {equityTable
+            ? 'Uses the exact preflop equity table.'
+            : 'Uses sampled equities until the exact table is built (Testing tab).'}
+        </p>
+        <button
+          onClick={handleSolve}
+          disabled={running}
+          className="w-full px-3 py-2 bg-emerald-600 text-white rounded disabled:bg-gray-400"
+        >
+          {running ? 'Solving...' : 'Solve'}
+        </button>
+        {error && <div className="text-xs text-red-600">{error}</div>}
+        {solution && (
+          <div className="text-xs text-gray-600">
+            {solution.settings.icm ? `ICM ${solution.settings.icm.payouts.join('/')}` : `${solution.settings.stack}bb`}{' '}
+            {solution.settings.players === 'hu' ? 'heads-up' : '6-max'}
+            {solution.settings.ante > 0 && `, ante ${solution.settings.ante}`} · {solution.iterations} iterations ·
+            exploitability {solution.exploitability.toFixed(4)} {units} · {solution.equitySource} equities
+          </div>
+        )}
+      </div>
+
+      <div className="bg-gray-50 p-6 rounded-lg flex flex-col items-center">
+        <div className="flex flex-wrap gap-2 mb-4 text-sm">
+          <select value={pusher} onChange={(e) => setPusher(e.target.value)} className="p-1 border rounded">
+            {seats.slice(0, -1).map((seat) => <option key={seat} value={seat}>{seat} shoves</option>)}
+          </select>
+          <select value={activeCaller} onChange={(e) => setCaller(e.target.value)} className="p-1 border rounded">
+            {callers.map((seat) => <option key={seat} value={seat}>{seat} calls</option>)}
+          </select>
+          <select value={activeView} onChange={(e) => setView(e.target.value)} className="p-1 border rounded">
+            {views.map((v) => <option key={v.id} value={v.id}>{v.label}</option>)}
+          </select>
+        </div>
+        <HandGrid cellClassName={cellClass} selectedHand={selectedHand} onSelect={setSelectedHand} />
+        {solution && (activeView === 'push' || activeView === 'call') && (
+          <div className="mt-3 flex flex-wrap justify-center items-center gap-2 text-xs">
+            <span className="font-semibold">
+              {activeView === 'push' ? `${pusher} shoves ${pct(rangeShare(nashPush))}` : `${activeCaller} calls ${pct(rangeShare(nashCall))}`}
+            </span>
+            <span className={`px-2 py-0.5 rounded ${frequencyClass(1, activeView)}`}>always</span>
+            <span className={`px-2 py-0.5 rounded ${frequencyClass(0.6, activeView)}`}>mostly</span>
+            <span className={`px-2 py-0.5 rounded ${frequencyClass(0.2, activeView)}`}>sometimes</span>
+          </div>
+        )}
+        {solution && DIFF_LEGEND[activeView] && (
+          <div className="mt-3 flex flex-wrap justify-center gap-2 text-xs">
+            <span className={`px-2 py-0.5 rounded ${diffClass(0, 1)}`}>{DIFF_LEGEND[activeView][0]}</span>
+            <span className={`px-2 py-0.5 rounded ${diffClass(1, 0)}`}>{DIFF_LEGEND[activeView][1]}</span>
+            <span className={`px-2 py-0.5 rounded ${diffClass(1, 1)}`}>both</span>
+          </div>
+        )}
+        {solution && solution.chip && (activeView === 'icmPush' || activeView === 'icmCall') && (
+          <div className="mt-2 text-xs text-gray-600">
+            {activeView === 'icmPush'
+              ? `${pusher} shoves ${pct(rangeShare(nashPush))} under ICM vs ${pct(rangeShare(solution.chip.push[pusher]))} for chip EV`
+              : `${activeCaller} calls ${pct(rangeShare(nashCall))} under ICM vs ${pct(rangeShare(solution.chip.call[activeCaller][pusher]))} for chip EV`}
+          </div>
+        )}
+      </div>
+
+      <div className="bg-gray-50 p-6 rounded-lg text-sm space-y-3">
+        <h3 className="text-lg font-semibold text-gray-700">Villain Calling Range</h3>
+        <div className="flex justify-between items-center gap-2">
+          <span>Villain</span>
+          <select value={villainSource} onChange={(e) => setVillainSource(e.target.value)} className="p-1 border rounded max-w-[12rem]">
+            <option value={NOTATION}>Range notation…</option>
+            {profiles.map((p) => <option key={p.id} value={p.id}>{p.name}</option>)}
+          </select>
+        </div>
+        {!villainProfile && (
+          <>
+            <textarea
+              value={villainText}
+              onChange={(e) => setVillainText(e.target.value)}
+              placeholder="Hands the villain calls a shove with, e.g. 22+, A2s+, A7o+, KTs+"
+              rows={3}
+              className="w-full p-1 border rounded font-mono text-xs"
+            />
+            {villainRange.errors.length > 0 && (
+              <div className="text-xs text-red-600">{villainRange.errors.join('; ')}</div>
+            )}
+          </>
+        )}
+        {villainProfile && !sample && (
+          <p className="text-gray-500">
+            {villainProfile.name} has no observed all-in calls yet: import hands where they faced a shove.
+          </p>
+        )}
+        {!solution ? (
+          <p className="text-gray-500">Solve a stack depth to compare.</p>
+        ) : !observed ? (
+          !villainProfile && (
+            <p className="text-gray-500">Enter the range {activeCaller} calls a {pusher} shove with to compare it and exploit it.</p>
+          )
+        ) : (
+          <>
+            {sample && (
+              <p className="text-xs text-gray-500">
+                Called {sample.successes} of {sample.opportunities} shoves faced ({pct(callRate)} after shrinking toward
+                the population), played as the hands with the most equity against {pusher}'s push range.
+              </p>
+            )}
+            <div className="grid grid-cols-2 gap-2">
+              <div className="p-2 bg-white rounded">
+                <div className="text-xs text-gray-500">Villain calls</div>
+                <div className="font-semibold">{pct(rangeShare(observed))}</div>
+              </div>
+              <div className="p-2 bg-white rounded">
+                <div className="text-xs text-gray-500">Nash calls</div>
+                <div className="font-semibold">{pct(rangeShare(nashCall))}</div>
+              </div>
+            </div>
+            <div className="p-3 bg-white rounded shadow">
+              <div className="text-xs text-gray-500">Exploit: {pusher} shoves</div>
+              <div className="text-2xl font-bold text-emerald-700">{pct(rangeShare(exploit.range))}</div>
+              <div className="text-xs text-gray-500 mt-1">
+                instead of {pct(rangeShare(nashPush))}, +{(exploit.gain * 100).toFixed(units === '$' ? 2 : 1)} {units} per 100 {pusher} hands
+              </div>
+            </div>
+            {selectedHand && (
+              <div className="p-2 bg-white rounded text-xs space-y-0.5">
+                <div className="font-semibold">{selectedHand}</div>
+                <div>Nash: shove {pct(nashPush[h])}, {activeCaller} calls {pct(nashCall[h])}</div>
+                <div>Villain calls {pct(observed[h])}; exploit shoves {pct(exploit.range[h])}</div>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default PushFoldMode;
@@ -0,0 +1,122 @@
+import React, { useMemo, useState } from 'react';
+import { chartToRange, parseRange, serializeRange } from './strategy/rangeNotation';
+
+/**
+ * RangeTools Component
+ *
+ * "Copy range" / "Import range" actions for the raise and call frequencies of the chart on
+ * screen. Copy writes standard notation (or a Pio-style hand:freq list) to the clipboard;
+ * import parses pasted notation and hands the weight map back to the parent to apply.
+ */
+
+const RangeTools = ({ chart, scenario, onImport }) => {
+  const [importAction, setImportAction] = useState(null); // 'raise' | 'call' while the modal is open
+  const [copied, setCopied] = useState(null);
+  const [style, setStyle] = useState('compact');
+
+  const actions = [
+    { id: 'raise', label: scenario.raiseLabel },
+    { id: 'call', label: scenario.callLabel },
+  ];
+
+  const copyRange = async (action) => {
+    const text = serializeRange(chartToRange(chart, action), { style });
+    try {
+      await navigator.clipboard.writeText(text);
+      setCopied(action);
+      setTimeout(() => setCopied(null), 1500);
+    } catch (e) {
+      // Clipboard access can be blocked (e.g. insecure context); fall back to a prompt
+      window.prompt('Copy range:', text);
+    }
+  };
+
+  return (
+    <div className="mt-3 flex flex-wrap items-center justify-center gap-2 text-xs">
+      {actions.map((action) => (
+        <div key={action.id} className="flex rounded-md border border-gray-300 overflow-hidden">
+          <span className="px-2 py-1 bg-gray-100 font-semibold text-gray-700">{action.label}</span>
+          <button
+            onClick={() => copyRange(action.id)}
+            className="px-2 py-1 bg-white hover:bg-gray-50 border-l border-gray-300"
+          >
+            {copied === action.id ? 'Copied!' : 'Copy range'}
+          </button>
+          <button
+            onClick={() => setImportAction(action.id)}
+            className="px-2 py-1 bg-white hover:bg-gray-50 border-l border-gray-300"
+          >
+            Import range
+          </button>
+        </div>
+      ))}
+      <select
+        value={style}
+        onChange={(e) => setStyle(e.target.value)}
+        className="px-2 py-1 border border-gray-300 rounded-md"
+        title="Copy format"
+      >
+        <option value="compact">Standard notation</option>
+        <option value="pio">Pio hand:freq list</option>
+      </select>
+
+      {importAction && (
+        <ImportRangeModal
+          actionLabel={actions.find((a) => a.id === importAction).label}
+          onClose={() => setImportAction(null)}
+          onApply={(weights) => {
+            onImport(importAction, weights);
+            setImportAction(null);
+          }}
+        />
+      )}
+    </div>
+  );
+};
+
+// Import Range Modal
+const ImportRangeModal = ({ actionLabel, onClose, onApply }) => {
+  const [text, setText] = useState('');
+  const parsed = useMemo(() => parseRange(text), [text]);
+  const handCount = Object.keys(parsed.weights).length;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white p-6 rounded-lg max-w-lg w-full mx-4">
+        <h3 className="text-lg font-semibold mb-4">Import {actionLabel} Range</h3>
+
+        <textarea
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          className="w-full px-3 py-2 border border-gray-300 rounded-md font-mono text-sm"
+          rows={6}
+          placeholder="QQ+, AKs, A5s-A2s:0.5, KQo:0.25 (or AA:1,KK:0.75,... from a solver)"
+        />
+
+        <div className="mt-2 text-sm text-gray-600">
+          {handCount} hand{handCount === 1 ? '' : 's'} in range
+        </div>
+        {parsed.errors.length > 0 && (
+          <ul className="mt-2 space-y-1 max-h-24 overflow-y-auto text-xs text-red-700">
+            {parsed.errors.map((err, idx) => <li key={idx}>{err}</li>)}
+          </ul>
+        )}
+
+        <div className="flex justify-end gap-3 mt-4">
+          <button onClick={onClose} className="px-4 py-2 text-gray-600 hover:text-gray-800">
+            Cancel
+          </button>
+          <button
+            onClick={() => onApply(parsed.weights)}
+            disabled={handCount === 0}
+            className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:bg-gray-400"
+          >
+            Apply to Chart
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default RangeTools;
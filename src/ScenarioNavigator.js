@@ -0,0 +1,87 @@
+import React, { useState } from 'react';
+import { POSITIONS } from './strategy/positions';
+import {
+  availableScenarios,
+  getScenario,
+  parseNodeKey,
+  resolveNode,
+  villainOptions,
+} from './strategy/scenarios';
+
+/**
+ * ScenarioNavigator Component
+ *
+ * Breadcrumb navigation through the preflop decision tree:
+ *   Seat › Scenario › Villain seat
+ * Clicking a crumb opens that level and lists its options underneath; picking an option
+ * always lands on a concrete node so the chart never shows an empty spot.
+ */
+
+const ScenarioNavigator = ({ nodeKey, onChange }) => {
+  const { position, scenario, villain } = parseNodeKey(nodeKey);
+  const [openLevel, setOpenLevel] = useState('scenario'); // 'seat' | 'scenario' | 'villain'
+
+  const villains = villainOptions(position, scenario);
+
+  const crumbs = [
+    { level: 'seat', label: position },
+    { level: 'scenario', label: getScenario(scenario).label },
+  ];
+  if (villain) crumbs.push({ level: 'villain', label: `${villain} open` });
+
+  const options = openLevel === 'seat'
+    ? POSITIONS.map((p) => ({ id: p, label: p, active: p === position, node: resolveNode(p, scenario, villain) }))
+    : openLevel === 'villain'
+    ? villains.map((v) => ({ id: v, label: v, active: v === villain, node: resolveNode(position, scenario, v) }))
+    : availableScenarios(position).map((s) => ({
+        id: s.id,
+        label: s.label,
+        active: s.id === scenario,
+        node: resolveNode(position, s.id, villain),
+      }));
+
+  const select = (option) => {
+    onChange(option.node);
+    // Step down the tree after choosing a seat or a scenario that needs a villain seat
+    if (openLevel === 'seat') setOpenLevel('scenario');
+    else if (openLevel === 'scenario' && getScenario(option.id).hasVillain) setOpenLevel('villain');
+  };
+
+  return (
+    <div className="mb-3 space-y-2">
+      <div className="flex items-center justify-center gap-1 text-sm">
+        {crumbs.map((crumb, idx) => (
+          <React.Fragment key={crumb.level}>
+            {idx > 0 && <span className="text-gray-400">›</span>}
+            <button
+              onClick={() => setOpenLevel(crumb.level)}
+              className={`px-2 py-0.5 rounded ${
+                openLevel === crumb.level ? 'bg-gray-800 text-white' : 'text-gray-700 hover:bg-gray-200'
+              }`}
+            >
+              {crumb.label}
+            </button>
+          </React.Fragment>
+        ))}
+      </div>
+
+      <div className="flex justify-center">
+        <div className="flex flex-wrap justify-center rounded-md bg-gray-200 p-1">
+          {options.map((option) => (
+            <button
+              key={option.id}
+              onClick={() => select(option)}
+              className={`px-3 py-1 text-xs font-semibold rounded ${
+                option.active ? 'bg-white shadow text-gray-800' : 'text-gray-600'
+              }`}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ScenarioNavigator;
@@ -0,0 +1,292 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { CartesianGrid, Line, LineChart, ResponsiveContainer, Tooltip, XAxis, YAxis } from 'recharts';
+import { actionClass } from './actionColors';
+import HandGrid from './HandGrid';
+import { DEFAULT_SOLVER } from './poker/preflopCfr';
+import { describeRake } from './poker/rake';
+import { runPreflopSolver } from './poker/simulationRunner';
+import { createBaseline } from './strategy/baselineLibrary';
+import { POSITIONS } from './strategy/positions';
+import { allNodeKeys, describeNode } from './strategy/scenarios';
+
+/**
+ * SolverMode Component
+ *
+ * Runs the CFR solver for the abstracted preflop game (see poker/preflopCfr.js) in a worker:
+ * seats, stack depth and raise sizes are configurable, rake and antes come from the table
+ * settings. Exploitability is charted as the solve converges; it can be stopped at any time and
+ * the latest average strategy previewed and saved as a new baseline (nodes the solver doesn't
+ * cover are taken from the active baseline).
+ */
+
+const GAME_FIELDS = [
+  { key: 'stack', label: 'Stack (bb)', min: 5, step: 5 },
+  { key: 'smallBlind', label: 'Small blind (bb)', min: 0, step: 0.1 },
+  { key: 'openSize', label: 'Open size (bb)', min: 1, step: 0.25 },
+  { key: 'threeBetSize', label: '3-bet size (bb)', min: 1, step: 0.5 },
+  { key: 'fourBetSize', label: '4-bet size (bb)', min: 1, step: 1 },
+];
+
+const SolverMode = ({ baselineTree, baselineName, equityTable, tableSettings, onSaveBaseline }) => {
+  const [config, setConfig] = useState({
+    positions: DEFAULT_SOLVER.positions,
+    game: DEFAULT_SOLVER.game,
+    realization: DEFAULT_SOLVER.realization,
+    iterations: DEFAULT_SOLVER.iterations,
+  });
+  const [running, setRunning] = useState(false);
+  const [history, setHistory] = useState([]);
+  const [report, setReport] = useState(null);
+  const [error, setError] = useState(null);
+  const [previewNode, setPreviewNode] = useState('BTN:RFI');
+  const [selectedHand, setSelectedHand] = useState(null);
+  const [name, setName] = useState('');
+  const [savedName, setSavedName] = useState(null);
+  const jobRef = useRef(null);
+
+  useEffect(() => () => {
+    if (jobRef.current) jobRef.current.cancel();
+  }, []);
+
+  const handleStart = () => {
+    setError(null);
+    setHistory([]);
+    setReport(null);
+    setSavedName(null);
+    setRunning(true);
+    jobRef.current = runPreflopSolver(
+      {
+        ...config,
+        reportEvery: DEFAULT_SOLVER.reportEvery,
+        ante: tableSettings.ante,
+        rake: tableSettings.rake,
+        equityTable,
+        fallback: baselineTree,
+      },
+      {
+        onProgress: (next) => {
+          setReport(next);
+          setHistory((prev) => [...prev, { iteration: next.iteration, exploitability: next.exploitability * 100 }]);
+        },
+        onDone: () => {
+          jobRef.current = null;
+          setRunning(false);
+        },
+        onError: (e) => {
+          jobRef.current = null;
+          setRunning(false);
+          setError(e.message);
+        },
+      },
+    );
+  };
+
+  // Stop early: the last report's strategy stays available to save
+  const handleStop = () => {
+    if (jobRef.current) jobRef.current.cancel();
+    jobRef.current = null;
+    setRunning(false);
+  };
+
+  const handleSave = () => {
+    const { settings, iteration, exploitability } = report;
+    const description = `CFR solve: ${settings.positions.join('/')} at ${settings.game.stack}bb, `
+      + `${settings.game.openSize}/${settings.game.threeBetSize}/${settings.game.fourBetSize}bb raises, `
+      + `${iteration} iterations, exploitability ${(exploitability * 100).toFixed(2)} bb/100`;
+    onSaveBaseline(createBaseline(name, report.strategy, description));
+    setSavedName(name.trim());
+    setName('');
+  };
+
+  const togglePosition = (seat) => {
+    const positions = config.positions.includes(seat)
+      ? config.positions.filter((p) => p !== seat)
+      : POSITIONS.filter((p) => p === seat || config.positions.includes(p));
+    setConfig({ ...config, positions });
+  };
+
+  const previewChart = report && report.strategy[previewNode];
+  const solvedNodes = report ? allNodeKeys().filter((key) => key in report.strategy) : [];
+  const entry = previewChart && selectedHand ? previewChart[selectedHand] : null;
+
+  return (
+    <div className="grid grid-cols-1 xl:grid-cols-3 gap-6">
+      <div className="bg-gray-50 p-6 rounded-lg space-y-4 text-sm">
+        <h3 className="text-lg font-semibold text-gray-700">Preflop Solver (CFR)</h3>
+        <div>
+          <div className="mb-1">Seats</div>
+          <div className="flex flex-wrap gap-2">
+            {POSITIONS.map((seat) => (
+              <label key={seat} className="flex items-center gap-1">
+                <input
+                  type="checkbox"
+                  checked={config.positions.includes(seat)}
+                  disabled={running || seat === 'BB'}
+                  onChange={() => togglePosition(seat)}
+                />
+                {seat}
+              </label>
+            ))}
+          </div>
+        </div>
+        {GAME_FIELDS.map((field) => (
+          <div key={field.key} className="flex justify-between items-center">
+            <span>{field.label}</span>
+            <input
+              type="number"
+              min={field.min}
+              step={field.step}
+              value={config.game[field.key]}
+              disabled={running}
+              onChange={(e) => setConfig({ ...config, game: { ...config.game, [field.key]: Math.max(field.min, Number(e.target.value) || 0) } })}
+              className="w-20 p-1 border rounded"
+            />
+          </div>
+        ))}
+        <div className="flex justify-between items-center">
+          <span title="Share of its equity the player out of position realizes in called pots">OOP equity realization</span>
+          <input
+            type="number"
+            min={0.5}
+            max={1}
+            step={0.05}
+            value={config.realization}
+            disabled={running}
+            onChange={(e) => setConfig({ ...config, realization: Math.max(0.5, Math.min(1, Number(e.target.value) || 1)) })}
+            className="w-20 p-1 border rounded"
+          />
+        </div>
+        <div className="flex justify-between items-center">
+          <span>Iterations</span>
+          <input
+            type="number"
+            min={20}
+            max={5000}
+            step={20}
+            value={config.iterations}
+            disabled={running}
+            onChange={(e) => setConfig({ ...config, iterations: Math.max(20, Math.min(5000, Number(e.target.value) || 20)) })}
+            className="w-20 p-1 border rounded"
+          />
+        </div>
+        <p className="text-xs text-gray-500">
+          Rake: {describeRake(tableSettings.rake)} · ante {tableSettings.ante} (from the table settings).{' '}
+          {equityTable ? 'Uses the exact preflop equity table.' : 'Uses sampled equities until the exact table is built (Testing tab).'}
+        </p>
+        <div className="flex gap-2">
+          <button
+            onClick={handleStart}
+            disabled={running || config.positions.length < 2}
+            className="px-3 py-2 bg-emerald-600 text-white rounded disabled:bg-gray-400"
+          >
+            {running ? 'Solving...' : 'Solve'}
+          </button>
+          {running && (
+            <button onClick={handleStop} className="px-3 py-2 bg-red-100 text-red-700 rounded">
+              Stop
+            </button>
+          )}
+        </div>
+        {error && <div className="text-xs text-red-600">{error}</div>}
+      </div>
+
+      <div className="bg-gray-50 p-6 rounded-lg space-y-3 text-sm">
+        <h3 className="text-lg font-semibold text-gray-700">Convergence</h3>
+        {!report ? (
+          <p className="text-gray-500">Start a solve to chart exploitability over iterations.</p>
+        ) : (
+          <>
+            <div className="flex justify-between text-xs text-gray-600">
+              <span>Iteration {report.iteration} / {config.iterations}</span>
+              <span>{(report.exploitability * 100).toFixed(2)} bb/100 exploitable</span>
+            </div>
+            <div className="w-full h-2 bg-gray-200 rounded-full overflow-hidden">
+              <div className="h-2 bg-emerald-500 rounded-full" style={{ width: `${(report.iteration / config.iterations) * 100}%` }} />
+            </div>
+            {history.length > 1 && (
+              <div className="h-48">
+                <ResponsiveContainer width="100%" height="100%">
+                  <LineChart data={history}>
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis dataKey="iteration" fontSize={10} />
+                    <YAxis fontSize={10} />
+                    <Tooltip formatter={(value) => `${value.toFixed(2)} bb/100`} />
+                    <Line type="monotone" dataKey="exploitability" stroke="#10b981" dot={false} isAnimationActive={false} />
+                  </LineChart>
+                </ResponsiveContainer>
+              </div>
+            )}
+            <table className="w-full text-xs">
+              <thead>
+                <tr className="text-gray-500">
+                  <th className="text-left font-normal">Seat</th>
+                  <th className="text-right font-normal">EV (bb/100)</th>
+                  <th className="text-right font-normal">Best response gain</th>
+                </tr>
+              </thead>
+              <tbody>
+                {Object.entries(report.seats).map(([seat, s]) => (
+                  <tr key={seat}>
+                    <td>{seat}</td>
+                    <td className="text-right">{(s.ev * 100).toFixed(1)}</td>
+                    <td className="text-right">{(s.gain * 100).toFixed(2)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <p className="text-xs text-gray-500">{report.equitySource} equities</p>
+          </>
+        )}
+      </div>
+
+      <div className="bg-gray-50 p-6 rounded-lg space-y-3 text-sm">
+        <h3 className="text-lg font-semibold text-gray-700">Solved Strategy</h3>
+        {!report ? (
+          <p className="text-gray-500">The latest average strategy shows here while the solve runs.</p>
+        ) : (
+          <>
+            <select value={previewNode} onChange={(e) => setPreviewNode(e.target.value)} className="w-full p-1 border rounded">
+              {solvedNodes.map((key) => <option key={key} value={key}>{describeNode(key)}</option>)}
+            </select>
+            <div className="flex justify-center">
+              <HandGrid
+                cellClassName={(hand) => actionClass(previewChart && previewChart[hand])}
+                selectedHand={selectedHand}
+                onSelect={setSelectedHand}
+              />
+            </div>
+            {entry && (
+              <div className="text-xs text-gray-600">
+                {selectedHand}: fold {entry.fold}% · call {entry.call}% · raise {entry.raise}%
+              </div>
+            )}
+            <div className="pt-2 border-t space-y-2">
+              <div className="text-xs text-gray-500">
+                Save as a baseline (nodes the solver doesn't cover come from {baselineName}).
+              </div>
+              <div className="flex gap-2">
+                <input
+                  type="text"
+                  value={name}
+                  onChange={(e) => setName(e.target.value)}
+                  placeholder="e.g., CFR 100bb"
+                  className="flex-1 p-1 border rounded"
+                />
+                <button
+                  onClick={handleSave}
+                  disabled={!name.trim()}
+                  className="px-3 py-1 bg-blue-600 text-white rounded disabled:bg-gray-400"
+                >
+                  Save Baseline
+                </button>
+              </div>
+              {savedName && <div className="text-xs text-emerald-700">Saved "{savedName}" and made it the active baseline.</div>}
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SolverMode;
@@ -0,0 +1,36 @@
+import React from 'react';
+
+/**
+ * TableSettings Component
+ *
+ * Rake (percentage, cap, no-flop-no-drop) and ante inputs. These apply to every EV calculation in
+ * Testing mode and to the exploitative profile adjustments; the parent keeps them in localStorage.
+ */
+
+const TableSettings = ({ settings, onChange }) => {
+  const { rake, ante } = settings;
+  const setRake = (patch) => onChange({ ...settings, rake: { ...rake, ...patch } });
+
+  return (
+    <div className="space-y-2 text-sm">
+      <div className="flex justify-between items-center">
+        <span>Rake %</span>
+        <input type="number" min={0} max={20} step={0.5} value={rake.percent} onChange={(e) => setRake({ percent: Math.max(0, Math.min(20, Number(e.target.value) || 0)) })} className="w-20 p-1 border rounded"/>
+      </div>
+      <div className="flex justify-between items-center">
+        <span>Rake cap (bb, 0 = none)</span>
+        <input type="number" min={0} step={0.5} value={rake.cap} onChange={(e) => setRake({ cap: Math.max(0, Number(e.target.value) || 0) })} className="w-20 p-1 border rounded"/>
+      </div>
+      <label className="flex justify-between items-center">
+        <span>No flop, no drop</span>
+        <input type="checkbox" checked={rake.noFlopNoDrop} onChange={(e) => setRake({ noFlopNoDrop: e.target.checked })}/>
+      </label>
+      <div className="flex justify-between items-center">
+        <span>Ante (bb)</span>
+        <input type="number" min={0} step={0.05} value={ante} onChange={(e) => onChange({ ...settings, ante: Math.max(0, Number(e.target.value) || 0) })} className="w-20 p-1 border rounded"/>
+      </div>
+    </div>
+  );
+};
+
+export default TableSettings;
@@ -0,0 +1,14 @@
+/**
+ * Chart colors shared by every hand grid that shows a strategy: red for raising, blue for calling
+ * (darker the more often), gray for folding or a missing entry.
+ */
+
+// Cell classes for one { fold, call, raise } entry in percent
+export function actionClass(entry) {
+  if (!entry) return 'bg-gray-300 text-gray-600';
+  if (entry.raise >= 60) return 'bg-red-500 text-white';
+  if (entry.raise >= 30) return 'bg-red-300 text-white';
+  if (entry.call >= 40) return 'bg-blue-500 text-white';
+  if (entry.call >= 20) return 'bg-blue-300 text-white';
+  return 'bg-gray-300 text-gray-600';
+}
@@ -0,0 +1,121 @@
+/**
+ * Shared helpers for hand history parsers.
+ *
+ * Every site parser produces the same normalized hand object that
+ * calculateStatsFromHands consumes:
+ *   { handId, heroCards, actions: [{ player, street, action, amount }], winner, ... }
+ * The player dealt the hole cards is renamed to 'Hero' so the stats code can find them.
+ */
+
+export const HERO = 'Hero';
+
+// Seat order starting at the button, by number of players dealt in
+const POSITION_ORDER = {
+  2: ['BTN', 'BB'],
+  3: ['BTN', 'SB', 'BB'],
+  4: ['BTN', 'SB', 'BB', 'CO'],
+  5: ['BTN', 'SB', 'BB', 'HJ', 'CO'],
+  6: ['BTN', 'SB', 'BB', 'UTG', 'HJ', 'CO'],
+};
+
+// Parse a money/chip string like "$1,250.50", "€0.10" or "1500" into a number
+export function parseAmount(str) {
+  if (str === undefined || str === null) return 0;
+  const cleaned = String(str).replace(/[^0-9.]/g, '');
+  const value = parseFloat(cleaned);
+  return Number.isFinite(value) ? value : 0;
+}
+
+// Parse a bracketed card list like "Ah Kd" into ['Ah', 'Kd'] (normalizes "10h" -> "Th")
+export function parseCards(str) {
+  if (!str) return [];
+  return str
+    .trim()
+    .split(/\s+/)
+    .filter(Boolean)
+    .map((c) => {
+      const card = c.replace(/^10/, 'T');
+      return card[0].toUpperCase() + card[1].toLowerCase();
+    });
+}
+
+// Assign table positions to seated players given the button seat.
+// Full-ring early seats collapse onto UTG since charts only cover 6-max positions.
+export function assignPositions(players, buttonSeat) {
+  const seated = players.filter((p) => !p.sittingOut).sort((a, b) => a.seat - b.seat);
+  if (seated.length < 2) return {};
+
+  let start = seated.findIndex((p) => p.seat >= buttonSeat);
+  if (start === -1) start = 0;
+  const ordered = [...seated.slice(start), ...seated.slice(0, start)];
+
+  const order = POSITION_ORDER[Math.min(ordered.length, 6)];
+  const positions = {};
+  ordered.forEach((p, idx) => {
+    if (ordered.length <= 6) {
+      positions[p.name] = order[idx];
+    } else if (idx < 3) {
+      positions[p.name] = order[idx];
+    } else {
+      // Last two seats are HJ/CO, everything before them is UTG
+      const fromEnd = ordered.length - idx;
+      positions[p.name] = fromEnd === 1 ? 'CO' : fromEnd === 2 ? 'HJ' : 'UTG';
+    }
+  });
+  return positions;
+}
+
+// Split raw text into hand blocks starting at lines matching headerRegex.
+// Returns [{ lines, startLine }] where startLine is the 1-based line number of the header.
+export function splitHands(text, headerRegex) {
+  const lines = text.replace(/\r\n?/g, '\n').split('\n');
+  const blocks = [];
+  let current = null;
+
+  lines.forEach((raw, idx) => {
+    const line = raw.replace(/^\uFEFF/, '').trimEnd();
+    if (headerRegex.test(line)) {
+      current = { lines: [], startLine: idx + 1 };
+      blocks.push(current);
+    }
+    if (current) current.lines.push(line);
+  });
+
+  return blocks;
+}
+
+// True if any of the first few non-empty lines matches the given header regex
+export function containsHeader(text, headerRegex, maxLines = 20) {
+  return text
+    .replace(/\r\n?/g, '\n')
+    .split('\n')
+    .map((line) => line.replace(/^\uFEFF/, '').trim())
+    .filter(Boolean)
+    .slice(0, maxLines)
+    .some((line) => headerRegex.test(line));
+}
+
+// Rename the hero to 'Hero' across every player reference in a parsed hand
+export function renameHero(hand, heroName) {
+  if (!heroName || heroName === HERO) return hand;
+  const rename = (name) => (name === heroName ? HERO : name);
+
+  hand.players.forEach((p) => { p.name = rename(p.name); });
+  hand.actions.forEach((a) => { a.player = rename(a.player); });
+  hand.showdown.forEach((s) => { s.player = rename(s.player); });
+  hand.winners.forEach((w) => { w.player = rename(w.player); });
+  hand.winner = rename(hand.winner);
+  hand.positions = Object.fromEntries(
+    Object.entries(hand.positions).map(([name, pos]) => [rename(name), pos])
+  );
+  return hand;
+}
+
+// Error raised while parsing a single hand; carries the offending line number
+export class HandParseError extends Error {
+  constructor(message, line) {
+    super(message);
+    this.name = 'HandParseError';
+    this.line = line;
+  }
+}
@@ -0,0 +1,48 @@
+import { containsHeader, parseAmount } from './common';
+import { parseTextHistory } from './textHistory';
+
+/**
+ * GGPoker-style text hand history adapter
+ *
+ * Same layout as PokerStars but with "Poker Hand #HD..." headers, hashed player IDs for
+ * everyone except Hero, card-less "Dealt to" lines for opponents and EV cashout chatter.
+ */
+
+export const GG_HEADER = /^Poker Hand #[A-Z]{0,4}\d+:/;
+
+const dialect = {
+  site: 'ggpoker',
+  label: 'GGPoker',
+  header: GG_HEADER,
+  handId: (header) => {
+    const match = header && header.match(/#([A-Z]{0,4}\d+):/);
+    return match ? match[1] : null;
+  },
+  stakes: (header) => {
+    const match = header.match(/\(([^()/]*?[\d.,]+)\/([^()/]*?[\d.,]+)(?: [A-Z]{3})?\)/);
+    return match ? { sb: parseAmount(match[1]), bb: parseAmount(match[2]), ante: 0 } : null;
+  },
+  tableLine: /^Table '.*' (\d+)-max .*Seat #(\d+) is the button/,
+  seatLine: /^Seat (\d+): (.+?) \(([^ )]+) in chips[^)]*\)(.*)$/,
+  separator: ': ',
+  ignoredLines: [
+    /^Dealt to \S+$/,
+    /: (?:Chooses to EV Cashout|Pays Cashout Risk .*|Receives Cashout .*)$/,
+  ],
+};
+
+export function parseGGPoker(text) {
+  const result = parseTextHistory(text, dialect);
+  // Opponent names are per-site hashes; flag them so player tracking can treat them as such
+  result.hands.forEach((hand) => { hand.anonymized = true; });
+  return result;
+}
+
+const ggPokerAdapter = {
+  id: 'ggpoker',
+  label: 'GGPoker (.txt)',
+  detect: (text) => containsHeader(text, GG_HEADER),
+  parse: parseGGPoker,
+};
+
+export default ggPokerAdapter;
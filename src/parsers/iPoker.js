@@ -0,0 +1,207 @@
+import { HandParseError, assignPositions, parseAmount, renameHero } from './common';
+
+/**
+ * iPoker XML hand history adapter
+ *
+ * iPoker network sites export a <session> document with one <game> element per hand:
+ * - <players> carries seats, stacks, the dealer flag and amounts won
+ * - <round no="0..4"> holds blinds, preflop, flop, turn and river
+ * - <action type="..."> codes are numeric (see ACTION_TYPES), cards are suit-first ("HA", "S10")
+ */
+
+const ACTION_TYPES = {
+  0: 'fold',
+  1: 'post', // small blind
+  2: 'post', // big blind
+  3: 'call',
+  4: 'check',
+  5: 'bet',
+  7: 'allin',
+  15: 'post', // ante
+  23: 'raise',
+};
+
+const BLIND_TYPES = { 1: 'sb', 2: 'bb', 15: 'ante' };
+const ROUND_STREETS = { 0: 'preflop', 1: 'preflop', 2: 'flop', 3: 'turn', 4: 'river' };
+
+export function parseIPoker(text) {
+  const hands = [];
+  const errors = [];
+
+  const nicknameMatch = text.match(/<nickname>([^<]*)<\/nickname>/);
+  const heroName = nicknameMatch ? nicknameMatch[1].trim() : null;
+
+  const gameRegex = /<game\b[\s\S]*?<\/game>/g;
+  let match;
+  while ((match = gameRegex.exec(text)) !== null) {
+    const startLine = text.slice(0, match.index).split('\n').length;
+    const codeMatch = match[0].match(/gamecode="([^"]*)"/);
+    try {
+      hands.push(parseGame(match[0], heroName, startLine));
+    } catch (error) {
+      errors.push({
+        handId: codeMatch ? codeMatch[1] : null,
+        line: error.line || startLine,
+        message: error.message,
+      });
+    }
+  }
+
+  if (hands.length === 0 && errors.length === 0) {
+    errors.push({ handId: null, line: 1, message: 'No iPoker <game> elements found' });
+  }
+
+  return { hands, errors };
+}
+
+function parseGame(xml, heroName, startLine) {
+  const doc = new DOMParser().parseFromString(xml, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length > 0) {
+    throw new HandParseError('Malformed XML in <game> element', startLine);
+  }
+  const game = doc.documentElement;
+
+  const hand = {
+    handId: game.getAttribute('gamecode'),
+    site: 'ipoker',
+    tournament: false,
+    timestamp: textOf(game, 'startdate'),
+    stakes: { sb: 0, bb: 0, ante: 0 },
+    tableSize: null,
+    buttonSeat: null,
+    players: [],
+    positions: {},
+    heroName: null,
+    heroCards: null,
+    heroPosition: null,
+    board: [],
+    actions: [],
+    showdown: [],
+    winners: [],
+    winner: null,
+    totalPot: null,
+    rake: null,
+  };
+
+  Array.from(game.getElementsByTagName('player')).forEach((el) => {
+    const player = {
+      seat: Number(el.getAttribute('seat')),
+      name: el.getAttribute('name'),
+      stack: parseAmount(el.getAttribute('chips')),
+      sittingOut: false,
+    };
+    hand.players.push(player);
+    if (el.getAttribute('dealer') === '1') hand.buttonSeat = player.seat;
+    const won = parseAmount(el.getAttribute('win'));
+    if (won > 0) hand.winners.push({ player: player.name, amount: won });
+  });
+
+  if (hand.players.length === 0) {
+    throw new HandParseError('Hand has no players', startLine);
+  }
+  if (hand.buttonSeat === null) {
+    throw new HandParseError('No player is marked as dealer', startLine);
+  }
+
+  const rounds = Array.from(game.getElementsByTagName('round'))
+    .sort((a, b) => Number(a.getAttribute('no')) - Number(b.getAttribute('no')));
+
+  // Blinds (round 0) and preflop (round 1) share one street's commitments
+  const investedByStreet = {};
+
+  rounds.forEach((round) => {
+    const street = ROUND_STREETS[round.getAttribute('no')];
+    if (!street) return;
+    investedByStreet[street] = investedByStreet[street] || {};
+    const streetInvested = investedByStreet[street];
+
+    Array.from(round.getElementsByTagName('cards')).forEach((el) => {
+      const type = el.getAttribute('type');
+      const cards = parseIPokerCards(el.textContent);
+      if (type === 'Pocket') {
+        if (cards.length === 2 && el.getAttribute('player') === heroName) {
+          hand.heroName = heroName;
+          hand.heroCards = cards;
+        } else if (cards.length === 2 && el.getAttribute('player') !== heroName) {
+          hand.showdown.push({ player: el.getAttribute('player'), cards });
+        }
+      } else if (['Flop', 'Turn', 'River'].includes(type)) {
+        hand.board.push(...cards);
+      }
+    });
+
+    Array.from(round.getElementsByTagName('action')).forEach((el) => {
+      const typeCode = Number(el.getAttribute('type'));
+      const player = el.getAttribute('player');
+      const sum = parseAmount(el.getAttribute('sum'));
+      let action = ACTION_TYPES[typeCode];
+      if (!action) {
+        throw new HandParseError(`Unknown iPoker action type ${typeCode} for ${player}`, startLine);
+      }
+
+      if (action === 'post') {
+        const blind = BLIND_TYPES[typeCode];
+        if (blind !== 'ante') streetInvested[player] = (streetInvested[player] || 0) + sum;
+        if (blind === 'sb') hand.stakes.sb = sum;
+        if (blind === 'bb') hand.stakes.bb = sum;
+        if (blind === 'ante') hand.stakes.ante = Math.max(hand.stakes.ante, sum);
+        hand.actions.push({ player, street: 'preflop', action, blind, amount: sum });
+        return;
+      }
+
+      streetInvested[player] = (streetInvested[player] || 0) + sum;
+
+      // All-in is its own code; classify it against the current street's highest commitment
+      let allIn = false;
+      if (action === 'allin') {
+        allIn = true;
+        const highest = Math.max(0, ...Object.entries(streetInvested)
+          .filter(([name]) => name !== player)
+          .map(([, amount]) => amount));
+        action = highest === 0 ? 'bet' : streetInvested[player] > highest ? 'raise' : 'call';
+      }
+
+      const entry = { player, street, action, amount: sum };
+      if (action === 'raise') {
+        entry.amount = streetInvested[player];
+        entry.raiseBy = sum;
+      }
+      if (action !== 'fold' && action !== 'check') entry.allIn = allIn;
+      hand.actions.push(entry);
+    });
+  });
+
+  hand.positions = assignPositions(hand.players, hand.buttonSeat);
+  hand.players.forEach((p) => { p.position = hand.positions[p.name] || null; });
+  hand.winner = hand.winners.length > 0 ? hand.winners[0].player : null;
+  hand.heroPosition = hand.heroName ? hand.positions[hand.heroName] || null : null;
+
+  return renameHero(hand, hand.heroName);
+}
+
+// "HA SK D10" -> ['Ah', 'Ks', 'Td']; hidden cards ("X") are dropped
+function parseIPokerCards(str) {
+  return (str || '')
+    .trim()
+    .split(/\s+/)
+    .filter((c) => c && c !== 'X' && c.length >= 2)
+    .map((c) => {
+      const suit = c[0].toLowerCase();
+      const rank = c.slice(1) === '10' ? 'T' : c.slice(1).toUpperCase();
+      return rank + suit;
+    });
+}
+
+function textOf(root, tag) {
+  const el = root.getElementsByTagName(tag)[0];
+  return el ? el.textContent.trim() : null;
+}
+
+const iPokerAdapter = {
+  id: 'ipoker',
+  label: 'iPoker (.xml)',
+  detect: (text) => /<session\b[\s\S]*<game\b/.test(text.slice(0, 5000)) || /^\s*(?:<\?xml[^>]*>\s*)?<game\b/.test(text),
+  parse: parseIPoker,
+};
+
+export default iPokerAdapter;
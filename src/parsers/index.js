@@ -0,0 +1,56 @@
+import ggPokerAdapter from './ggPoker';
+import iPokerAdapter from './iPoker';
+import jsonAdapter from './json';
+import pokerStarsAdapter from './pokerStars';
+import winamaxAdapter from './winamax';
+
+/**
+ * Hand history parser registry
+ *
+ * Each adapter is { id, label, detect(text), parse(text) -> { hands, errors } } and produces the
+ * same normalized hand objects. To support a new site, write an adapter and add it here;
+ * ImportHandsModal builds its format list from this array.
+ *
+ * Detection runs in order, so more specific formats go before looser ones (JSON only checks
+ * for a leading bracket).
+ */
+
+export const HAND_HISTORY_ADAPTERS = [
+  pokerStarsAdapter,
+  ggPokerAdapter,
+  winamaxAdapter,
+  iPokerAdapter,
+  jsonAdapter,
+];
+
+export function getAdapter(formatId) {
+  return HAND_HISTORY_ADAPTERS.find((a) => a.id === formatId) || null;
+}
+
+export function detectFormat(text) {
+  if (!text || !text.trim()) return null;
+  return HAND_HISTORY_ADAPTERS.find((a) => a.detect(text)) || null;
+}
+
+// Parse with the chosen adapter, or auto-detect when formatId is 'auto'.
+// Returns { format, hands, errors }; unknown input yields a diagnostic error instead of throwing.
+export function parseHandHistories(text, formatId = 'auto') {
+  const adapter = formatId === 'auto' ? detectFormat(text) : getAdapter(formatId);
+
+  if (!adapter) {
+    const firstLine = (text || '').trim().split('\n')[0] || '';
+    return {
+      format: null,
+      hands: [],
+      errors: [{
+        handId: null,
+        line: 1,
+        message: `Unrecognized hand history format (expected ${HAND_HISTORY_ADAPTERS.map((a) => a.label).join(', ')}). `
+          + `First line: "${firstLine.slice(0, 80)}"`,
+      }],
+    };
+  }
+
+  const { hands, errors } = adapter.parse(text);
+  return { format: adapter.id, hands, errors };
+}
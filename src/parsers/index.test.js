@@ -0,0 +1,131 @@
+import { detectFormat, parseHandHistories } from './index';
+
+const GG_HAND = `Poker Hand #HD1234567: Hold'em No Limit ($0.02/$0.05) - 2023/01/01 12:00:00
+Table 'NLHGold1' 6-max Seat #1 is the button
+Seat 1: 4a7b9c2e ($5.00 in chips)
+Seat 2: Hero ($5.00 in chips)
+Seat 3: 91fe00d1 ($4.10 in chips)
+Hero: posts small blind $0.02
+91fe00d1: posts big blind $0.05
+*** HOLE CARDS ***
+Dealt to 4a7b9c2e
+Dealt to Hero [Qs Qd]
+Dealt to 91fe00d1
+4a7b9c2e: raises $0.10 to $0.15
+Hero: raises $0.43 to $0.60
+91fe00d1: folds
+4a7b9c2e: folds
+Uncalled bet ($0.45) returned to Hero
+*** SHOWDOWN ***
+Hero collected $0.35 from pot
+*** SUMMARY ***
+Total pot $0.35 | Rake $0 | Jackpot $0 | Bingo $0 | Fortune $0 | Tax $0`;
+
+const WINAMAX_HAND = `Winamax Poker - CashGame - HandId: #18567890-123-1600000000 - Holdem no limit (0.05€/0.10€) - 2020/09/13 12:00:00 UTC
+Table: 'Nice 05' 6-max (real money) Seat #2 is the button
+Seat 1: Le Chat (10€)
+Seat 2: MyNick (12.50€)
+Seat 3: zorro (9€)
+*** ANTE/BLINDS ***
+zorro posts small blind 0.05€
+Le Chat posts big blind 0.10€
+Dealt to MyNick [9h 9c]
+*** PRE-FLOP ***
+MyNick raises 0.15€ to 0.25€
+zorro folds
+Le Chat calls 0.15€
+*** FLOP *** [2c 7d Th]
+Le Chat checks
+MyNick bets 0.30€
+Le Chat folds
+MyNick collected 0.55€ from pot
+*** SUMMARY ***
+Total pot 0.55€ | Rake 0€
+Board: [2c 7d Th]`;
+
+const IPOKER_SESSION = `<?xml version="1.0" encoding="utf-8"?>
+<session sessioncode="555">
+  <general>
+    <nickname>MyNick</nickname>
+    <gametype>Holdem NL €0.05/€0.10</gametype>
+  </general>
+  <game gamecode="8000001">
+    <general>
+      <startdate>2020-01-01 12:00:00</startdate>
+      <players>
+        <player seat="1" name="MyNick" chips="€10" dealer="1" win="€0.25" bet="€0.30" />
+        <player seat="2" name="sb_guy" chips="€10" dealer="0" win="€0" bet="€0.05" />
+        <player seat="3" name="bb_guy" chips="€10" dealer="0" win="€0" bet="€0.10" />
+      </players>
+    </general>
+    <round no="0">
+      <action no="1" player="sb_guy" type="1" sum="€0.05" />
+      <action no="2" player="bb_guy" type="2" sum="€0.10" />
+    </round>
+    <round no="1">
+      <cards type="Pocket" player="MyNick">HA D10</cards>
+      <cards type="Pocket" player="sb_guy">X X</cards>
+      <action no="3" player="MyNick" type="23" sum="€0.30" />
+      <action no="4" player="sb_guy" type="0" sum="€0" />
+      <action no="5" player="bb_guy" type="0" sum="€0" />
+    </round>
+  </game>
+  <game gamecode="8000002">
+    <general>
+      <players>
+        <player seat="1" name="MyNick" chips="€10" dealer="0" win="€0" />
+      </players>
+    </general>
+  </game>
+</session>`;
+
+test('detects each supported site format', () => {
+  expect(detectFormat(GG_HAND).id).toBe('ggpoker');
+  expect(detectFormat(WINAMAX_HAND).id).toBe('winamax');
+  expect(detectFormat(IPOKER_SESSION).id).toBe('ipoker');
+  expect(detectFormat('[{"handId": "1", "actions": []}]').id).toBe('json');
+  expect(detectFormat('Full Tilt Poker Game #1')).toBeNull();
+});
+
+test('normalizes GG hands with hashed opponents', () => {
+  const { format, hands, errors } = parseHandHistories(GG_HAND);
+  expect(format).toBe('ggpoker');
+  expect(errors).toEqual([]);
+  expect(hands[0].anonymized).toBe(true);
+  expect(hands[0].heroCards).toEqual(['Qs', 'Qd']);
+  expect(hands[0].heroPosition).toBe('SB');
+  expect(hands[0].actions.find((a) => a.action === 'raise').player).toBe('4a7b9c2e');
+});
+
+test('normalizes Winamax hands without player/action colons', () => {
+  const { hands, errors } = parseHandHistories(WINAMAX_HAND);
+  expect(errors).toEqual([]);
+  expect(hands[0].handId).toBe('18567890-123-1600000000');
+  expect(hands[0].stakes).toEqual({ sb: 0.05, bb: 0.1, ante: 0 });
+  expect(hands[0].heroPosition).toBe('BTN');
+  expect(hands[0].actions.filter((a) => a.player === 'Le Chat').map((a) => a.action))
+    .toEqual(['post', 'call', 'check', 'fold']);
+  expect(hands[0].winner).toBe('Hero');
+});
+
+test('normalizes iPoker XML and reports broken games with their line', () => {
+  const { format, hands, errors } = parseHandHistories(IPOKER_SESSION);
+  expect(format).toBe('ipoker');
+  expect(hands).toHaveLength(1);
+  expect(hands[0].heroCards).toEqual(['Ah', 'Td']);
+  expect(hands[0].stakes.bb).toBe(0.1);
+  expect(hands[0].actions.find((a) => a.action === 'raise')).toMatchObject({ player: 'Hero', amount: 0.3 });
+  expect(hands[0].winner).toBe('Hero');
+
+  expect(errors).toHaveLength(1);
+  expect(errors[0]).toMatchObject({ handId: '8000002', message: 'No player is marked as dealer' });
+  expect(errors[0].line).toBe(IPOKER_SESSION.split('\n').findIndex((l) => l.includes('8000002')) + 1);
+});
+
+test('returns a diagnostic for unrecognized input', () => {
+  const { format, hands, errors } = parseHandHistories('Full Tilt Poker Game #1: blah');
+  expect(format).toBeNull();
+  expect(hands).toEqual([]);
+  expect(errors[0].message).toMatch(/Unrecognized hand history format/);
+  expect(errors[0].message).toMatch(/Full Tilt Poker Game #1/);
+});
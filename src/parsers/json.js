@@ -0,0 +1,51 @@
+/**
+ * JSON hand history adapter
+ *
+ * Accepts the app's own export format: an array of
+ *   { handId, heroCards, actions: [{ player, street, action, amount }], winner }
+ * Entries without an actions array are reported individually instead of failing the import.
+ */
+
+export function parseJsonHands(text) {
+  const hands = [];
+  const errors = [];
+
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    errors.push({ handId: null, line: jsonErrorLine(text, error), message: `Invalid JSON: ${error.message}` });
+    return { hands, errors };
+  }
+
+  const entries = Array.isArray(data) ? data : [data];
+  entries.forEach((hand, idx) => {
+    if (!hand || typeof hand !== 'object' || !Array.isArray(hand.actions)) {
+      errors.push({
+        handId: hand && hand.handId ? String(hand.handId) : null,
+        line: null,
+        message: `Entry ${idx + 1} has no "actions" array`,
+      });
+      return;
+    }
+    hands.push(hand);
+  });
+
+  return { hands, errors };
+}
+
+// Map a JSON.parse "position N" message onto a line number where the engine reports one
+function jsonErrorLine(text, error) {
+  const match = /position (\d+)/.exec(error.message);
+  if (!match) return 1;
+  return text.slice(0, Number(match[1])).split('\n').length;
+}
+
+const jsonAdapter = {
+  id: 'json',
+  label: 'JSON',
+  detect: (text) => /^\s*[[{]/.test(text),
+  parse: parseJsonHands,
+};
+
+export default jsonAdapter;
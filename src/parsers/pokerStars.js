@@ -0,0 +1,44 @@
+import { containsHeader, parseAmount } from './common';
+import { parseTextHistory } from './textHistory';
+
+/**
+ * PokerStars text hand history adapter
+ *
+ * Handles:
+ * - Cash and tournament Hold'em headers (Zoom included)
+ * - Seats, button, blinds/antes and straddles
+ * - Preflop/flop/turn/river actions, all-ins and uncalled bets
+ * - Showdowns, collected pots and the summary section (pot, rake, board)
+ */
+
+export const POKERSTARS_HEADER = /^PokerStars (?:Zoom |Home Game |Rush )?(?:Hand|Game) #\d+:/;
+
+const dialect = {
+  site: 'pokerstars',
+  label: 'PokerStars',
+  header: POKERSTARS_HEADER,
+  handId: (header) => {
+    const match = header && header.match(/#(\d+):/);
+    return match ? match[1] : null;
+  },
+  stakes: (header) => {
+    const match = header.match(/\(([^()/]*?[\d.,]+)\/([^()/]*?[\d.,]+)(?: [A-Z]{3})?\)/);
+    return match ? { sb: parseAmount(match[1]), bb: parseAmount(match[2]), ante: 0 } : null;
+  },
+  tableLine: /^Table '.*' (\d+)-max .*Seat #(\d+) is the button/,
+  seatLine: /^Seat (\d+): (.+?) \(([^ )]+) in chips[^)]*\)(.*)$/,
+  separator: ': ',
+};
+
+export function parsePokerStars(text) {
+  return parseTextHistory(text, dialect);
+}
+
+const pokerStarsAdapter = {
+  id: 'pokerstars',
+  label: 'PokerStars (.txt)',
+  detect: (text) => containsHeader(text, POKERSTARS_HEADER),
+  parse: parsePokerStars,
+};
+
+export default pokerStarsAdapter;
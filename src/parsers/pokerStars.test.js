@@ -0,0 +1,114 @@
+import { parsePokerStars } from './pokerStars';
+
+const HAND_1 = `PokerStars Hand #233456789012:  Hold'em No Limit ($0.05/$0.10 USD) - 2021/12/01 20:00:00 ET
+Table 'Aludra' 6-max Seat #3 is the button
+Seat 1: villain one ($10.00 in chips)
+Seat 2: bigguy ($10.45 in chips)
+Seat 3: MyNick ($10 in chips)
+Seat 5: sleeper ($8 in chips) is sitting out
+villain one: posts small blind $0.05
+bigguy: posts big blind $0.10
+*** HOLE CARDS ***
+Dealt to MyNick [Ah Kd]
+MyNick: raises $0.20 to $0.30
+villain one: calls $0.25
+bigguy: folds
+*** FLOP *** [2c 7d Th]
+villain one: checks
+MyNick: bets $0.40
+villain one: calls $0.40
+*** TURN *** [2c 7d Th] [Js]
+villain one: checks
+MyNick: checks
+*** RIVER *** [2c 7d Th Js] [3s]
+villain one: bets $1
+MyNick: calls $1
+*** SHOW DOWN ***
+villain one: shows [Qs Kc] (a straight, Ten to Ace)
+MyNick: shows [Ah Kd] (a straight, Ten to Ace)
+villain one collected $1.72 from pot
+MyNick collected $1.73 from pot
+*** SUMMARY ***
+Total pot $3.55 | Rake $0.10
+Board [2c 7d Th Js 3s]
+Seat 1: villain one (small blind) showed [Qs Kc] and won ($1.72)
+Seat 2: bigguy (big blind) folded before Flop
+Seat 3: MyNick (button) showed [Ah Kd] and won ($1.73)`;
+
+const HAND_2 = `PokerStars Hand #233456789013:  Hold'em No Limit ($0.05/$0.10 USD) - 2021/12/01 20:01:00 ET
+Table 'Aludra' 6-max Seat #1 is the button
+Seat 1: villain one ($11.72 in chips)
+Seat 2: bigguy ($10.35 in chips)
+Seat 3: MyNick ($10.13 in chips)
+bigguy: posts small blind $0.05
+MyNick: posts big blind $0.10
+*** HOLE CARDS ***
+Dealt to MyNick [7c 2d]
+villain one: raises $0.15 to $0.25
+villain one said, "gl"
+bigguy: folds
+MyNick: folds
+Uncalled bet ($0.15) returned to villain one
+villain one collected $0.25 from pot
+villain one: doesn't show hand
+*** SUMMARY ***
+Total pot $0.25 | Rake $0
+Seat 1: villain one (button) collected ($0.25)`;
+
+const BROKEN_HAND = `PokerStars Hand #233456789014:  Hold'em No Limit ($0.05/$0.10 USD) - 2021/12/01 20:02:00 ET
+Table 'Aludra' 6-max Seat #2 is the button
+Seat 1: villain one ($11.72 in chips)
+Seat 2: bigguy ($10.35 in chips)
+villain one: posts small blind $0.05
+bigguy: posts big blind $0.10
+*** HOLE CARDS ***
+stranger: raises $1 to $2`;
+
+test('parses seats, streets, showdown and summary into normalized hands', () => {
+  const { hands, errors } = parsePokerStars(HAND_1);
+  expect(errors).toEqual([]);
+  expect(hands).toHaveLength(1);
+
+  const hand = hands[0];
+  expect(hand.handId).toBe('233456789012');
+  expect(hand.stakes).toEqual({ sb: 0.05, bb: 0.1, ante: 0 });
+  expect(hand.heroName).toBe('MyNick');
+  expect(hand.heroCards).toEqual(['Ah', 'Kd']);
+  expect(hand.heroPosition).toBe('BTN');
+  expect(hand.positions).toEqual({ 'villain one': 'SB', bigguy: 'BB', Hero: 'BTN' });
+  expect(hand.board).toEqual(['2c', '7d', 'Th', 'Js', '3s']);
+  expect(hand.totalPot).toBe(3.55);
+  expect(hand.rake).toBe(0.1);
+
+  const preflop = hand.actions.filter((a) => a.street === 'preflop' && a.action !== 'post');
+  expect(preflop).toEqual([
+    { player: 'Hero', street: 'preflop', action: 'raise', amount: 0.3, raiseBy: 0.2, allIn: false },
+    { player: 'villain one', street: 'preflop', action: 'call', amount: 0.25, allIn: false },
+    { player: 'bigguy', street: 'preflop', action: 'fold', amount: 0 },
+  ]);
+  expect(hand.showdown).toEqual([
+    { player: 'villain one', cards: ['Qs', 'Kc'] },
+    { player: 'Hero', cards: ['Ah', 'Kd'] },
+  ]);
+  expect(hand.winners.map((w) => w.player)).toEqual(['villain one', 'Hero']);
+});
+
+test('keeps parsed hands and reports failures with line numbers', () => {
+  const text = [HAND_1, HAND_2, BROKEN_HAND].join('\n\n\n');
+  const { hands, errors } = parsePokerStars(text);
+
+  expect(hands.map((h) => h.handId)).toEqual(['233456789012', '233456789013']);
+  expect(hands[1].winner).toBe('villain one');
+  expect(hands[1].heroPosition).toBe('BB');
+
+  expect(errors).toHaveLength(1);
+  expect(errors[0].handId).toBe('233456789014');
+  const brokenLine = text.split('\n').findIndex((l) => l.startsWith('stranger:')) + 1;
+  expect(errors[0].line).toBe(brokenLine);
+});
+
+test('reports text without any PokerStars headers', () => {
+  const { hands, errors } = parsePokerStars('not a hand history');
+  expect(hands).toEqual([]);
+  expect(errors[0].message).toMatch(/No PokerStars hand headers/);
+});
@@ -0,0 +1,282 @@
+import {
+  HandParseError,
+  assignPositions,
+  parseAmount,
+  parseCards,
+  renameHero,
+  splitHands,
+} from './common';
+
+/**
+ * Shared parser for "Stars-style" text hand histories
+ *
+ * PokerStars, GGPoker and Winamax all export the same overall layout (header, table line,
+ * seats, *** STREET *** markers, summary) with small differences in wording. Each site
+ * module describes those differences as a dialect:
+ *
+ * - header: regex matching the first line of every hand
+ * - handId(header), stakes(header): read the hand number and blinds from the header
+ * - tableLine / seatLine: regexes for the button and seat lines
+ * - separator: text between a player name and their action (": " or " ")
+ * - streetMarkers / ignoredLines: site specific section headers and chatter
+ *
+ * parseTextHistory(text, dialect) returns { hands, errors } where a failed hand is reported
+ * as { handId, line, message } and dropped so the rest of the file still imports.
+ */
+
+export const DEFAULT_STREET_MARKERS = [
+  { regex: /^\*\*\* HOLE CARDS \*\*\*/, street: 'preflop' },
+  { regex: /^\*\*\* (?:FIRST |SECOND )?FLOP \*\*\* \[([^\]]+)\]/, street: 'flop' },
+  { regex: /^\*\*\* (?:FIRST |SECOND )?TURN \*\*\* \[[^\]]+\]\s*\[([^\]]+)\]/, street: 'turn' },
+  { regex: /^\*\*\* (?:FIRST |SECOND )?RIVER \*\*\* \[[^\]]+\]\s*\[([^\]]+)\]/, street: 'river' },
+  { regex: /^\*\*\* (?:FIRST |SECOND )?SHOW ?DOWN \*\*\*/, street: 'showdown' },
+  { regex: /^\*\*\* SUMMARY \*\*\*/, street: 'summary' },
+];
+
+// Table chatter and seat housekeeping that carries no hand information
+export const DEFAULT_IGNORED_LINES = [
+  / said, "/,
+  /:? (?:is sitting out|sits out|is disconnected|is connected|has timed out.*|has returned|mucks hand|doesn't show hand)$/,
+  / (?:leaves the table|was removed from the table.*)$/,
+  / joins the table at seat #\d+$/,
+  / will be allowed to play after the button$/,
+];
+
+export function parseTextHistory(text, dialect) {
+  const hands = [];
+  const errors = [];
+
+  const blocks = splitHands(text, dialect.header);
+  if (blocks.length === 0) {
+    errors.push({ handId: null, line: 1, message: `No ${dialect.label} hand headers found` });
+    return { hands, errors };
+  }
+
+  blocks.forEach((block) => {
+    try {
+      hands.push(parseHand(block.lines, block.startLine, dialect));
+    } catch (error) {
+      errors.push({
+        handId: dialect.handId(block.lines[0]),
+        line: error.line || block.startLine,
+        message: error.message,
+      });
+    }
+  });
+
+  return { hands, errors };
+}
+
+function parseHand(lines, startLine, dialect) {
+  const lineNo = (idx) => startLine + idx;
+  const header = lines[0];
+  const streetMarkers = dialect.streetMarkers || DEFAULT_STREET_MARKERS;
+  const ignoredLines = [...DEFAULT_IGNORED_LINES, ...(dialect.ignoredLines || [])];
+
+  if (!/Hold'?em/i.test(header)) {
+    throw new HandParseError('Unsupported game (only Hold\'em is supported)', startLine);
+  }
+
+  const stakes = dialect.stakes(header);
+  if (!stakes) {
+    throw new HandParseError('Could not read blinds from hand header', startLine);
+  }
+  const dateMatch = header.match(/(\d{4}\/\d{2}\/\d{2} \d{1,2}:\d{2}:\d{2})/);
+
+  const hand = {
+    handId: dialect.handId(header),
+    site: dialect.site,
+    tournament: /Tournament|Tourney/i.test(header),
+    timestamp: dateMatch ? dateMatch[1] : null,
+    stakes,
+    tableSize: null,
+    buttonSeat: null,
+    players: [],
+    positions: {},
+    heroName: null,
+    heroCards: null,
+    heroPosition: null,
+    board: [],
+    actions: [],
+    showdown: [],
+    winners: [],
+    winner: null,
+    totalPot: null,
+    rake: null,
+  };
+
+  let street = null; // null until the first street marker
+
+  for (let idx = 1; idx < lines.length; idx++) {
+    const line = lines[idx].trim();
+    if (!line) continue;
+
+    // Table line
+    const tableMatch = line.match(dialect.tableLine);
+    if (tableMatch) {
+      hand.tableSize = Number(tableMatch[1]);
+      hand.buttonSeat = Number(tableMatch[2]);
+      continue;
+    }
+
+    // Street markers
+    const marker = streetMarkers.find((m) => m.regex.test(line));
+    if (marker) {
+      street = marker.street;
+      const cardsMatch = line.match(marker.regex);
+      if (cardsMatch && cardsMatch[1] && ['flop', 'turn', 'river'].includes(street)) {
+        const cards = parseCards(cardsMatch[1]);
+        if (street === 'flop') hand.board = cards;
+        else hand.board = [...hand.board.slice(0, street === 'turn' ? 3 : 4), ...cards];
+      }
+      continue;
+    }
+
+    if (street === 'summary') {
+      parseSummaryLine(line, hand);
+      continue;
+    }
+
+    // Seat lines (before any action)
+    const seatMatch = line.match(dialect.seatLine);
+    if (seatMatch && hand.actions.length === 0 && street === null) {
+      hand.players.push({
+        seat: Number(seatMatch[1]),
+        name: seatMatch[2],
+        stack: parseAmount(seatMatch[3]),
+        sittingOut: /sitting out|out of hand/.test(seatMatch[4] || ''),
+      });
+      continue;
+    }
+
+    const dealtMatch = line.match(/^Dealt to (.+?) \[([^\]]+)\](?: \[[^\]]+\])?$/);
+    if (dealtMatch) {
+      const cards = parseCards(dealtMatch[2]);
+      if (cards.length === 2) {
+        hand.heroName = dealtMatch[1];
+        hand.heroCards = cards;
+      }
+      continue;
+    }
+
+    const uncalledMatch = line.match(/^Uncalled bet \(([^)]+)\) returned to (.+)$/);
+    if (uncalledMatch) {
+      hand.actions.push({
+        player: uncalledMatch[2],
+        street: street || 'preflop',
+        action: 'return',
+        amount: parseAmount(uncalledMatch[1]),
+      });
+      continue;
+    }
+
+    const collectedMatch = line.match(/^(.+?) collected (\S+) from (?:side |main )?pot(?:-\d+)?$/);
+    if (collectedMatch) {
+      addWinner(hand, collectedMatch[1], parseAmount(collectedMatch[2]));
+      continue;
+    }
+
+    if (ignoredLines.some((r) => r.test(line))) continue;
+
+    const player = matchPlayer(line, hand.players, dialect.separator);
+    if (!player) {
+      throw new HandParseError(`Unrecognized line: "${line}"`, lineNo(idx));
+    }
+
+    const rest = line.slice(player.length + dialect.separator.length);
+    const action = parseAction(rest, player, street || 'preflop', hand);
+    if (!action) {
+      throw new HandParseError(`Unrecognized action for ${player}: "${rest}"`, lineNo(idx));
+    }
+    if (action.action === 'show') {
+      hand.showdown.push({ player, cards: action.cards });
+      continue;
+    }
+    hand.actions.push(action);
+  }
+
+  if (hand.players.length === 0) {
+    throw new HandParseError('Hand has no seated players', startLine);
+  }
+  if (hand.buttonSeat === null) {
+    throw new HandParseError('Missing table/button line', startLine + 1);
+  }
+
+  hand.positions = assignPositions(hand.players, hand.buttonSeat);
+  hand.players.forEach((p) => { p.position = hand.positions[p.name] || null; });
+  hand.winner = hand.winners.length > 0 ? hand.winners[0].player : null;
+  hand.heroPosition = hand.heroName ? hand.positions[hand.heroName] || null : null;
+
+  return renameHero(hand, hand.heroName);
+}
+
+// Find which seated player an action line belongs to (longest name wins, names may contain spaces)
+function matchPlayer(line, players, separator) {
+  const candidates = players
+    .map((p) => p.name)
+    .filter((name) => line.startsWith(name + separator))
+    .sort((a, b) => b.length - a.length);
+  return candidates[0] || null;
+}
+
+function parseAction(rest, player, street, hand) {
+  const allIn = /and is all-in$/.test(rest);
+  let m;
+
+  if ((m = rest.match(/^posts small & big blinds (\S+)/))) {
+    return { player, street: 'preflop', action: 'post', blind: 'sb+bb', amount: parseAmount(m[1]) };
+  }
+  if ((m = rest.match(/^posts (small blind|big blind|straddle) (\S+)/))) {
+    const blind = m[1] === 'small blind' ? 'sb' : m[1] === 'big blind' ? 'bb' : 'straddle';
+    return { player, street: 'preflop', action: 'post', blind, amount: parseAmount(m[2]), allIn };
+  }
+  if ((m = rest.match(/^posts (?:the )?ante (\S+)/))) {
+    hand.stakes.ante = Math.max(hand.stakes.ante, parseAmount(m[1]));
+    return { player, street: 'preflop', action: 'post', blind: 'ante', amount: parseAmount(m[1]), allIn };
+  }
+  if (/^folds(?: \[[^\]]*\])?$/.test(rest)) {
+    return { player, street, action: 'fold', amount: 0 };
+  }
+  if (rest === 'checks') {
+    return { player, street, action: 'check', amount: 0 };
+  }
+  if ((m = rest.match(/^calls (\S+)/))) {
+    return { player, street, action: 'call', amount: parseAmount(m[1]), allIn };
+  }
+  if ((m = rest.match(/^bets (\S+)/))) {
+    return { player, street, action: 'bet', amount: parseAmount(m[1]), allIn };
+  }
+  if ((m = rest.match(/^raises (\S+) to (\S+)/))) {
+    return { player, street, action: 'raise', amount: parseAmount(m[2]), raiseBy: parseAmount(m[1]), allIn };
+  }
+  if ((m = rest.match(/^(?:shows|mucks) \[([^\]]+)\]/))) {
+    return { player, street, action: 'show', cards: parseCards(m[1]) };
+  }
+  return null;
+}
+
+function parseSummaryLine(line, hand) {
+  let m;
+  if ((m = line.match(/^Total pot (\S+).*?\| Rake (\S+)/))) {
+    hand.totalPot = parseAmount(m[1]);
+    hand.rake = parseAmount(m[2]);
+    return;
+  }
+  if ((m = line.match(/^Board:? \[([^\]]+)\]/))) {
+    hand.board = parseCards(m[1]);
+    return;
+  }
+  // "Seat 3: villain (button) mucked [Qs Kd]" - record cards revealed only in the summary
+  if ((m = line.match(/^Seat \d+: (.+?)(?: \([^)]*\))* (?:showed|mucked) \[([^\]]+)\]/))) {
+    const name = m[1];
+    if (!hand.showdown.some((s) => s.player === name)) {
+      hand.showdown.push({ player: name, cards: parseCards(m[2]) });
+    }
+  }
+}
+
+function addWinner(hand, player, amount) {
+  const existing = hand.winners.find((w) => w.player === player);
+  if (existing) existing.amount += amount;
+  else hand.winners.push({ player, amount });
+}
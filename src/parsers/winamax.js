@@ -0,0 +1,50 @@
+import { containsHeader, parseAmount } from './common';
+import { DEFAULT_STREET_MARKERS, parseTextHistory } from './textHistory';
+
+/**
+ * Winamax text hand history adapter
+ *
+ * Winamax drops the colon between player and action ("villain raises 0.20€ to 0.30€"),
+ * writes seat stacks without "in chips" and splits blinds into an ANTE/BLINDS section.
+ */
+
+export const WINAMAX_HEADER = /^Winamax Poker - /;
+
+const dialect = {
+  site: 'winamax',
+  label: 'Winamax',
+  header: WINAMAX_HEADER,
+  handId: (header) => {
+    const match = header && header.match(/HandId: #([\d-]+)/);
+    return match ? match[1] : null;
+  },
+  // Cash games read "(0.05€/0.10€)", tournaments "(ante/sb/bb)" or "(sb/bb)"
+  stakes: (header) => {
+    const match = header.match(/\(([^()]*\d[^()]*\/[^()]*\d[^()]*)\)/);
+    if (!match) return null;
+    const values = match[1].split('/').map(parseAmount);
+    if (values.length === 3) return { ante: values[0], sb: values[1], bb: values[2] };
+    return { sb: values[0], bb: values[1], ante: 0 };
+  },
+  tableLine: /^Table: '.*' (\d+)-max .*Seat #(\d+) is the button/,
+  seatLine: /^Seat (\d+): (.+?) \(([^,)]+)(?:, [^)]*)?\)(.*)$/,
+  separator: ' ',
+  streetMarkers: [
+    { regex: /^\*\*\* ANTE\/BLINDS \*\*\*/, street: 'preflop' },
+    { regex: /^\*\*\* PRE-FLOP \*\*\*/, street: 'preflop' },
+    ...DEFAULT_STREET_MARKERS,
+  ],
+};
+
+export function parseWinamax(text) {
+  return parseTextHistory(text, dialect);
+}
+
+const winamaxAdapter = {
+  id: 'winamax',
+  label: 'Winamax (.txt)',
+  detect: (text) => containsHeader(text, WINAMAX_HEADER),
+  parse: parseWinamax,
+};
+
+export default winamaxAdapter;
@@ -0,0 +1,14 @@
+/* eslint-disable no-restricted-globals */
+import { computeBestResponse } from './preflopCfr';
+
+/**
+ * Best-response worker: receives computeBestResponse options, posts { type: 'done', result }.
+ */
+
+self.onmessage = (event) => {
+  try {
+    self.postMessage({ type: 'done', result: computeBestResponse(event.data) });
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error.message });
+  }
+};
@@ -0,0 +1,95 @@
+/**
+ * Card and hand-class primitives
+ *
+ * Hand classes use the chart's keys: pairs "QQ", suited "AKs", offsuit "AKo" (higher rank first).
+ * ALL_HANDS lists the 169 classes in grid order, AA top-left to 22 bottom-right, suited above
+ * the diagonal and offsuit below it.
+ */
+
+export const RANKS = ['A', 'K', 'Q', 'J', 'T', '9', '8', '7', '6', '5', '4', '3', '2'];
+export const SUITS = ['s', 'h', 'd', 'c'];
+
+// Chart key for grid cell (row i, column j)
+export function handKeyFor(i, j) {
+  if (i === j) return RANKS[i] + RANKS[j];
+  return i < j ? RANKS[i] + RANKS[j] + 's' : RANKS[j] + RANKS[i] + 'o';
+}
+
+export const ALL_HANDS = RANKS.flatMap((_, i) => RANKS.map((__, j) => handKeyFor(i, j)));
+
+// Index of a rank in RANKS (0 = Ace)
+export function rankIndex(rank) {
+  return RANKS.indexOf(rank);
+}
+
+// { high, low, type: 'pair' | 'suited' | 'offsuit' } for a chart key
+export function parseHandKey(key) {
+  const high = key[0];
+  const low = key[1];
+  if (high === low) return { high, low, type: 'pair' };
+  return { high, low, type: key[2] === 's' ? 'suited' : 'offsuit' };
+}
+
+// Number of specific two-card combos in a hand class (6 / 4 / 12)
+export function comboCount(key) {
+  const { type } = parseHandKey(key);
+  return type === 'pair' ? 6 : type === 'suited' ? 4 : 12;
+}
+
+// Hand class for two specific cards, e.g. ['Kd', 'Ah'] -> 'AKo'
+export function handKeyForCards(card1, card2) {
+  const [a, b] = rankIndex(card1[0]) <= rankIndex(card2[0]) ? [card1, card2] : [card2, card1];
+  if (a[0] === b[0]) return a[0] + b[0];
+  return a[0] + b[0] + (a[1] === b[1] ? 's' : 'o');
+}
+
+// Every specific two-card combo in a hand class, e.g. 'AKs' -> [['As', 'Ks'], ['Ah', 'Kh'], ...]
+export function handCombos(key) {
+  const { high, low, type } = parseHandKey(key);
+  const combos = [];
+  SUITS.forEach((s1, i) => {
+    SUITS.forEach((s2, j) => {
+      if (type === 'pair' ? j > i : type === 'suited' ? i === j : i !== j) {
+        combos.push([high + s1, low + s2]);
+      }
+    });
+  });
+  return combos;
+}
+
+// Full 52-card deck
+export function makeDeck() {
+  return RANKS.flatMap((r) => SUITS.map((s) => r + s));
+}
+
+// Draw `count` distinct cards from deck, skipping blocked cards
+export function drawRandomCards(deck, count, blocked = new Set(), rng = Math.random) {
+  const remaining = deck.filter((c) => !blocked.has(c));
+  const chosen = [];
+  for (let i = 0; i < count; i++) {
+    const idx = Math.floor(rng() * remaining.length);
+    chosen.push(remaining.splice(idx, 1)[0]);
+  }
+  return chosen;
+}
+
+// Random combo of a hand class that doesn't use a blocked card, or null if none is left
+export function sampleHandForKey(key, blocked = new Set(), rng = Math.random) {
+  const filtered = handCombos(key).filter((pair) => !blocked.has(pair[0]) && !blocked.has(pair[1]));
+  if (filtered.length === 0) return null;
+  return filtered[Math.floor(rng() * filtered.length)];
+}
+
+// Cards from free text ("Ah Kd 2c", "AhKd2c", "ah,kd"); throws on unknown or repeated cards
+export function parseCards(text) {
+  const compact = String(text || '').replace(/[\s,]+/g, '');
+  if (compact.length % 2 !== 0) throw new Error(`Incomplete card in "${text.trim()}"`);
+  const cards = [];
+  for (let i = 0; i < compact.length; i += 2) {
+    const card = compact[i].toUpperCase() + compact[i + 1].toLowerCase();
+    if (!RANKS.includes(card[0]) || !SUITS.includes(card[1])) throw new Error(`Unknown card "${compact.slice(i, i + 2)}"`);
+    if (cards.includes(card)) throw new Error(`${card} is listed twice`);
+    cards.push(card);
+  }
+  return cards;
+}
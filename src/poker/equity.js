@@ -0,0 +1,50 @@
+import { makeDeck } from './cards';
+import { cardCode, evaluateCodes } from './evaluator';
+
+// Estimate each player's equity by Monte Carlo sampling of boards, for any number of hands.
+// Known board cards (0-5) are kept and completed; dead cards are removed from the deck. A pot
+// won by several players counts as a 1/n share for each of them.
+// Returns { equities: [...], wins: [...], ties: [...] } in the order of `hands`
+export function estimateMultiwayEquity(hands, sims = 200, rng = Math.random, { board = [], dead = [] } = {}) {
+  const known = board.map(cardCode);
+  const blocked = new Set(hands.flat().concat(dead).map(cardCode).concat(known));
+  const deck = makeDeck().map(cardCode).filter((c) => !blocked.has(c));
+  const sevens = hands.map((h) => [cardCode(h[0]), cardCode(h[1]), ...known, 0, 0, 0, 0, 0].slice(0, 7));
+  const missing = 5 - known.length;
+  const runs = missing === 0 ? 1 : sims; // a complete board has a single outcome
+  const shares = new Array(hands.length).fill(0);
+  const wins = new Array(hands.length).fill(0);
+  const ties = new Array(hands.length).fill(0);
+  const scores = new Array(hands.length);
+
+  for (let s = 0; s < runs; s++) {
+    // partial Fisher–Yates: the first deck slots become a uniformly random board completion
+    for (let k = 0; k < missing; k++) {
+      const j = k + Math.floor(rng() * (deck.length - k));
+      const card = deck[j];
+      deck[j] = deck[k];
+      deck[k] = card;
+      for (let p = 0; p < sevens.length; p++) sevens[p][7 - missing + k] = card;
+    }
+    let best = -1;
+    let winners = 0;
+    for (let p = 0; p < sevens.length; p++) {
+      scores[p] = evaluateCodes(sevens[p]);
+      if (scores[p] > best) { best = scores[p]; winners = 1; } else if (scores[p] === best) winners++;
+    }
+    for (let p = 0; p < sevens.length; p++) {
+      if (scores[p] !== best) continue;
+      shares[p] += 1 / winners;
+      if (winners === 1) wins[p]++;
+      else ties[p]++;
+    }
+  }
+
+  return { equities: shares.map((x) => x / runs), wins, ties };
+}
+
+// Heads-up estimateMultiwayEquity: { heroWins, oppWins, ties, equityHero }
+export function estimateEquity(heroCards, oppCards, sims = 200, rng = Math.random, options = {}) {
+  const { equities, wins, ties } = estimateMultiwayEquity([heroCards, oppCards], sims, rng, options);
+  return { heroWins: wins[0], oppWins: wins[1], ties: ties[0], equityHero: equities[0] };
+}
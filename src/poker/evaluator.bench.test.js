@@ -0,0 +1,153 @@
+import { makeDeck } from './cards';
+import { estimateEquity } from './equity';
+import { cardCode, evaluate7, evaluateCodes } from './evaluator';
+import { createRng, shuffle } from './rng';
+
+/**
+ * Evaluator benchmark (skipped unless BENCH is set): `npm run bench`
+ *
+ * Compares evaluations per second of the previous object/sort based evaluator, kept below as
+ * the reference, with the table-driven one, and checks both order random hands the same way.
+ */
+
+const bench = process.env.BENCH ? test : test.skip;
+const HANDS = 200000;
+
+// ---- Reference: the evaluator this module replaced ----
+
+const RANK_VALUES = {
+  '2': 2, '3': 3, '4': 4, '5': 5, '6': 6, '7': 7, '8': 8, '9': 9, 'T': 10, 'J': 11, 'Q': 12, 'K': 13, 'A': 14,
+};
+
+// Top card of the highest 5-card run in ascending unique values (ace may also play low), or null
+function straightTop(sortedAsc) {
+  const nums = sortedAsc.includes(14) ? [1, ...sortedAsc] : sortedAsc;
+  let top = null;
+  for (let i = 0; i <= nums.length - 5; i++) {
+    let run = true;
+    for (let k = 1; k < 5; k++) {
+      if (nums[i + k] !== nums[i] + k) { run = false; break; }
+    }
+    if (run) top = nums[i + 4];
+  }
+  return top;
+}
+
+function legacyEvaluate7(cards) {
+  // cards: array like ['As','Kd','Th',...]
+  const ranks = {};
+  const suits = {};
+  for (const c of cards) {
+    ranks[c[0]] = (ranks[c[0]] || 0) + 1;
+    (suits[c[1]] = suits[c[1]] || []).push(c);
+  }
+  const valuesDesc = (list) => list.map((r) => RANK_VALUES[r]).sort((a, b) => b - a);
+
+  let flushSuit = null;
+  for (const s in suits) {
+    if (suits[s].length >= 5) { flushSuit = s; break; }
+  }
+
+  // Straight flush
+  if (flushSuit) {
+    const flushNums = [...new Set(suits[flushSuit].map((c) => RANK_VALUES[c[0]]))].sort((a, b) => a - b);
+    const sfTop = straightTop(flushNums);
+    if (sfTop !== null) return { rank: 8, tiebreak: [sfTop] };
+  }
+
+  const rankKeys = Object.keys(ranks);
+
+  // Four of a kind
+  const quads = rankKeys.find((r) => ranks[r] === 4);
+  if (quads) {
+    const kickers = valuesDesc(rankKeys.filter((r) => r !== quads));
+    return { rank: 7, tiebreak: [RANK_VALUES[quads], kickers[0]] };
+  }
+
+  // Full house (three + pair, or two sets of trips)
+  const trips = valuesDesc(rankKeys.filter((r) => ranks[r] === 3));
+  const pairs = valuesDesc(rankKeys.filter((r) => ranks[r] === 2));
+  if (trips.length >= 1 && (pairs.length >= 1 || trips.length >= 2)) {
+    const pair = Math.max(pairs[0] || 0, trips[1] || 0);
+    return { rank: 6, tiebreak: [trips[0], pair] };
+  }
+
+  // Flush
+  if (flushSuit) {
+    return { rank: 5, tiebreak: valuesDesc(suits[flushSuit].map((c) => c[0])).slice(0, 5) };
+  }
+
+  // Straight
+  const top = straightTop(valuesDesc(rankKeys).reverse());
+  if (top !== null) return { rank: 4, tiebreak: [top] };
+
+  // Three of a kind
+  if (trips.length >= 1) {
+    const kickers = valuesDesc(rankKeys).filter((v) => v !== trips[0]).slice(0, 2);
+    return { rank: 3, tiebreak: [trips[0], ...kickers] };
+  }
+
+  // Two pair
+  if (pairs.length >= 2) {
+    const kicker = valuesDesc(rankKeys).filter((v) => v !== pairs[0] && v !== pairs[1])[0];
+    return { rank: 2, tiebreak: [pairs[0], pairs[1], kicker] };
+  }
+
+  // One pair
+  if (pairs.length === 1) {
+    const kickers = valuesDesc(rankKeys).filter((v) => v !== pairs[0]).slice(0, 3);
+    return { rank: 1, tiebreak: [pairs[0], ...kickers] };
+  }
+
+  // High card
+  return { rank: 0, tiebreak: valuesDesc(rankKeys).slice(0, 5) };
+}
+
+function legacyCompare(a, b) {
+  if (a.rank !== b.rank) return a.rank - b.rank;
+  for (let i = 0; i < Math.max(a.tiebreak.length, b.tiebreak.length); i++) {
+    const av = a.tiebreak[i] || 0;
+    const bv = b.tiebreak[i] || 0;
+    if (av !== bv) return av - bv;
+  }
+  return 0;
+}
+
+// ---- Benchmark ----
+
+function randomHands(count, rng) {
+  const deck = makeDeck();
+  return Array.from({ length: count }, () => shuffle(deck, rng).slice(0, 7));
+}
+
+function perSecond(label, hands, fn) {
+  const start = performance.now();
+  for (let i = 0; i < hands.length; i++) fn(hands[i]);
+  const seconds = (performance.now() - start) / 1000;
+  return { label, evaluationsPerSecond: Math.round(hands.length / seconds) };
+}
+
+bench('evaluations per second, before and after', () => {
+  const hands = randomHands(HANDS, createRng('bench'));
+  const codes = hands.map((hand) => hand.map(cardCode));
+
+  const rows = [
+    perSecond('before: object/sort evaluate7', hands, legacyEvaluate7),
+    perSecond('after: evaluate7 (card strings)', hands, evaluate7),
+    perSecond('after: evaluateCodes (card codes)', codes, evaluateCodes),
+  ];
+  const equityStart = performance.now();
+  estimateEquity(['As', 'Kd'], ['Qh', 'Qc'], HANDS / 2, createRng('bench'));
+  rows.push({
+    label: 'after: estimateEquity boards',
+    evaluationsPerSecond: Math.round(HANDS / ((performance.now() - equityStart) / 1000)),
+  });
+  console.table(rows);
+
+  // Both evaluators must order every pair of neighbouring hands the same way
+  for (let i = 1; i < hands.length; i++) {
+    const before = Math.sign(legacyCompare(legacyEvaluate7(hands[i]), legacyEvaluate7(hands[i - 1])));
+    const after = Math.sign(evaluate7(hands[i]) - evaluate7(hands[i - 1]));
+    if (before !== after) throw new Error(`Evaluators disagree on ${hands[i].join(' ')} vs ${hands[i - 1].join(' ')}`);
+  }
+}, 300000);
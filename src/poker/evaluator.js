@@ -0,0 +1,143 @@
+import { RANKS, SUITS } from './cards';
+
+/**
+ * Seven-card hand evaluator
+ *
+ * Hands are scored to a single integer: a higher value is a better hand, equal values tie. The
+ * category (0 high card .. 8 straight flush) sits above bit 20 and up to five 4-bit rank values
+ * (0 = deuce .. 12 = ace, most significant first) break ties below it.
+ *
+ * Cards are numbered rank * 4 + suit (see cardCode). Evaluation works on 13-bit rank masks with
+ * precomputed straight and top-five tables, so it allocates nothing per call; hot loops such as
+ * estimateEquity should convert cards once and call evaluateCodes directly.
+ */
+
+export const HAND_CATEGORIES = [
+  'High card', 'One pair', 'Two pair', 'Three of a kind', 'Straight',
+  'Flush', 'Full house', 'Four of a kind', 'Straight flush',
+];
+
+const CATEGORY_SHIFT = 20;
+const MASKS = 1 << 13;
+
+// STRAIGHT_TOP[mask]: rank of the highest straight's top card in a rank mask, or -1 (wheel tops at the 5)
+const STRAIGHT_TOP = new Int8Array(MASKS).fill(-1);
+// TOP_FIVE[mask]: the five highest ranks in a mask packed 4 bits each, highest first
+const TOP_FIVE = new Uint32Array(MASKS);
+// BIT_COUNT[mask]: number of ranks in a mask
+const BIT_COUNT = new Uint8Array(MASKS);
+
+for (let mask = 1; mask < MASKS; mask++) {
+  BIT_COUNT[mask] = BIT_COUNT[mask >> 1] + (mask & 1);
+
+  let packed = 0;
+  let taken = 0;
+  for (let r = 12; r >= 0 && taken < 5; r--) {
+    if (mask & (1 << r)) { packed |= r << (4 * (4 - taken)); taken++; }
+  }
+  TOP_FIVE[mask] = packed;
+
+  for (let top = 12; top >= 3; top--) {
+    const run = top === 3 ? 0b1000000001111 : 0b11111 << (top - 4); // 5-4-3-2-A
+    if ((mask & run) === run) { STRAIGHT_TOP[mask] = top; break; }
+  }
+}
+
+const highestRank = (mask) => 31 - Math.clz32(mask);
+// Top `count` ranks of a mask, packed as in TOP_FIVE but right-aligned
+const topRanks = (mask, count) => TOP_FIVE[mask] >>> (4 * (5 - count));
+
+const CODE_BY_CARD = {};
+RANKS.forEach((rank, r) => {
+  SUITS.forEach((suit, s) => { CODE_BY_CARD[rank + suit] = (12 - r) * 4 + s; });
+});
+
+// Card string ('As') to its 0..51 code; codes pass through unchanged
+export function cardCode(card) {
+  return typeof card === 'number' ? card : CODE_BY_CARD[card];
+}
+
+const rankCounts = new Uint8Array(13);
+const suitMasks = new Uint16Array(4);
+
+// Score 5-7 card codes (best five-card hand)
+export function evaluateCodes(codes) {
+  rankCounts.fill(0);
+  suitMasks.fill(0);
+  let rankMask = 0;
+  for (let i = 0; i < codes.length; i++) {
+    const rank = codes[i] >> 2;
+    rankCounts[rank]++;
+    rankMask |= 1 << rank;
+    suitMasks[codes[i] & 3] |= 1 << rank;
+  }
+
+  // With seven cards a flush rules out quads and full houses
+  for (let s = 0; s < 4; s++) {
+    const flushMask = suitMasks[s];
+    if (BIT_COUNT[flushMask] >= 5) {
+      const top = STRAIGHT_TOP[flushMask];
+      if (top >= 0) return (8 << CATEGORY_SHIFT) | (top << 16);
+      return (5 << CATEGORY_SHIFT) | TOP_FIVE[flushMask];
+    }
+  }
+
+  let quadMask = 0;
+  let tripMask = 0;
+  let pairMask = 0;
+  for (let r = 0; r < 13; r++) {
+    const count = rankCounts[r];
+    if (count === 4) quadMask |= 1 << r;
+    else if (count === 3) tripMask |= 1 << r;
+    else if (count === 2) pairMask |= 1 << r;
+  }
+
+  if (quadMask) {
+    const quads = highestRank(quadMask);
+    return (7 << CATEGORY_SHIFT) | (quads << 16) | (topRanks(rankMask & ~(1 << quads), 1) << 12);
+  }
+
+  if (tripMask) {
+    const trips = highestRank(tripMask);
+    // the pair of a full house can come from a second set of trips
+    const filler = (tripMask & ~(1 << trips)) | pairMask;
+    if (filler) return (6 << CATEGORY_SHIFT) | (trips << 16) | (highestRank(filler) << 12);
+  }
+
+  const straight = STRAIGHT_TOP[rankMask];
+  if (straight >= 0) return (4 << CATEGORY_SHIFT) | (straight << 16);
+
+  if (tripMask) {
+    const trips = highestRank(tripMask);
+    return (3 << CATEGORY_SHIFT) | (trips << 16) | (topRanks(rankMask & ~(1 << trips), 2) << 8);
+  }
+
+  if (BIT_COUNT[pairMask] >= 2) {
+    const high = highestRank(pairMask);
+    const low = highestRank(pairMask & ~(1 << high));
+    const kicker = topRanks(rankMask & ~(1 << high) & ~(1 << low), 1);
+    return (2 << CATEGORY_SHIFT) | (high << 16) | (low << 12) | (kicker << 8);
+  }
+
+  if (pairMask) {
+    const pair = highestRank(pairMask);
+    return (1 << CATEGORY_SHIFT) | (pair << 16) | (topRanks(rankMask & ~(1 << pair), 3) << 4);
+  }
+
+  return TOP_FIVE[rankMask];
+}
+
+// Score seven cards given as strings (['As','Kd','Th',...]) or codes
+export function evaluate7(cards) {
+  return evaluateCodes(cards.map(cardCode));
+}
+
+// Category index (into HAND_CATEGORIES) of a score
+export function handCategory(value) {
+  return value >> CATEGORY_SHIFT;
+}
+
+// Compare two scores (> 0 when a wins)
+export function compareEvals(a, b) {
+  return a - b;
+}
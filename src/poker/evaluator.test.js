@@ -0,0 +1,56 @@
+import { evaluate7, evaluateCodes, handCategory, HAND_CATEGORIES } from './evaluator';
+
+// Known category frequencies over all C(52, 7) = 133,784,560 seven-card hands
+const SEVEN_CARD_COUNTS = {
+  'Straight flush': 41584,
+  'Four of a kind': 224848,
+  'Full house': 3473184,
+  'Flush': 4047644,
+  'Straight': 6180020,
+  'Three of a kind': 6461620,
+  'Two pair': 31433400,
+  'One pair': 58627800,
+  'High card': 23294460,
+};
+
+test('ranks hands by category and kickers', () => {
+  const score = (text) => evaluate7(text.split(' '));
+  expect(HAND_CATEGORIES[handCategory(score('As Ks Qs Js Ts 2d 3c'))]).toBe('Straight flush');
+  expect(HAND_CATEGORIES[handCategory(score('5h 4h 3h 2h Ah Kd Kc'))]).toBe('Straight flush');
+  expect(score('5h 4h 3h 2h Ah Kd Kc')).toBeLessThan(score('6h 5h 4h 3h 2h Kd Kc'));
+  // two sets of trips make a full house with the higher set on top
+  expect(score('9s 9h 9d 4s 4h 4d Ac')).toBe(score('9c 9h 9d 4c 4h Ac Kd'));
+  expect(score('Ah Ad Kc Kd Qs Qh 2c')).toBeGreaterThan(score('Ah Ad Kc Kd Js Jh 9c'));
+  expect(score('Ah Ad Kc Kd Qs Qh 2c')).toBe(score('Ah Ad Kc Kd Qs 2h 3c'));
+  expect(score('Ah Kd 9c 7s 5h 3d 2c')).toBe(score('Ac Kh 9d 7c 5s 4d 2h'));
+  expect(score('As Ks Qs Js 9s 2d 3c')).toBeGreaterThan(score('Ad Kd Qc Jc Tc 9h 8h'));
+});
+
+test('exhaustive seven-card enumeration matches the known category counts', () => {
+  const counts = new Array(HAND_CATEGORIES.length).fill(0);
+  const hand = [0, 0, 0, 0, 0, 0, 0];
+  for (let a = 0; a < 46; a++) {
+    hand[0] = a;
+    for (let b = a + 1; b < 47; b++) {
+      hand[1] = b;
+      for (let c = b + 1; c < 48; c++) {
+        hand[2] = c;
+        for (let d = c + 1; d < 49; d++) {
+          hand[3] = d;
+          for (let e = d + 1; e < 50; e++) {
+            hand[4] = e;
+            for (let f = e + 1; f < 51; f++) {
+              hand[5] = f;
+              for (let g = f + 1; g < 52; g++) {
+                hand[6] = g;
+                counts[handCategory(evaluateCodes(hand))]++;
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+  const byName = Object.fromEntries(HAND_CATEGORIES.map((name, i) => [name, counts[i]]));
+  expect(byName).toEqual(SEVEN_CARD_COUNTS);
+}, 300000);
@@ -0,0 +1,59 @@
+import { ALL_HANDS, comboCount, parseHandKey, rankIndex } from './cards';
+
+/**
+ * Preflop hand ranking
+ *
+ * Orders the 169 hand classes from strongest to weakest with the Chen formula (kept at half-point
+ * resolution instead of rounding up), breaking ties by high card, then kicker, then suitedness.
+ * HAND_PERCENTILE gives each class's position in that order as a share of all 1326 combos, so
+ * "top 15%" means the strongest 15% of combos rather than of classes.
+ */
+
+const HIGH_CARD_POINTS = { A: 10, K: 8, Q: 7, J: 6 };
+
+// Numeric rank value, 2..14
+function rankValue(rank) {
+  return 14 - rankIndex(rank);
+}
+
+export function chenScore(hand) {
+  const { high, low, type } = parseHandKey(hand);
+  const highPoints = HIGH_CARD_POINTS[high] || rankValue(high) / 2;
+
+  if (type === 'pair') return Math.max(5, highPoints * 2);
+
+  let score = highPoints;
+  if (type === 'suited') score += 2;
+
+  const gap = rankValue(high) - rankValue(low) - 1;
+  score -= gap === 0 ? 0 : gap === 1 ? 1 : gap === 2 ? 2 : gap === 3 ? 4 : 5;
+  // Connected cards below a queen can still make the top end of a straight
+  if (gap <= 1 && rankValue(high) < rankValue('Q')) score += 1;
+
+  return score;
+}
+
+function compareHands(a, b) {
+  const diff = chenScore(b) - chenScore(a);
+  if (diff !== 0) return diff;
+  const ha = parseHandKey(a);
+  const hb = parseHandKey(b);
+  if (ha.high !== hb.high) return rankIndex(ha.high) - rankIndex(hb.high);
+  if (ha.low !== hb.low) return rankIndex(ha.low) - rankIndex(hb.low);
+  return ha.type === 'suited' ? -1 : 1;
+}
+
+// All 169 classes, strongest first
+export const HAND_RANKING = [...ALL_HANDS].sort(compareHands);
+
+// Share of combos ranked above each class's midpoint (0 = best, ~1 = worst)
+export const HAND_PERCENTILE = (() => {
+  const percentile = {};
+  let seen = 0;
+  HAND_RANKING.forEach((hand) => {
+    const combos = comboCount(hand);
+    percentile[hand] = (seen + combos / 2) / 1326;
+    seen += combos;
+  });
+  return percentile;
+})();
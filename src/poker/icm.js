@@ -0,0 +1,79 @@
+/**
+ * Independent Chip Model
+ *
+ * Converts chip stacks into shares of a tournament prize pool (Malmuth–Harville): a player
+ * finishes first with probability stack / total chips, and the remaining places are filled the
+ * same way among the players left. Players with no chips share the places after everyone else.
+ *
+ * Settings { payouts: [1st, 2nd, ...], stacks: { seat: bb } } are kept in localStorage and used
+ * by Push/Fold and by Testing mode's $EV option. Payouts are in any currency unit (or percent).
+ */
+
+const STORAGE_KEY = 'pokerIcmSettings';
+
+export const DEFAULT_ICM = {
+  payouts: [50, 30, 20],
+  stacks: { UTG: 10, HJ: 10, CO: 10, BTN: 10, SB: 10, BB: 10 },
+};
+
+/**
+ * Prize equity of every player. `stacks` is an array of chip counts; returns an array of expected
+ * prizes in payout units.
+ */
+export function icmEquities(stacks, payouts) {
+  return stacks.map((_, i) => icmEquity(stacks, payouts, i));
+}
+
+// Expected prize of player `player` (index into stacks)
+export function icmEquity(stacks, payouts, player) {
+  const n = stacks.length;
+  const chips = stacks.map((s) => Math.max(0, s));
+  const memo = new Map();
+
+  // hero's expected prize when the players in `mask` compete for the places from n - |mask| down
+  const value = (mask, remaining) => {
+    if (memo.has(mask)) return memo.get(mask);
+    const place = n - remaining;
+    let total = 0;
+    for (let j = 0; j < n; j++) if (mask & (1 << j)) total += chips[j];
+    let result = 0;
+    if (total === 0) {
+      // nobody left has chips: the remaining places are split evenly
+      for (let k = place; k < n; k++) result += payouts[k] || 0;
+      result /= remaining;
+    } else {
+      for (let j = 0; j < n; j++) {
+        if (!(mask & (1 << j)) || chips[j] === 0) continue;
+        const p = chips[j] / total;
+        result += p * (j === player ? payouts[place] || 0 : value(mask & ~(1 << j), remaining - 1));
+      }
+    }
+    memo.set(mask, result);
+    return result;
+  };
+
+  return value((1 << n) - 1, n);
+}
+
+// "50, 30, 20" -> [50, 30, 20]; unreadable entries are dropped
+export function parsePayouts(text) {
+  return String(text)
+    .split(/[\s,;/]+/)
+    .map(Number)
+    .filter((x) => Number.isFinite(x) && x >= 0);
+}
+
+export function loadIcmSettings() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+    if (!saved) return DEFAULT_ICM;
+    return { ...DEFAULT_ICM, ...saved, stacks: { ...DEFAULT_ICM.stacks, ...saved.stacks } };
+  } catch (e) {
+    console.error('Failed to load ICM settings:', e);
+    return DEFAULT_ICM;
+  }
+}
+
+export function saveIcmSettings(settings) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+}
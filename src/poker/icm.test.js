@@ -0,0 +1,57 @@
+import { DEFAULT_ICM, icmEquities, icmEquity, loadIcmSettings, parsePayouts, saveIcmSettings } from './icm';
+import { runSimulation, simulateHand } from './simulation';
+import { BASELINE_STRATEGY } from '../strategy/baseline';
+
+test('equal stacks split the prize pool evenly', () => {
+  const equities = icmEquities([10, 10, 10], [50, 30, 20]);
+  equities.forEach((e) => expect(e).toBeCloseTo(100 / 3, 6));
+});
+
+test('equities add up to the paid places and favour the big stack less than chips do', () => {
+  const equities = icmEquities([50, 30, 20], [50, 30, 20]);
+  expect(equities.reduce((a, b) => a + b, 0)).toBeCloseTo(100, 6);
+  // 0.5·50 + 0.3·(5/7·30 + 2/7·20) + 0.2·(5/8·30 + 3/8·20)
+  expect(equities[0]).toBeCloseTo(38.3929, 3);
+  expect(equities[0]).toBeLessThan(50); // less than its 50% chip share
+  expect(equities[2]).toBeGreaterThan(20);
+});
+
+test('busted players share the places after everyone else', () => {
+  expect(icmEquity([0, 0, 10], [50, 30, 20], 2)).toBe(50);
+  expect(icmEquity([0, 0, 10], [50, 30, 20], 0)).toBe(25);
+});
+
+test('payouts parse and settings round-trip', () => {
+  expect(parsePayouts('50, 30; 20 x')).toEqual([50, 30, 20]);
+  saveIcmSettings({ payouts: [65, 35], stacks: { SB: 12 } });
+  const loaded = loadIcmSettings();
+  expect(loaded.payouts).toEqual([65, 35]);
+  expect(loaded.stacks.SB).toBe(12);
+  expect(loaded.stacks.BB).toBe(10);
+});
+
+test('Testing-mode EVs turn into prize equity', () => {
+  const stacks = { UTG: 20, HJ: 20, CO: 20, BTN: 20, SB: 20, BB: 20 };
+  const options = {
+    model: 'game', nodeKey: 'BB:vsOpen:BTN', seed: 1, simsPerMatchup: 40, equityTable: new Float32Array(169 * 169).fill(0.5),
+    heroTree: BASELINE_STRATEGY, oppTrees: [BASELINE_STRATEGY], game: { stack: 20 },
+  };
+  const chips = simulateHand('AKs', options);
+  // winner takes all: prize equity is linear in chips
+  const linear = simulateHand('AKs', { ...options, icm: { payouts: [120], stacks } });
+  ['Fold', 'Call', 'Raise'].forEach((action) => expect(linear.ev[action]).toBeCloseTo(chips.ev[action], 6));
+  // with three places paid, losing a blind costs less than its chip value
+  const paid = simulateHand('AKs', { ...options, icm: { payouts: [60, 36, 24], stacks } });
+  expect(paid.ev.Fold).toBeLessThan(0);
+  expect(paid.ev.Fold).toBeGreaterThan(chips.ev.Fold);
+});
+
+test('ICM runs use the effective stack and record the settings', () => {
+  const icm = { payouts: [50, 30, 20], stacks: { ...DEFAULT_ICM.stacks, BTN: 8, BB: 25 } };
+  const run = runSimulation({
+    model: 'game', nodeKey: 'BB:vsOpen:BTN', heroTree: BASELINE_STRATEGY, oppTrees: [BASELINE_STRATEGY],
+    simsPerMatchup: 20, sample: 'sample', seed: 4, icm,
+  });
+  expect(run.params.game.stack).toBe(8);
+  expect(run.params.icm).toEqual(icm);
+});
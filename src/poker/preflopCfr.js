@@ -0,0 +1,521 @@
+import { ALL_HANDS, comboCount } from './cards';
+import { DEFAULT_GAME } from './preflopGame';
+import { comboCompatibility, estimatePreflopEquityTable } from './pushFold';
+import { DEFAULT_RAKE, rakeTaken } from './rake';
+import { POSITIONS } from '../strategy/positions';
+
+/**
+ * Counterfactual regret minimization for an abstracted preflop game
+ *
+ * The game (all amounts in big blinds, every seat with the same effective stack):
+ * - the seats in `positions` act in order; each can fold or open to openSize (no limps)
+ * - behind an open each seat folds, calls or 3-bets; the first seat that continues plays the pot
+ *   heads-up against the opener and everyone behind it folds (no cold calls or squeezes)
+ * - the heads-up raise war goes open → 3-bet → 4-bet → all-in, with any raise that would commit
+ *   the stack made all-in
+ * - a call goes to showdown on the preflop equities (no postflop play); showdown pots are raked,
+ *   pots won preflop only without no-flop-no-drop
+ * - in called pots that aren't all-in the player out of position postflop realizes only
+ *   `realization` of its equity and the player in position gets the rest
+ * Hands are the 169 classes, with card removal between them as in pushFold.js.
+ *
+ * The solver runs CFR+ over the public tree with a 169-hand regret vector per decision node,
+ * averaging strategies with linear weights. Each seat's counterfactual reach is the product of
+ * every other seat's range mass behind card removal. `exploitability` is the average, over seats,
+ * of what a best response to the average strategy gains (bb per hand); it shrinks as the solve
+ * converges.
+ *
+ * solverTree turns the average strategy into a scenario tree (see strategy/scenarios.js): RFI and
+ * vsOpen nodes map one to one, vs3Bet and vs4Bet charts are averaged over the opponents by how
+ * often each spot is reached (facing an all-in counts toward vs4Bet, as in preflopGame.js). Nodes
+ * outside the abstraction (vsLimp, seats not solved) come from the fallback tree.
+ *
+ * computeBestResponse plays any scenario tree in the same game (treeStrategy) and finds the most
+ * profitable answer to it seat by seat: hero's best-response charts, and how exploitable the
+ * tree is.
+ */
+
+const N = ALL_HANDS.length;
+const COMBOS = ALL_HANDS.map(comboCount);
+const ALL_IN = 4; // raise levels: 1 open, 2 3-bet, 3 4-bet, 4 all-in
+
+export const DEFAULT_SOLVER = {
+  positions: POSITIONS,
+  game: DEFAULT_GAME,
+  realization: 0.8,
+  iterations: 400,
+  reportEvery: 20,
+};
+
+// Postflop acting order: the blinds are out of position against everyone
+const POSTFLOP_ORDER = ['SB', 'BB', 'UTG', 'HJ', 'CO', 'BTN'];
+
+// x -> M·x / combosLeft: share of the remaining combos (per hand) that a range holds
+function massOf(W, combosLeft, range) {
+  const out = new Float64Array(N);
+  for (let a = 0; a < N; a++) {
+    let sum = 0;
+    const row = a * N;
+    for (let b = 0; b < N; b++) sum += W[row + b] * range[b];
+    out[a] = sum / combosLeft[a];
+  }
+  return out;
+}
+
+// Public tree of the abstracted game; decision nodes are also numbered into `nodes`
+function buildTree(seats, game, ante) {
+  const { stack } = game;
+  const sizes = [1, game.openSize, game.threeBetSize, game.fourBetSize, stack].map((s) => Math.min(s, stack));
+  const nodes = [];
+  const decision = (seat, key, scenario, contrib, actions, children, villain = null) => {
+    const node = { type: 'decision', seat, key, scenario, villain, contrib, actions, children, index: nodes.length };
+    nodes.push(node);
+    return node;
+  };
+  const terminal = (contrib, active, showdown) => {
+    const node = { type: 'terminal', contrib, active, showdown, ante };
+    if (showdown && contrib[active[0]] < stack) {
+      node.oop = active.reduce((a, b) => (POSTFLOP_ORDER.indexOf(a) < POSTFLOP_ORDER.indexOf(b) ? a : b));
+    }
+    return node;
+  };
+
+  const posted = Object.fromEntries(seats.map((seat) => [seat, 0]));
+  if (posted.SB !== undefined) posted.SB = Math.min(game.smallBlind, stack);
+  posted.BB = Math.min(1, stack);
+
+  // `actor` faces `other`'s raise to `level`
+  const war = (level, actor, other, contrib) => {
+    const facing = contrib[other];
+    const children = [terminal(contrib, [other], false), terminal({ ...contrib, [actor]: facing }, [actor, other], true)];
+    const actions = ['fold', 'call'];
+    if (facing < stack) {
+      const next = level + 1 < ALL_IN && sizes[level + 1] > facing ? level + 1 : ALL_IN;
+      actions.push('raise');
+      children.push(war(next, other, actor, { ...contrib, [actor]: sizes[next] }));
+    }
+    const scenario = level === 2 ? 'vs3Bet' : level === 3 ? 'vs4Bet' : 'vsAllIn';
+    return decision(actor, `${actor}:${scenario}:${other}`, scenario, contrib, actions, children, other);
+  };
+
+  // seats behind the opener answer in turn until one continues
+  const respond = (opener, j, contrib) => {
+    if (j >= seats.length) return terminal(contrib, [opener], false);
+    const seat = seats[j];
+    const open = contrib[opener];
+    const children = [respond(opener, j + 1, contrib), terminal({ ...contrib, [seat]: open }, [opener, seat], true)];
+    const actions = ['fold', 'call'];
+    if (open < stack) {
+      const level = sizes[2] > open ? 2 : ALL_IN;
+      actions.push('raise');
+      children.push(war(level, opener, seat, { ...contrib, [seat]: sizes[level] }));
+    }
+    return decision(seat, `${seat}:vsOpen:${opener}`, 'vsOpen', contrib, actions, children, opener);
+  };
+
+  const rfi = (i) => {
+    const seat = seats[i];
+    if (seat === 'BB') return terminal(posted, ['BB'], false); // folded around: the BB walks
+    const contrib = { ...posted, [seat]: sizes[1] };
+    return decision(seat, `${seat}:RFI`, 'RFI', posted, ['fold', 'raise'], [rfi(i + 1), respond(seat, i + 1, contrib)]);
+  };
+
+  return { root: rfi(0), nodes, posted };
+}
+
+/**
+ * Set up a solve. Options: { positions, game, ante, rake, realization, equityTable } (the equity
+ * table is estimated when missing). Returns the solver state for runIterations.
+ */
+export function createSolver({
+  positions = POSITIONS,
+  game = DEFAULT_GAME,
+  ante = 0,
+  rake = DEFAULT_RAKE,
+  realization = DEFAULT_SOLVER.realization,
+  equityTable = null,
+}) {
+  const seats = POSITIONS.filter((seat) => positions.includes(seat));
+  if (!seats.includes('BB') || seats.length < 2) throw new Error('Pick the big blind and at least one other seat');
+  const settings = { ...DEFAULT_GAME, ...game };
+  const table = equityTable || estimatePreflopEquityTable();
+  const W = comboCompatibility();
+  const WE = new Float64Array(N * N);
+  for (let i = 0; i < N * N; i++) WE[i] = W[i] * table[i];
+  const combosLeft = massOf(W, new Float64Array(N).fill(1), new Float64Array(N).fill(1));
+  const { root, nodes } = buildTree(seats, settings, ante);
+  return {
+    seats,
+    settings: { positions: seats, game: settings, ante, rake: { ...DEFAULT_RAKE, ...rake }, realization },
+    equitySource: equityTable ? 'exact' : 'estimated',
+    W,
+    WE,
+    combosLeft,
+    root,
+    nodes,
+    regrets: nodes.map((node) => new Float64Array(N * node.actions.length)),
+    strategySums: nodes.map((node) => new Float64Array(N * node.actions.length)),
+    iteration: 0,
+  };
+}
+
+// Current strategy at a node from its positive regrets (uniform where none)
+function currentStrategy(solver, node) {
+  const k = node.actions.length;
+  const regrets = solver.regrets[node.index];
+  const out = new Float64Array(N * k);
+  for (let h = 0; h < N; h++) {
+    let total = 0;
+    for (let a = 0; a < k; a++) total += Math.max(0, regrets[h * k + a]);
+    for (let a = 0; a < k; a++) out[h * k + a] = total > 0 ? Math.max(0, regrets[h * k + a]) / total : 1 / k;
+  }
+  return out;
+}
+
+// Average strategy at a node; hands that never reached it fold
+export function averageStrategy(solver, node) {
+  const k = node.actions.length;
+  const sums = solver.strategySums[node.index];
+  const out = new Float64Array(N * k);
+  for (let h = 0; h < N; h++) {
+    let total = 0;
+    for (let a = 0; a < k; a++) total += sums[h * k + a];
+    for (let a = 0; a < k; a++) out[h * k + a] = total > 0 ? sums[h * k + a] / total : a === 0 ? 1 : 0;
+  }
+  return out;
+}
+
+// Product of every seat's mass except `skip` (a seat or a list of seats)
+function othersMass(solver, masses, skip) {
+  const out = new Float64Array(N).fill(1);
+  solver.seats.forEach((seat) => {
+    if (skip === seat || (Array.isArray(skip) && skip.includes(seat))) return;
+    const m = masses[seat];
+    for (let h = 0; h < N; h++) out[h] *= m[h];
+  });
+  return out;
+}
+
+// Counterfactual values of the active seats at a terminal
+function terminalValues(solver, node, reach, masses) {
+  const { contrib, active, showdown, ante } = node;
+  const { rake } = solver.settings;
+  const pot = solver.seats.reduce((sum, seat) => sum + contrib[seat] + ante, 0);
+  const values = {};
+  if (!showdown) {
+    const [winner] = active;
+    const won = pot - rakeTaken(pot, rake, false);
+    const others = othersMass(solver, masses, winner);
+    values[winner] = others.map((m) => m * (won - contrib[winner] - ante));
+    return values;
+  }
+  const won = pot - rakeTaken(pot, rake, true);
+  // equity share = base + scale × raw equity (out of position: R·eq, in position: 1 - R·(1 - eq))
+  const R = node.oop ? solver.settings.realization : 1;
+  const [a, b] = active;
+  [[a, b], [b, a]].forEach(([p, o]) => {
+    const rest = othersMass(solver, masses, [p, o]);
+    const { W, WE, combosLeft } = solver;
+    const r = reach[o];
+    const v = new Float64Array(N);
+    for (let h = 0; h < N; h++) {
+      let mass = 0;
+      let equity = 0;
+      const row = h * N;
+      for (let x = 0; x < N; x++) {
+        mass += W[row + x] * r[x];
+        equity += WE[row + x] * r[x];
+      }
+      const share = node.oop === undefined || node.oop === p ? R * equity : (1 - R) * mass + R * equity;
+      v[h] = (rest[h] * (won * share - (contrib[p] + ante) * mass)) / combosLeft[h];
+    }
+    values[p] = v;
+  });
+  return values;
+}
+
+/**
+ * Walk the tree with every seat playing `walk.strategyOf(node)`. With `walk.train` it's a CFR+
+ * update; with `walk.best` that seat plays a best response instead (its pure choices go into
+ * `walk.record` by node index when given); `walk.weights` collects each node's reach weights.
+ * Returns counterfactual values by seat.
+ */
+function traverse(solver, node, reach, masses, walk) {
+  if (node.type === 'terminal') return terminalValues(solver, node, reach, masses);
+
+  const { seat, actions, children, index } = node;
+  const k = actions.length;
+  const strategy = walk.strategyOf(node);
+  const others = othersMass(solver, masses, seat);
+  const childValues = children.map((child, a) => {
+    const range = Float64Array.from(reach[seat], (r, h) => r * strategy[h * k + a]);
+    const values = traverse(
+      solver, child,
+      { ...reach, [seat]: range },
+      { ...masses, [seat]: massOf(solver.W, solver.combosLeft, range) },
+      walk,
+    );
+    if (actions[a] === 'fold') {
+      // a folded seat just loses what it put in, however the hand goes on
+      const lost = node.contrib[seat] + solver.settings.ante;
+      values[seat] = others.map((m) => -m * lost);
+    }
+    return values;
+  });
+
+  const values = {};
+  childValues.forEach((child) => {
+    Object.keys(child).forEach((s) => {
+      if (s === seat) return;
+      if (!values[s]) values[s] = new Float64Array(N);
+      for (let h = 0; h < N; h++) values[s][h] += child[s][h];
+    });
+  });
+
+  const own = new Float64Array(N);
+  const best = walk.best === seat;
+  const choice = best && walk.record ? (walk.record[index] = new Float64Array(N * k)) : null;
+  for (let h = 0; h < N; h++) {
+    if (best) {
+      // ties go to the earlier (more passive) action
+      let top = 0;
+      for (let a = 1; a < k; a++) if (childValues[a][seat][h] > childValues[top][seat][h]) top = a;
+      own[h] = childValues[top][seat][h];
+      if (choice) choice[h * k + top] = 1;
+    } else {
+      for (let a = 0; a < k; a++) own[h] += strategy[h * k + a] * childValues[a][seat][h];
+    }
+  }
+  values[seat] = own;
+
+  if (walk.train) {
+    const regrets = solver.regrets[index];
+    const sums = solver.strategySums[index];
+    const weight = solver.iteration + 1;
+    for (let h = 0; h < N; h++) {
+      for (let a = 0; a < k; a++) {
+        const i = h * k + a;
+        regrets[i] = Math.max(0, regrets[i] + childValues[a][seat][h] - own[h]);
+        sums[i] += weight * reach[seat][h] * strategy[i];
+      }
+    }
+  } else if (walk.weights) {
+    walk.weights[index] = Float64Array.from(others, (m, h) => m * reach[seat][h]);
+  }
+  return values;
+}
+
+function rootState(solver) {
+  const reach = {};
+  const masses = {};
+  solver.seats.forEach((seat) => {
+    reach[seat] = new Float64Array(N).fill(1);
+    masses[seat] = new Float64Array(N).fill(1);
+  });
+  return { reach, masses };
+}
+
+// Walk from the root (see traverse)
+function walkTree(solver, walk) {
+  const { reach, masses } = rootState(solver);
+  return traverse(solver, solver.root, reach, masses, walk);
+}
+
+// Combo-weighted average of a seat's values over its hands (bb per hand)
+function meanValue(values) {
+  let total = 0;
+  for (let h = 0; h < N; h++) total += COMBOS[h] * values[h];
+  return total / 1326;
+}
+
+// Run `count` CFR+ iterations
+export function runIterations(solver, count) {
+  for (let i = 0; i < count; i++) {
+    walkTree(solver, { strategyOf: (node) => currentStrategy(solver, node), train: true });
+    solver.iteration += 1;
+  }
+  return solver;
+}
+
+// Every seat's EV when all play `strategyOf`, and what a best response would gain instead
+function evaluateStrategy(solver, strategyOf) {
+  const values = walkTree(solver, { strategyOf });
+  const seats = {};
+  solver.seats.forEach((seat) => {
+    const best = walkTree(solver, { strategyOf, best: seat });
+    const ev = meanValue(values[seat]);
+    seats[seat] = { ev, bestResponse: meanValue(best[seat]), gain: Math.max(0, meanValue(best[seat]) - ev) };
+  });
+  const gains = Object.values(seats).map((s) => s.gain);
+  return { seats, exploitability: gains.reduce((a, b) => a + b, 0) / gains.length };
+}
+
+/**
+ * Each seat's EV under the average strategy and what a best response would gain instead
+ * (bb per hand). exploitability is the mean gain over seats.
+ */
+export function exploitability(solver) {
+  return evaluateStrategy(solver, (node) => averageStrategy(solver, node));
+}
+
+const toPercent = (x) => Math.round(x * 1000) / 10;
+
+// Scenario-tree chart a solver node plays from; an all-in is answered from the vs4Bet chart
+function chartKey(node) {
+  if (node.scenario === 'RFI' || node.scenario === 'vsOpen') return node.key;
+  return `${node.seat}:${node.scenario === 'vsAllIn' ? 'vs4Bet' : node.scenario}`;
+}
+
+/**
+ * Scenario tree of the strategies `strategyOf` gives the solver nodes (only `seats`' nodes).
+ * Charts for nodes outside the abstraction are copied from `fallback`; several solver nodes
+ * behind one chart (vs3Bet, vs4Bet and the all-ins answered from it) are averaged per hand by how
+ * often each is reached.
+ */
+function chartTree(solver, strategyOf, fallback = {}, seats = solver.seats) {
+  const weights = [];
+  walkTree(solver, { strategyOf, weights });
+
+  const groups = {};
+  solver.nodes.forEach((node) => {
+    if (!seats.includes(node.seat)) return;
+    const key = chartKey(node);
+    (groups[key] = groups[key] || []).push(node);
+  });
+
+  const tree = { ...fallback };
+  Object.entries(groups).forEach(([key, group]) => {
+    const chart = {};
+    const strategies = group.map((node) => strategyOf(node));
+    ALL_HANDS.forEach((hand, h) => {
+      const mix = { fold: 0, call: 0, raise: 0 };
+      let total = 0;
+      group.forEach((node, g) => {
+        const w = group.length === 1 ? 1 : weights[node.index][h];
+        const k = node.actions.length;
+        node.actions.forEach((action, a) => { mix[action] += w * strategies[g][h * k + a]; });
+        total += w;
+      });
+      chart[hand] = total > 0
+        ? { fold: toPercent(mix.fold / total), call: toPercent(mix.call / total), raise: toPercent(mix.raise / total) }
+        : { fold: 100, call: 0, raise: 0 };
+    });
+    tree[key] = chart;
+  });
+  return tree;
+}
+
+// Scenario tree of the average strategy (see chartTree)
+export function solverTree(solver, fallback = {}) {
+  return chartTree(solver, (node) => averageStrategy(solver, node), fallback);
+}
+
+/**
+ * Strategy provider playing a scenario tree in the abstracted game: limps are played as opens
+ * (the game has none), a raise where the node has none (facing an all-in) becomes a call, and
+ * hands or charts the tree lacks fold.
+ */
+export function treeStrategy(tree) {
+  const cache = new Map();
+  return (node) => {
+    if (cache.has(node.index)) return cache.get(node.index);
+    const chart = tree[chartKey(node)] || {};
+    const k = node.actions.length;
+    const out = new Float64Array(N * k);
+    ALL_HANDS.forEach((hand, h) => {
+      const entry = chart[hand] || {};
+      const mix = { fold: entry.fold || 0, call: entry.call || 0, raise: entry.raise || 0 };
+      if (node.scenario === 'RFI') {
+        mix.raise += mix.call;
+        mix.call = 0;
+      }
+      if (!node.actions.includes('raise')) {
+        mix.call += mix.raise;
+        mix.raise = 0;
+      }
+      const total = mix.fold + mix.call + mix.raise;
+      node.actions.forEach((action, a) => {
+        out[h * k + a] = total > 0 ? mix[action] / total : a === 0 ? 1 : 0;
+      });
+    });
+    cache.set(node.index, out);
+    return out;
+  };
+}
+
+/**
+ * Best response to a villain playing `villainTree` from every other seat. Options are
+ * createSolver's plus:
+ * - villainTree: scenario tree every opponent plays
+ * - heroTree: optional tree hero would play instead (e.g. an exploit adjusted from stats)
+ * - fallback: charts for nodes outside the abstraction in the returned strategy
+ *
+ * Returns (amounts in bb per hand):
+ * - strategy: hero's best-response tree, seat by seat
+ * - villain: { seats, exploitability } of the villain tree (seats' EV and best-response gain)
+ * - hero: the same for heroTree, plus adjusted: { seat: EV of heroTree against the villain }
+ */
+export function computeBestResponse({ villainTree, heroTree = null, fallback = {}, ...options }) {
+  const solver = createSolver(options);
+  const villainOf = treeStrategy(villainTree);
+  const villain = evaluateStrategy(solver, villainOf);
+
+  let strategy = { ...fallback };
+  solver.seats.forEach((seat) => {
+    const record = [];
+    walkTree(solver, { strategyOf: villainOf, best: seat, record });
+    const mixed = (node) => (node.seat === seat ? record[node.index] : villainOf(node));
+    strategy = chartTree(solver, mixed, strategy, [seat]);
+  });
+
+  let hero = null;
+  if (heroTree) {
+    const heroOf = treeStrategy(heroTree);
+    const adjusted = {};
+    solver.seats.forEach((seat) => {
+      const values = walkTree(solver, { strategyOf: (node) => (node.seat === seat ? heroOf(node) : villainOf(node)) });
+      adjusted[seat] = meanValue(values[seat]);
+    });
+    hero = { ...evaluateStrategy(solver, heroOf), adjusted };
+  }
+
+  return { strategy, villain, hero, settings: solver.settings, equitySource: solver.equitySource };
+}
+
+/**
+ * Whole solve, as the solver worker runs it: up to `iterations`, calling onReport every
+ * `reportEvery` iterations with { iteration, exploitability, strategy } where strategy is the
+ * current average as a scenario tree. Stopping early is up to the caller (the worker is
+ * terminated; see runPreflopSolver, which also steps the solve itself when workers are missing).
+ */
+export function solvePreflop(
+  { iterations = DEFAULT_SOLVER.iterations, reportEvery = DEFAULT_SOLVER.reportEvery, fallback = {}, ...options },
+  onReport = () => {},
+) {
+  const solver = createSolver(options);
+  let report = null;
+  while (solver.iteration < iterations) {
+    report = solveStep(solver, { iterations, reportEvery, fallback });
+    onReport(report);
+  }
+  return report || solverReport(solver, fallback);
+}
+
+// One chunk of a solve: up to `reportEvery` more iterations without passing `iterations`, then a report
+export function solveStep(solver, { iterations = DEFAULT_SOLVER.iterations, reportEvery = DEFAULT_SOLVER.reportEvery, fallback = {} }) {
+  runIterations(solver, Math.min(reportEvery, iterations - solver.iteration));
+  return solverReport(solver, fallback);
+}
+
+// Progress snapshot: iteration, exploitability (bb per hand) and the average strategy tree
+export function solverReport(solver, fallback = {}) {
+  const { exploitability: value, seats } = exploitability(solver);
+  return {
+    iteration: solver.iteration,
+    exploitability: value,
+    seats,
+    strategy: solverTree(solver, fallback),
+    settings: solver.settings,
+    equitySource: solver.equitySource,
+  };
+}
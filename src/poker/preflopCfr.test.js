@@ -0,0 +1,94 @@
+import { ALL_HANDS } from './cards';
+import {
+  computeBestResponse,
+  createSolver,
+  exploitability,
+  runIterations,
+  solvePreflop,
+  solverTree,
+  solveStep,
+} from './preflopCfr';
+import { continuingRange, rangeShare, solvePushFold } from './pushFold';
+
+// Stand-in equities: the hand earlier in the grid order is the 60% favorite
+const N = ALL_HANDS.length;
+const ordered = new Float32Array(N * N).map((_, i) => {
+  const a = Math.floor(i / N);
+  const b = i % N;
+  return a === b ? 0.5 : a < b ? 0.6 : 0.4;
+});
+
+test('opening all-in reproduces the push/fold equilibrium', () => {
+  const solver = createSolver({ positions: ['SB', 'BB'], game: { stack: 10, openSize: 10 }, equityTable: ordered });
+  expect(solver.nodes.map((node) => node.key)).toEqual(['BB:vsOpen:SB', 'SB:RFI']);
+  runIterations(solver, 300);
+  const tree = solverTree(solver);
+  const pushFold = solvePushFold({ players: 'hu', stack: 10, equityTable: ordered, iterations: 300 });
+  expect(rangeShare(continuingRange(tree['SB:RFI']))).toBeCloseTo(rangeShare(pushFold.push.SB), 1);
+  expect(rangeShare(continuingRange(tree['BB:vsOpen:SB']))).toBeCloseTo(rangeShare(pushFold.call.BB.SB), 1);
+});
+
+test('exploitability shrinks as the solve runs', () => {
+  const solver = createSolver({ positions: ['BTN', 'SB', 'BB'], game: { stack: 40 }, equityTable: ordered });
+  runIterations(solver, 10);
+  const early = exploitability(solver).exploitability;
+  runIterations(solver, 90);
+  const later = exploitability(solver);
+  expect(later.exploitability).toBeLessThan(early);
+  expect(Object.keys(later.seats)).toEqual(['BTN', 'SB', 'BB']);
+});
+
+test('the solved tree covers the abstraction and keeps other nodes from the fallback', () => {
+  const fallback = { 'BB:vsLimp': { AA: { fold: 0, call: 0, raise: 100 } } };
+  const reports = [];
+  const result = solvePreflop(
+    { positions: ['CO', 'BTN', 'SB', 'BB'], game: { stack: 30 }, equityTable: ordered, iterations: 20, reportEvery: 10, fallback },
+    (report) => reports.push(report.iteration),
+  );
+  expect(reports).toEqual([10, 20]);
+  expect(result.iteration).toBe(20);
+  expect(result.strategy['BB:vsLimp']).toBe(fallback['BB:vsLimp']);
+  ['CO:RFI', 'BB:vsOpen:CO', 'CO:vs3Bet', 'BTN:vs4Bet'].forEach((key) => expect(result.strategy[key]).toBeDefined());
+  expect(result.strategy['UTG:RFI']).toBeUndefined();
+  const aa = result.strategy['CO:RFI'].AA;
+  expect(aa.fold + aa.call + aa.raise).toBeCloseTo(100, 0);
+  expect(result.settings.positions).toEqual(['CO', 'BTN', 'SB', 'BB']);
+});
+
+test('a solve step stops at the iteration budget', () => {
+  const solver = createSolver({ positions: ['SB', 'BB'], game: { stack: 20 }, equityTable: ordered });
+  const budget = { iterations: 25, reportEvery: 15 };
+  expect(solveStep(solver, budget).iteration).toBe(15);
+  expect(solveStep(solver, budget).iteration).toBe(25);
+});
+
+test('the big blind is required', () => {
+  expect(() => createSolver({ positions: ['BTN', 'SB'], equityTable: ordered })).toThrow(/big blind/);
+});
+
+test('a solved tree played back through treeStrategy is as exploitable as the solve', () => {
+  // heads-up every chart is a single solver node, so nothing is lost in the round trip
+  const options = { positions: ['SB', 'BB'], game: { stack: 40 }, equityTable: ordered };
+  const solver = createSolver(options);
+  runIterations(solver, 60);
+  const result = computeBestResponse({ ...options, villainTree: solverTree(solver) });
+  expect(result.villain.exploitability).toBeCloseTo(exploitability(solver).exploitability, 2);
+});
+
+test('the best response to a maniac calls its shoves with the top of the range', () => {
+  const always = (action) => Object.fromEntries(ALL_HANDS.map((hand) => [
+    hand, { fold: action === 'fold' ? 100 : 0, call: action === 'call' ? 100 : 0, raise: action === 'raise' ? 100 : 0 },
+  ]));
+  const villainTree = { 'SB:RFI': always('raise'), 'BB:vsOpen:SB': always('call') };
+  const heroTree = { 'SB:RFI': always('fold'), 'BB:vsOpen:SB': always('fold') };
+  const result = computeBestResponse({
+    positions: ['SB', 'BB'], game: { stack: 10, openSize: 10 }, equityTable: ordered, villainTree, heroTree,
+  });
+  const call = result.strategy['BB:vsOpen:SB'];
+  expect(call[ALL_HANDS[0]].call).toBe(100);
+  expect(call[ALL_HANDS[N - 1]].fold).toBe(100);
+  expect(result.villain.exploitability).toBeGreaterThan(0.1);
+  Object.entries(result.hero.adjusted).forEach(([seat, ev]) => {
+    expect(ev).toBeLessThanOrEqual(result.villain.seats[seat].bestResponse + 1e-9);
+  });
+});
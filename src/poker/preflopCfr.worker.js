@@ -0,0 +1,16 @@
+/* eslint-disable no-restricted-globals */
+import { solvePreflop } from './preflopCfr';
+
+/**
+ * Preflop solver worker: receives solvePreflop options, posts { type: 'progress', report } every
+ * reportEvery iterations and { type: 'done', result } at the end.
+ */
+
+self.onmessage = (event) => {
+  try {
+    const result = solvePreflop(event.data, (report) => self.postMessage({ type: 'progress', report }));
+    self.postMessage({ type: 'done', result });
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error.message });
+  }
+};
@@ -0,0 +1,198 @@
+import { ALL_HANDS, handCombos } from './cards';
+import { cardCode, evaluateCodes } from './evaluator';
+
+/**
+ * Exact 169×169 preflop equity table
+ *
+ * equity[a][b] is the all-in preflop equity of hand class a against class b, averaged over every
+ * pair of non-overlapping combos and every possible board (ties count half). It is computed board
+ * by board: for each board all 1326 combos are scored once, sorted, and swept in strength order
+ * while per-class (and per-card, for card removal) counts of weaker combos accumulate wins.
+ *
+ * Suit isomorphism: class totals don't change when suits are permuted, so only one board from each
+ * suit-permutation class is evaluated (134,459 instead of 2,598,960), weighted by the class size.
+ *
+ * The finished table is cached in localStorage as a flat array in ALL_HANDS order.
+ */
+
+const N = ALL_HANDS.length;
+export const CANONICAL_BOARD_COUNT = 134459;
+const STORAGE_KEY = 'pokerPreflopEquity';
+const TABLE_VERSION = 1;
+const CLASS_INDEX = Object.fromEntries(ALL_HANDS.map((key, i) => [key, i]));
+
+// Every combo as parallel arrays of card codes and class index
+const COMBO_CARD1 = [];
+const COMBO_CARD2 = [];
+const COMBO_CLASS = [];
+ALL_HANDS.forEach((key, classIndex) => {
+  handCombos(key).forEach(([a, b]) => {
+    COMBO_CARD1.push(cardCode(a));
+    COMBO_CARD2.push(cardCode(b));
+    COMBO_CLASS.push(classIndex);
+  });
+});
+const COMBOS = COMBO_CLASS.length;
+
+const SUIT_PERMUTATIONS = [];
+(function permute(prefix, rest) {
+  if (rest.length === 0) { SUIT_PERMUTATIONS.push(prefix); return; }
+  rest.forEach((s, i) => permute([...prefix, s], [...rest.slice(0, i), ...rest.slice(i + 1)]));
+})([], [0, 1, 2, 3]);
+
+// Five card codes, sorted ascending, packed into one integer
+function packBoard(cards) {
+  for (let i = 1; i < 5; i++) {
+    const card = cards[i];
+    let j = i - 1;
+    while (j >= 0 && cards[j] > card) { cards[j + 1] = cards[j]; j--; }
+    cards[j + 1] = card;
+  }
+  return (((cards[0] * 52 + cards[1]) * 52 + cards[2]) * 52 + cards[3]) * 52 + cards[4];
+}
+
+// One representative of every suit-permutation class of boards: { cards: Uint8Array(5 per board), weights }
+export function canonicalBoards() {
+  const cards = [];
+  const weights = [];
+  const board = [0, 0, 0, 0, 0];
+  const image = [0, 0, 0, 0, 0];
+  const images = new Array(SUIT_PERMUTATIONS.length);
+
+  for (let a = 0; a < 48; a++) {
+    for (let b = a + 1; b < 49; b++) {
+      for (let c = b + 1; c < 50; c++) {
+        for (let d = c + 1; d < 51; d++) {
+          for (let e = d + 1; e < 52; e++) {
+            board[0] = a; board[1] = b; board[2] = c; board[3] = d; board[4] = e;
+            const key = (((a * 52 + b) * 52 + c) * 52 + d) * 52 + e;
+            let canonical = true;
+            for (let p = 0; p < SUIT_PERMUTATIONS.length && canonical; p++) {
+              const perm = SUIT_PERMUTATIONS[p];
+              for (let k = 0; k < 5; k++) image[k] = (board[k] & ~3) | perm[board[k] & 3];
+              images[p] = packBoard(image);
+              if (images[p] < key) canonical = false;
+            }
+            if (!canonical) continue;
+            cards.push(a, b, c, d, e);
+            weights.push(new Set(images).size);
+          }
+        }
+      }
+    }
+  }
+  return { cards: Uint8Array.from(cards), weights: Uint8Array.from(weights), count: weights.length };
+}
+
+export function createEquityTotals() {
+  return { wins: new Float64Array(N * N), ties: new Float64Array(N * N), boards: 0 };
+}
+
+// Add boards[index] for every index in `indices` to the running totals
+export function accumulateBoards(totals, boards, indices) {
+  const { wins, ties } = totals;
+  const hand = [0, 0, 0, 0, 0, 0, 0];
+  const keys = new Float64Array(COMBOS);
+  const below = new Float64Array(N); // weaker combos per class
+  const belowByCard = new Float64Array(52 * N); // ... per class that hold a given card
+  const blocked = new Uint8Array(52);
+
+  for (const index of indices) {
+    const weight = boards.weights[index];
+    for (let k = 0; k < 5; k++) {
+      const card = boards.cards[index * 5 + k];
+      hand[k + 2] = card;
+      blocked[card] = 1;
+    }
+
+    let count = 0;
+    for (let i = 0; i < COMBOS; i++) {
+      if (blocked[COMBO_CARD1[i]] || blocked[COMBO_CARD2[i]]) continue;
+      hand[0] = COMBO_CARD1[i];
+      hand[1] = COMBO_CARD2[i];
+      keys[count++] = evaluateCodes(hand) * 2048 + i;
+    }
+    const sorted = keys.subarray(0, count).sort();
+    below.fill(0);
+    belowByCard.fill(0);
+
+    // sweep groups of equally strong combos from weakest to strongest
+    for (let start = 0; start < count;) {
+      const strength = Math.floor(sorted[start] / 2048);
+      let end = start + 1;
+      while (end < count && Math.floor(sorted[end] / 2048) === strength) end++;
+
+      for (let g = start; g < end; g++) {
+        const i = sorted[g] % 2048;
+        const row = COMBO_CLASS[i] * N;
+        const card1 = COMBO_CARD1[i] * N;
+        const card2 = COMBO_CARD2[i] * N;
+        for (let b = 0; b < N; b++) {
+          wins[row + b] += weight * (below[b] - belowByCard[card1 + b] - belowByCard[card2 + b]);
+        }
+        for (let h = start; h < end; h++) {
+          const j = sorted[h] % 2048;
+          if (j === i) continue;
+          if (COMBO_CARD1[j] === COMBO_CARD1[i] || COMBO_CARD1[j] === COMBO_CARD2[i]
+            || COMBO_CARD2[j] === COMBO_CARD1[i] || COMBO_CARD2[j] === COMBO_CARD2[i]) continue;
+          ties[row + COMBO_CLASS[j]] += weight;
+        }
+      }
+      for (let g = start; g < end; g++) {
+        const i = sorted[g] % 2048;
+        const cls = COMBO_CLASS[i];
+        below[cls]++;
+        belowByCard[COMBO_CARD1[i] * N + cls]++;
+        belowByCard[COMBO_CARD2[i] * N + cls]++;
+      }
+      start = end;
+    }
+
+    for (let k = 2; k < 7; k++) blocked[hand[k]] = 0;
+    totals.boards++;
+  }
+  return totals;
+}
+
+// Merge worker totals into one
+export function mergeEquityTotals(target, source) {
+  for (let i = 0; i < N * N; i++) {
+    target.wins[i] += source.wins[i];
+    target.ties[i] += source.ties[i];
+  }
+  target.boards += source.boards;
+  return target;
+}
+
+// Flat N×N equity table (row = hero class, column = villain class) from the totals
+export function equityTableFromTotals({ wins, ties }) {
+  const table = new Float32Array(N * N);
+  for (let a = 0; a < N; a++) {
+    for (let b = 0; b < N; b++) {
+      const showdowns = wins[a * N + b] + wins[b * N + a] + ties[a * N + b];
+      table[a * N + b] = showdowns ? (wins[a * N + b] + ties[a * N + b] / 2) / showdowns : 0.5;
+    }
+  }
+  return table;
+}
+
+// Equity of class heroKey against class villainKey
+export function lookupPreflopEquity(table, heroKey, villainKey) {
+  return table[CLASS_INDEX[heroKey] * N + CLASS_INDEX[villainKey]];
+}
+
+export function loadPreflopEquityTable() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+    if (!saved || saved.version !== TABLE_VERSION || saved.values.length !== N * N) return null;
+    return Float32Array.from(saved.values);
+  } catch (e) {
+    console.error('Failed to load preflop equity table:', e);
+    return null;
+  }
+}
+
+export function savePreflopEquityTable(table) {
+  const values = Array.from(table, (v) => Math.round(v * 1e5) / 1e5);
+  localStorage.setItem(STORAGE_KEY, JSON.stringify({ version: TABLE_VERSION, values }));
+}
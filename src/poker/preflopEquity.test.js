@@ -0,0 +1,64 @@
+import { ALL_HANDS, handCombos } from './cards';
+import { estimateEquity } from './equity';
+import { cardCode, evaluateCodes } from './evaluator';
+import {
+  accumulateBoards,
+  canonicalBoards,
+  CANONICAL_BOARD_COUNT,
+  createEquityTotals,
+  equityTableFromTotals,
+  lookupPreflopEquity,
+} from './preflopEquity';
+import { runSimulation } from './simulation';
+import { BASELINE_CHART } from '../strategy/baseline';
+
+test('canonical boards cover every board once up to suit permutation', () => {
+  const boards = canonicalBoards();
+  expect(boards.count).toBe(CANONICAL_BOARD_COUNT);
+  expect(boards.weights.reduce((sum, w) => sum + w, 0)).toBe(2598960); // C(52, 5)
+});
+
+test('the board sweep matches pairwise comparison of every combo', () => {
+  const boards = canonicalBoards();
+  const indices = [0, 4000, 77777, boards.count - 1];
+  const totals = accumulateBoards(createEquityTotals(), boards, indices);
+
+  // Same boards the slow way: every ordered pair of disjoint combos
+  const N = ALL_HANDS.length;
+  const wins = new Float64Array(N * N);
+  const ties = new Float64Array(N * N);
+  const combos = ALL_HANDS.flatMap((key, cls) => handCombos(key).map((c) => ({ cards: c.map(cardCode), cls })));
+  indices.forEach((index) => {
+    const board = Array.from(boards.cards.slice(index * 5, index * 5 + 5));
+    const live = combos
+      .filter(({ cards }) => !cards.some((c) => board.includes(c)))
+      .map((combo) => ({ ...combo, score: evaluateCodes([...combo.cards, ...board]) }));
+    live.forEach((a) => live.forEach((b) => {
+      if (a.cards.some((c) => b.cards.includes(c))) return;
+      if (a.score > b.score) wins[a.cls * N + b.cls] += boards.weights[index];
+      else if (a.score === b.score) ties[a.cls * N + b.cls] += boards.weights[index];
+    }));
+  });
+  expect(Array.from(totals.wins)).toEqual(Array.from(wins));
+  expect(Array.from(totals.ties)).toEqual(Array.from(ties));
+  expect(equityTableFromTotals(totals).length).toBe(N * N);
+});
+
+test('runSimulation uses the exact table preflop and Monte Carlo with a board', () => {
+  const table = new Float32Array(ALL_HANDS.length ** 2).fill(1); // hero always wins
+  expect(lookupPreflopEquity(table, 'AKs', 'QQ')).toBe(1);
+  const params = { heroStrategy: BASELINE_CHART, oppStrategy: BASELINE_CHART, simsPerMatchup: 20, sample: 'sample', seed: 3 };
+
+  const exact = runSimulation({ ...params, equityTable: table });
+  // calling always wins pot + both calls, minus hero's call
+  expect(exact.actions.Call.avgEV).toBeCloseTo(2, 6);
+
+  const withBoard = runSimulation({ ...params, equityTable: table, board: ['Ah', '7c', '2d'] });
+  expect(withBoard.actions.Call.avgEV).toBeLessThan(2);
+  expect(withBoard.params.board).toEqual(['Ah', '7c', '2d']);
+});
+
+test('a complete board has a single outcome', () => {
+  const result = estimateEquity(['As', 'Ks'], ['Qh', 'Qd'], 50, Math.random, { board: ['Ah', '7c', '2d', '9s', '3h'] });
+  expect(result).toEqual({ heroWins: 1, oppWins: 0, ties: 0, equityHero: 1 });
+});
@@ -0,0 +1,29 @@
+/* eslint-disable no-restricted-globals */
+import { accumulateBoards, canonicalBoards, createEquityTotals } from './preflopEquity';
+
+/**
+ * Preflop equity table worker
+ *
+ * Receives { worker, workers } and sweeps every `workers`-th canonical board starting at `worker`,
+ * posting { type: 'progress', done } along the way and { type: 'done', totals } at the end.
+ */
+
+const CHUNK = 250;
+
+self.onmessage = (event) => {
+  const { worker, workers } = event.data;
+  try {
+    const boards = canonicalBoards();
+    const indices = [];
+    for (let i = worker; i < boards.count; i += workers) indices.push(i);
+
+    const totals = createEquityTotals();
+    for (let start = 0; start < indices.length; start += CHUNK) {
+      accumulateBoards(totals, boards, indices.slice(start, start + CHUNK));
+      self.postMessage({ type: 'progress', done: totals.boards });
+    }
+    self.postMessage({ type: 'done', totals }, [totals.wins.buffer, totals.ties.buffer]);
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error.message });
+  }
+};
@@ -0,0 +1,243 @@
+import { ALL_HANDS, comboCount, sampleHandForKey } from './cards';
+import { estimateMultiwayEquity } from './equity';
+import { lookupPreflopEquity } from './preflopEquity';
+import { DEFAULT_RAKE, rakeTaken } from './rake';
+import { POSITIONS } from '../strategy/positions';
+import { parseNodeKey } from '../strategy/scenarios';
+
+/**
+ * Preflop game model for Testing mode
+ *
+ * Plays out one preflop decision at a real 6-max table instead of abstract pot units:
+ * - every seat posts the ante, SB and BB post their blinds; all amounts are in big blinds
+ * - pots that see a flop are raked (see rake.js); uncontested preflop pots only without
+ *   no-flop-no-drop
+ * - raises go to the configured open / 3-bet / 4-bet sizes, the next raise is all-in, and any
+ *   raise that would commit the effective stack is an all-in
+ * - villains answer from their own tree's node charts (fold / call / re-raise) and hero's later
+ *   decisions come from hero's tree, so the whole raise war follows the two strategies
+ * - a called all-in or a called raise goes to showdown on the preflop equities (no postflop play)
+ *
+ * Who hero plays against depends on the node:
+ * - RFI: the villain seats sit in the last seats behind hero (one villain = the BB) and each
+ *   answers the open (or limp) in turn; once someone re-raises the others fold
+ * - vsOpen: the opener; vs3Bet: the BB 3-bets hero's open; vs4Bet and vsLimp: the seat right
+ *   before hero opened (then 4-bet) or limped. Extra villain seats only play in RFI pots.
+ * Villain hands are drawn from the ranges that reach the node (e.g. the opener's raise range).
+ *
+ * Facing an all-in, players call with the hands their vs4Bet chart continues with; a limper
+ * facing an iso-raise answers from its vs3Bet chart.
+ *
+ * EVs are hero's net result for the hand in big blinds (folding a blind loses it), so
+ * avgEV × 100 is bb/100.
+ */
+
+export const DEFAULT_GAME = {
+  smallBlind: 0.5,
+  stack: 100,
+  openSize: 2.5,
+  threeBetSize: 9,
+  fourBetSize: 22,
+};
+
+const ALL_IN = 4; // raise levels: 0 limp, 1 open, 2 3-bet, 3 4-bet, 4 all-in
+
+// Chart entry as fold/call/raise probabilities (a hand missing from the chart folds)
+function mixOf(chart, hand) {
+  const s = chart && chart[hand];
+  if (!s) return { fold: 1, call: 0, raise: 0 };
+  const total = (s.fold || 0) + (s.call || 0) + (s.raise || 0) || 1;
+  return { fold: (s.fold || 0) / total, call: (s.call || 0) / total, raise: (s.raise || 0) / total };
+}
+
+function pickAction(mix, rng) {
+  const r = rng();
+  if (r < mix.raise) return 'raise';
+  return r < mix.raise + mix.call ? 'call' : 'fold';
+}
+
+// Chart a seat answers from when facing a raise to `level` by `aggressor`
+function responseNode(seat, level, aggressor, limped) {
+  if (level === 1) return limped ? `${seat}:vs3Bet` : `${seat}:vsOpen:${aggressor}`;
+  if (level === 2) return `${seat}:vs3Bet`;
+  return `${seat}:vs4Bet`;
+}
+
+// Weighted hand-class sampler over a range { hand: weight }, weights scaled by combo count
+function rangeSampler(weights) {
+  const keys = [];
+  const cumulative = [];
+  let total = 0;
+  Object.entries(weights).forEach(([hand, w]) => {
+    if (!(w > 0)) return;
+    total += w * comboCount(hand);
+    keys.push(hand);
+    cumulative.push(total);
+  });
+  return { keys, cumulative, total };
+}
+
+function sampleRangeKey({ keys, cumulative, total }, rng) {
+  const r = rng() * total;
+  let lo = 0;
+  let hi = keys.length - 1;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (cumulative[mid] > r) hi = mid;
+    else lo = mid + 1;
+  }
+  return keys[lo];
+}
+
+// Product of action frequencies along the charts that bring a villain to the node
+function reachRange(tree, steps) {
+  const weights = {};
+  const first = tree[steps[0][0]] || {};
+  Object.keys(first).forEach((hand) => {
+    weights[hand] = steps.reduce((w, [nodeKey, action]) => w * mixOf(tree[nodeKey], hand)[action], 1);
+  });
+  return weights;
+}
+
+// Villain seats and how the hand reached hero's node
+export function gameSetup(nodeKey, villainCount = 1) {
+  const { position: hero, scenario, villain } = parseNodeKey(nodeKey);
+  const index = POSITIONS.indexOf(hero);
+  const before = POSITIONS[index - 1];
+  switch (scenario) {
+    case 'RFI': {
+      const behind = POSITIONS.slice(index + 1);
+      const seats = behind.slice(Math.max(0, behind.length - villainCount));
+      return { hero, scenario, villains: seats.map((seat) => ({ seat, reach: null })) };
+    }
+    case 'vsOpen':
+      return { hero, scenario, villains: [{ seat: villain, reach: [[`${villain}:RFI`, 'raise']] }] };
+    case 'vs3Bet':
+      return { hero, scenario, villains: [{ seat: 'BB', reach: [[`BB:vsOpen:${hero}`, 'raise']] }] };
+    case 'vs4Bet':
+      return { hero, scenario, villains: [{ seat: before, reach: [[`${before}:RFI`, 'raise'], [`${before}:vs3Bet`, 'raise']] }] };
+    default: // vsLimp
+      return { hero, scenario, villains: [{ seat: before, reach: [[`${before}:RFI`, 'call']] }] };
+  }
+}
+
+// Build the per-hand context once: seats, villain samplers and bet sizes
+export function createGame(nodeKey, { game = DEFAULT_GAME, heroTree, oppTrees, ante = 0, rake = DEFAULT_RAKE }) {
+  const settings = { ...DEFAULT_GAME, ...game };
+  const setup = gameSetup(nodeKey, oppTrees.length);
+  const villains = setup.villains.map((v, i) => {
+    const tree = oppTrees[i];
+    const reach = v.reach ? reachRange(tree, v.reach) : Object.fromEntries(ALL_HANDS.map((h) => [h, 1]));
+    return { ...v, tree, sampler: rangeSampler(reach) };
+  });
+  const { stack } = settings;
+  const sizes = [1, settings.openSize, settings.threeBetSize, settings.fourBetSize, stack].map((s) => Math.min(s, stack));
+  return { ...setup, settings, villains, heroTree, sizes, ante, rake };
+}
+
+// Sample villain hands for a trial; null if the cards ran out (dead cards can block a range)
+export function dealVillains(ctx, blocked, rng) {
+  const hands = [];
+  for (const v of ctx.villains) {
+    if (v.sampler.keys.length === 0) return null;
+    const key = sampleRangeKey(v.sampler, rng);
+    const combo = sampleHandForKey(key, blocked, rng);
+    if (!combo) return null;
+    combo.forEach((card) => blocked.add(card));
+    hands.push({ seat: v.seat, tree: v.tree, key, combo });
+  }
+  return hands;
+}
+
+/**
+ * Hero's net result (bb) for one dealt hand when hero takes `action` at the node.
+ * `showdown(players)` returns hero's pot share against the other listed players.
+ */
+export function playHand(ctx, heroHand, hands, action, rng, showdown) {
+  const { hero, scenario, settings, sizes, heroTree, ante, rake } = ctx;
+  const contrib = {};
+  POSITIONS.forEach((seat) => { contrib[seat] = 0; });
+  contrib.SB = Math.min(settings.smallBlind, settings.stack);
+  contrib.BB = Math.min(1, settings.stack);
+  const dead = ante * POSITIONS.length;
+  const players = [{ seat: hero, tree: heroTree, key: heroHand, isHero: true }, ...hands];
+
+  const raiseTo = (seat, level) => {
+    const amount = contrib[seat] >= sizes[level] ? sizes[ALL_IN] : sizes[level];
+    contrib[seat] = amount;
+    return amount >= settings.stack ? ALL_IN : level;
+  };
+  const pot = () => dead + POSITIONS.reduce((sum, seat) => sum + contrib[seat], 0);
+  const heroNet = (share, sawFlop) => share * (pot() - rakeTaken(pot(), rake, sawFlop)) - contrib[hero] - ante;
+  const settle = (live) => {
+    if (!live.some((p) => p.isHero)) return heroNet(0, false);
+    return live.length === 1 ? heroNet(1, false) : heroNet(showdown(live), true);
+  };
+
+  // Heads-up raise war: `defender` faces `aggressor`'s raise to `level`
+  const war = (aggressor, defender, level, limped = false) => {
+    for (;;) {
+      const mix = mixOf(defender.tree[responseNode(defender.seat, level, aggressor.seat, limped)], defender.key);
+      let choice = pickAction(mix, rng);
+      if (level === ALL_IN && choice === 'raise') choice = 'call';
+      if (choice === 'fold') return settle([aggressor]);
+      contrib[defender.seat] = Math.max(contrib[defender.seat], contrib[aggressor.seat]);
+      if (choice === 'call') return settle([aggressor, defender]);
+      level = raiseTo(defender.seat, level + 1);
+      [aggressor, defender] = [defender, aggressor];
+      limped = false;
+    }
+  };
+
+  const me = players[0];
+  const villain = players[1];
+
+  // Set up the action that reached hero (money hero already put in is lost by folding)
+  if (scenario === 'vsOpen') raiseTo(villain.seat, 1);
+  if (scenario === 'vs3Bet') { raiseTo(hero, 1); raiseTo(villain.seat, 2); }
+  if (scenario === 'vs4Bet') { raiseTo(villain.seat, 1); raiseTo(hero, 2); raiseTo(villain.seat, 3); }
+  if (scenario === 'vsLimp') contrib[villain.seat] = Math.max(contrib[villain.seat], sizes[0]);
+  if (action === 'Fold') return heroNet(0, false);
+
+  if (scenario === 'RFI') {
+    const opened = action === 'Raise';
+    if (opened) raiseTo(hero, 1);
+    else contrib[hero] = Math.max(contrib[hero], sizes[0]);
+    // villains behind act in seat order on the open or limp
+    const callers = [me];
+    for (const v of players.slice(1)) {
+      const node = opened ? `${v.seat}:vsOpen:${hero}` : `${v.seat}:vsLimp`;
+      const choice = pickAction(mixOf(v.tree[node], v.key), rng);
+      if (choice === 'raise') {
+        return war(v, me, raiseTo(v.seat, opened ? 2 : 1), !opened);
+      }
+      // the big blind checks a limp rather than folding it
+      if (choice === 'call' || (!opened && v.seat === 'BB')) {
+        contrib[v.seat] = Math.max(contrib[v.seat], contrib[hero]);
+        callers.push(v);
+      }
+    }
+    return settle(callers);
+  }
+
+  // heads-up nodes
+  const facing = { vsOpen: 1, vs3Bet: 2, vs4Bet: 3, vsLimp: 0 }[scenario];
+  const allIn = contrib[villain.seat] >= settings.stack;
+
+  if (action === 'Call' || allIn) {
+    contrib[hero] = Math.max(contrib[hero], contrib[villain.seat]);
+    return settle([me, villain]);
+  }
+  // raise: iso over a limp, otherwise the next raise level
+  const level = raiseTo(hero, facing + 1);
+  return war(me, villain, level, scenario === 'vsLimp');
+}
+
+// Hero's equity share at showdown: exact heads-up table when possible, else Monte Carlo
+export function showdownEquity(heroKey, heroCombo, live, { equityTable, sims, rng, board = [], dead = [] }) {
+  const others = live.filter((p) => !p.isHero);
+  if (equityTable && others.length === 1 && board.length === 0 && dead.length === 0) {
+    return lookupPreflopEquity(equityTable, heroKey, others[0].key);
+  }
+  return estimateMultiwayEquity([heroCombo, ...others.map((p) => p.combo)], sims, rng, { board, dead }).equities[0];
+}
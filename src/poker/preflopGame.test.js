@@ -0,0 +1,56 @@
+import { ALL_HANDS } from './cards';
+import { gameSetup } from './preflopGame';
+import { runSimulation, simulateHand } from './simulation';
+import { BASELINE_STRATEGY } from '../strategy/baseline';
+
+// Tree where every node plays the same mix
+const uniformTree = (mix) => Object.fromEntries(Object.keys(BASELINE_STRATEGY).map((node) => [
+  node, Object.fromEntries(ALL_HANDS.map((hand) => [hand, mix])),
+]));
+const FOLDS = uniformTree({ fold: 100, call: 0, raise: 0 });
+const CALLS = uniformTree({ fold: 0, call: 100, raise: 0 });
+const coinFlips = new Float32Array(169 * 169).fill(0.5);
+
+const play = (handKey, nodeKey, options) => simulateHand(handKey, {
+  model: 'game', nodeKey, seed: 1, simsPerMatchup: 40, heroTree: BASELINE_STRATEGY, oppTrees: [BASELINE_STRATEGY], ...options,
+});
+
+test('villain seats follow the node', () => {
+  expect(gameSetup('CO:RFI', 1).villains.map((v) => v.seat)).toEqual(['BB']);
+  expect(gameSetup('CO:RFI', 3).villains.map((v) => v.seat)).toEqual(['BTN', 'SB', 'BB']);
+  expect(gameSetup('BB:vsOpen:BTN').villains[0].seat).toBe('BTN');
+  expect(gameSetup('BTN:vs3Bet').villains[0].seat).toBe('BB');
+  expect(gameSetup('BB:vs4Bet').villains[0].seat).toBe('SB');
+});
+
+test('folding a blind loses it, antes included', () => {
+  expect(play('72o', 'BB:vsOpen:BTN', {}).ev.Fold).toBeCloseTo(-1, 10);
+  expect(play('72o', 'SB:vsOpen:CO', { ante: 0.1 }).ev.Fold).toBeCloseTo(-0.6, 10);
+  expect(play('72o', 'CO:RFI', {}).ev.Fold).toBe(0);
+  expect(play('72o', 'BTN:vs3Bet', {}).ev.Fold).toBeCloseTo(-2.5, 10);
+});
+
+test('opens that everyone folds to win the blinds and antes', () => {
+  const result = play('AA', 'CO:RFI', { oppTrees: [FOLDS, FOLDS, FOLDS], ante: 0.2 });
+  // blinds plus the other five antes
+  expect(result.ev.Raise).toBeCloseTo(1.5 + 5 * 0.2, 10);
+});
+
+test('re-raises that cover the stack resolve as called all-ins', () => {
+  // BB 3-bets all-in for 5bb against the BTN open and gets called; the SB's blind is dead money
+  const opensThenCalls = { ...CALLS, 'BTN:RFI': uniformTree({ fold: 0, call: 0, raise: 100 })['BTN:RFI'] };
+  const result = play('AA', 'BB:vsOpen:BTN', { oppTrees: [opensThenCalls], equityTable: coinFlips, game: { stack: 5 } });
+  expect(result.ev.Raise).toBeCloseTo(0.5 * 10.5 - 5, 10);
+  expect(result.ev.Call).toBeCloseTo(0.5 * 5.5 - 2.5, 10);
+});
+
+test('game runs report the strategy EV and record the game', () => {
+  const run = runSimulation({
+    model: 'game', nodeKey: 'CO:RFI', heroStrategy: BASELINE_STRATEGY['CO:RFI'], heroTree: BASELINE_STRATEGY,
+    oppTrees: [BASELINE_STRATEGY], simsPerMatchup: 20, sample: 'sample', seed: 4,
+  });
+  expect(run.params).toMatchObject({ model: 'game', nodeKey: 'CO:RFI', game: { stack: 100, openSize: 2.5 }, ante: 0 });
+  expect(Number.isFinite(run.strategyEV)).toBe(true);
+  // never worse than folding everything
+  expect(run.strategyEV).toBeGreaterThanOrEqual(run.actions.Fold.avgEV);
+});
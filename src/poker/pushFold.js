@@ -0,0 +1,349 @@
+import { ALL_HANDS, comboCount, handCombos, makeDeck } from './cards';
+import { cardCode, evaluateCodes } from './evaluator';
+import { icmEquity } from './icm';
+import { createRng } from './rng';
+import { POSITIONS } from '../strategy/positions';
+
+/**
+ * Push/fold equilibrium for short stacks
+ *
+ * Every player either folds or moves all-in; players behind an all-in call or fold. Following the
+ * usual push/fold model only the first caller plays the all-in (everyone behind folds), so each
+ * (pusher, caller) pair is a heads-up showdown on the preflop equities. Amounts are in big blinds;
+ * every seat starts the hand with `stack` (or its own entry in `stacks`) and posts the ante, SB and
+ * BB post their blinds; an all-in is for the smaller of the two stacks.
+ *
+ * With `icm: { payouts }` every outcome is valued in prize equity (see icm.js) instead of chips, so
+ * the ranges are the tournament ($EV) equilibrium. A pusher who folds is assumed to leave the
+ * blinds and antes to the BB.
+ *
+ * The equilibrium is found by fictitious play: every iteration computes each seat's best response
+ * (push or call exactly the hands that beat folding) against the current average ranges and moves
+ * the averages towards it. `exploitability` is the most any seat could still gain (bb, or prize
+ * units under ICM, per hand it plays) by deviating from the averages, and goes to 0 as the ranges
+ * converge.
+ *
+ * Card removal is exact at the class level: W[a][b] is the average number of b combos left when
+ * holding a combo of a. Ranges are Float64Arrays of 169 frequencies (0..1) in ALL_HANDS order.
+ */
+
+const N = ALL_HANDS.length;
+const COMBOS = ALL_HANDS.map(comboCount);
+
+export const PUSH_FOLD_TABLES = {
+  hu: ['SB', 'BB'],
+  '6max': POSITIONS,
+};
+
+let compatibility = null;
+
+// W[a][b]: average number of class-b combos compatible with a class-a combo
+export function comboCompatibility() {
+  if (compatibility) return compatibility;
+  const combos = ALL_HANDS.map((hand) => handCombos(hand).map((pair) => pair.map(cardCode)));
+  compatibility = new Float64Array(N * N);
+  for (let a = 0; a < N; a++) {
+    for (let b = 0; b < N; b++) {
+      let count = 0;
+      combos[a].forEach(([x, y]) => {
+        combos[b].forEach(([u, v]) => {
+          if (u !== x && u !== y && v !== x && v !== y) count++;
+        });
+      });
+      compatibility[a * N + b] = count / combos[a].length;
+    }
+  }
+  return compatibility;
+}
+
+// Quick Monte Carlo stand-in for the exact preflop table: `samples` random deals per class pair
+export function estimatePreflopEquityTable({ samples = 64, seed = 1 } = {}) {
+  const rng = createRng(seed);
+  const combos = ALL_HANDS.map((hand) => handCombos(hand).map((pair) => pair.map(cardCode)));
+  const deck = makeDeck().map(cardCode);
+  const table = new Float32Array(N * N);
+  const hero = [0, 0, 0, 0, 0, 0, 0];
+  const villain = [0, 0, 0, 0, 0, 0, 0];
+  const used = new Uint8Array(52);
+
+  for (let a = 0; a < N; a++) {
+    for (let b = a; b < N; b++) {
+      let share = 0;
+      let played = 0;
+      for (let s = 0; s < samples * 4 && played < samples; s++) {
+        const [x, y] = combos[a][Math.floor(rng() * combos[a].length)];
+        const [u, v] = combos[b][Math.floor(rng() * combos[b].length)];
+        if (u === x || u === y || v === x || v === y) continue;
+        used.fill(0);
+        used[x] = used[y] = used[u] = used[v] = 1;
+        hero[0] = x; hero[1] = y; villain[0] = u; villain[1] = v;
+        for (let k = 2; k < 7;) {
+          const card = deck[Math.floor(rng() * 52)];
+          if (used[card]) continue;
+          used[card] = 1;
+          hero[k] = card;
+          villain[k] = card;
+          k++;
+        }
+        const diff = evaluateCodes(hero) - evaluateCodes(villain);
+        share += diff > 0 ? 1 : diff === 0 ? 0.5 : 0;
+        played++;
+      }
+      const equity = played ? share / played : 0.5;
+      table[a * N + b] = a === b ? 0.5 : equity;
+      table[b * N + a] = a === b ? 0.5 : 1 - equity;
+    }
+  }
+  return table;
+}
+
+// x -> M·x for the 169×169 matrix M
+function multiply(matrix, x, out) {
+  for (let a = 0; a < N; a++) {
+    let sum = 0;
+    const row = a * N;
+    for (let b = 0; b < N; b++) sum += matrix[row + b] * x[b];
+    out[a] = sum;
+  }
+  return out;
+}
+
+// Starting stack of every seat: `stacks` ({ seat: bb }) where given, else `stack`
+function seatStacks(seats, stack, stacks) {
+  return Object.fromEntries(seats.map((seat) => [seat, stacks && stacks[seat] > 0 ? stacks[seat] : stack]));
+}
+
+function createGame({ players = 'hu', stack = 10, stacks = null, smallBlind = 0.5, ante = 0, icm = null, equityTable }) {
+  const seats = PUSH_FOLD_TABLES[players];
+  const start = seatStacks(seats, stack, stacks);
+  const posted = Object.fromEntries(seats.map((seat) => [seat, 0]));
+  posted.SB = Math.min(smallBlind, start.SB);
+  posted.BB = Math.min(1, start.BB);
+  const W = comboCompatibility();
+  const WE = new Float64Array(N * N);
+  for (let i = 0; i < N * N; i++) WE[i] = W[i] * equityTable[i];
+  const combosLeft = multiply(W, new Float64Array(N).fill(1), new Float64Array(N));
+  const dead = seats.reduce((sum, seat) => sum + posted[seat] + ante, 0);
+
+  // Value to `seat` of a hand that changes the stacks by `deltas`: chips, or prize equity under ICM
+  const base = Object.fromEntries(seats.map((seat) => [seat, -(posted[seat] + ante)]));
+  const startEquity = icm && Object.fromEntries(seats.map((seat, i) => [seat, icmEquity(seats.map((s) => start[s]), icm.payouts, i)]));
+  const valueOf = (seat, deltas) => {
+    if (!icm) return deltas[seat];
+    const after = seats.map((s) => start[s] + deltas[s]);
+    return icmEquity(after, icm.payouts, seats.indexOf(seat)) - startEquity[seat];
+  };
+  const take = (seat, amount, deltas = base) => ({ ...deltas, [seat]: deltas[seat] + amount });
+
+  // Outcomes of every push: pusher folds (the blinds and antes go to the BB), steals, or
+  // plays the all-in against one caller (both put in the smaller stack, ante included)
+  const outcomes = {};
+  seats.slice(0, -1).forEach((pusher) => {
+    const steal = take(pusher, dead);
+    const fold = take('BB', dead);
+    const vs = {};
+    seats.slice(seats.indexOf(pusher) + 1).forEach((caller) => {
+      const allIn = Math.min(start[pusher], start[caller]);
+      const pot = dead + 2 * allIn - (posted[pusher] + ante) - (posted[caller] + ante);
+      const invested = { ...base, [pusher]: -allIn, [caller]: -allIn };
+      const pusherWins = take(pusher, pot, invested);
+      const callerWins = take(caller, pot, invested);
+      vs[caller] = {
+        push: { win: valueOf(pusher, pusherWins), lose: valueOf(pusher, callerWins) },
+        call: { win: valueOf(caller, callerWins), lose: valueOf(caller, pusherWins), fold: valueOf(caller, steal) },
+      };
+    });
+    outcomes[pusher] = { fold: valueOf(pusher, fold), steal: valueOf(pusher, steal), vs };
+  });
+
+  return { seats, stacks: start, W, WE, combosLeft, outcomes };
+}
+
+// For one seat's range x: per hand, the weight of x behind card removal and of x's equity-weighted mass
+function rangeView(game, range) {
+  return {
+    mass: multiply(game.W, range, new Float64Array(N)),
+    equity: multiply(game.WE, range, new Float64Array(N)),
+  };
+}
+
+// EV of every hand for pushing from `pusher` and for folding, given the callers' ranges
+// (bb, or prize units under ICM)
+export function pushEVs(game, pusher, callRanges) {
+  const { seats, combosLeft, outcomes } = game;
+  const { fold, steal, vs } = outcomes[pusher];
+  const callers = seats.slice(seats.indexOf(pusher) + 1);
+  const views = callers.map((caller) => rangeView(game, callRanges[caller][pusher]));
+  const push = new Float64Array(N);
+  for (let h = 0; h < N; h++) {
+    let reach = 1; // everyone before this caller folded
+    let ev = 0;
+    callers.forEach((caller, i) => {
+      const calls = views[i].mass[h] / combosLeft[h];
+      if (calls > 0) {
+        const equity = views[i].equity[h] / views[i].mass[h];
+        const { win, lose } = vs[caller].push;
+        ev += reach * calls * (equity * win + (1 - equity) * lose);
+      }
+      reach *= 1 - calls;
+    });
+    push[h] = ev + reach * steal;
+  }
+  return { push, fold };
+}
+
+// EV of every hand for calling `pusher`'s all-in from `caller`, and for folding
+export function callEVs(game, caller, pusher, pushRange) {
+  const { win, lose, fold } = game.outcomes[pusher].vs[caller].call;
+  const view = rangeView(game, pushRange);
+  const call = new Float64Array(N);
+  for (let v = 0; v < N; v++) {
+    const equity = view.mass[v] > 0 ? view.equity[v] / view.mass[v] : 0;
+    call[v] = equity * win + (1 - equity) * lose;
+  }
+  return { call, fold };
+}
+
+// Hands (1 = always) whose EV beats folding
+function bestResponse({ push, call }, fold) {
+  const evs = push || call;
+  return Float64Array.from(evs, (ev) => (ev > fold ? 1 : 0));
+}
+
+// Average gain (bb) of the best response over `range`, weighted by combos
+function regret(evs, fold, range) {
+  let gain = 0;
+  let combos = 0;
+  for (let h = 0; h < N; h++) {
+    const w = COMBOS[h];
+    const best = Math.max(evs[h], fold);
+    gain += w * (best - (range[h] * evs[h] + (1 - range[h]) * fold));
+    combos += w;
+  }
+  return gain / combos;
+}
+
+/**
+ * Solve the push/fold game.
+ * Returns { seats, push: { seat: range }, call: { caller: { pusher: range } }, iterations,
+ * exploitability } for pushers (every seat but the BB) and their callers.
+ */
+export function solvePushFold({ iterations = 300, ...options }) {
+  const { equityTable, ...settings } = options;
+  const game = createGame(options);
+  const { seats } = game;
+  const pushers = seats.slice(0, -1);
+  const push = {};
+  const call = {};
+  pushers.forEach((pusher) => { push[pusher] = new Float64Array(N).fill(0.5); });
+  seats.slice(1).forEach((caller) => {
+    call[caller] = {};
+    seats.slice(0, seats.indexOf(caller)).forEach((pusher) => { call[caller][pusher] = new Float64Array(N).fill(0.5); });
+  });
+
+  const step = (range, target, t) => {
+    for (let h = 0; h < N; h++) range[h] += (target[h] - range[h]) / (t + 2);
+  };
+
+  for (let t = 0; t < iterations; t++) {
+    const pushTargets = pushers.map((pusher) => {
+      const evs = pushEVs(game, pusher, call);
+      return bestResponse(evs, evs.fold);
+    });
+    const callTargets = [];
+    Object.keys(call).forEach((caller) => {
+      Object.keys(call[caller]).forEach((pusher) => {
+        const evs = callEVs(game, caller, pusher, push[pusher]);
+        callTargets.push([call[caller][pusher], bestResponse(evs, evs.fold)]);
+      });
+    });
+    pushers.forEach((pusher, i) => step(push[pusher], pushTargets[i], t));
+    callTargets.forEach(([range, target]) => step(range, target, t));
+  }
+
+  let exploitability = 0;
+  pushers.forEach((pusher) => {
+    const evs = pushEVs(game, pusher, call);
+    exploitability = Math.max(exploitability, regret(evs.push, evs.fold, push[pusher]));
+  });
+  Object.keys(call).forEach((caller) => {
+    Object.keys(call[caller]).forEach((pusher) => {
+      const evs = callEVs(game, caller, pusher, push[pusher]);
+      exploitability = Math.max(exploitability, regret(evs.call, evs.fold, call[caller][pusher]));
+    });
+  });
+
+  return { seats, push, call, iterations, exploitability, settings };
+}
+
+// Worker entry: solve with the exact table when given, else with a quick Monte Carlo estimate.
+// The result carries the table used, for exploitPushRange on the main thread. Under ICM the chip
+// EV solution of the same stacks comes along as `chip`, to show how much ICM tightens the ranges.
+export function computePushFold({ equityTable = null, ...options }) {
+  const table = equityTable || estimatePreflopEquityTable();
+  const solution = solvePushFold({ ...options, equityTable: table });
+  if (options.icm) {
+    const { push, call } = solvePushFold({ ...options, icm: null, equityTable: table });
+    solution.chip = { push, call };
+  }
+  return { ...solution, equityTable: table, equitySource: equityTable ? 'exact' : 'estimated' };
+}
+
+/**
+ * Best pushing range from `pusher` when `caller` calls with `observed` instead of its equilibrium
+ * range (other callers keep theirs). Returns { range, gain } with gain what it earns per hand
+ * (bb, or prize units under ICM) over the equilibrium push range against that caller.
+ */
+export function exploitPushRange(solution, equityTable, pusher, caller, observed) {
+  const game = createGame({ ...solution.settings, equityTable });
+  const calls = { ...solution.call, [caller]: { ...solution.call[caller], [pusher]: observed } };
+  const evs = pushEVs(game, pusher, calls);
+  const range = bestResponse(evs, evs.fold);
+  return { range, gain: regret(evs.push, evs.fold, solution.push[pusher]) };
+}
+
+/**
+ * Calling range holding `share` (0..1) of all combos, made of the hands with the most equity
+ * against `pusher`'s equilibrium push range: an observed rate of calling shoves as a range.
+ */
+export function callingRangeFromShare(solution, equityTable, pusher, share) {
+  const game = createGame({ ...solution.settings, equityTable });
+  const view = rangeView(game, solution.push[pusher]);
+  const equity = (h) => (view.mass[h] > 0 ? view.equity[h] / view.mass[h] : 0);
+  const order = ALL_HANDS.map((_, h) => h).sort((a, b) => equity(b) - equity(a));
+  const range = new Float64Array(N);
+  let left = Math.max(0, Math.min(1, share)) * 1326;
+  for (const h of order) {
+    if (left <= 0) break;
+    range[h] = Math.min(1, left / COMBOS[h]);
+    left -= range[h] * COMBOS[h];
+  }
+  return range;
+}
+
+// Range from a chart's continuing (call + raise) frequencies: what a seat calls an all-in with
+export function continuingRange(chart) {
+  return Float64Array.from(ALL_HANDS, (hand) => {
+    const s = chart && chart[hand];
+    if (!s) return 0;
+    const total = (s.fold || 0) + (s.call || 0) + (s.raise || 0) || 1;
+    return ((s.call || 0) + (s.raise || 0)) / total;
+  });
+}
+
+// Share of all 1326 combos in a range (0..1)
+export function rangeShare(range) {
+  let combos = 0;
+  for (let h = 0; h < N; h++) combos += range[h] * COMBOS[h];
+  return combos / 1326;
+}
+
+// Chart ({ hand: { fold, call, raise } } in percent) for a push ('raise') or call range
+export function rangeToChart(range, action) {
+  const chart = {};
+  ALL_HANDS.forEach((hand, h) => {
+    const pct = Math.round(range[h] * 1000) / 10;
+    chart[hand] = { fold: Math.round((100 - pct) * 10) / 10, call: action === 'call' ? pct : 0, raise: action === 'raise' ? pct : 0 };
+  });
+  return chart;
+}
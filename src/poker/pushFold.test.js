@@ -0,0 +1,81 @@
+import { ALL_HANDS } from './cards';
+import {
+  callingRangeFromShare, comboCompatibility, computePushFold, continuingRange, exploitPushRange, rangeShare, rangeToChart,
+  solvePushFold,
+} from './pushFold';
+
+// Stand-in equities: the hand earlier in the grid order is the 60% favorite
+const N = ALL_HANDS.length;
+const ordered = new Float32Array(N * N).map((_, i) => {
+  const a = Math.floor(i / N);
+  const b = i % N;
+  return a === b ? 0.5 : a < b ? 0.6 : 0.4;
+});
+const hand = (key) => ALL_HANDS.indexOf(key);
+
+test('card removal leaves the right number of combos', () => {
+  const W = comboCompatibility();
+  expect(W[hand('AA') * N + hand('AA')]).toBe(1); // one pair of aces left
+  expect(W[hand('AA') * N + hand('KK')]).toBe(6);
+  expect(W[hand('AKs') * N + hand('AKo')]).toBe(6); // 3 aces × 3 kings, minus the 3 suited ones
+});
+
+test('heads-up equilibrium pushes and calls with the strongest hands', () => {
+  const { push, call, exploitability } = solvePushFold({ players: 'hu', stack: 10, equityTable: ordered, iterations: 200 });
+  expect(push.SB[hand('AA')]).toBeCloseTo(1, 2);
+  expect(call.BB.SB[hand('AA')]).toBeCloseTo(1, 2);
+  expect(call.BB.SB[hand('32o')]).toBeCloseTo(0, 1);
+  // callers need more than the pusher: the calling range is tighter
+  expect(rangeShare(call.BB.SB)).toBeLessThan(rangeShare(push.SB));
+  expect(exploitability).toBeLessThan(0.05);
+});
+
+test('deeper stacks and 6-max seats tighten the ranges', () => {
+  const short = solvePushFold({ players: 'hu', stack: 5, equityTable: ordered, iterations: 100 });
+  const deep = solvePushFold({ players: 'hu', stack: 20, equityTable: ordered, iterations: 100 });
+  expect(rangeShare(deep.push.SB)).toBeLessThan(rangeShare(short.push.SB));
+
+  const table = solvePushFold({ players: '6max', stack: 10, ante: 0.1, equityTable: ordered, iterations: 60 });
+  expect(table.seats).toHaveLength(6);
+  expect(rangeShare(table.push.UTG)).toBeLessThan(rangeShare(table.push.BTN));
+  expect(Object.keys(table.call.BB)).toEqual(['UTG', 'HJ', 'CO', 'BTN', 'SB']);
+});
+
+test('a villain who calls too tight gets pushed on wider', () => {
+  const solved = computePushFold({ players: 'hu', stack: 10, equityTable: ordered, iterations: 100 });
+  expect(solved.equitySource).toBe('exact');
+  const nit = new Float64Array(N).map((_, h) => (h < 10 ? 1 : 0));
+  const exploit = exploitPushRange(solved, solved.equityTable, 'SB', 'BB', nit);
+  expect(rangeShare(exploit.range)).toBeGreaterThan(rangeShare(solved.push.SB));
+  expect(exploit.gain).toBeGreaterThan(0);
+});
+
+test('an observed calling rate becomes the strongest hands against the push range', () => {
+  const solved = computePushFold({ players: 'hu', stack: 10, equityTable: ordered, iterations: 100 });
+  const range = callingRangeFromShare(solved, solved.equityTable, 'SB', 0.1);
+  expect(rangeShare(range)).toBeCloseTo(0.1, 6);
+  expect(range[0]).toBe(1);
+  expect(range[N - 1]).toBe(0);
+});
+
+test('charts convert to ranges and back', () => {
+  const range = continuingRange({ AA: { fold: 0, call: 40, raise: 60 }, KK: { fold: 50, call: 50, raise: 0 } });
+  expect(range[hand('AA')]).toBe(1);
+  expect(range[hand('KK')]).toBe(0.5);
+  expect(range[hand('QQ')]).toBe(0);
+  expect(rangeToChart(range, 'call').KK).toEqual({ fold: 50, call: 50, raise: 0 });
+});
+
+test('ICM pressure tightens the calling ranges', () => {
+  const icm = { payouts: [50, 30, 20] };
+  const solved = computePushFold({ players: '6max', stack: 10, equityTable: ordered, iterations: 60, icm });
+  expect(solved.chip).toBeDefined();
+  expect(rangeShare(solved.call.BB.UTG)).toBeLessThan(rangeShare(solved.chip.call.BB.UTG));
+  expect(solved.settings.icm).toEqual(icm);
+});
+
+test('uneven stacks cap the all-in at the shorter stack', () => {
+  const even = solvePushFold({ players: 'hu', stack: 5, equityTable: ordered, iterations: 100 });
+  const covered = solvePushFold({ players: 'hu', stacks: { SB: 5, BB: 40 }, equityTable: ordered, iterations: 100 });
+  expect(rangeShare(covered.push.SB)).toBeCloseTo(rangeShare(even.push.SB), 2);
+});
@@ -0,0 +1,14 @@
+/* eslint-disable no-restricted-globals */
+import { computePushFold } from './pushFold';
+
+/**
+ * Push/fold worker: receives computePushFold options, posts { type: 'done', result }.
+ */
+
+self.onmessage = (event) => {
+  try {
+    self.postMessage({ type: 'done', result: computePushFold(event.data) });
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error.message });
+  }
+};
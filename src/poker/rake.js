@@ -0,0 +1,44 @@
+/**
+ * Table costs: rake and antes
+ *
+ * Table settings { rake: { percent, cap, noFlopNoDrop }, ante } apply to every EV calculation:
+ * both Testing-mode models and the exploitative adjustments. Amounts are in big blinds; a cap of
+ * 0 means uncapped. With no-flop-no-drop, pots that end preflop are not raked.
+ *
+ * The settings are kept in localStorage and recorded with simulation results.
+ */
+
+const STORAGE_KEY = 'pokerTableSettings';
+
+export const DEFAULT_RAKE = { percent: 0, cap: 0, noFlopNoDrop: true };
+export const DEFAULT_TABLE_SETTINGS = { rake: DEFAULT_RAKE, ante: 0 };
+
+// Rake taken from a pot (same units as the pot)
+export function rakeTaken(pot, rake = DEFAULT_RAKE, sawFlop = true) {
+  if (!rake || !(rake.percent > 0) || pot <= 0) return 0;
+  if (rake.noFlopNoDrop && !sawFlop) return 0;
+  const amount = (pot * rake.percent) / 100;
+  return rake.cap > 0 ? Math.min(amount, rake.cap) : amount;
+}
+
+// Short description, e.g. "5% cap 3bb, no flop no drop"
+export function describeRake(rake = DEFAULT_RAKE) {
+  if (!rake || !(rake.percent > 0)) return 'no rake';
+  const cap = rake.cap > 0 ? ` cap ${rake.cap}bb` : ' uncapped';
+  return `${rake.percent}%${cap}${rake.noFlopNoDrop ? ', no flop no drop' : ''}`;
+}
+
+export function loadTableSettings() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+    if (!saved) return DEFAULT_TABLE_SETTINGS;
+    return { ...DEFAULT_TABLE_SETTINGS, ...saved, rake: { ...DEFAULT_RAKE, ...saved.rake } };
+  } catch (e) {
+    console.error('Failed to load table settings:', e);
+    return DEFAULT_TABLE_SETTINGS;
+  }
+}
+
+export function saveTableSettings(settings) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+}
@@ -0,0 +1,69 @@
+import { ALL_HANDS } from './cards';
+import { describeRake, loadTableSettings, rakeTaken, saveTableSettings } from './rake';
+import { runSimulation, simulateHand } from './simulation';
+import { BASELINE_CHART, BASELINE_STRATEGY } from '../strategy/baseline';
+import { generateStrategyFromStats } from '../strategy/adjustments';
+import { DEFAULT_GAME } from './preflopGame';
+
+const RAKE = { percent: 5, cap: 1, noFlopNoDrop: true };
+const coinFlips = new Float32Array(169 * 169).fill(0.5);
+const uniformTree = (mix) => Object.fromEntries(Object.keys(BASELINE_STRATEGY).map((node) => [
+  node, Object.fromEntries(ALL_HANDS.map((hand) => [hand, mix])),
+]));
+
+test('rake is a capped percentage of the pot, skipped preflop with no flop no drop', () => {
+  expect(rakeTaken(10, RAKE)).toBeCloseTo(0.5, 10);
+  expect(rakeTaken(40, RAKE)).toBe(1);
+  expect(rakeTaken(10, RAKE, false)).toBe(0);
+  expect(rakeTaken(10, { ...RAKE, noFlopNoDrop: false }, false)).toBeCloseTo(0.5, 10);
+  expect(rakeTaken(40, { ...RAKE, cap: 0 })).toBe(2);
+  expect(describeRake(RAKE)).toBe('5% cap 1bb, no flop no drop');
+  expect(describeRake()).toBe('no rake');
+});
+
+test('table settings round-trip through localStorage', () => {
+  saveTableSettings({ rake: RAKE, ante: 0.1 });
+  expect(loadTableSettings()).toEqual({ rake: RAKE, ante: 0.1 });
+  localStorage.clear();
+  expect(loadTableSettings().rake.percent).toBe(0);
+});
+
+test('both EV models pay rake on pots that see a flop', () => {
+  const callsAll = { ...uniformTree({ fold: 0, call: 100, raise: 0 }), 'BTN:RFI': uniformTree({ fold: 0, call: 0, raise: 100 })['BTN:RFI'] };
+  const game = (rake) => simulateHand('AA', {
+    model: 'game', nodeKey: 'BB:vsOpen:BTN', seed: 1, simsPerMatchup: 40, heroTree: BASELINE_STRATEGY,
+    oppTrees: [callsAll], equityTable: coinFlips, game: { stack: 5 }, rake,
+  });
+  // 10.5bb all-in pot: 5% is 0.525, capped at 0.5 by the 0.5bb cap
+  expect(game({ ...RAKE, cap: 0.5 }).ev.Raise).toBeCloseTo(0.5 * (10.5 - 0.5) - 5, 10);
+
+  const simple = (rake, ante = 0) => simulateHand('AA', {
+    oppStrategy: BASELINE_CHART, equityTable: coinFlips, seed: 1, simsPerMatchup: 40, potSize: 1.5, callSize: 2, rake, ante,
+  });
+  expect(simple(RAKE).ev.Call).toBeCloseTo(0.5 * (5.5 - 0.275) - 2, 10);
+  expect(simple(RAKE, 0.5).ev.Call).toBeCloseTo(0.5 * (8.5 - 0.425) - 2, 10);
+});
+
+test('runs record the rake and ante they used', () => {
+  const run = runSimulation({ oppStrategy: BASELINE_CHART, simsPerMatchup: 20, sample: 'sample', seed: 2, rake: { percent: 5 }, ante: 0.2 });
+  expect(run.params.rake).toEqual({ percent: 5, cap: 0, noFlopNoDrop: true });
+  expect(run.params.ante).toBe(0.2);
+});
+
+test('rake tightens flatting in the adjusted strategy', () => {
+  const raked = generateStrategyFromStats({}, BASELINE_STRATEGY, { rake: { percent: 10, cap: 0, noFlopNoDrop: true } });
+  const node = 'BB:vsOpen:BTN';
+  const calls = (tree) => ALL_HANDS.reduce((sum, hand) => sum + tree[node][hand].call, 0);
+  expect(calls(raked)).toBeLessThan(calls(BASELINE_STRATEGY));
+  expect(generateStrategyFromStats({}, BASELINE_STRATEGY)[node]).toEqual(BASELINE_STRATEGY[node]);
+});
+
+test('the raked pot follows the configured raise sizes', () => {
+  const node = 'BB:vsOpen:BTN';
+  const calls = (tree) => ALL_HANDS.reduce((sum, hand) => sum + tree[node][hand].call, 0);
+  // under a cap, bigger opens mean a smaller raked share and fewer calls turned into folds
+  const rake = { percent: 5, cap: 0.3, noFlopNoDrop: true };
+  const small = generateStrategyFromStats({}, BASELINE_STRATEGY, { rake, game: { ...DEFAULT_GAME, openSize: 2 } });
+  const large = generateStrategyFromStats({}, BASELINE_STRATEGY, { rake, game: { ...DEFAULT_GAME, openSize: 4 } });
+  expect(calls(large)).toBeGreaterThan(calls(small));
+});
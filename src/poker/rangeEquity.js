@@ -0,0 +1,194 @@
+import { ALL_HANDS, handCombos, makeDeck } from './cards';
+import { cardCode, evaluateCodes } from './evaluator';
+import { lookupPreflopEquity } from './preflopEquity';
+import { createRng } from './rng';
+
+/**
+ * Range-vs-range equity
+ *
+ * Ranges are weight maps { handKey: 0..1 } (see strategy/rangeNotation). Every combo pair is
+ * weighted by both combo weights, and combos that share a card with each other, the board or the
+ * dead cards are left out, so card removal between the ranges and the board is exact.
+ *
+ * How runouts are covered:
+ * - no board and no dead cards: the exact preflop table, if it has been built
+ * - flop or turn given: every remaining turn/river card (exact)
+ * - otherwise (preflop without the table, or with dead cards): `samples` random boards
+ *
+ * For each runout all live combos are scored once; hero combos are then compared against the
+ * villain combos sorted by strength (prefix sums of weights), correcting only for the few villain
+ * combos that share a card with the hero combo.
+ */
+
+// Live combos of a range: [{ cards: [code, code], hand, weight }]
+function liveCombos(weights, blocked) {
+  const combos = [];
+  Object.entries(weights).forEach(([hand, weight]) => {
+    if (!(weight > 0)) return;
+    handCombos(hand).forEach((pair) => {
+      const cards = pair.map(cardCode);
+      if (!blocked.has(cards[0]) && !blocked.has(cards[1])) combos.push({ cards, hand, weight });
+    });
+  });
+  return combos;
+}
+
+// All k-card subsets of deck (k <= 2)
+function allRunouts(deck, k) {
+  if (k === 0) return [[]];
+  if (k === 1) return deck.map((c) => [c]);
+  const runouts = [];
+  for (let i = 0; i < deck.length; i++) {
+    for (let j = i + 1; j < deck.length; j++) runouts.push([deck[i], deck[j]]);
+  }
+  return runouts;
+}
+
+// First index in sorted scores with score >= value (or > value when `after`)
+function bound(scores, order, n, value, after) {
+  let lo = 0;
+  let hi = n;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    const s = scores[order[mid]];
+    if (s < value || (after && s === value)) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+export function computeRangeEquity({
+  hero,
+  villain,
+  board = [],
+  dead = [],
+  equityTable = null,
+  samples = 1000,
+  seed = 1,
+}) {
+  const known = [...board, ...dead].map(cardCode);
+  const blocked = new Set(known);
+  const heroCombos = liveCombos(hero, blocked);
+  const villainCombos = liveCombos(villain, blocked);
+  if (heroCombos.length === 0 || villainCombos.length === 0) {
+    return { equity: null, perHand: {}, method: 'empty', runouts: 0 };
+  }
+  if (board.length === 0 && dead.length === 0 && equityTable) {
+    return tableEquity(heroCombos, villainCombos, equityTable);
+  }
+
+  const deck = makeDeck().map(cardCode).filter((c) => !blocked.has(c));
+  const missing = 5 - board.length;
+  let runouts;
+  let method = 'enumerated';
+  if (board.length >= 3) {
+    runouts = allRunouts(deck, missing);
+  } else {
+    method = 'monte-carlo';
+    const rng = createRng(seed);
+    runouts = Array.from({ length: samples }, () => {
+      for (let k = 0; k < missing; k++) {
+        const j = k + Math.floor(rng() * (deck.length - k));
+        [deck[k], deck[j]] = [deck[j], deck[k]];
+      }
+      return deck.slice(0, missing);
+    });
+  }
+
+  // villain combos holding each card, for the card-removal correction
+  const villainByCard = Array.from({ length: 52 }, () => []);
+  villainCombos.forEach((v, i) => {
+    villainByCard[v.cards[0]].push(i);
+    villainByCard[v.cards[1]].push(i);
+  });
+
+  const num = new Float64Array(heroCombos.length);
+  const den = new Float64Array(heroCombos.length);
+  const villainScores = new Float64Array(villainCombos.length);
+  const villainLive = new Uint8Array(villainCombos.length);
+  const order = new Uint32Array(villainCombos.length);
+  const prefix = new Float64Array(villainCombos.length + 1);
+  const hand = [0, 0, ...known.slice(0, board.length), 0, 0, 0, 0, 0].slice(0, 7);
+
+  runouts.forEach((runout) => {
+    runout.forEach((card, k) => { hand[2 + board.length + k] = card; });
+    const onBoard = (card) => runout.includes(card);
+
+    let n = 0;
+    villainCombos.forEach((v, i) => {
+      villainLive[i] = onBoard(v.cards[0]) || onBoard(v.cards[1]) ? 0 : 1;
+      if (!villainLive[i]) return;
+      hand[0] = v.cards[0];
+      hand[1] = v.cards[1];
+      villainScores[i] = evaluateCodes(hand);
+      order[n++] = i;
+    });
+    const sorted = order.subarray(0, n).sort((a, b) => villainScores[a] - villainScores[b]);
+    for (let k = 0; k < n; k++) prefix[k + 1] = prefix[k] + villainCombos[sorted[k]].weight;
+
+    heroCombos.forEach((h, i) => {
+      const [c1, c2] = h.cards;
+      if (onBoard(c1) || onBoard(c2)) return;
+      hand[0] = c1;
+      hand[1] = c2;
+      const score = evaluateCodes(hand);
+      const lo = bound(villainScores, sorted, n, score, false);
+      const hi = bound(villainScores, sorted, n, score, true);
+      let win = prefix[lo];
+      let tie = prefix[hi] - prefix[lo];
+      let total = prefix[n];
+
+      // take out villain combos that share a card with this hero combo
+      const remove = (v) => {
+        if (!villainLive[v]) return;
+        const w = villainCombos[v].weight;
+        total -= w;
+        if (villainScores[v] < score) win -= w;
+        else if (villainScores[v] === score) tie -= w;
+      };
+      villainByCard[c1].forEach(remove);
+      villainByCard[c2].forEach((v) => { if (!villainCombos[v].cards.includes(c1)) remove(v); });
+
+      num[i] += win + tie / 2;
+      den[i] += total;
+    });
+  });
+
+  return summarize(heroCombos, num, den, method, runouts.length);
+}
+
+// Preflop, no dead cards: class equities from the exact table, weighted by disjoint combo pairs
+function tableEquity(heroCombos, villainCombos, equityTable) {
+  const num = new Float64Array(heroCombos.length);
+  const den = new Float64Array(heroCombos.length);
+  heroCombos.forEach((h, i) => {
+    villainCombos.forEach((v) => {
+      if (v.cards.includes(h.cards[0]) || v.cards.includes(h.cards[1])) return;
+      num[i] += v.weight * lookupPreflopEquity(equityTable, h.hand, v.hand);
+      den[i] += v.weight;
+    });
+  });
+  return summarize(heroCombos, num, den, 'table', 0);
+}
+
+// Overall and per-class hero equity from per-combo win shares
+function summarize(heroCombos, num, den, method, runouts) {
+  const classes = {};
+  let totalNum = 0;
+  let totalDen = 0;
+  heroCombos.forEach((h, i) => {
+    const c = classes[h.hand] || (classes[h.hand] = { num: 0, den: 0, combos: 0 });
+    c.num += h.weight * num[i];
+    c.den += h.weight * den[i];
+    c.combos += h.weight;
+    totalNum += h.weight * num[i];
+    totalDen += h.weight * den[i];
+  });
+
+  const perHand = {};
+  ALL_HANDS.forEach((hand) => {
+    const c = classes[hand];
+    if (c && c.den > 0) perHand[hand] = { equity: c.num / c.den, combos: c.combos };
+  });
+  return { equity: totalDen > 0 ? totalNum / totalDen : null, perHand, method, runouts };
+}
@@ -0,0 +1,51 @@
+import { handCombos } from './cards';
+import { cardCode, evaluateCodes } from './evaluator';
+import { computeRangeEquity } from './rangeEquity';
+
+test('a finished board gives the exact result', () => {
+  const result = computeRangeEquity({ hero: { AA: 1 }, villain: { KK: 1 }, board: ['2c', '7d', '9h', 'Js', '3s'] });
+  expect(result).toMatchObject({ equity: 1, method: 'enumerated', runouts: 1 });
+  expect(result.perHand.AA.combos).toBe(6);
+});
+
+test('flop equities enumerate every runout with card removal', () => {
+  const hero = { AKs: 1, '76s': 0.5 };
+  const villain = { QQ: 1, JTs: 0.5 };
+  const board = ['Qh', 'Jh', '2c'];
+  const result = computeRangeEquity({ hero, villain, board });
+  expect(result.method).toBe('enumerated');
+
+  // Same thing pair by pair
+  const boardCodes = board.map(cardCode);
+  const combos = (range) => Object.entries(range).flatMap(([hand, weight]) =>
+    handCombos(hand).map((c) => ({ cards: c.map(cardCode), weight })).filter(({ cards }) => !cards.some((c) => boardCodes.includes(c))));
+  let num = 0;
+  let den = 0;
+  combos(hero).forEach((h) => combos(villain).forEach((v) => {
+    if (h.cards.some((c) => v.cards.includes(c))) return;
+    const used = [...boardCodes, ...h.cards, ...v.cards];
+    const deck = Array.from({ length: 52 }, (_, c) => c).filter((c) => !used.includes(c));
+    for (let i = 0; i < deck.length; i++) {
+      for (let j = i + 1; j < deck.length; j++) {
+        const full = [...boardCodes, deck[i], deck[j]];
+        const diff = evaluateCodes([...h.cards, ...full]) - evaluateCodes([...v.cards, ...full]);
+        num += h.weight * v.weight * (diff > 0 ? 1 : diff === 0 ? 0.5 : 0);
+        den += h.weight * v.weight;
+      }
+    }
+  }));
+  expect(result.equity).toBeCloseTo(num / den, 10);
+  // no AKs combo touches this board
+  expect(result.perHand.AKs.combos).toBe(4);
+});
+
+test('preflop without the table samples boards reproducibly', () => {
+  const options = { hero: { AA: 1 }, villain: { KK: 1 }, samples: 2000, seed: 9 };
+  const result = computeRangeEquity(options);
+  expect(result.method).toBe('monte-carlo');
+  expect(result.equity).toBeGreaterThan(0.78);
+  expect(result.equity).toBeLessThan(0.86);
+  expect(computeRangeEquity(options).equity).toBe(result.equity);
+  // dead cards take combos out of both ranges
+  expect(computeRangeEquity({ ...options, dead: ['As', 'Ah'] }).perHand.AA.combos).toBe(1);
+});
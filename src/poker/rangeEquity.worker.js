@@ -0,0 +1,14 @@
+/* eslint-disable no-restricted-globals */
+import { computeRangeEquity } from './rangeEquity';
+
+/**
+ * Range equity worker: receives computeRangeEquity options, posts { type: 'done', result }.
+ */
+
+self.onmessage = (event) => {
+  try {
+    self.postMessage({ type: 'done', result: computeRangeEquity(event.data) });
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error.message });
+  }
+};
@@ -0,0 +1,48 @@
+/**
+ * Seedable pseudo-random numbers
+ *
+ * Simulations take an `rng` function (same contract as Math.random: a float in [0, 1)) so a run
+ * can be replayed exactly from its seed. createRng uses mulberry32: tiny, fast and good enough
+ * for Monte Carlo sampling (not for anything security related).
+ */
+
+// 32-bit seed from a number or any string ("42", "team-run-3", ...)
+export function normalizeSeed(seed) {
+  const text = String(seed).trim();
+  if (/^\d+$/.test(text) && Number.isSafeInteger(Number(text))) return Number(text) % 4294967296;
+  // FNV-1a hash for anything else
+  let hash = 2166136261;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+}
+
+export function createRng(seed) {
+  let state = normalizeSeed(seed);
+  const rng = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  rng.seed = normalizeSeed(seed);
+  return rng;
+}
+
+// Fresh seed for runs started without one (still recorded so they can be replayed)
+export function randomSeed() {
+  return Math.floor(Math.random() * 4294967296);
+}
+
+// Fisher–Yates shuffle into a new array
+export function shuffle(arr, rng = Math.random) {
+  const a = [...arr];
+  for (let i = a.length - 1; i > 0; i--) {
+    const j = Math.floor(rng() * (i + 1));
+    [a[i], a[j]] = [a[j], a[i]];
+  }
+  return a;
+}
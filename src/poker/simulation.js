@@ -0,0 +1,312 @@
+import { ALL_HANDS, comboCount, handCombos, sampleHandForKey } from './cards';
+import { estimateEquity, estimateMultiwayEquity } from './equity';
+import { icmEquity } from './icm';
+import { createGame, dealVillains, DEFAULT_GAME, gameSetup, playHand, showdownEquity } from './preflopGame';
+import { lookupPreflopEquity } from './preflopEquity';
+import { DEFAULT_RAKE, rakeTaken } from './rake';
+import { createRng, normalizeSeed, randomSeed, shuffle } from './rng';
+
+/**
+ * EV Monte Carlo for Testing mode
+ *
+ * For every hero hand class we sample hero combos and opponent hands (from each villain seat's
+ * chart), take the showdown equity and average the EV of folding, calling and raising under a
+ * simplified pot model (pot, raiseSize and callSize are user inputs). Heads-up equities come from
+ * the exact preflop table when one is passed in; multiway pots, known board or dead cards (or no
+ * table yet) are estimated by Monte Carlo.
+ *
+ * With model 'game' the hand is instead played out at a 6-max table with blinds, antes, stacks and
+ * bet sizes in big blinds, and villains answering from their whole trees (see preflopGame.js);
+ * EVs are then in big blinds per hand, or in prize equity per hand when `icm` settings are given.
+ *
+ * Rake and antes (see rake.js) apply to both models. In the simplified model the six antes are
+ * dead money in the pot (in the pot's units) and raked pots shrink by the rake before the split.
+ *
+ * All randomness comes from seeded generators (one per hand class, derived from the run seed), so
+ * the same seed and parameters replay a run exactly however the hands are split across workers.
+ * Results carry the seed and parameters they were produced with.
+ */
+
+// Convert strategy object (hand -> {fold, call, raise}) to a range probability map
+export function strategyToRangeProbMap(strategy) {
+  const map = {};
+  Object.keys(strategy).forEach((hand) => {
+    const s = strategy[hand];
+    const total = (s.fold || 0) + (s.call || 0) + (s.raise || 0) || 1;
+    map[hand] = {
+      fold: (s.fold || 0) / total,
+      call: (s.call || 0) / total,
+      raise: (s.raise || 0) / total,
+    };
+  });
+  return map;
+}
+
+// Hand classes a run covers: all 169, or a seeded sample of 50
+export function simulationHandKeys(sample, seed) {
+  return sample === 'all' ? ALL_HANDS : shuffle(ALL_HANDS, createRng(seed)).slice(0, 50);
+}
+
+// Sampling setup for one villain chart: hand keys weighted by their chart mass (fold+call+raise)
+function villainSampler(strategy) {
+  const keys = Object.keys(strategy);
+  const weights = keys.map((k) => {
+    const s = strategy[k] || { fold: 100, call: 0, raise: 0 };
+    return (s.fold || 0) + (s.call || 0) + (s.raise || 0);
+  });
+  return { strategy, keys, weights, sumW: weights.reduce((a, b) => a + b, 0) };
+}
+
+function sampleVillainKey({ keys, weights, sumW }, rng) {
+  let r = rng() * sumW;
+  let idx = 0;
+  while (r > 0 && idx < weights.length - 1) { r -= weights[idx]; idx++; }
+  return keys[Math.max(0, idx - (r <= 0 ? 0 : 1))] || keys[0];
+}
+
+// Share of a chart entry that folds (0.2 when the hand has no entry)
+function foldProbability(strat) {
+  return (strat && strat.fold !== undefined)
+    ? (strat.fold / ((strat.fold || 0) + (strat.call || 0) + (strat.raise || 0)))
+    : 0.2;
+}
+
+// EV of each hero action for one hand class. Every hand gets its own generator derived from the
+// run seed, so results don't depend on which worker (or in which order) the hand was simulated.
+// Pass oppStrategies (one chart per villain seat) for multiway pots; oppStrategy is the
+// heads-up shorthand.
+export function simulateHand(handKey, {
+  oppStrategy,
+  oppStrategies = [oppStrategy],
+  simsPerMatchup = 200,
+  potSize = 1,
+  raiseSize = 1,
+  callSize = 1,
+  seed,
+  handCount = ALL_HANDS.length,
+  equityTable = null,
+  board = [],
+  dead = [],
+  ante = 0,
+  rake = DEFAULT_RAKE,
+  model = 'simple',
+  ...gameOptions
+}) {
+  if (model === 'game') {
+    return simulateGameHand(handKey, { simsPerMatchup, seed, handCount, equityTable, board, dead, ante, rake, ...gameOptions });
+  }
+  const startingPot = potSize + ante * 6;
+  const uncontested = startingPot - rakeTaken(startingPot, rake, false);
+  // hero's share of a raked showdown pot, less what hero put in
+  const showdownEV = (equity, pot, invested) => equity * (pot - rakeTaken(pot, rake, true)) - invested;
+  const rng = createRng(`${normalizeSeed(seed)}:${handKey}`);
+  const villains = oppStrategies.map(villainSampler);
+  // Exact preflop equities when available (heads-up only); Monte Carlo for known board / dead cards
+  const exact = equityTable && villains.length === 1 && board.length === 0 && dead.length === 0;
+  const known = [...board, ...dead];
+  const equitySims = Math.max(80, Math.min(500, Math.floor(simsPerMatchup / 2)));
+
+  const heroCombos = handCombos(handKey).filter((combo) => !known.includes(combo[0]) && !known.includes(combo[1]));
+  const perHand = { hand: handKey, ev: { Fold: 0, Call: 0, Raise: 0 }, sims: 0 };
+  if (heroCombos.length === 0) return perHand; // every combo is on the board or dead
+
+  // Each trial samples a hero combo and a hand for every villain, then scores every hero action
+  const trials = Math.max(40, Math.min(400, Math.floor(simsPerMatchup / (handCount / 40) || 200)));
+
+  let retries = 0;
+  for (let t = 0; t < trials; t++) {
+    const heroCombo = heroCombos[Math.floor(rng() * heroCombos.length)];
+    const blocked = new Set([heroCombo[0], heroCombo[1], ...known]);
+
+    // sample villain hands that don't conflict with hero, the board or each other
+    const seats = [];
+    for (const villain of villains) {
+      const key = sampleVillainKey(villain, rng);
+      const combo = sampleHandForKey(key, blocked, rng);
+      if (!combo) break;
+      combo.forEach((card) => blocked.add(card));
+      seats.push({ key, combo, foldProb: foldProbability(villain.strategy[key]) });
+    }
+    if (seats.length < villains.length) { if (++retries < trials * 20) t--; continue; } // try again (bounded: dead cards can block a whole class)
+
+    // Pot model:
+    // - Fold: EV 0 (nothing further invested)
+    // - Raise: each villain folds per its chart; if all fold hero wins the pot, otherwise hero
+    //   (raiseSize in) goes to showdown against the villains that continued (callSize each)
+    // - Call: hero faces a bet and everyone puts in callSize: EV = equity * totalPot - callSize
+    // NOTE: This is simplified but gives consistent relative EVs.
+    let EV_raise;
+    let EV_call;
+    if (seats.length === 1) {
+      const [{ key: oppKey, combo: oppCombo, foldProb: oppProbFold }] = seats;
+      const equityHero = exact
+        ? lookupPreflopEquity(equityTable, handKey, oppKey)
+        : estimateEquity(heroCombo, oppCombo, equitySims, rng, { board, dead }).equityHero;
+
+      const totalPotRaise = startingPot + raiseSize + callSize;
+      const EV_showdown_raise = showdownEV(equityHero, totalPotRaise, raiseSize);
+      EV_raise = oppProbFold * uncontested + (1 - oppProbFold) * EV_showdown_raise;
+
+      const totalPotCall = startingPot + callSize + callSize;
+      EV_call = showdownEV(equityHero, totalPotCall, callSize);
+    } else {
+      // multiway: sample who continues against the raise, then run out the boards
+      const equityAll = estimateMultiwayEquity([heroCombo, ...seats.map((s) => s.combo)], equitySims, rng, { board, dead }).equities[0];
+      const continuing = seats.filter((s) => rng() >= s.foldProb);
+      if (continuing.length === 0) {
+        EV_raise = uncontested;
+      } else {
+        const equityRaise = continuing.length === seats.length
+          ? equityAll
+          : estimateMultiwayEquity([heroCombo, ...continuing.map((s) => s.combo)], equitySims, rng, { board, dead }).equities[0];
+        EV_raise = showdownEV(equityRaise, startingPot + raiseSize + callSize * continuing.length, raiseSize);
+      }
+      EV_call = showdownEV(equityAll, startingPot + callSize * (seats.length + 1), callSize);
+    }
+
+    perHand.ev.Raise += EV_raise;
+    perHand.ev.Call += EV_call;
+    perHand.sims += 1;
+  }
+
+  perHand.ev.Call = perHand.sims ? perHand.ev.Call / perHand.sims : 0;
+  perHand.ev.Raise = perHand.sims ? perHand.ev.Raise / perHand.sims : 0;
+  return perHand;
+}
+
+// Hero's result in prize equity (payout units) for a net chip result: the chips go to or come from
+// the first villain seat, everyone else's stack is unchanged
+function icmScorer(ctx, { payouts, stacks }) {
+  const seats = Object.keys(stacks);
+  const hero = seats.indexOf(ctx.hero);
+  const villain = seats.indexOf(ctx.villains[0].seat);
+  const start = seats.map((seat) => stacks[seat]);
+  const before = icmEquity(start, payouts, hero);
+  const cache = new Map();
+  return (net) => {
+    const key = Math.round(net * 1000);
+    if (!cache.has(key)) {
+      const after = start.slice();
+      after[hero] += net;
+      after[villain] -= net;
+      cache.set(key, icmEquity(after, payouts, hero) - before);
+    }
+    return cache.get(key);
+  };
+}
+
+// Game-model EVs (bb per hand, or prize units with icm) for one hand class at nodeKey; every action
+// is scored against the same dealt villain hands
+function simulateGameHand(handKey, {
+  simsPerMatchup, seed, handCount, equityTable, board, dead, ante, rake, nodeKey, game, heroTree, oppTrees, icm = null,
+}) {
+  const rng = createRng(`${normalizeSeed(seed)}:${handKey}`);
+  const ctx = createGame(nodeKey, { game, heroTree, oppTrees, ante, rake });
+  const score = icm ? icmScorer(ctx, icm) : (net) => net;
+  const known = [...board, ...dead];
+  const equitySims = Math.max(80, Math.min(500, Math.floor(simsPerMatchup / 2)));
+  const heroCombos = handCombos(handKey).filter((combo) => !known.includes(combo[0]) && !known.includes(combo[1]));
+  const perHand = { hand: handKey, ev: { Fold: 0, Call: 0, Raise: 0 }, sims: 0 };
+  if (heroCombos.length === 0) return perHand;
+
+  const trials = Math.max(40, Math.min(400, Math.floor(simsPerMatchup / (handCount / 40) || 200)));
+  let retries = 0;
+  for (let t = 0; t < trials; t++) {
+    const heroCombo = heroCombos[Math.floor(rng() * heroCombos.length)];
+    const hands = dealVillains(ctx, new Set([heroCombo[0], heroCombo[1], ...known]), rng);
+    if (!hands) { if (++retries < trials * 20) t--; continue; }
+    const showdown = (live) => showdownEquity(handKey, heroCombo, live, { equityTable, sims: equitySims, rng, board, dead });
+    ['Fold', 'Call', 'Raise'].forEach((action) => {
+      perHand.ev[action] += score(playHand(ctx, handKey, hands, action, rng, showdown));
+    });
+    perHand.sims += 1;
+  }
+  ['Fold', 'Call', 'Raise'].forEach((action) => {
+    perHand.ev[action] = perHand.sims ? perHand.ev[action] / perHand.sims : 0;
+  });
+  return perHand;
+}
+
+// Aggregate per-hand results (complete or partial) into the results shape Testing mode shows.
+// With heroStrategy, `strategyEV` is the combo-weighted EV of playing hero's mix at the node.
+export function summarizeSimulation(perHand, { seed, params, heroStrategy = null }) {
+  const hands = Object.values(perHand);
+  const totalMatchups = hands.reduce((sum, h) => sum + h.sims, 0);
+  const average = (action) => ({
+    avgEV: hands.reduce((sum, h) => sum + h.ev[action] * h.sims, 0) / Math.max(1, totalMatchups),
+    count: totalMatchups,
+  });
+  let strategyEV = null;
+  if (heroStrategy) {
+    const mixes = strategyToRangeProbMap(heroStrategy);
+    let num = 0;
+    let den = 0;
+    hands.forEach((h) => {
+      const mix = mixes[h.hand];
+      if (!mix || !h.sims) return;
+      const w = comboCount(h.hand);
+      num += w * (mix.fold * h.ev.Fold + mix.call * h.ev.Call + mix.raise * h.ev.Raise);
+      den += w;
+    });
+    strategyEV = den ? num / den : null;
+  }
+  return {
+    totalMatchups,
+    actions: { Fold: average('Fold'), Call: average('Call'), Raise: average('Raise') },
+    strategyEV,
+    perHand,
+    seed: normalizeSeed(seed),
+    params,
+  };
+}
+
+// Hand keys, per-hand options and recorded params for a run (shared by the sync and worker runners)
+export function prepareSimulation({
+  oppStrategy,
+  oppStrategies = [oppStrategy],
+  simsPerMatchup = 200,
+  potSize = 1,
+  raiseSize = 1,
+  callSize = 1,
+  sample = 'all',
+  seed,
+  equityTable = null,
+  board = [],
+  dead = [],
+  ante = 0,
+  rake = DEFAULT_RAKE,
+  model = 'simple',
+  nodeKey,
+  game = DEFAULT_GAME,
+  heroTree,
+  oppTrees,
+  icm = null,
+}) {
+  const handKeys = simulationHandKeys(sample, seed);
+  const options = {
+    oppStrategies, simsPerMatchup, potSize, raiseSize, callSize, seed, handCount: handKeys.length, equityTable, board, dead,
+    ante, rake, model,
+  };
+  const params = { simsPerMatchup, sample, board, dead, villains: oppStrategies.length, model, ante, rake: { ...DEFAULT_RAKE, ...rake } };
+  if (model === 'game') {
+    // under ICM the effective stack is the shorter of hero's and the first villain's
+    const settings = { ...DEFAULT_GAME, ...game };
+    if (icm) {
+      const { hero, villains } = gameSetup(nodeKey, oppStrategies.length);
+      settings.stack = Math.min(icm.stacks[hero], icm.stacks[villains[0].seat]);
+    }
+    Object.assign(options, { nodeKey, game: settings, heroTree, oppTrees, icm });
+    Object.assign(params, { nodeKey, game: settings, icm });
+  } else {
+    Object.assign(params, { potSize, raiseSize, callSize });
+  }
+  return { handKeys, options, params };
+}
+
+// Synchronous run over every hand key (the worker runner splits the same work across threads)
+export function runSimulation({ heroStrategy = null, seed = randomSeed(), ...config }) {
+  const { handKeys, options, params } = prepareSimulation({ ...config, seed });
+  const perHand = {};
+  handKeys.forEach((handKey) => { perHand[handKey] = simulateHand(handKey, options); });
+  return summarizeSimulation(perHand, { seed, params, heroStrategy });
+}
@@ -0,0 +1,84 @@
+import { estimateMultiwayEquity } from './equity';
+import { createRng, normalizeSeed } from './rng';
+import { runSimulation } from './simulation';
+import { startSimulation } from './simulationRunner';
+import { BASELINE_CHART } from '../strategy/baseline';
+
+const params = {
+  heroStrategy: BASELINE_CHART,
+  oppStrategy: BASELINE_CHART,
+  simsPerMatchup: 20,
+  sample: 'sample',
+};
+
+test('seeded generators repeat their sequence', () => {
+  const a = createRng(42);
+  const b = createRng('42');
+  const first = [a(), a(), a()];
+  expect([b(), b(), b()]).toEqual(first);
+  expect(first.every((x) => x >= 0 && x < 1)).toBe(true);
+  expect(createRng('other seed')()).not.toBe(first[0]);
+  expect(normalizeSeed('team run')).toBe(normalizeSeed(' team run '));
+});
+
+test('the same seed replays a simulation exactly', () => {
+  const first = runSimulation({ ...params, seed: 'replay-me' });
+  const again = runSimulation({ ...params, seed: 'replay-me' });
+  expect(again).toEqual(first);
+  expect(first.seed).toBe(normalizeSeed('replay-me'));
+  expect(first.params).toMatchObject({ simsPerMatchup: 20, sample: 'sample' });
+
+  const other = runSimulation({ ...params, seed: 7 });
+  expect(Object.keys(other.perHand)).not.toEqual(Object.keys(first.perHand));
+});
+
+test('the background runner streams progress and matches the synchronous run', async () => {
+  const progress = [];
+  const results = await new Promise((resolve, reject) => {
+    startSimulation({ ...params, seed: 'stream' }, {
+      onProgress: ({ done, total }) => progress.push([done, total]),
+      onDone: resolve,
+      onError: reject,
+    });
+  });
+  expect(progress[0]).toEqual([1, 50]);
+  expect(progress[progress.length - 1]).toEqual([50, 50]);
+  expect(results).toEqual(runSimulation({ ...params, seed: 'stream' }));
+});
+
+test('cancelled runs stop reporting', async () => {
+  let calls = 0;
+  const run = startSimulation({ ...params, seed: 1 }, {
+    onProgress: () => { calls += 1; if (calls === 2) run.cancel(); },
+  });
+  await new Promise((resolve) => setTimeout(resolve, 200));
+  expect(calls).toBe(2);
+});
+
+test('multiway equities split every pot between the players', () => {
+  const { equities } = estimateMultiwayEquity([['Ah', 'As'], ['Kd', 'Kc'], ['7s', '2h']], 400, createRng(5));
+  expect(equities.reduce((a, b) => a + b, 0)).toBeCloseTo(1, 10);
+  expect(equities[0]).toBeGreaterThan(0.6);
+  expect(equities[0]).toBeGreaterThan(equities[1]);
+  expect(equities[1]).toBeGreaterThan(equities[2]);
+
+  // a chopped river board: everyone plays the board
+  const chopped = estimateMultiwayEquity([['2c', '3d'], ['4c', '5d'], ['6c', '7d']], 10, createRng(1), {
+    board: ['Ah', 'Kh', 'Qh', 'Jh', 'Th'],
+  });
+  expect(chopped.equities).toEqual([1 / 3, 1 / 3, 1 / 3]);
+  expect(chopped.ties).toEqual([1, 1, 1]);
+});
+
+test('multiway runs sample every villain seat and are replayable', () => {
+  const threeWay = { ...params, oppStrategies: [BASELINE_CHART, BASELINE_CHART], seed: 'multi' };
+  const first = runSimulation(threeWay);
+  expect(runSimulation(threeWay)).toEqual(first);
+  expect(first.params.villains).toBe(2);
+  expect(runSimulation({ ...params, seed: 'multi' }).params.villains).toBe(1);
+
+  // villains that always fold hand hero the pot whenever hero raises
+  const folds = Object.fromEntries(Object.keys(BASELINE_CHART).map((hand) => [hand, { fold: 100, call: 0, raise: 0 }]));
+  const uncontested = runSimulation({ ...params, oppStrategies: [folds, folds, folds], potSize: 1.5, seed: 'multi' });
+  expect(uncontested.actions.Raise.avgEV).toBeCloseTo(1.5, 10);
+});
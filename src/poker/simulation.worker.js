@@ -0,0 +1,21 @@
+/* eslint-disable no-restricted-globals */
+import { simulateHand } from './simulation';
+
+/**
+ * Simulation worker
+ *
+ * Receives { handKeys, options } and posts one { type: 'hand', result } message per finished hand
+ * class, then { type: 'done' }. The main thread cancels by terminating the worker.
+ */
+
+self.onmessage = (event) => {
+  const { handKeys, options } = event.data;
+  try {
+    handKeys.forEach((handKey) => {
+      self.postMessage({ type: 'hand', result: simulateHand(handKey, options) });
+    });
+    self.postMessage({ type: 'done' });
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error.message });
+  }
+};
@@ -0,0 +1,298 @@
+import {
+  accumulateBoards,
+  canonicalBoards,
+  CANONICAL_BOARD_COUNT,
+  createEquityTotals,
+  equityTableFromTotals,
+  mergeEquityTotals,
+} from './preflopEquity';
+import { computeBestResponse, createSolver, DEFAULT_SOLVER, solveStep } from './preflopCfr';
+import { computePushFold } from './pushFold';
+import { computeRangeEquity } from './rangeEquity';
+import { prepareSimulation, simulateHand, summarizeSimulation } from './simulation';
+
+/**
+ * Background simulation runner
+ *
+ * Splits a run's hand classes round-robin across Web Workers so the UI stays responsive.
+ * onProgress receives { done, total, results } after every finished hand, with results
+ * summarizing the hands done so far; onDone gets the final results. Without Worker support
+ * (e.g. tests) hands run on the main thread one per tick, so progress and cancel still work.
+ *
+ * Because every hand is seeded from the run seed, the worker count doesn't change the results.
+ *
+ * generatePreflopEquityTable builds the exact preflop equity table the same way, splitting the
+ * canonical boards across workers (a few minutes of work, done once and then cached), and
+ * runRangeEquity and runPushFold move a range-vs-range calculation or a push/fold solve off the
+ * main thread, and runPreflopSolver runs the CFR solver with a progress report every few
+ * iterations (cancel keeps the last one). runBestResponse finds the best response to a strategy
+ * tree in the solver's game.
+ */
+
+export const MAX_SIM_WORKERS = 8;
+
+// Sensible default worker count for this machine
+export function defaultWorkerCount() {
+  const cores = (typeof navigator !== 'undefined' && navigator.hardwareConcurrency) || 2;
+  return Math.max(1, Math.min(4, cores - 1));
+}
+
+// Start a run; returns { cancel } to stop it early (no further callbacks fire after cancel)
+export function startSimulation(
+  { heroStrategy = null, ...config },
+  { workers = 1, onProgress = () => {}, onDone = () => {}, onError = () => {} } = {},
+) {
+  const { seed } = config;
+  const { handKeys, options, params } = prepareSimulation(config);
+  const perHand = {};
+  const active = [];
+  let stopped = false;
+
+  const stop = () => {
+    stopped = true;
+    active.forEach((worker) => worker.terminate());
+  };
+
+  // Summaries always list hands in run order, whichever worker finished first
+  const summarize = () => {
+    const ordered = {};
+    handKeys.forEach((key) => { if (perHand[key]) ordered[key] = perHand[key]; });
+    return summarizeSimulation(ordered, { seed, params, heroStrategy });
+  };
+
+  const record = (result) => {
+    if (stopped) return;
+    perHand[result.hand] = result;
+    const done = Object.keys(perHand).length;
+    const results = summarize();
+    onProgress({ done, total: handKeys.length, results });
+    if (done === handKeys.length) {
+      stop();
+      onDone(results);
+    }
+  };
+
+  const fail = (message) => {
+    if (stopped) return;
+    stop();
+    onError(new Error(message));
+  };
+
+  if (typeof Worker === 'undefined') {
+    let next = 0;
+    const step = () => {
+      if (stopped || next >= handKeys.length) return;
+      record(simulateHand(handKeys[next++], options));
+      setTimeout(step, 0);
+    };
+    setTimeout(step, 0);
+  } else {
+    import('./simulationWorkerFactory')
+      .then(({ createSimulationWorker }) => {
+        if (stopped) return;
+        const count = Math.max(1, Math.min(workers, MAX_SIM_WORKERS, handKeys.length));
+        for (let w = 0; w < count; w++) {
+          const worker = createSimulationWorker();
+          active.push(worker);
+          worker.onmessage = ({ data }) => {
+            if (data.type === 'hand') record(data.result);
+            else if (data.type === 'error') fail(data.message);
+          };
+          worker.onerror = (event) => fail(event.message || 'Simulation worker failed');
+          worker.postMessage({ handKeys: handKeys.filter((_, i) => i % count === w), options });
+        }
+      })
+      .catch((e) => fail(e.message));
+  }
+
+  return { cancel: stop };
+}
+
+// Build the exact 169×169 preflop equity table; onProgress receives { done, total } boards
+export function generatePreflopEquityTable(
+  { workers = 1, onProgress = () => {}, onDone = () => {}, onError = () => {} } = {},
+) {
+  const total = CANONICAL_BOARD_COUNT;
+  const active = [];
+  let stopped = false;
+
+  const stop = () => {
+    stopped = true;
+    active.forEach((worker) => worker.terminate());
+  };
+
+  const fail = (message) => {
+    if (stopped) return;
+    stop();
+    onError(new Error(message));
+  };
+
+  if (typeof Worker === 'undefined') {
+    const boards = canonicalBoards();
+    const totals = createEquityTotals();
+    let next = 0;
+    const step = () => {
+      if (stopped) return;
+      const indices = [];
+      for (let i = 0; i < 50 && next < boards.count; i++) indices.push(next++);
+      accumulateBoards(totals, boards, indices);
+      onProgress({ done: next, total });
+      if (next < boards.count) setTimeout(step, 0);
+      else onDone(equityTableFromTotals(totals));
+    };
+    setTimeout(step, 0);
+    return { cancel: stop };
+  }
+
+  import('./simulationWorkerFactory')
+    .then(({ createPreflopEquityWorker }) => {
+      if (stopped) return;
+      const count = Math.max(1, Math.min(workers, MAX_SIM_WORKERS));
+      const done = new Array(count).fill(0);
+      const merged = createEquityTotals();
+      let finished = 0;
+      const handleMessage = (w, { data }) => {
+        if (stopped) return;
+        if (data.type === 'progress') {
+          done[w] = data.done;
+          onProgress({ done: done.reduce((a, b) => a + b, 0), total });
+        } else if (data.type === 'done') {
+          mergeEquityTotals(merged, data.totals);
+          finished++;
+          if (finished === count) {
+            stop();
+            onDone(equityTableFromTotals(merged));
+          }
+        } else if (data.type === 'error') {
+          fail(data.message);
+        }
+      };
+      for (let w = 0; w < count; w++) {
+        const worker = createPreflopEquityWorker();
+        active.push(worker);
+        worker.onmessage = (event) => handleMessage(w, event);
+        worker.onerror = (event) => fail(event.message || 'Equity table worker failed');
+        worker.postMessage({ worker: w, workers: count });
+      }
+    })
+    .catch((e) => fail(e.message));
+
+  return { cancel: stop };
+}
+
+// Run a single job in its own worker (or on the next tick without Worker support)
+function runJob(createWorker, compute, options, { onDone = () => {}, onError = () => {} } = {}) {
+  let worker = null;
+  let stopped = false;
+  const stop = () => {
+    stopped = true;
+    if (worker) worker.terminate();
+  };
+  const finish = (callback, value) => {
+    if (stopped) return;
+    stop();
+    callback(value);
+  };
+
+  if (typeof Worker === 'undefined') {
+    setTimeout(() => {
+      if (stopped) return;
+      try {
+        finish(onDone, compute(options));
+      } catch (e) {
+        finish(onError, e);
+      }
+    }, 0);
+    return { cancel: stop };
+  }
+
+  import('./simulationWorkerFactory')
+    .then((factory) => {
+      if (stopped) return;
+      worker = factory[createWorker]();
+      worker.onmessage = ({ data }) => {
+        if (data.type === 'done') finish(onDone, data.result);
+        else finish(onError, new Error(data.message));
+      };
+      worker.onerror = (event) => finish(onError, new Error(event.message || 'Worker failed'));
+      worker.postMessage(options);
+    })
+    .catch((e) => finish(onError, e));
+
+  return { cancel: stop };
+}
+
+// Range-vs-range equity in a worker (see computeRangeEquity for the options)
+export function runRangeEquity(options, callbacks) {
+  return runJob('createRangeEquityWorker', computeRangeEquity, options, callbacks);
+}
+
+// Push/fold equilibrium in a worker (see computePushFold for the options)
+export function runPushFold(options, callbacks) {
+  return runJob('createPushFoldWorker', computePushFold, options, callbacks);
+}
+
+// Best response to a villain tree in a worker (see computeBestResponse for the options)
+export function runBestResponse(options, callbacks) {
+  return runJob('createBestResponseWorker', computeBestResponse, options, callbacks);
+}
+
+// CFR preflop solve in a worker; onProgress gets every report (see solvePreflop), onDone the last
+export function runPreflopSolver(options, { onProgress = () => {}, onDone = () => {}, onError = () => {} } = {}) {
+  const { iterations = DEFAULT_SOLVER.iterations, reportEvery = DEFAULT_SOLVER.reportEvery, fallback = {} } = options;
+  let worker = null;
+  let stopped = false;
+  const stop = () => {
+    stopped = true;
+    if (worker) worker.terminate();
+  };
+  const fail = (error) => {
+    if (stopped) return;
+    stop();
+    onError(error);
+  };
+
+  if (typeof Worker === 'undefined') {
+    let solver;
+    const step = () => {
+      if (stopped) return;
+      try {
+        solver = solver || createSolver(options);
+        const report = solveStep(solver, { iterations, reportEvery, fallback });
+        onProgress(report);
+        if (report.iteration < iterations) {
+          setTimeout(step, 0);
+        } else {
+          stop();
+          onDone(report);
+        }
+      } catch (e) {
+        fail(e);
+      }
+    };
+    setTimeout(step, 0);
+    return { cancel: stop };
+  }
+
+  import('./simulationWorkerFactory')
+    .then(({ createPreflopSolverWorker }) => {
+      if (stopped) return;
+      worker = createPreflopSolverWorker();
+      worker.onmessage = ({ data }) => {
+        if (stopped) return;
+        if (data.type === 'progress') {
+          onProgress(data.report);
+        } else if (data.type === 'done') {
+          stop();
+          onDone(data.result);
+        } else {
+          fail(new Error(data.message));
+        }
+      };
+      worker.onerror = (event) => fail(new Error(event.message || 'Solver worker failed'));
+      worker.postMessage(options);
+    })
+    .catch(fail);
+
+  return { cancel: stop };
+}
@@ -0,0 +1,25 @@
+// Kept in its own module: `import.meta` is bundled by webpack but can't be parsed by Jest, so the
+// runners only load this file (via dynamic import) when the browser actually supports workers.
+export function createSimulationWorker() {
+  return new Worker(new URL('./simulation.worker.js', import.meta.url));
+}
+
+export function createPreflopEquityWorker() {
+  return new Worker(new URL('./preflopEquity.worker.js', import.meta.url));
+}
+
+export function createRangeEquityWorker() {
+  return new Worker(new URL('./rangeEquity.worker.js', import.meta.url));
+}
+
+export function createPushFoldWorker() {
+  return new Worker(new URL('./pushFold.worker.js', import.meta.url));
+}
+
+export function createPreflopSolverWorker() {
+  return new Worker(new URL('./preflopCfr.worker.js', import.meta.url));
+}
+
+export function createBestResponseWorker() {
+  return new Worker(new URL('./bestResponse.worker.js', import.meta.url));
+}
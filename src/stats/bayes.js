@@ -0,0 +1,181 @@
+/**
+ * Bayesian opponent model
+ *
+ * Rate stats are kept as counts, stats.samples = { vpip: { successes, opportunities }, ... }
+ * (positional splits keep their own under stats.byPosition[seat].samples). Each stat has a
+ * population prior, a Beta distribution worth `strength` observations centred on a typical 6-max
+ * player, so the posterior after s successes in n opportunities is Beta(a + s, b + n - s).
+ *
+ * reliability is how much narrower the posterior's credible interval is than the prior's: 0 with
+ * no data, approaching 1 as opportunities pile up. shrinkStats gives the exploit adjustments each
+ * stat's posterior mean (values without a sample of their own are pulled toward the population
+ * mean by the overall sample's reliability), and the profile confidence is the average
+ * reliability of the adjusted stats it has samples for.
+ */
+
+export const STAT_PRIORS = {
+  vpip: { label: 'VPIP', mean: 30, strength: 20 },
+  pfr: { label: 'PFR', mean: 25, strength: 20 },
+  limp: { label: 'Limp', mean: 5, strength: 20 },
+  threeBet: { label: '3-bet', mean: 7, strength: 20 },
+  foldTo3Bet: { label: 'Fold to 3-bet', mean: 65, strength: 10 },
+  fourBet: { label: '4-bet', mean: 20, strength: 10 },
+  steal: { label: 'Steal', mean: 35, strength: 10 },
+  foldToSteal: { label: 'Fold to steal', mean: 70, strength: 10 },
+  callShove: { label: 'Call a shove', mean: 20, strength: 10 },
+  cbetFlop: { label: 'C-bet flop', mean: 60, strength: 10 },
+  cbetTurn: { label: 'C-bet turn', mean: 50, strength: 10 },
+  cbetRiver: { label: 'C-bet river', mean: 50, strength: 10 },
+  foldToCbetFlop: { label: 'Fold to c-bet flop', mean: 45, strength: 10 },
+  foldToCbetTurn: { label: 'Fold to c-bet turn', mean: 45, strength: 10 },
+  foldToCbetRiver: { label: 'Fold to c-bet river', mean: 50, strength: 10 },
+  afq: { label: 'AFq', mean: 40, strength: 10 },
+  wtsd: { label: 'WTSD', mean: 28, strength: 10 },
+  wsd: { label: 'W$SD', mean: 52, strength: 10 },
+};
+
+// The stats the exploit adjustments read (strategy/adjustments.js); profile confidence is theirs
+export const ADJUSTED_STATS = ['vpip', 'pfr', 'limp', 'threeBet', 'foldTo3Bet', 'fourBet', 'foldToSteal'];
+
+export const CREDIBLE_LEVEL = 0.95;
+
+// ln Γ(x) (Lanczos)
+function logGamma(x) {
+  const g = [676.5203681218851, -1259.1392167224028, 771.32342877765313, -176.61502916214059,
+    12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7];
+  if (x < 0.5) return Math.log(Math.PI / Math.sin(Math.PI * x)) - logGamma(1 - x);
+  let sum = 0.99999999999980993;
+  const t = x + 6.5;
+  for (let i = 0; i < g.length; i++) sum += g[i] / (x + i);
+  return 0.5 * Math.log(2 * Math.PI) + (x - 0.5) * Math.log(t) - t + Math.log(sum);
+}
+
+// Continued fraction for the incomplete beta function (modified Lentz)
+function betaFraction(x, a, b) {
+  const tiny = 1e-30;
+  let c = 1;
+  let d = 1 - ((a + b) * x) / (a + 1);
+  if (Math.abs(d) < tiny) d = tiny;
+  d = 1 / d;
+  let h = d;
+  for (let m = 1; m <= 200; m++) {
+    const m2 = 2 * m;
+    let aa = (m * (b - m) * x) / ((a + m2 - 1) * (a + m2));
+    d = 1 + aa * d;
+    if (Math.abs(d) < tiny) d = tiny;
+    c = 1 + aa / c;
+    if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    h *= d * c;
+    aa = (-(a + m) * (a + b + m) * x) / ((a + m2) * (a + m2 + 1));
+    d = 1 + aa * d;
+    if (Math.abs(d) < tiny) d = tiny;
+    c = 1 + aa / c;
+    if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    const step = d * c;
+    h *= step;
+    if (Math.abs(step - 1) < 1e-12) break;
+  }
+  return h;
+}
+
+// Regularized incomplete beta I_x(a, b): P(X <= x) for X ~ Beta(a, b)
+export function betaCdf(x, a, b) {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+  const front = Math.exp(logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x));
+  return x < (a + 1) / (a + b + 2)
+    ? (front * betaFraction(x, a, b)) / a
+    : 1 - (front * betaFraction(1 - x, b, a)) / b;
+}
+
+// x with P(X <= x) = p for X ~ Beta(a, b), by bisection
+export function betaQuantile(p, a, b) {
+  let low = 0;
+  let high = 1;
+  for (let i = 0; i < 60; i++) {
+    const mid = (low + high) / 2;
+    if (betaCdf(mid, a, b) < p) low = mid;
+    else high = mid;
+  }
+  return (low + high) / 2;
+}
+
+// Beta parameters of a stat's posterior (the prior alone without a sample)
+function posteriorParams(stat, sample) {
+  const { mean, strength } = STAT_PRIORS[stat];
+  const successes = (sample && sample.successes) || 0;
+  const opportunities = (sample && sample.opportunities) || 0;
+  return [(mean / 100) * strength + successes, (1 - mean / 100) * strength + opportunities - successes];
+}
+
+/**
+ * Posterior of one stat: { mean, low, high } in percent (low..high is the CREDIBLE_LEVEL
+ * equal-tailed interval) plus the sample's successes and opportunities.
+ */
+export function posterior(stat, sample) {
+  const [a, b] = posteriorParams(stat, sample);
+  const tail = (1 - CREDIBLE_LEVEL) / 2;
+  return {
+    mean: (a / (a + b)) * 100,
+    low: betaQuantile(tail, a, b) * 100,
+    high: betaQuantile(1 - tail, a, b) * 100,
+    successes: (sample && sample.successes) || 0,
+    opportunities: (sample && sample.opportunities) || 0,
+  };
+}
+
+// 1 - posterior interval width / prior interval width (0 with no data)
+export function reliability(stat, sample) {
+  const prior = posterior(stat, null);
+  const post = posterior(stat, sample);
+  return Math.max(0, Math.min(1, 1 - (post.high - post.low) / (prior.high - prior.low)));
+}
+
+// Counts for a rate observed as `percent` of `opportunities` (manual entries)
+export function sampleFromRate(percent, opportunities) {
+  const n = Math.max(0, Math.round(opportunities || 0));
+  return { successes: Math.round((Math.max(0, Math.min(100, percent)) / 100) * n), opportunities: n };
+}
+
+/**
+ * Stats as the adjustments should read them, each shrunk toward the population once: a stat with
+ * its own sample becomes its posterior mean. A positional value without one (a manual seat
+ * override) borrows the overall sample's reliability, prior + reliability × (value - prior).
+ * Stats without samples (older profiles, the live session) are returned unchanged.
+ */
+export function shrinkStats(stats) {
+  if (!stats || !stats.samples) return stats;
+  const shrink = (values, samples) => {
+    const out = { ...values };
+    Object.keys(STAT_PRIORS).forEach((stat) => {
+      const own = values.samples && values.samples[stat];
+      const sample = own || samples[stat];
+      if (!sample || values[stat] === undefined) return;
+      if (own) {
+        out[stat] = posterior(stat, own).mean;
+        return;
+      }
+      const prior = STAT_PRIORS[stat].mean;
+      out[stat] = prior + reliability(stat, sample) * (values[stat] - prior);
+    });
+    return out;
+  };
+  const shrunk = shrink(stats, stats.samples);
+  if (stats.byPosition) {
+    shrunk.byPosition = {};
+    Object.entries(stats.byPosition).forEach(([position, values]) => {
+      shrunk.byPosition[position] = shrink(values, stats.samples);
+    });
+  }
+  return shrunk;
+}
+
+// Overall confidence in a profile (0..1): average reliability of its sampled ADJUSTED_STATS
+export function profileConfidence(stats) {
+  const samples = (stats && stats.samples) || {};
+  const sampled = ADJUSTED_STATS.filter((stat) => samples[stat]);
+  if (sampled.length === 0) return 0;
+  return sampled.reduce((sum, stat) => sum + reliability(stat, samples[stat]), 0) / sampled.length;
+}
@@ -0,0 +1,50 @@
+import { betaCdf, betaQuantile, posterior, profileConfidence, reliability, sampleFromRate, shrinkStats } from './bayes';
+
+test('beta quantiles invert the cdf', () => {
+  expect(betaCdf(0.5, 3, 3)).toBeCloseTo(0.5, 6);
+  expect(betaCdf(0.3, 1, 1)).toBeCloseTo(0.3, 6);
+  const q = betaQuantile(0.975, 12, 30);
+  expect(betaCdf(q, 12, 30)).toBeCloseTo(0.975, 6);
+});
+
+test('posteriors narrow toward the observed rate as opportunities grow', () => {
+  const prior = posterior('foldTo3Bet', null);
+  expect(prior.mean).toBeCloseTo(65, 6);
+  const small = posterior('foldTo3Bet', { successes: 9, opportunities: 10 });
+  const large = posterior('foldTo3Bet', { successes: 900, opportunities: 1000 });
+  expect(small.mean).toBeGreaterThan(65);
+  expect(small.mean).toBeLessThan(90);
+  expect(large.mean).toBeCloseTo(90, 0);
+  expect(large.high - large.low).toBeLessThan(small.high - small.low);
+  expect(large.low).toBeLessThan(90);
+  expect(large.high).toBeGreaterThan(90);
+  expect(reliability('foldTo3Bet', null)).toBe(0);
+  expect(reliability('foldTo3Bet', { successes: 900, opportunities: 1000 })).toBeGreaterThan(0.9);
+});
+
+test('stats shrink toward the population by how little data backs them', () => {
+  const stats = (n) => ({
+    vpip: 50,
+    pfr: 40,
+    foldTo3Bet: 90,
+    samples: { vpip: sampleFromRate(50, n), pfr: sampleFromRate(40, n), foldTo3Bet: sampleFromRate(90, n / 10) },
+    byPosition: { BTN: { foldTo3Bet: 40 } },
+  });
+  const few = shrinkStats(stats(20));
+  const many = shrinkStats(stats(5000));
+  expect(few.foldTo3Bet).toBeLessThan(many.foldTo3Bet);
+  expect(many.foldTo3Bet).toBeGreaterThan(85);
+  expect(few.foldTo3Bet).toBeGreaterThan(65);
+  // a manual seat override leans on the overall sample's reliability
+  expect(few.byPosition.BTN.foldTo3Bet).toBeGreaterThan(40);
+  expect(many.byPosition.BTN.foldTo3Bet).toBeLessThan(few.byPosition.BTN.foldTo3Bet);
+  expect(profileConfidence(stats(5000))).toBeGreaterThan(profileConfidence(stats(20)));
+  expect(shrinkStats({ vpip: 50 })).toEqual({ vpip: 50 });
+});
+
+test('a sampled stat is shrunk once, to its posterior mean', () => {
+  const sample = { successes: 100, opportunities: 100 };
+  const shrunk = shrinkStats({ foldTo3Bet: 100, samples: { foldTo3Bet: sample } });
+  expect(shrunk.foldTo3Bet).toBeCloseTo(posterior('foldTo3Bet', sample).mean, 6);
+  expect(shrunk.foldTo3Bet).toBeGreaterThan(96);
+});
@@ -0,0 +1,154 @@
+import { handKeyForCards, parseHandKey, rankIndex } from '../poker/cards';
+import { allNodeKeys, makeNodeKey } from '../strategy/scenarios';
+
+/**
+ * Hero deviation report
+ *
+ * Imported hands are reduced to Hero's preflop decisions: which tree node Hero was at (RFI,
+ * vs open, vs limp, and after opening / 3-betting, vs 3-bet / vs 4-bet), the hand class and the
+ * action taken. Decisions are compared to the chart for that node; taking an action the chart
+ * uses at most DEVIATION_THRESHOLD percent of the time is a deviation.
+ *
+ * Spots outside the tree (cold-facing a 3-bet, squeezes, BB checking its option) are skipped.
+ */
+
+export const DEVIATION_THRESHOLD = 25;
+
+const STORAGE_KEY = 'pokerHeroDecisions';
+const NODE_KEYS = new Set(allNodeKeys());
+
+const ACTION_VERBS = { fold: 'folded', call: 'called', raise: 'raised' };
+const CHART_VERBS = { fold: 'folds', call: 'calls', raise: 'raises' };
+
+// Hero's decisions in one normalized hand: [{ handId, nodeKey, hand, cards, action }]
+export function extractHeroDecisions(hand) {
+  const hero = hand.heroName || 'Hero';
+  const heroPosition = hand.heroPosition || (hand.positions && hand.positions[hero]);
+  if (!heroPosition || !hand.heroCards || hand.heroCards.length !== 2) return [];
+
+  const handClass = handKeyForCards(hand.heroCards[0], hand.heroCards[1]);
+  const positionOf = (player) => (hand.positions && hand.positions[player]) || null;
+  const decisions = [];
+
+  let raises = 0; // raises so far (the open counts as one)
+  let limps = 0;
+  let callers = 0; // calls of the open: Hero facing an open and a caller is a squeeze spot
+  let opener = null;
+  let heroRaises = 0;
+  let heroActed = false;
+
+  const preflop = (hand.actions || []).filter((a) => a.street === 'preflop' && a.action !== 'post' && a.action !== 'return');
+  for (const a of preflop) {
+    const action = a.action === 'bet' ? 'raise' : a.action;
+
+    if (a.player === hero) {
+      const nodeKey = heroNode({ hero, heroPosition, raises, limps, callers, opener, heroRaises, heroActed, positionOf });
+      if (nodeKey && NODE_KEYS.has(nodeKey) && ['fold', 'call', 'raise'].includes(action)) {
+        decisions.push({ handId: hand.handId, nodeKey, hand: handClass, cards: hand.heroCards, action });
+      }
+      if (action === 'fold' || !nodeKey) break;
+      heroActed = true;
+      if (action === 'raise') heroRaises += 1;
+    }
+
+    if (action === 'raise') {
+      raises += 1;
+      if (raises === 1) opener = a.player;
+    } else if (action === 'call' && raises === 0) {
+      limps += 1;
+    } else if (action === 'call' && raises === 1) {
+      callers += 1;
+    }
+  }
+
+  return decisions;
+}
+
+// Node Hero faces given the action so far, or null when it isn't in the tree
+function heroNode({ hero, heroPosition, raises, limps, callers, opener, heroRaises, heroActed, positionOf }) {
+  if (!heroActed) {
+    if (raises === 0) return limps > 0 ? makeNodeKey(heroPosition, 'vsLimp') : makeNodeKey(heroPosition, 'RFI');
+    // an open that has already been called is a squeeze spot, not vsOpen
+    if (raises === 1) return positionOf(opener) && callers === 0 ? makeNodeKey(heroPosition, 'vsOpen', positionOf(opener)) : null;
+    return null;
+  }
+  // Opened and got 3-bet, or 3-bet and got 4-bet
+  if (heroRaises === 1 && raises === 2 && opener === hero) return makeNodeKey(heroPosition, 'vs3Bet');
+  if (heroRaises === 1 && raises === 3 && opener !== hero) return makeNodeKey(heroPosition, 'vs4Bet');
+  return null;
+}
+
+// Compare decisions with a strategy tree ({ nodeKey: chart })
+export function evaluateDeviations(decisions, strategyTree, threshold = DEVIATION_THRESHOLD) {
+  return decisions.map((decision) => {
+    const mix = (strategyTree[decision.nodeKey] || {})[decision.hand] || { fold: 100, call: 0, raise: 0 };
+    const frequency = mix[decision.action] || 0;
+    const deviation = frequency <= threshold;
+    return {
+      ...decision,
+      mix,
+      frequency,
+      deviation,
+      message: deviation ? describeDeviation(decision, mix) : null,
+    };
+  });
+}
+
+// e.g. "called 87s where chart folds 80%"
+function describeDeviation({ action, hand }, mix) {
+  const top = ['fold', 'call', 'raise'].reduce((best, a) => (mix[a] > mix[best] ? a : best), 'fold');
+  return `${ACTION_VERBS[action]} ${hand} where chart ${CHART_VERBS[top]} ${mix[top]}%`;
+}
+
+// Broad hand categories for the summary table
+export function handCategory(hand) {
+  const { high, low, type } = parseHandKey(hand);
+  if (type === 'pair') return 'Pocket pairs';
+  const broadway = rankIndex(low) <= rankIndex('T');
+  const gap = rankIndex(low) - rankIndex(high) - 1;
+  const suit = type === 'suited' ? 'Suited' : 'Offsuit';
+  if (high === 'A') return `${suit} aces`;
+  if (broadway) return `${suit} broadways`;
+  if (type === 'suited' && gap <= 1) return 'Suited connectors & gappers';
+  return `Other ${suit.toLowerCase()}`;
+}
+
+// { key: { decisions, deviations, rate } } grouped by keyFn
+function groupRates(results, keyFn) {
+  const groups = {};
+  results.forEach((r) => {
+    const key = keyFn(r);
+    const g = groups[key] || (groups[key] = { decisions: 0, deviations: 0, rate: 0 });
+    g.decisions += 1;
+    if (r.deviation) g.deviations += 1;
+    g.rate = (g.deviations / g.decisions) * 100;
+  });
+  return groups;
+}
+
+export function deviationsByCategory(results) {
+  return groupRates(results, (r) => handCategory(r.hand));
+}
+
+export function deviationsByHand(results) {
+  return groupRates(results, (r) => r.hand);
+}
+
+// Merge new decisions into the stored list, one entry per hand id and node
+export function mergeDecisions(existing, incoming) {
+  const seen = new Set(existing.map((d) => `${d.handId}|${d.nodeKey}`));
+  return [...existing, ...incoming.filter((d) => !seen.has(`${d.handId}|${d.nodeKey}`))];
+}
+
+export function loadHeroDecisions() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+  } catch (e) {
+    console.error('Failed to load hero decisions:', e);
+    return [];
+  }
+}
+
+export function saveHeroDecisions(decisions) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(decisions));
+}
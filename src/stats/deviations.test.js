@@ -0,0 +1,58 @@
+import { deviationsByCategory, evaluateDeviations, extractHeroDecisions, mergeDecisions } from './deviations';
+
+const positions = { utgGuy: 'UTG', Hero: 'CO', btnGuy: 'BTN', sbGuy: 'SB', bbGuy: 'BB' };
+const post = (player, amount) => ({ player, street: 'preflop', action: 'post', amount });
+const act = (player, action, amount) => ({ player, street: 'preflop', action, amount });
+
+const openedAndFacing3Bet = {
+  handId: '1',
+  heroCards: ['8h', '7h'],
+  heroPosition: 'CO',
+  positions,
+  actions: [
+    post('sbGuy', 0.5), post('bbGuy', 1),
+    act('utgGuy', 'fold'), act('Hero', 'raise', 2.5), act('btnGuy', 'raise', 8),
+    act('sbGuy', 'fold'), act('bbGuy', 'fold'), act('Hero', 'call', 8),
+    { player: 'Hero', street: 'flop', action: 'check' },
+  ],
+};
+
+const coldCallVsOpen = {
+  handId: '2',
+  heroCards: ['9c', '8c'],
+  heroPosition: 'CO',
+  positions,
+  actions: [post('sbGuy', 0.5), post('bbGuy', 1), act('utgGuy', 'raise', 3), act('Hero', 'call', 3)],
+};
+
+test("extracts Hero's preflop decisions by tree node", () => {
+  expect(extractHeroDecisions(openedAndFacing3Bet)).toEqual([
+    { handId: '1', nodeKey: 'CO:RFI', hand: '87s', cards: ['8h', '7h'], action: 'raise' },
+    { handId: '1', nodeKey: 'CO:vs3Bet', hand: '87s', cards: ['8h', '7h'], action: 'call' },
+  ]);
+  expect(extractHeroDecisions(coldCallVsOpen)[0]).toMatchObject({ nodeKey: 'CO:vsOpen:UTG', hand: '98s', action: 'call' });
+  expect(extractHeroDecisions({ ...coldCallVsOpen, heroCards: [] })).toEqual([]);
+  // a called open is a squeeze spot, which the tree doesn't have
+  const squeeze = {
+    ...coldCallVsOpen,
+    positions: { ...positions, hjGuy: 'HJ' },
+    actions: [post('sbGuy', 0.5), post('bbGuy', 1), act('utgGuy', 'raise', 3), act('hjGuy', 'call', 3), act('Hero', 'raise', 12)],
+  };
+  expect(extractHeroDecisions(squeeze)).toEqual([]);
+});
+
+test('flags actions the chart rarely takes', () => {
+  const tree = {
+    'CO:RFI': { '87s': { fold: 80, call: 20, raise: 0 } },
+    'CO:vs3Bet': { '87s': { fold: 40, call: 60, raise: 0 } },
+  };
+  const results = evaluateDeviations(extractHeroDecisions(openedAndFacing3Bet), tree);
+  expect(results[0]).toMatchObject({ deviation: true, message: 'raised 87s where chart folds 80%' });
+  expect(results[1].deviation).toBe(false);
+  expect(deviationsByCategory(results)['Suited connectors & gappers']).toEqual({ decisions: 2, deviations: 1, rate: 50 });
+});
+
+test('re-importing the same hands does not duplicate decisions', () => {
+  const first = extractHeroDecisions(openedAndFacing3Bet);
+  expect(mergeDecisions(first, [...first, ...extractHeroDecisions(coldCallVsOpen)])).toHaveLength(3);
+});
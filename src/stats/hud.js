@@ -0,0 +1,193 @@
+import { POSITIONS } from '../strategy/positions';
+
+/**
+ * HUD stats from normalized hands
+ *
+ * analyzeHand replays one hand's actions (see parsers/common.js) for a player and records, for
+ * every stat the player had the chance to show, whether they did: { stat: { successes,
+ * opportunities } }. Preflop it tracks how many raises the player faced at each decision:
+ * - vpip / pfr: any voluntary call or raise / any raise, over hands with a preflop decision
+ * - limp: calling in an unraised pot (not the BB); steal: opening from CO/BTN/SB when folded to
+ * - threeBet: re-raising a single raise; fourBet: re-raising a 3-bet
+ * - foldTo3Bet: folding to a 3-bet after opening (only then)
+ * - foldToSteal: folding the SB or BB to a CO/BTN/SB open with nobody else in
+ * - callShove: calling when the last raise was all-in (parsers flag those as allIn)
+ * Postflop the previous street's last aggressor can continuation-bet when checked to
+ * (cbetFlop/Turn/River), and a player facing that bet can fold to it (foldToCbetFlop/...).
+ * afq counts bets and raises over all postflop bets, raises, calls and folds, wtsd seeing
+ * showdown after the flop and wsd winning money there. AF (bets and raises per call) is a
+ * ratio, kept apart as postflop counts (and separate from manual profiles' `aggression` knob).
+ *
+ * summarizeHud adds the counts over many hands into percentages (a stat is only present once it
+ * had an opportunity), with the same stats split by the player's seat in byPosition. The running
+ * totals behind it (addHandToHud / hudFromTotals) are what the player database keeps per player.
+ */
+
+export const HUD_STATS = [
+  'vpip', 'pfr', 'limp', 'threeBet', 'foldTo3Bet', 'fourBet', 'steal', 'foldToSteal', 'callShove',
+  'cbetFlop', 'cbetTurn', 'cbetRiver', 'foldToCbetFlop', 'foldToCbetTurn', 'foldToCbetRiver',
+  'afq', 'wtsd', 'wsd',
+];
+
+const DECISIONS = ['fold', 'check', 'call', 'bet', 'raise'];
+const STEAL_SEATS = ['CO', 'BTN', 'SB'];
+const POSTFLOP_STREETS = [['flop', 'Flop'], ['turn', 'Turn'], ['river', 'River']];
+
+// Counts for one player in one hand, or null when the player had no decision in it
+export function analyzeHand(hand, player = 'Hero') {
+  const decisions = (hand.actions || []).filter((a) => DECISIONS.includes(a.action));
+  if (!decisions.some((a) => a.player === player && a.street === 'preflop')) return null;
+
+  const counts = {};
+  const chance = (stat, success) => {
+    if (counts[stat]) return; // each spot once per hand
+    counts[stat] = { successes: success ? 1 : 0, opportunities: 1 };
+  };
+  const positionOf = (name) => (hand.positions && hand.positions[name]) || (name === player ? hand.heroPosition : null);
+  const position = positionOf(player);
+
+  // Preflop
+  let raises = 0;
+  let callers = 0;
+  let opener = null;
+  let aggressor = null;
+  let opened = false;
+  let facingShove = false;
+  let first = true;
+  let vpip = false;
+  let pfr = false;
+  decisions.filter((a) => a.street === 'preflop').forEach((a) => {
+    const raise = a.action === 'raise' || a.action === 'bet';
+    if (a.player === player) {
+      if (first && raises === 0 && position !== 'BB') chance('limp', a.action === 'call');
+      if (first && raises === 0 && callers === 0 && STEAL_SEATS.includes(position)) chance('steal', raise);
+      if (first && raises === 1 && callers === 0 && (position === 'SB' || position === 'BB')
+        && STEAL_SEATS.includes(positionOf(opener))) {
+        chance('foldToSteal', a.action === 'fold');
+      }
+      if (raises === 1 && opener !== player) chance('threeBet', raise);
+      if (raises === 2 && opened) chance('foldTo3Bet', a.action === 'fold');
+      if (raises === 2 && aggressor !== player) chance('fourBet', raise);
+      if (facingShove) chance('callShove', a.action === 'call');
+      if (raise && raises === 0) opened = true;
+      if (raise || a.action === 'call') vpip = true;
+      if (raise) pfr = true;
+      first = false;
+    }
+    if (raise) {
+      raises += 1;
+      if (raises === 1) opener = a.player;
+      aggressor = a.player;
+      facingShove = Boolean(a.allIn);
+    } else if (a.action === 'call') {
+      callers += 1;
+    }
+  });
+  chance('vpip', vpip);
+  chance('pfr', pfr);
+
+  // Postflop
+  const postflop = { aggressive: 0, calls: 0, folds: 0 };
+  POSTFLOP_STREETS.forEach(([street, name]) => {
+    let bets = 0;
+    let cbet = false;
+    let streetAggressor = null;
+    let acted = false;
+    decisions.filter((a) => a.street === street).forEach((a) => {
+      const raise = a.action === 'raise' || a.action === 'bet';
+      if (a.player === player) {
+        if (!acted && bets === 0 && aggressor === player) chance(`cbet${name}`, raise);
+        if (cbet && bets === 1) chance(`foldToCbet${name}`, a.action === 'fold');
+        if (raise) postflop.aggressive += 1;
+        else if (a.action === 'call') postflop.calls += 1;
+        else if (a.action === 'fold') postflop.folds += 1;
+        acted = true;
+      }
+      if (raise) {
+        if (bets === 0 && a.player === aggressor) cbet = true;
+        bets += 1;
+        streetAggressor = a.player;
+      }
+    });
+    aggressor = streetAggressor; // only a bettor can c-bet the next street
+  });
+  const actions = postflop.aggressive + postflop.calls + postflop.folds;
+  if (actions > 0) counts.afq = { successes: postflop.aggressive, opportunities: actions };
+
+  // Showdown: seeing the flop and never folding, with someone else still in at the end
+  const folded = new Set(decisions.filter((a) => a.action === 'fold').map((a) => a.player));
+  const sawFlop = !decisions.some((a) => a.player === player && a.street === 'preflop' && a.action === 'fold')
+    && ((hand.board && hand.board.length >= 3) || decisions.some((a) => a.street === 'flop'));
+  if (sawFlop) {
+    const stillIn = new Set(decisions.map((a) => a.player).filter((name) => !folded.has(name)));
+    const showdown = !folded.has(player) && stillIn.size > 1;
+    chance('wtsd', showdown);
+    if (showdown) {
+      const won = (hand.winners || []).some((w) => w.player === player) || hand.winner === player;
+      chance('wsd', won);
+    }
+  }
+
+  return { counts, postflop, position };
+}
+
+// Percentages (and AF) from summed counts
+function rates(counts, postflop, handsPlayed) {
+  const stats = { handsPlayed, samples: counts, postflop };
+  HUD_STATS.forEach((stat) => {
+    const sample = counts[stat];
+    if (sample && sample.opportunities > 0) stats[stat] = (sample.successes / sample.opportunities) * 100;
+  });
+  if (postflop.calls > 0) stats.af = postflop.aggressive / postflop.calls;
+  else if (postflop.aggressive > 0) stats.af = postflop.aggressive;
+  return stats;
+}
+
+function addCounts(total, { counts, postflop }) {
+  Object.entries(counts).forEach(([stat, { successes, opportunities }]) => {
+    const sum = total.counts[stat] || (total.counts[stat] = { successes: 0, opportunities: 0 });
+    sum.successes += successes;
+    sum.opportunities += opportunities;
+  });
+  Object.keys(total.postflop).forEach((key) => { total.postflop[key] += postflop[key]; });
+  total.hands += 1;
+}
+
+const emptyTotal = () => ({ counts: {}, postflop: { aggressive: 0, calls: 0, folds: 0 }, hands: 0 });
+
+// Running counts for one player, overall and by seat (plain JSON, so they can be stored)
+export function emptyHudTotals() {
+  return { overall: emptyTotal(), bySeat: {} };
+}
+
+// Adds one hand to a player's totals in place; false when the player had no decision in it
+export function addHandToHud(totals, hand, player = 'Hero') {
+  const result = analyzeHand(hand, player);
+  if (!result) return false;
+  addCounts(totals.overall, result);
+  if (result.position) {
+    addCounts(totals.bySeat[result.position] || (totals.bySeat[result.position] = emptyTotal()), result);
+  }
+  return true;
+}
+
+/**
+ * A player's HUD from their totals: percentages for every stat with an opportunity, af, samples
+ * (the counts), postflop action counts and byPosition splits.
+ */
+export function hudFromTotals({ overall, bySeat }) {
+  const stats = rates(overall.counts, overall.postflop, overall.hands);
+  stats.byPosition = {};
+  POSITIONS.forEach((position) => {
+    const seat = bySeat[position];
+    if (seat) stats.byPosition[position] = rates(seat.counts, seat.postflop, seat.hands);
+  });
+  return stats;
+}
+
+// A player's HUD over many hands (see hudFromTotals)
+export function summarizeHud(hands, player = 'Hero') {
+  const totals = emptyHudTotals();
+  hands.forEach((hand) => addHandToHud(totals, hand, player));
+  return hudFromTotals(totals);
+}
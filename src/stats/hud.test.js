@@ -0,0 +1,107 @@
+import { analyzeHand, summarizeHud } from './hud';
+
+const positions = { utgGuy: 'UTG', Hero: 'CO', btnGuy: 'BTN', sbGuy: 'SB', bbGuy: 'BB' };
+const post = (player, amount) => ({ player, street: 'preflop', action: 'post', amount });
+const act = (player, action, amount, street = 'preflop') => ({ player, street, action, amount });
+
+// Hero steals from the CO, gets 3-bet by the button and calls, then c-bets the flop and gives up
+const stealAnd3Bet = {
+  heroPosition: 'CO',
+  positions,
+  board: ['2c', '7d', 'Th', 'Js', '3s'],
+  actions: [
+    post('sbGuy', 0.5), post('bbGuy', 1),
+    act('utgGuy', 'fold'), act('Hero', 'raise', 2.5), act('btnGuy', 'raise', 8),
+    act('sbGuy', 'fold'), act('bbGuy', 'fold'), act('Hero', 'call', 8),
+    act('Hero', 'bet', 6, 'flop'), act('btnGuy', 'call', 6, 'flop'),
+    act('Hero', 'check', 0, 'turn'), act('btnGuy', 'bet', 15, 'turn'), act('Hero', 'fold', 0, 'turn'),
+  ],
+  winners: [{ player: 'btnGuy', amount: 30 }],
+};
+
+// UTG opens, Hero flats, the opener c-bets and Hero folds
+const flatAndFold = {
+  heroPosition: 'CO',
+  positions,
+  board: ['As', '8d', '4c'],
+  actions: [
+    post('sbGuy', 0.5), post('bbGuy', 1),
+    act('utgGuy', 'raise', 3), act('Hero', 'call', 3), act('btnGuy', 'fold'), act('sbGuy', 'fold'), act('bbGuy', 'fold'),
+    act('utgGuy', 'bet', 4, 'flop'), act('Hero', 'fold', 0, 'flop'),
+  ],
+};
+
+// Limped pot that goes to showdown, won by Hero
+const limpToShowdown = {
+  heroPosition: 'CO',
+  positions,
+  board: ['Ks', '9d', '4c', '2h', '2s'],
+  actions: [
+    post('sbGuy', 0.5), post('bbGuy', 1),
+    act('utgGuy', 'fold'), act('Hero', 'call', 1), act('btnGuy', 'fold'), act('sbGuy', 'fold'), act('bbGuy', 'check'),
+    act('bbGuy', 'check', 0, 'flop'), act('Hero', 'check', 0, 'flop'),
+    act('bbGuy', 'bet', 1, 'turn'), act('Hero', 'call', 1, 'turn'),
+    act('bbGuy', 'check', 0, 'river'), act('Hero', 'check', 0, 'river'),
+  ],
+  winners: [{ player: 'Hero', amount: 4 }],
+};
+
+test("reads the preflop spots from the raise sequence", () => {
+  const { counts } = analyzeHand(stealAnd3Bet);
+  expect(counts.steal).toEqual({ successes: 1, opportunities: 1 });
+  expect(counts.limp).toEqual({ successes: 0, opportunities: 1 });
+  expect(counts.foldTo3Bet).toEqual({ successes: 0, opportunities: 1 });
+  expect(counts.fourBet).toEqual({ successes: 0, opportunities: 1 });
+  expect(counts.threeBet).toBeUndefined();
+
+  // the button faced a single raise and 3-bet it; the blinds were not facing a pure steal
+  const button = analyzeHand(stealAnd3Bet, 'btnGuy').counts;
+  expect(button.threeBet).toEqual({ successes: 1, opportunities: 1 });
+  expect(button.foldTo3Bet).toBeUndefined();
+  expect(analyzeHand(stealAnd3Bet, 'bbGuy').counts.foldToSteal).toBeUndefined();
+  expect(analyzeHand(flatAndFold).counts.threeBet).toEqual({ successes: 0, opportunities: 1 });
+  // an open from UTG is not a steal
+  expect(analyzeHand(flatAndFold, 'bbGuy').counts.foldToSteal).toBeUndefined();
+});
+
+test('continuation bets belong to the last aggressor of the street before', () => {
+  const hero = analyzeHand(stealAnd3Bet);
+  // the button 3-bet, so Hero's flop bet is a donk bet, not a c-bet
+  expect(hero.counts.cbetFlop).toBeUndefined();
+  expect(analyzeHand(stealAnd3Bet, 'btnGuy').counts.cbetFlop).toBeUndefined();
+  expect(analyzeHand(flatAndFold).counts.foldToCbetFlop).toEqual({ successes: 1, opportunities: 1 });
+  expect(analyzeHand(flatAndFold, 'utgGuy').counts.cbetFlop).toEqual({ successes: 1, opportunities: 1 });
+  expect(hero.postflop).toEqual({ aggressive: 1, calls: 0, folds: 1 });
+});
+
+test('summarizes percentages, showdown stats and positional splits', () => {
+  const stats = summarizeHud([stealAnd3Bet, flatAndFold, limpToShowdown]);
+  expect(stats.handsPlayed).toBe(3);
+  expect(stats.vpip).toBe(100);
+  expect(stats.pfr).toBeCloseTo(100 / 3, 6);
+  expect(stats.limp).toBe(50);
+  expect(stats.samples.limp).toEqual({ successes: 1, opportunities: 2 });
+  expect(stats.wtsd).toBeCloseTo(100 / 3, 6);
+  expect(stats.wsd).toBe(100);
+  expect(stats.af).toBe(1);
+  expect(stats.afq).toBe(25);
+  expect(stats.threeBet).toBe(0);
+  expect(stats.foldToSteal).toBeUndefined();
+  expect(Object.keys(stats.byPosition)).toEqual(['CO']);
+  expect(stats.byPosition.CO.handsPlayed).toBe(3);
+});
+
+test('calling an all-in counts toward callShove', () => {
+  const shove = {
+    heroPosition: 'CO',
+    positions,
+    actions: [
+      post('sbGuy', 0.5), post('bbGuy', 1),
+      act('utgGuy', 'fold'), act('Hero', 'raise', 2.5), { ...act('btnGuy', 'raise', 40), allIn: true },
+      act('sbGuy', 'fold'), act('bbGuy', 'call', 40), act('Hero', 'fold'),
+    ],
+  };
+  expect(analyzeHand(shove).counts.callShove).toEqual({ successes: 0, opportunities: 1 });
+  expect(analyzeHand(shove, 'bbGuy').counts.callShove).toEqual({ successes: 1, opportunities: 1 });
+  expect(analyzeHand(stealAnd3Bet).counts.callShove).toBeUndefined();
+});
@@ -0,0 +1,96 @@
+import { addHandToHud, emptyHudTotals, hudFromTotals } from './hud';
+
+/**
+ * Player database
+ *
+ * Every player seen in imported hands gets an entry { name, hands, lastSeen, totals }, where totals
+ * are their running HUD counts (see stats/hud.js). Imports add to the entries, so stats build up
+ * over sessions; hands already counted (by handId) are skipped when a file is imported again. Hero
+ * is stored under 'Hero' like in the parsed hands. Kept in localStorage; an entry's HUD can be
+ * promoted to a profile in ProfileManager.
+ */
+
+const STORAGE_KEY = 'pokerPlayerDatabase';
+
+const DECISIONS = ['fold', 'check', 'call', 'bet', 'raise'];
+
+export function emptyPlayerDatabase() {
+  return { players: {}, handIds: [] };
+}
+
+export function loadPlayerDatabase() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return saved && saved.players ? saved : emptyPlayerDatabase();
+  } catch (e) {
+    console.error('Failed to load player database:', e);
+    return emptyPlayerDatabase();
+  }
+}
+
+export function savePlayerDatabase(database) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(database));
+}
+
+// Everyone dealt into a hand: seated players plus anyone who acted
+export function playersInHand(hand) {
+  const names = new Set(Object.keys(hand.positions || {}));
+  (hand.actions || []).forEach((a) => {
+    if (DECISIONS.includes(a.action)) names.add(a.player);
+  });
+  return [...names];
+}
+
+/**
+ * Adds normalized hands to a database without mutating it. Returns { database, added, skipped }:
+ * added hands were counted, skipped ones had a handId the database already counted.
+ */
+export function addHandsToDatabase(database, hands, importedAt = new Date().toISOString()) {
+  const seen = new Set(database.handIds);
+  const players = { ...database.players };
+  const copied = new Set();
+  let added = 0;
+  let skipped = 0;
+
+  hands.forEach((hand) => {
+    if (hand.handId && seen.has(hand.handId)) {
+      skipped += 1;
+      return;
+    }
+    if (hand.handId) seen.add(hand.handId);
+    added += 1;
+    playersInHand(hand).forEach((name) => {
+      if (!copied.has(name)) {
+        // Copy an existing entry before the first change to it
+        players[name] = players[name]
+          ? JSON.parse(JSON.stringify(players[name]))
+          : { name, hands: 0, lastSeen: null, totals: emptyHudTotals() };
+        copied.add(name);
+      }
+      if (addHandToHud(players[name].totals, hand, name)) {
+        players[name].hands += 1;
+        players[name].lastSeen = importedAt;
+      }
+    });
+  });
+
+  // Names seen only posting blinds or sitting out have nothing to show
+  copied.forEach((name) => {
+    if (players[name].hands === 0) delete players[name];
+  });
+
+  return { database: { players, handIds: [...seen] }, added, skipped };
+}
+
+// HUD stats of one entry (the shape summarizeHud returns)
+export function playerStats(entry) {
+  return hudFromTotals(entry.totals);
+}
+
+// Entries whose name contains `query` (case-insensitive), most hands first
+export function searchPlayers(database, query = '') {
+  const needle = query.trim().toLowerCase();
+  return Object.values(database.players)
+    .filter((entry) => entry.name.toLowerCase().includes(needle))
+    .sort((a, b) => b.hands - a.hands || a.name.localeCompare(b.name));
+}
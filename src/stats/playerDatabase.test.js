@@ -0,0 +1,58 @@
+import { addHandsToDatabase, emptyPlayerDatabase, playerStats, searchPlayers } from './playerDatabase';
+
+const positions = { utgGuy: 'UTG', Hero: 'CO', btnGuy: 'BTN', sbGuy: 'SB', bbGuy: 'BB' };
+const post = (player, amount) => ({ player, street: 'preflop', action: 'post', amount });
+const act = (player, action, amount) => ({ player, street: 'preflop', action, amount });
+
+// UTG opens, Hero 3-bets, the opener folds
+const threeBetPot = {
+  handId: '1',
+  heroPosition: 'CO',
+  positions,
+  actions: [
+    post('sbGuy', 0.5), post('bbGuy', 1),
+    act('utgGuy', 'raise', 3), act('Hero', 'raise', 9), act('btnGuy', 'fold'), act('sbGuy', 'fold'),
+    act('bbGuy', 'fold'), act('utgGuy', 'fold'),
+  ],
+};
+
+// Folded to the button, who steals; the blinds fold
+const buttonSteal = {
+  handId: '2',
+  heroPosition: 'CO',
+  positions,
+  actions: [
+    post('sbGuy', 0.5), post('bbGuy', 1),
+    act('utgGuy', 'fold'), act('Hero', 'fold'), act('btnGuy', 'raise', 2.5), act('sbGuy', 'fold'), act('bbGuy', 'fold'),
+  ],
+};
+
+test('profiles every player in the imported hands', () => {
+  const { database, added } = addHandsToDatabase(emptyPlayerDatabase(), [threeBetPot, buttonSteal]);
+  expect(added).toBe(2);
+  expect(Object.keys(database.players).sort()).toEqual(['Hero', 'bbGuy', 'btnGuy', 'sbGuy', 'utgGuy']);
+
+  const utg = playerStats(database.players.utgGuy);
+  expect(utg.handsPlayed).toBe(2);
+  expect(utg.samples.foldTo3Bet).toEqual({ successes: 1, opportunities: 1 });
+  expect(playerStats(database.players.bbGuy).samples.foldToSteal).toEqual({ successes: 1, opportunities: 1 });
+  expect(playerStats(database.players.btnGuy).byPosition.BTN.steal).toBe(100);
+});
+
+test('accumulates across imports and skips hands already counted', () => {
+  const first = addHandsToDatabase(emptyPlayerDatabase(), [threeBetPot]).database;
+  const { database, added, skipped } = addHandsToDatabase(first, [threeBetPot, buttonSteal]);
+  expect(added).toBe(1);
+  expect(skipped).toBe(1);
+  expect(database.players.Hero.hands).toBe(2);
+  expect(playerStats(database.players.Hero).vpip).toBe(50);
+  // the earlier database is left as it was
+  expect(first.players.Hero.hands).toBe(1);
+});
+
+test('searches by name, most hands first', () => {
+  const { database } = addHandsToDatabase(emptyPlayerDatabase(), [threeBetPot, buttonSteal, { ...threeBetPot, handId: '3' }]);
+  database.players.utgGuy.hands = 5;
+  expect(searchPlayers(database).map((p) => p.name)).toEqual(['utgGuy', 'bbGuy', 'btnGuy', 'Hero', 'sbGuy']);
+  expect(searchPlayers(database, ' GUY').map((p) => p.name)).toEqual(['utgGuy', 'bbGuy', 'btnGuy', 'sbGuy']);
+});
@@ -0,0 +1,177 @@
+import { DEFAULT_GAME } from '../poker/preflopGame';
+import { rakeTaken } from '../poker/rake';
+import { shrinkStats, STAT_PRIORS } from '../stats/bayes';
+import { statsForPosition } from './positions';
+import { parseNodeKey } from './scenarios';
+
+/**
+ * Exploitative adjustments from opponent stats
+ *
+ * Each stat only moves the tree nodes where it matters:
+ * - foldTo3Bet (per opener seat)  -> our 3-bet frequency in vsOpen nodes against that seat
+ * - pfr (per opener seat)         -> how wide we continue in vsOpen nodes (loose openers)
+ * - limp (or vpip - pfr)          -> iso-raise frequency in vsLimp nodes
+ * - threeBet / fourBet            -> continuing range in vs3Bet / vs4Bet nodes (light re-raisers
+ *                                    get played back at), with aggression as the fallback
+ * - foldToSteal                   -> opening width from the steal seats (CO, BTN, SB)
+ * Other RFI nodes stay at baseline since the players behind us are unknown. Each stat is neutral at
+ * its population mean (STAT_PRIORS in stats/bayes.js).
+ *
+ * Stats backed by counts (stats.samples, see stats/bayes.js) are first shrunk toward the population
+ * prior, so a thin sample with a wide credible interval moves the charts only a little.
+ *
+ * Rake (table settings, see poker/rake.js) then tightens flatting everywhere: the larger the share
+ * of a typical called pot at the node that is raked, the more marginal calls become folds. The
+ * pots follow the game's blinds and raise sizes (Testing's game settings).
+ */
+
+// baselineStrategy is a scenario strategy ({ 'CO:RFI': chart, ... }); returns the same shape
+// (game: blinds and raise sizes, see poker/preflopGame.js, for the pots rake is taken from)
+export function generateStrategyFromStats(stats, baselineStrategy, { rake = null, game = DEFAULT_GAME } = {}) {
+  const strategy = {};
+  const shrunk = shrinkStats(stats || {});
+  Object.keys(baselineStrategy).forEach((nodeKey) => {
+    strategy[nodeKey] = adjustForRake(nodeKey, adjustNode(nodeKey, baselineStrategy[nodeKey], shrunk), rake, game);
+  });
+  return strategy;
+}
+
+const STEAL_SEATS = ['CO', 'BTN', 'SB'];
+
+// Pot (bb) when the node's call is called: limp + check, flat of an open / 3-bet / 4-bet, over-limp
+function calledPot(scenario, game) {
+  const blinds = game.smallBlind + 1;
+  switch (scenario) {
+    case 'RFI': return blinds + 1;
+    case 'vsOpen': return game.openSize * 2 + blinds;
+    case 'vs3Bet': return game.threeBetSize * 2 + blinds;
+    case 'vs4Bet': return game.fourBetSize * 2 + blinds;
+    case 'vsLimp': return blinds + 2;
+    default: return 0;
+  }
+}
+
+function adjustForRake(nodeKey, chart, rake, game) {
+  const pot = calledPot(parseNodeKey(nodeKey).scenario, game);
+  const rakeShare = pot ? rakeTaken(pot, rake, true) / pot : 0;
+  // 5% of the pot raked folds a fifth of the calls
+  return shiftCallToFold(chart, Math.min(0.5, rakeShare * 4));
+}
+
+function adjustNode(nodeKey, chart, stats) {
+  const { position, scenario, villain } = parseNodeKey(nodeKey);
+
+  if (scenario === 'vsOpen') {
+    const openerStats = statsForPosition(stats, villain) || {};
+    let adjusted = chart;
+    if (openerStats.foldTo3Bet !== undefined) {
+      adjusted = adjustForFoldTo3Bet(adjusted, openerStats.foldTo3Bet);
+    }
+    if (openerStats.pfr) {
+      // A 25% PFR is a standard opening width; wider openers get defended against more
+      adjusted = shiftContinue(adjusted, Math.max(-0.25, Math.min(0.25, (openerStats.pfr - 25) / 60)));
+    }
+    return adjusted;
+  }
+
+  if (scenario === 'RFI' && STEAL_SEATS.includes(position) && stats.foldToSteal !== undefined) {
+    // Blinds that over-fold get stolen from wider
+    const neutral = STAT_PRIORS.foldToSteal.mean;
+    return shiftContinue(chart, Math.max(-0.25, Math.min(0.25, (stats.foldToSteal - neutral) / 60)));
+  }
+
+  const limpRate = stats.limp !== undefined
+    ? stats.limp
+    : stats.vpip !== undefined && stats.pfr !== undefined ? Math.max(0, stats.vpip - stats.pfr) : undefined;
+  if (scenario === 'vsLimp' && limpRate !== undefined) {
+    // Frequent limpers have weak, capped ranges: isolate them more
+    return shiftRaise(chart, Math.min(0.4, Math.max(0, (limpRate - 5) / 50)));
+  }
+
+  if (scenario === 'vs3Bet' && stats.threeBet !== undefined) {
+    return shiftContinue(chart, Math.max(-0.2, Math.min(0.2, (stats.threeBet - STAT_PRIORS.threeBet.mean) / 40)));
+  }
+
+  if (scenario === 'vs4Bet' && stats.fourBet !== undefined) {
+    return shiftContinue(chart, Math.max(-0.2, Math.min(0.2, (stats.fourBet - STAT_PRIORS.fourBet.mean) / 100)));
+  }
+
+  if ((scenario === 'vs3Bet' || scenario === 'vs4Bet') && stats.aggression !== undefined) {
+    // Aggression 1.0 (the profile default) is neutral; aggressive villains re-raise lighter
+    return shiftContinue(chart, Math.max(-0.2, Math.min(0.2, (stats.aggression - 1) / 10)));
+  }
+
+  return chart;
+}
+
+// Adjust one chart for how often the opponent folds to a 3-bet
+export function adjustForFoldTo3Bet(chart, foldTo3Bet) {
+  const adjustmentFactor = Math.min(Math.abs(foldTo3Bet - 65) / 100, 0.3);
+  const newStrategy = {};
+
+  Object.keys(chart).forEach(hand => {
+    const baseline = chart[hand];
+
+    if (foldTo3Bet > 75) {
+      // Opponent folds too much - widen our raising range
+      newStrategy[hand] = {
+        fold: Math.max(0, baseline.fold - adjustmentFactor * 20),
+        call: baseline.call + adjustmentFactor * 5,
+        raise: baseline.raise + adjustmentFactor * 15
+      };
+    } else if (foldTo3Bet < 50) {
+      // Opponent doesn't fold enough - tighten our raising range
+      newStrategy[hand] = {
+        fold: Math.min(100, baseline.fold + adjustmentFactor * 25),
+        call: Math.max(0, baseline.call - adjustmentFactor * 10),
+        raise: Math.max(0, baseline.raise - adjustmentFactor * 15)
+      };
+    } else {
+      newStrategy[hand] = baseline;
+    }
+  });
+
+  return newStrategy;
+}
+
+// Move `amount` (0..1) of fold into call+raise, or of call+raise into fold when negative
+function shiftContinue(chart, amount) {
+  if (!amount) return chart;
+  return mapChart(chart, ({ fold, call, raise }) => {
+    const cont = call + raise;
+    if (amount > 0) {
+      // Widen only hands that already continue sometimes, keeping their call/raise split
+      if (cont === 0) return { fold, call, raise };
+      const moved = fold * amount;
+      return { fold: fold - moved, call: call + moved * (call / cont), raise: raise + moved * (raise / cont) };
+    }
+    const keep = 1 + amount;
+    return { fold: fold + cont * -amount, call: call * keep, raise: raise * keep };
+  });
+}
+
+// Move `amount` (0..1) of call into fold
+function shiftCallToFold(chart, amount) {
+  if (!amount) return chart;
+  return mapChart(chart, ({ fold, call, raise }) => ({ fold: fold + call * amount, call: call * (1 - amount), raise }));
+}
+
+// Move `amount` (0..1) of fold and call into raise
+function shiftRaise(chart, amount) {
+  if (!amount) return chart;
+  return mapChart(chart, ({ fold, call, raise }) => {
+    // Only hands that already continue get promoted; pure folds stay folds
+    if (call + raise === 0) return { fold, call, raise };
+    return { fold: fold * (1 - amount), call: call * (1 - amount), raise: raise + (fold + call) * amount };
+  });
+}
+
+function mapChart(chart, fn) {
+  const round1 = (v) => Math.round(v * 10) / 10;
+  const out = {};
+  Object.keys(chart).forEach((hand) => {
+    const next = fn(chart[hand]);
+    out[hand] = { fold: round1(next.fold), call: round1(next.call), raise: round1(next.raise) };
+  });
+  return out;
+}
@@ -0,0 +1,134 @@
+import { ALL_HANDS } from '../poker/cards';
+import { HAND_PERCENTILE } from '../poker/handRanking';
+import { buildPositionalStrategy } from './positions';
+import { buildScenarioStrategy } from './scenarios';
+
+/**
+ * Built-in baselines
+ *
+ * Each baseline starts from a reference (CO) chart covering all 169 hands. The chart comes from
+ * a frequency curve over the hand ranking, with hand-tuned entries layered on top where we have
+ * them; positional and scenario charts are then derived as in positions.js / scenarios.js.
+ */
+
+// Curves are [percentile, raise%, call%] anchors, interpolated linearly; hands past the
+// last anchor fold
+const CASH_100BB_CURVE = [
+  [0, 100, 0],
+  [0.03, 90, 10],
+  [0.08, 65, 28],
+  [0.15, 35, 40],
+  [0.25, 10, 38],
+  [0.35, 0, 22],
+  [0.5, 0, 8],
+  [0.6, 0, 0],
+];
+
+// Shallower stacks: about the same hand strength by percentile, but played open-or-fold
+const MTT_40BB_CURVE = [
+  [0, 100, 0],
+  [0.05, 95, 3],
+  [0.1, 75, 5],
+  [0.15, 50, 8],
+  [0.22, 28, 8],
+  [0.3, 10, 6],
+  [0.4, 0, 3],
+  [0.5, 0, 0],
+];
+
+// Reference chart for every hand from a frequency curve
+export function chartFromCurve(curve) {
+  const round1 = (v) => Math.round(v * 10) / 10;
+  const chart = {};
+  ALL_HANDS.forEach((hand) => {
+    const p = HAND_PERCENTILE[hand];
+    const upper = curve.findIndex(([at]) => at >= p);
+    let raise = 0;
+    let call = 0;
+    if (upper === 0) {
+      [, raise, call] = curve[0];
+    } else if (upper > 0) {
+      const [p0, r0, c0] = curve[upper - 1];
+      const [p1, r1, c1] = curve[upper];
+      const t = (p - p0) / (p1 - p0);
+      raise = r0 + (r1 - r0) * t;
+      call = c0 + (c1 - c0) * t;
+    }
+    chart[hand] = { fold: round1(100 - round1(raise) - round1(call)), call: round1(call), raise: round1(raise) };
+  });
+  return chart;
+}
+
+// Full decision tree (RFI, vs open, vs 3-bet, vs 4-bet, vs limp) from a reference chart
+export function buildBaselineStrategy(referenceChart) {
+  return buildScenarioStrategy(buildPositionalStrategy(referenceChart));
+}
+
+// Hand-tuned 100bb cash frequencies (simplified preflop ranges, reference seat CO)
+const TUNED_CASH_HANDS = {
+  // Pairs
+  'AA': { fold: 0, call: 0, raise: 100 },
+  'KK': { fold: 0, call: 5, raise: 95 },
+  'QQ': { fold: 0, call: 15, raise: 85 },
+  'JJ': { fold: 5, call: 25, raise: 70 },
+  'TT': { fold: 10, call: 30, raise: 60 },
+  '99': { fold: 20, call: 40, raise: 40 },
+  '88': { fold: 30, call: 50, raise: 20 },
+  '77': { fold: 40, call: 45, raise: 15 },
+  '66': { fold: 50, call: 35, raise: 15 },
+  '55': { fold: 60, call: 30, raise: 10 },
+  '44': { fold: 70, call: 25, raise: 5 },
+  '33': { fold: 80, call: 18, raise: 2 },
+  '22': { fold: 85, call: 15, raise: 0 },
+
+  // Suited connectors and broadway
+  'AKs': { fold: 0, call: 10, raise: 90 },
+  'AQs': { fold: 0, call: 20, raise: 80 },
+  'AJs': { fold: 5, call: 25, raise: 70 },
+  'ATs': { fold: 10, call: 30, raise: 60 },
+  'KQs': { fold: 15, call: 35, raise: 50 },
+  'KJs': { fold: 25, call: 40, raise: 35 },
+  'QJs': { fold: 35, call: 45, raise: 20 },
+  'JTs': { fold: 40, call: 50, raise: 10 },
+  'T9s': { fold: 60, call: 35, raise: 5 },
+  '98s': { fold: 70, call: 28, raise: 2 },
+  '87s': { fold: 80, call: 20, raise: 0 },
+
+  // Offsuit broadway
+  'AKo': { fold: 0, call: 15, raise: 85 },
+  'AQo': { fold: 10, call: 30, raise: 60 },
+  'AJo': { fold: 20, call: 40, raise: 40 },
+  'ATo': { fold: 35, call: 45, raise: 20 },
+  'KQo': { fold: 40, call: 50, raise: 10 },
+  'KJo': { fold: 55, call: 40, raise: 5 },
+  'QJo': { fold: 70, call: 28, raise: 2 },
+  'JTo': { fold: 80, call: 20, raise: 0 },
+};
+
+// Default baseline reference chart (100bb cash)
+export const BASELINE_CHART = { ...chartFromCurve(CASH_100BB_CURVE), ...TUNED_CASH_HANDS };
+
+// Per-position baseline derived from the reference chart
+export const BASELINE_BY_POSITION = buildPositionalStrategy(BASELINE_CHART);
+
+// Full decision tree (RFI, vs open, vs 3-bet, vs 4-bet, vs limp) built from the seat charts
+export const BASELINE_STRATEGY = buildScenarioStrategy(BASELINE_BY_POSITION);
+
+export const BUILT_IN_BASELINES = [
+  {
+    id: 'cash100',
+    name: '100bb cash',
+    description: '6-max cash game, 100bb effective',
+    builtIn: true,
+    strategy: BASELINE_STRATEGY,
+  },
+  {
+    id: 'mtt40',
+    name: '40bb MTT',
+    description: 'Tournament, 40bb effective: fewer flats, more open-or-fold',
+    builtIn: true,
+    strategy: buildBaselineStrategy(chartFromCurve(MTT_40BB_CURVE)),
+  },
+];
+
+export const DEFAULT_BASELINE_ID = 'cash100';
@@ -0,0 +1,99 @@
+import { ALL_HANDS } from '../poker/cards';
+import { BUILT_IN_BASELINES, DEFAULT_BASELINE_ID } from './baseline';
+import { normalizeStrategy } from './scenarios';
+
+/**
+ * Named baseline library
+ *
+ * A baseline is { id, name, description, strategy } where strategy is a full scenario tree.
+ * Built-in baselines live in baseline.js; user baselines (saved from edited charts or imported
+ * from JSON) and the active baseline id are kept in localStorage.
+ */
+
+const CUSTOM_KEY = 'pokerBaselines';
+const ACTIVE_KEY = 'pokerActiveBaseline';
+
+export function loadCustomBaselines() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(CUSTOM_KEY) || '{}');
+    Object.values(saved).forEach((baseline) => {
+      baseline.strategy = completeStrategy(normalizeStrategy(baseline.strategy));
+    });
+    return saved;
+  } catch (e) {
+    console.error('Failed to load baselines:', e);
+    return {};
+  }
+}
+
+export function saveCustomBaselines(baselines) {
+  localStorage.setItem(CUSTOM_KEY, JSON.stringify(baselines));
+}
+
+export function loadActiveBaselineId() {
+  return localStorage.getItem(ACTIVE_KEY) || DEFAULT_BASELINE_ID;
+}
+
+export function saveActiveBaselineId(id) {
+  localStorage.setItem(ACTIVE_KEY, id);
+}
+
+// Built-ins first, then user baselines by name
+export function listBaselines(customBaselines) {
+  const custom = Object.values(customBaselines || {}).sort((a, b) => a.name.localeCompare(b.name));
+  return [...BUILT_IN_BASELINES, ...custom];
+}
+
+export function findBaseline(customBaselines, id) {
+  return listBaselines(customBaselines).find((b) => b.id === id) || BUILT_IN_BASELINES[0];
+}
+
+export function createBaseline(name, strategy, description = '') {
+  return {
+    id: `baseline_${Date.now()}`,
+    name: name.trim(),
+    description,
+    createdAt: new Date().toISOString(),
+    strategy: completeStrategy(normalizeStrategy(strategy)),
+  };
+}
+
+// Read an exported baseline ({ name, strategy }) or a bare strategy/chart from JSON text
+export function parseBaselineFile(text, fallbackName = 'Imported baseline') {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    throw new Error(`Invalid JSON: ${e.message}`);
+  }
+  if (!data || typeof data !== 'object') throw new Error('Expected a baseline object');
+
+  const strategy = data.strategy || data;
+  const normalized = normalizeStrategy(strategy);
+  const charts = Object.values(normalized || {});
+  const valid = charts.length > 0 && charts.every((chart) =>
+    chart && typeof chart === 'object' && Object.values(chart).every(isFrequencyEntry)
+  );
+  if (!valid) throw new Error('No valid charts found (expected { hand: { fold, call, raise } } entries)');
+
+  return createBaseline(data.name || fallbackName, normalized, data.description || '');
+}
+
+function isFrequencyEntry(entry) {
+  return !!entry && ['fold', 'call', 'raise'].every((a) => entry[a] === undefined || Number.isFinite(entry[a]));
+}
+
+// Hands a chart doesn't list are folds; fill them in so every chart covers all 169
+function completeStrategy(strategy) {
+  const complete = {};
+  Object.keys(strategy).forEach((nodeKey) => {
+    const chart = strategy[nodeKey];
+    complete[nodeKey] = {};
+    ALL_HANDS.forEach((hand) => {
+      const entry = chart[hand] || {};
+      complete[nodeKey][hand] = { fold: entry.fold || 0, call: entry.call || 0, raise: entry.raise || 0 };
+      if (!chart[hand]) complete[nodeKey][hand].fold = 100;
+    });
+  });
+  return complete;
+}
@@ -0,0 +1,39 @@
+import { ALL_HANDS } from '../poker/cards';
+import { HAND_RANKING } from '../poker/handRanking';
+import { BUILT_IN_BASELINES } from './baseline';
+import { findBaseline, parseBaselineFile } from './baselineLibrary';
+import { allNodeKeys } from './scenarios';
+
+test('ranks all 169 hands from AA down to 72o', () => {
+  expect(new Set(HAND_RANKING).size).toBe(169);
+  expect(HAND_RANKING[0]).toBe('AA');
+  expect(HAND_RANKING[HAND_RANKING.length - 1]).toBe('72o');
+  expect(HAND_RANKING.indexOf('AKs')).toBeLessThan(HAND_RANKING.indexOf('A5s'));
+});
+
+test('built-in baselines cover every hand at every node', () => {
+  BUILT_IN_BASELINES.forEach(({ strategy }) => {
+    allNodeKeys().forEach((nodeKey) => {
+      ALL_HANDS.forEach((hand) => {
+        const { fold, call, raise } = strategy[nodeKey][hand];
+        expect(fold + call + raise).toBeCloseTo(100, 0);
+      });
+    });
+  });
+  // The hands the old 33-hand chart left out are now real decisions
+  expect(BUILT_IN_BASELINES[0].strategy['BTN:RFI'].A5s.fold).toBeLessThan(100);
+});
+
+test('imports a legacy single chart as a full baseline', () => {
+  const baseline = parseBaselineFile(JSON.stringify({ name: 'Tight', strategy: { AA: { fold: 0, call: 0, raise: 100 } } }));
+  expect(baseline.name).toBe('Tight');
+  expect(baseline.strategy['UTG:RFI'].AA.raise).toBe(100);
+  expect(baseline.strategy['UTG:RFI']['72o']).toEqual({ fold: 100, call: 0, raise: 0 });
+  expect(Object.keys(baseline.strategy)).toEqual(allNodeKeys());
+});
+
+test('rejects files without charts and falls back to the default baseline', () => {
+  expect(() => parseBaselineFile('not json')).toThrow(/Invalid JSON/);
+  expect(() => parseBaselineFile('{"strategy": {"AA": {"raise": "lots"}}}')).toThrow(/No valid charts/);
+  expect(findBaseline({}, 'missing').id).toBe('cash100');
+});
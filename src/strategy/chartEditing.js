@@ -0,0 +1,71 @@
+import { ALL_HANDS, parseHandKey, rankIndex } from '../poker/cards';
+
+/**
+ * Chart editing helpers
+ *
+ * A mix is one hand's { fold, call, raise } in percent. Every edit goes through these helpers so
+ * charts keep summing to 100 per hand: normalizeMix rescales a whole mix, setMixAction changes
+ * one action and lets the other two share the remainder in their existing proportions.
+ */
+
+const ACTIONS = ['fold', 'call', 'raise'];
+const round1 = (v) => Math.round(v * 10) / 10;
+
+export function normalizeMix(mix) {
+  const values = ACTIONS.map((a) => Math.max(0, Number(mix[a]) || 0));
+  const total = values.reduce((sum, v) => sum + v, 0);
+  if (total === 0) return { fold: 100, call: 0, raise: 0 };
+  const [fold, call, raise] = values.map((v) => round1((v / total) * 100));
+  // Put any rounding drift on the largest action so the total is exactly 100
+  const drift = round1(100 - fold - call - raise);
+  const mixOut = { fold, call, raise };
+  const largest = ACTIONS.reduce((best, a) => (mixOut[a] > mixOut[best] ? a : best), 'fold');
+  mixOut[largest] = round1(mixOut[largest] + drift);
+  return mixOut;
+}
+
+// Set one action to `value` percent; the others keep their proportions and share the rest
+// (with no prior split the remainder goes to fold, or to call when setting fold)
+export function setMixAction(mix, action, value) {
+  const others = ACTIONS.filter((a) => a !== action);
+  const target = Math.max(0, Math.min(100, Number(value) || 0));
+  const current = mix || { fold: 100, call: 0, raise: 0 };
+  const otherTotal = others.reduce((sum, a) => sum + (current[a] || 0), 0);
+  const next = { [action]: round1(target) };
+  others.forEach((a) => {
+    const share = otherTotal > 0 ? (current[a] || 0) / otherTotal : a === others[0] ? 1 : 0;
+    next[a] = round1((100 - target) * share);
+  });
+  return { fold: next.fold, call: next.call, raise: next.raise };
+}
+
+// Copy of `chart` with every hand in `hands` set to `mix`
+export function paintHands(chart, hands, mix) {
+  const normalized = normalizeMix(mix);
+  const next = { ...chart };
+  hands.forEach((hand) => { next[hand] = { ...normalized }; });
+  return next;
+}
+
+// Hand groups for bulk edits
+export const HAND_GROUPS = [
+  { id: 'pairs', label: 'Pocket pairs', test: ({ type }) => type === 'pair' },
+  { id: 'suitedConnectors', label: 'Suited connectors', test: ({ type, gap }) => type === 'suited' && gap === 0 },
+  { id: 'suitedGappers', label: 'Suited one-gappers', test: ({ type, gap }) => type === 'suited' && gap === 1 },
+  { id: 'suitedAces', label: 'Suited aces', test: ({ type, high }) => type === 'suited' && high === 'A' },
+  { id: 'suitedBroadways', label: 'Suited broadways', test: ({ type, broadway }) => type === 'suited' && broadway },
+  { id: 'offsuitBroadways', label: 'Offsuit broadways', test: ({ type, broadway }) => type === 'offsuit' && broadway },
+  { id: 'offsuitAces', label: 'Offsuit aces', test: ({ type, high }) => type === 'offsuit' && high === 'A' },
+  { id: 'all', label: 'Every hand', test: () => true },
+];
+
+export function handsInGroup(groupId) {
+  const group = HAND_GROUPS.find((g) => g.id === groupId);
+  if (!group) return [];
+  return ALL_HANDS.filter((hand) => {
+    const key = parseHandKey(hand);
+    const gap = rankIndex(key.low) - rankIndex(key.high) - 1;
+    const broadway = rankIndex(key.low) <= rankIndex('T');
+    return group.test({ ...key, gap, broadway });
+  });
+}
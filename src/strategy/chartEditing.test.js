@@ -0,0 +1,24 @@
+import { handsInGroup, normalizeMix, paintHands, setMixAction } from './chartEditing';
+
+test('normalizes mixes to exactly 100%', () => {
+  expect(normalizeMix({ fold: 1, call: 1, raise: 2 })).toEqual({ fold: 25, call: 25, raise: 50 });
+  expect(normalizeMix({ fold: 1, call: 1, raise: 1 })).toEqual({ fold: 33.4, call: 33.3, raise: 33.3 });
+  expect(normalizeMix({ fold: 0, call: 0, raise: 0 })).toEqual({ fold: 100, call: 0, raise: 0 });
+});
+
+test('setting one action rescales the others in proportion', () => {
+  expect(setMixAction({ fold: 20, call: 60, raise: 20 }, 'raise', 60)).toEqual({ fold: 10, call: 30, raise: 60 });
+  expect(setMixAction({ fold: 0, call: 0, raise: 100 }, 'raise', 40)).toEqual({ fold: 60, call: 0, raise: 40 });
+  expect(setMixAction({ fold: 50, call: 50, raise: 0 }, 'fold', 150)).toEqual({ fold: 100, call: 0, raise: 0 });
+});
+
+test('paints hand groups with the brush mix', () => {
+  const connectors = handsInGroup('suitedConnectors');
+  expect(connectors).toHaveLength(12);
+  expect(connectors).toEqual(expect.arrayContaining(['AKs', 'T9s', '32s']));
+  expect(connectors).not.toContain('T8s');
+
+  const chart = paintHands({ AA: { fold: 0, call: 0, raise: 100 } }, connectors, { fold: 0, call: 3, raise: 1 });
+  expect(chart.AA.raise).toBe(100);
+  expect(chart['54s']).toEqual({ fold: 0, call: 75, raise: 25 });
+});
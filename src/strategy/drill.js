@@ -0,0 +1,125 @@
+import { ALL_HANDS, comboCount, handCombos } from '../poker/cards';
+
+/**
+ * Drill scoring and spaced repetition
+ *
+ * A drill question is one hand class at one node. Answers are scored against the chart's mixed
+ * frequencies relative to its most frequent action: picking the top action scores 1, an action
+ * the chart takes half as often scores 0.5, an action it never takes scores 0. Answers scoring at
+ * least 0.5 count as correct.
+ *
+ * Each hand class sits in a Leitner box (0 = just missed .. 4 = well known). Misses send it back
+ * to box 0 and correct answers move it up one box; lower boxes are dealt more often on top of
+ * the usual combo weighting (pairs 6, suited 4, offsuit 12).
+ *
+ * Drill stats are kept per profile in localStorage:
+ *   { [profileId]: { name, hands: { AKs: { attempts, correct, score, box, lastSeen } },
+ *                    history: [{ date, attempts, correct, score }] } }
+ */
+
+const STORAGE_KEY = 'pokerDrillStats';
+const ACTIONS = ['fold', 'call', 'raise'];
+
+export const CORRECT_THRESHOLD = 0.5;
+export const MAX_BOX = 4;
+const BOX_WEIGHTS = [8, 4, 2, 1, 0.5];
+const NEW_HAND_BOX = 2;
+const HISTORY_DAYS = 90;
+
+export function scoreAnswer(mix, action) {
+  const entry = mix || { fold: 100, call: 0, raise: 0 };
+  const bestAction = ACTIONS.reduce((best, a) => ((entry[a] || 0) > (entry[best] || 0) ? a : best), 'fold');
+  const best = entry[bestAction] || 0;
+  const score = best > 0 ? (entry[action] || 0) / best : 0;
+  return { score, correct: score >= CORRECT_THRESHOLD, bestAction };
+}
+
+// How much more often than its combo weight a hand is dealt
+export function repetitionWeight(record) {
+  const box = record ? record.box : NEW_HAND_BOX;
+  return BOX_WEIGHTS[Math.max(0, Math.min(MAX_BOX, box))];
+}
+
+// Pick a node and a specific combo. nodeKeys are equally likely; hands are weighted by
+// combo count times their repetition weight.
+export function dealHand(nodeKeys, handStats = {}, random = Math.random) {
+  const nodeKey = nodeKeys[Math.floor(random() * nodeKeys.length)];
+  const weights = ALL_HANDS.map((hand) => comboCount(hand) * repetitionWeight(handStats[hand]));
+  const total = weights.reduce((sum, w) => sum + w, 0);
+
+  let r = random() * total;
+  let index = 0;
+  while (index < ALL_HANDS.length - 1 && r >= weights[index]) {
+    r -= weights[index];
+    index += 1;
+  }
+
+  const hand = ALL_HANDS[index];
+  const combos = handCombos(hand);
+  return { nodeKey, hand, cards: combos[Math.floor(random() * combos.length)] };
+}
+
+// Fold one answer into a profile's drill stats (returns a new object)
+export function recordAnswer(profileStats, hand, { score, correct }, now = new Date()) {
+  const stats = profileStats || { hands: {}, history: [] };
+  const prev = stats.hands[hand] || { attempts: 0, correct: 0, score: 0, box: NEW_HAND_BOX };
+  const record = {
+    attempts: prev.attempts + 1,
+    correct: prev.correct + (correct ? 1 : 0),
+    score: prev.score + score,
+    box: correct ? Math.min(MAX_BOX, prev.box + 1) : 0,
+    lastSeen: now.toISOString(),
+  };
+
+  const date = now.toISOString().slice(0, 10);
+  const history = [...stats.history];
+  const last = history[history.length - 1];
+  const day = last && last.date === date ? history.pop() : { date, attempts: 0, correct: 0, score: 0 };
+  history.push({
+    date,
+    attempts: day.attempts + 1,
+    correct: day.correct + (correct ? 1 : 0),
+    score: day.score + score,
+  });
+
+  return {
+    ...stats,
+    hands: { ...stats.hands, [hand]: record },
+    history: history.slice(-HISTORY_DAYS),
+  };
+}
+
+// Totals over every hand class
+export function summarizeDrill(profileStats) {
+  const records = Object.values((profileStats && profileStats.hands) || {});
+  const attempts = records.reduce((sum, r) => sum + r.attempts, 0);
+  const correct = records.reduce((sum, r) => sum + r.correct, 0);
+  const score = records.reduce((sum, r) => sum + r.score, 0);
+  return {
+    attempts,
+    accuracy: attempts ? (correct / attempts) * 100 : null,
+    avgScore: attempts ? (score / attempts) * 100 : null,
+  };
+}
+
+// Hand classes with the lowest accuracy (at least `minAttempts` tries)
+export function weakestHands(profileStats, limit = 10, minAttempts = 2) {
+  return Object.entries((profileStats && profileStats.hands) || {})
+    .filter(([, r]) => r.attempts >= minAttempts)
+    .map(([hand, r]) => ({ hand, ...r, accuracy: (r.correct / r.attempts) * 100 }))
+    .sort((a, b) => a.accuracy - b.accuracy || b.attempts - a.attempts)
+    .slice(0, limit);
+}
+
+export function loadDrillStats() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+  } catch (e) {
+    console.error('Failed to load drill stats:', e);
+    return {};
+  }
+}
+
+export function saveDrillStats(stats) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(stats));
+}
@@ -0,0 +1,38 @@
+import { dealHand, recordAnswer, repetitionWeight, scoreAnswer, weakestHands } from './drill';
+
+test('scores answers against mixed frequencies', () => {
+  const mix = { fold: 0, call: 40, raise: 60 };
+  expect(scoreAnswer(mix, 'raise')).toEqual({ score: 1, correct: true, bestAction: 'raise' });
+  expect(scoreAnswer(mix, 'call').score).toBeCloseTo(0.667, 3);
+  expect(scoreAnswer(mix, 'call').correct).toBe(true);
+  expect(scoreAnswer(mix, 'fold')).toMatchObject({ score: 0, correct: false });
+  // Hands missing from a chart are folds
+  expect(scoreAnswer(undefined, 'fold').correct).toBe(true);
+});
+
+test('misses send a hand back to the first box and make it likelier to be dealt', () => {
+  const day1 = new Date('2024-03-01T10:00:00Z');
+  let stats = recordAnswer(undefined, 'A5s', { score: 0, correct: false }, day1);
+  stats = recordAnswer(stats, 'AKs', { score: 1, correct: true }, day1);
+  stats = recordAnswer(stats, 'AKs', { score: 1, correct: true }, new Date('2024-03-02T10:00:00Z'));
+
+  expect(stats.hands.A5s).toMatchObject({ attempts: 1, correct: 0, box: 0 });
+  expect(stats.hands.AKs).toMatchObject({ attempts: 2, correct: 2, box: 4 });
+  expect(repetitionWeight(stats.hands.A5s)).toBeGreaterThan(repetitionWeight(undefined));
+  expect(repetitionWeight(stats.hands.AKs)).toBeLessThan(repetitionWeight(undefined));
+  expect(stats.history).toEqual([
+    { date: '2024-03-01', attempts: 2, correct: 1, score: 1 },
+    { date: '2024-03-02', attempts: 1, correct: 1, score: 1 },
+  ]);
+  expect(weakestHands(stats, 5, 1)[0].hand).toBe('A5s');
+});
+
+test('deals combos of the drawn class at one of the given nodes', () => {
+  const sequence = [0.99, 0, 0.5];
+  const random = () => sequence.shift();
+  const deal = dealHand(['CO:RFI', 'BTN:RFI'], {}, random);
+  expect(deal.nodeKey).toBe('BTN:RFI');
+  expect(deal.hand).toBe('AA');
+  expect(deal.cards[0][0]).toBe('A');
+  expect(deal.cards[1][0]).toBe('A');
+});
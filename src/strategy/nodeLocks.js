@@ -0,0 +1,68 @@
+import { ALL_HANDS, comboCount } from '../poker/cards';
+import { setMixAction } from './chartEditing';
+import { parseRange } from './rangeNotation';
+import { describeNode } from './scenarios';
+
+/**
+ * Node locks
+ *
+ * A lock pins one action's frequency at one node of a villain's strategy tree:
+ * { id, nodeKey, action, frequency, hands } where hands is range text ("A5s-A2s, KJo") or '' for
+ * the whole range. applyLocks sets the locked frequency on every matching hand (the other actions
+ * share the rest in their proportions, see setMixAction), later locks winning over earlier ones,
+ * so a best response can be re-solved against the locked strategy. Locks are saved with the
+ * profile they belong to (profile.locks).
+ */
+
+// Suffix keeping ids unique when several locks are made in the same millisecond
+let lockCount = 0;
+
+export function createLock({ nodeKey, action, frequency, hands = '' }) {
+  lockCount += 1;
+  return {
+    id: `lock_${Date.now()}_${lockCount}`,
+    nodeKey,
+    action,
+    frequency: Math.max(0, Math.min(100, Number(frequency) || 0)),
+    hands: hands.trim(),
+  };
+}
+
+// Hand classes a lock covers (every hand when its range is blank)
+export function lockedHands(lock) {
+  if (!lock.hands) return ALL_HANDS;
+  const { weights } = parseRange(lock.hands);
+  return ALL_HANDS.filter((hand) => weights[hand] > 0);
+}
+
+// Copy of `tree` with the locks applied (nodes missing from the tree start from folding everything)
+export function applyLocks(tree, locks = []) {
+  const next = { ...tree };
+  locks.forEach((lock) => {
+    const chart = { ...(next[lock.nodeKey] || {}) };
+    lockedHands(lock).forEach((hand) => {
+      chart[hand] = setMixAction(chart[hand], lock.action, lock.frequency);
+    });
+    next[lock.nodeKey] = chart;
+  });
+  return next;
+}
+
+export function describeLock(lock) {
+  return `${describeNode(lock.nodeKey)}: ${lock.hands || 'all hands'} ${lock.action} ${lock.frequency}%`;
+}
+
+// Share of a hand's mix (percent) that differs between two entries
+export function mixDifference(a, b) {
+  const x = a || { fold: 100, call: 0, raise: 0 };
+  const y = b || { fold: 100, call: 0, raise: 0 };
+  return (Math.abs((x.fold || 0) - (y.fold || 0))
+    + Math.abs((x.call || 0) - (y.call || 0))
+    + Math.abs((x.raise || 0) - (y.raise || 0))) / 2;
+}
+
+// Combo-weighted average mixDifference over the whole grid (percent)
+export function chartDifference(a, b) {
+  const total = ALL_HANDS.reduce((sum, hand) => sum + comboCount(hand) * mixDifference(a && a[hand], b && b[hand]), 0);
+  return total / 1326;
+}
@@ -0,0 +1,31 @@
+import { ALL_HANDS } from '../poker/cards';
+import { applyLocks, chartDifference, createLock, lockedHands, mixDifference } from './nodeLocks';
+
+const chart = Object.fromEntries(ALL_HANDS.map((hand) => [hand, { fold: 50, call: 30, raise: 20 }]));
+
+test('a lock pins one action on its hands and rescales the others', () => {
+  const lock = createLock({ nodeKey: 'CO:vs3Bet', action: 'raise', frequency: 0, hands: 'A5s-A2s' });
+  expect(lockedHands(lock)).toEqual(expect.arrayContaining(['A5s', 'A4s', 'A3s', 'A2s']));
+  expect(lockedHands(lock)).toHaveLength(4);
+
+  const locked = applyLocks({ 'CO:vs3Bet': chart }, [lock]);
+  expect(locked['CO:vs3Bet'].A5s).toEqual({ fold: 62.5, call: 37.5, raise: 0 });
+  expect(locked['CO:vs3Bet'].A6s).toEqual(chart.A6s);
+});
+
+test('a blank range locks the whole node and later locks win', () => {
+  const locks = [
+    createLock({ nodeKey: 'BTN:RFI', action: 'raise', frequency: 100 }),
+    createLock({ nodeKey: 'BTN:RFI', action: 'fold', frequency: 100, hands: '72o' }),
+  ];
+  const locked = applyLocks({}, locks);
+  expect(locked['BTN:RFI'].AA.raise).toBe(100);
+  expect(locked['BTN:RFI']['72o']).toEqual({ fold: 100, call: 0, raise: 0 });
+  expect(locks[0].id).not.toBe(locks[1].id);
+});
+
+test('mix differences are the share of the mix that moved', () => {
+  expect(mixDifference({ fold: 0, call: 0, raise: 100 }, { fold: 100, call: 0, raise: 0 })).toBe(100);
+  expect(mixDifference({ fold: 50, call: 30, raise: 20 }, { fold: 50, call: 50, raise: 0 })).toBe(20);
+  expect(chartDifference(chart, chart)).toBe(0);
+});
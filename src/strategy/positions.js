@@ -0,0 +1,70 @@
+/**
+ * Table positions and per-position strategies
+ *
+ * A positional strategy maps each 6-max seat to its own chart:
+ *   { UTG: { AA: { fold, call, raise }, ... }, HJ: {...}, CO, BTN, SB, BB }
+ * Charts are derived from a reference (CO) chart by tightening early seats and widening late
+ * ones, since opening ranges grow as fewer players are left to act.
+ */
+
+export const POSITIONS = ['UTG', 'HJ', 'CO', 'BTN', 'SB', 'BB'];
+
+export const DEFAULT_POSITION = 'CO';
+
+// How each seat differs from the reference chart.
+// tighten: share of continuing (call+raise) frequency moved to fold
+// widen: share of fold frequency moved into continuing, split by raiseShare
+const POSITION_SHIFTS = {
+  UTG: { tighten: 0.35 },
+  HJ: { tighten: 0.2 },
+  CO: {},
+  BTN: { widen: 0.3, raiseShare: 0.7 },
+  SB: { widen: 0.15, raiseShare: 0.8 },
+  BB: { widen: 0.35, raiseShare: 0.2 },
+};
+
+// Shift one hand's frequencies tighter or looser, keeping the total at 100
+function shiftHand({ fold, call, raise }, { tighten = 0, widen = 0, raiseShare = 0.5 }) {
+  const round = (v) => Math.round(v * 10) / 10;
+  const total = fold + call + raise;
+  let next = { call, raise };
+  if (tighten > 0) {
+    next = { call: round(call * (1 - tighten)), raise: round(raise * (1 - tighten)) };
+  } else if (widen > 0 && call + raise > 0) {
+    // Only hands the reference seat already plays widen; pure folds stay folds
+    const moved = fold * widen;
+    next = { call: round(call + moved * (1 - raiseShare)), raise: round(raise + moved * raiseShare) };
+  }
+  return { fold: round(total - next.call - next.raise), ...next };
+}
+
+export function buildPositionalStrategy(referenceChart) {
+  const strategy = {};
+  POSITIONS.forEach((position) => {
+    const shift = POSITION_SHIFTS[position];
+    strategy[position] = {};
+    Object.keys(referenceChart).forEach((hand) => {
+      strategy[position][hand] = shiftHand(referenceChart[hand], shift);
+    });
+  });
+  return strategy;
+}
+
+export function isPositionalStrategy(strategy) {
+  return !!strategy && POSITIONS.some((position) => strategy[position] && typeof strategy[position] === 'object');
+}
+
+// Accept either a positional strategy or a legacy single chart (applied to every seat)
+export function normalizePositionalStrategy(strategy) {
+  if (!strategy) return null;
+  if (isPositionalStrategy(strategy)) return strategy;
+  const positional = {};
+  POSITIONS.forEach((position) => { positional[position] = strategy; });
+  return positional;
+}
+
+// Stats to use for one seat: positional overrides layered over the overall numbers
+export function statsForPosition(stats, position) {
+  const overrides = stats && stats.byPosition && stats.byPosition[position];
+  return overrides ? { ...stats, ...overrides } : stats;
+}
@@ -0,0 +1,41 @@
+import { generateStrategyFromStats } from './adjustments';
+import { applyLocks } from './nodeLocks';
+import { normalizeStrategy } from './scenarios';
+
+/**
+ * Opponent profiles
+ *
+ * Profiles { id, name, stats, strategy, locks, metadata } are created and edited in ProfileManager
+ * and kept in localStorage. A profile's strategy is an adjustment of the active baseline under the
+ * table's rake and the game's bet sizes (see adjustments.js), rebuilt whenever any of them changes.
+ */
+
+const STORAGE_KEY = 'pokerProfiles';
+
+export function loadProfiles() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+  } catch (e) {
+    console.error('Failed to load profiles:', e);
+    return {};
+  }
+}
+
+export function saveProfiles(profiles) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(profiles));
+}
+
+// Every profile's strategy regenerated from its stats (this also upgrades profiles saved before the
+// scenario tree existed)
+export function rebuildProfileStrategies(profiles, baselineStrategy, rake, game) {
+  const rebuilt = {};
+  Object.keys(profiles).forEach((id) => {
+    rebuilt[id] = { ...profiles[id], strategy: generateStrategyFromStats(profiles[id].stats || {}, baselineStrategy, { rake, game }) };
+  });
+  return rebuilt;
+}
+
+// A profile's whole tree with its node locks applied; nodes it lacks come from the baseline
+export function profileTree(profile, baselineStrategy) {
+  return applyLocks({ ...baselineStrategy, ...normalizeStrategy(profile.strategy) }, profile.locks || []);
+}
@@ -0,0 +1,17 @@
+import { ALL_HANDS } from '../poker/cards';
+import { createLock } from './nodeLocks';
+import { profileTree } from './profileLibrary';
+
+const chart = (mix) => Object.fromEntries(ALL_HANDS.map((hand) => [hand, mix]));
+
+test("a profile's tree fills in the baseline and applies its node locks", () => {
+  const baseline = { 'BTN:RFI': chart({ fold: 50, call: 0, raise: 50 }), 'BB:vsOpen:BTN': chart({ fold: 60, call: 30, raise: 10 }) };
+  const profile = {
+    strategy: { 'BTN:RFI': chart({ fold: 20, call: 0, raise: 80 }) },
+    locks: [createLock({ nodeKey: 'BB:vsOpen:BTN', action: 'raise', frequency: 0, hands: 'A5s' })],
+  };
+  const tree = profileTree(profile, baseline);
+  expect(tree['BTN:RFI'].AA).toEqual({ fold: 20, call: 0, raise: 80 });
+  expect(tree['BB:vsOpen:BTN'].A5s.raise).toBe(0);
+  expect(tree['BB:vsOpen:BTN'].KK).toEqual({ fold: 60, call: 30, raise: 10 });
+});
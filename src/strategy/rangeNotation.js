@@ -0,0 +1,220 @@
+import { ALL_HANDS, RANKS, comboCount, handKeyForCards, rankIndex } from '../poker/cards';
+import { setMixAction } from './chartEditing';
+
+/**
+ * Range notation parser and serializer
+ *
+ * A range is a weight map { handKey: 0..1 }. Supported input:
+ * - Pairs and pair ranges:       "QQ+", "TT-66", "22"
+ * - Suited / offsuit / both:     "AKs", "AKo", "AK"
+ * - Kicker ranges:               "ATs+", "KTo+", "A5s-A2s"
+ * - Per-hand weights:            "AKs:0.5", "QQ:75" (values above 1 are percentages)
+ * - Bracket weights (GTO+):      "[50]QQ, JJ[/50]"
+ * - Specific combos (Pio):       "AhKh:0.5" (averaged over the class's combos)
+ * Tokens may be separated by commas and/or whitespace.
+ *
+ * Charts convert to and from ranges one action at a time: chartToRange(chart, 'raise') reads the
+ * raise frequencies, applyRangeToChart sets them and rescales the other actions to fill the rest.
+ */
+
+const RANK_RE = '[2-9TJQKA]';
+const PAIR_RE = new RegExp(`^(${RANK_RE})\\1(\\+)?$`);
+const PAIR_DASH_RE = new RegExp(`^(${RANK_RE})\\1-(${RANK_RE})\\2$`);
+const NONPAIR_RE = new RegExp(`^(${RANK_RE})(${RANK_RE})([so])?(\\+)?$`);
+const NONPAIR_DASH_RE = new RegExp(`^(${RANK_RE})(${RANK_RE})([so])?-(${RANK_RE})(${RANK_RE})([so])?$`);
+const COMBO_RE = new RegExp(`^(${RANK_RE})([shdc])(${RANK_RE})([shdc])$`);
+
+// Parse range text into { weights, errors }
+export function parseRange(text) {
+  const weights = {};
+  const comboWeights = {};
+  const errors = [];
+
+  // Expand "[50]QQ, JJ[/50]" into "QQ:50, JJ:50"
+  const expanded = (text || '').replace(/\[(\d+(?:\.\d+)?)\]([\s\S]*?)\[\/\1\]/g, (_, weight, body) =>
+    body.split(/[,\s]+/).filter(Boolean).map((token) => `${token}:${weight}`).join(',')
+  );
+
+  expanded.split(/[,\s]+/).filter(Boolean).forEach((token) => {
+    const [body, weightStr] = token.split(':');
+    let weight = 1;
+    if (weightStr !== undefined) {
+      weight = parseFloat(weightStr);
+      if (!Number.isFinite(weight) || weight < 0) {
+        errors.push(`Invalid weight in "${token}"`);
+        return;
+      }
+      if (weight > 1) weight /= 100;
+      weight = Math.min(1, weight);
+    }
+
+    const normalized = normalizeToken(body);
+    const combo = normalized.match(COMBO_RE);
+    if (combo) {
+      const key = handKeyForCards(combo[1] + combo[2], combo[3] + combo[4]);
+      if (combo[1] + combo[2] === combo[3] + combo[4]) {
+        errors.push(`Duplicate card in "${token}"`);
+        return;
+      }
+      comboWeights[key] = (comboWeights[key] || 0) + weight;
+      return;
+    }
+
+    const hands = expandToken(normalized);
+    if (!hands) {
+      errors.push(`Unrecognized range token "${token}"`);
+      return;
+    }
+    hands.forEach((hand) => { weights[hand] = weight; });
+  });
+
+  // Specific combos average over the class (e.g. one suited combo at 100% = 25% of AKs)
+  Object.entries(comboWeights).forEach(([key, total]) => {
+    if (weights[key] === undefined) weights[key] = Math.min(1, total / comboCount(key));
+  });
+
+  return { weights, errors };
+}
+
+// Uppercase ranks, lowercase suit letters, "10" -> "T"
+function normalizeToken(body) {
+  const token = body.trim().replace(/10/g, 'T');
+  const combo = token.match(/^([2-9TJQKA])([shdc])([2-9TJQKA])([shdc])$/i);
+  if (combo) {
+    return combo[1].toUpperCase() + combo[2].toLowerCase() + combo[3].toUpperCase() + combo[4].toLowerCase();
+  }
+  return token.toUpperCase().replace(/([2-9TJQKA]{2})([SO])/g, (_, ranks, suffix) => ranks + suffix.toLowerCase());
+}
+
+// Expand one (weight-free) token into hand keys, or null if it isn't valid notation
+function expandToken(token) {
+  let m;
+
+  if ((m = token.match(PAIR_RE))) {
+    const idx = rankIndex(m[1]);
+    return m[2] ? RANKS.slice(0, idx + 1).map((r) => r + r) : [m[1] + m[1]];
+  }
+
+  if ((m = token.match(PAIR_DASH_RE))) {
+    const [from, to] = [rankIndex(m[1]), rankIndex(m[2])].sort((a, b) => a - b);
+    return RANKS.slice(from, to + 1).map((r) => r + r);
+  }
+
+  if ((m = token.match(NONPAIR_RE))) {
+    const [high, low] = orderRanks(m[1], m[2]);
+    if (high === low) return null;
+    const suffixes = m[3] ? [m[3]] : ['s', 'o'];
+    // "ATs+" raises the kicker up to one below the high card
+    const kickers = m[4]
+      ? RANKS.slice(rankIndex(high) + 1, rankIndex(low) + 1)
+      : [low];
+    return kickers.flatMap((k) => suffixes.map((s) => high + k + s));
+  }
+
+  if ((m = token.match(NONPAIR_DASH_RE))) {
+    const [high1, low1] = orderRanks(m[1], m[2]);
+    const [high2, low2] = orderRanks(m[4], m[5]);
+    if (high1 !== high2 || (m[3] || '') !== (m[6] || '') || high1 === low1 || high2 === low2) return null;
+    const [from, to] = [rankIndex(low1), rankIndex(low2)].sort((a, b) => a - b);
+    const suffixes = m[3] ? [m[3]] : ['s', 'o'];
+    return RANKS.slice(from, to + 1).flatMap((k) => suffixes.map((s) => high1 + k + s));
+  }
+
+  return null;
+}
+
+function orderRanks(a, b) {
+  return rankIndex(a) <= rankIndex(b) ? [a, b] : [b, a];
+}
+
+// Serialize a weight map. style 'compact' groups hands ("QQ+, A5s-A2s:0.5"),
+// style 'pio' lists every hand as "hand:freq" for solver input.
+export function serializeRange(weights, { style = 'compact' } = {}) {
+  const present = ALL_HANDS.filter((hand) => (weights[hand] || 0) > 0.0005);
+  const round = (w) => Math.round(w * 1000) / 1000;
+
+  if (style === 'pio') {
+    return present.map((hand) => `${hand}:${round(weights[hand])}`).join(',');
+  }
+
+  // Group hands by weight, strongest weights first
+  const groups = {};
+  present.forEach((hand) => {
+    const w = round(weights[hand]);
+    (groups[w] = groups[w] || []).push(hand);
+  });
+
+  const tokens = [];
+  Object.keys(groups)
+    .map(Number)
+    .sort((a, b) => b - a)
+    .forEach((weight) => {
+      const set = new Set(groups[weight]);
+      const suffix = weight === 1 ? '' : `:${weight}`;
+      compactHands(set).forEach((token) => tokens.push(token + suffix));
+    });
+
+  return tokens.join(', ');
+}
+
+function compactHands(set) {
+  const tokens = [];
+
+  // Pairs: runs of consecutive ranks
+  runs(RANKS.filter((r) => set.has(r + r))).forEach((run) => {
+    const top = run[0];
+    const bottom = run[run.length - 1];
+    if (run.length === 1) tokens.push(top + top);
+    else if (top === 'A') tokens.push(`${bottom}${bottom}+`);
+    else tokens.push(`${top}${top}-${bottom}${bottom}`);
+  });
+
+  // Suited then offsuit: per high card, runs of consecutive kickers
+  ['s', 'o'].forEach((suffix) => {
+    RANKS.forEach((high, hi) => {
+      const kickers = RANKS.slice(hi + 1).filter((k) => set.has(high + k + suffix));
+      runs(kickers).forEach((run) => {
+        const top = run[0];
+        const bottom = run[run.length - 1];
+        if (run.length === 1) tokens.push(high + top + suffix);
+        else if (rankIndex(top) === hi + 1) tokens.push(`${high}${bottom}${suffix}+`);
+        else tokens.push(`${high}${top}${suffix}-${high}${bottom}${suffix}`);
+      });
+    });
+  });
+
+  return tokens;
+}
+
+// Split ranks (in RANKS order) into runs of adjacent ranks
+function runs(ranks) {
+  const result = [];
+  ranks.forEach((rank) => {
+    const last = result[result.length - 1];
+    if (last && rankIndex(rank) === rankIndex(last[last.length - 1]) + 1) last.push(rank);
+    else result.push([rank]);
+  });
+  return result;
+}
+
+// Weight map of one action's frequencies in a chart
+export function chartToRange(chart, action) {
+  const weights = {};
+  Object.keys(chart || {}).forEach((hand) => {
+    const s = chart[hand];
+    const total = (s.fold || 0) + (s.call || 0) + (s.raise || 0) || 100;
+    const w = (s[action] || 0) / total;
+    if (w > 0) weights[hand] = w;
+  });
+  return weights;
+}
+
+// Set one action's frequencies from a weight map; the other two actions keep their
+// proportions and share what's left (hands missing from the range get 0 for that action)
+export function applyRangeToChart(chart, action, weights) {
+  const next = {};
+  ALL_HANDS.forEach((hand) => {
+    next[hand] = setMixAction(chart && chart[hand], action, (weights[hand] || 0) * 100);
+  });
+  return next;
+}
@@ -0,0 +1,46 @@
+import { applyRangeToChart, chartToRange, parseRange, serializeRange } from './rangeNotation';
+
+test('expands plus, dash and suffix notation', () => {
+  const { weights, errors } = parseRange('QQ+, TT-88, ATs+, A5s-A3s, KQ');
+  expect(errors).toEqual([]);
+  expect(Object.keys(weights).sort()).toEqual([
+    '88', '99', 'A3s', 'A4s', 'A5s', 'AA', 'AJs', 'AKs', 'AQs', 'ATs', 'KK', 'KQo', 'KQs', 'QQ', 'TT',
+  ].sort());
+});
+
+test('reads per-hand weights, GTO+ brackets and Pio combo lists', () => {
+  const { weights } = parseRange('AKs:0.5 QQ:75 [25]JJ, TT[/25] AhKh:1,AsKs:1');
+  expect(weights.AKs).toBe(0.5);
+  expect(weights.QQ).toBe(0.75);
+  expect(weights.JJ).toBe(0.25);
+  expect(weights.TT).toBe(0.25);
+
+  // Two of four suited combos -> half of the class
+  expect(parseRange('AhKh:1,AsKs:1').weights.AKs).toBe(0.5);
+});
+
+test('reports unrecognized tokens but keeps the rest', () => {
+  const { weights, errors } = parseRange('AA, ZZ, KK:abc');
+  expect(weights).toEqual({ AA: 1 });
+  expect(errors).toHaveLength(2);
+});
+
+test('serializes compactly and round-trips', () => {
+  const text = 'JJ+, 99-77, AQs+, A5s-A2s:0.5, KTo+';
+  const { weights } = parseRange(text);
+  const serialized = serializeRange(weights);
+  expect(serialized).toBe('JJ+, 99-77, AQs+, KTo+, A5s-A2s:0.5');
+  expect(parseRange(serialized).weights).toEqual(weights);
+  expect(serializeRange({ AA: 1, AKs: 0.25 }, { style: 'pio' })).toBe('AA:1,AKs:0.25');
+});
+
+test('converts between chart actions and ranges', () => {
+  const chart = { AA: { fold: 0, call: 20, raise: 80 }, KK: { fold: 50, call: 50, raise: 0 } };
+  expect(chartToRange(chart, 'raise')).toEqual({ AA: 0.8 });
+
+  const next = applyRangeToChart(chart, 'raise', { AA: 1, KK: 0.5, '72o': 0.1 });
+  expect(next.AA).toEqual({ fold: 0, call: 0, raise: 100 });
+  expect(next.KK).toEqual({ fold: 25, call: 25, raise: 50 });
+  expect(next['72o']).toEqual({ fold: 90, call: 0, raise: 10 });
+  expect(Object.keys(next)).toHaveLength(169);
+});
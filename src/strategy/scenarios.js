@@ -0,0 +1,150 @@
+import { POSITIONS, normalizePositionalStrategy } from './positions';
+
+/**
+ * Preflop decision tree
+ *
+ * A scenario strategy maps every decision node to its own 169-hand chart:
+ *   { 'CO:RFI': chart, 'BB:vsOpen:BTN': chart, 'BTN:vs3Bet': chart, ... }
+ *
+ * Node keys are "<hero seat>:<scenario>[:<villain seat>]":
+ * - RFI       raise first in (fold / limp / open)
+ * - vsOpen    facing an open from an earlier seat (fold / call / 3-bet), keyed by opener
+ * - vs3Bet    opened and facing a 3-bet (fold / call / 4-bet)
+ * - vs4Bet    3-bet and facing a 4-bet (fold / call / 5-bet jam)
+ * - vsLimp    facing a limp (fold / over-limp / iso-raise)
+ * In every chart the "raise" action is the next raise available at that node.
+ */
+
+export const SCENARIOS = [
+  { id: 'RFI', label: 'RFI', raiseLabel: 'Open', callLabel: 'Limp' },
+  { id: 'vsOpen', label: 'vs Open', raiseLabel: '3-Bet', callLabel: 'Call', hasVillain: true },
+  { id: 'vs3Bet', label: 'vs 3-Bet', raiseLabel: '4-Bet', callLabel: 'Call' },
+  { id: 'vs4Bet', label: 'vs 4-Bet', raiseLabel: '5-Bet', callLabel: 'Call' },
+  { id: 'vsLimp', label: 'vs Limp', raiseLabel: 'Iso-Raise', callLabel: 'Over-Limp' },
+];
+
+export const DEFAULT_NODE = 'CO:RFI';
+
+export function makeNodeKey(position, scenario, villain) {
+  return villain ? `${position}:${scenario}:${villain}` : `${position}:${scenario}`;
+}
+
+export function parseNodeKey(nodeKey) {
+  const [position, scenario, villain = null] = (nodeKey || DEFAULT_NODE).split(':');
+  return { position, scenario, villain };
+}
+
+export function getScenario(scenarioId) {
+  return SCENARIOS.find((s) => s.id === scenarioId) || SCENARIOS[0];
+}
+
+// Seats that act before / after a given seat preflop
+function seatsBefore(position) {
+  return POSITIONS.slice(0, POSITIONS.indexOf(position));
+}
+
+function seatsAfter(position) {
+  return POSITIONS.slice(POSITIONS.indexOf(position) + 1);
+}
+
+// Scenarios reachable from a seat (BB can't open, UTG can't face an open or limp)
+export function availableScenarios(position) {
+  const hasEarlier = seatsBefore(position).length > 0;
+  const hasLater = seatsAfter(position).length > 0;
+  return SCENARIOS.filter((s) => {
+    if (s.id === 'RFI' || s.id === 'vs3Bet') return hasLater;
+    return hasEarlier;
+  });
+}
+
+// Villain seats for scenarios keyed by villain (openers for vsOpen)
+export function villainOptions(position, scenarioId) {
+  return getScenario(scenarioId).hasVillain ? seatsBefore(position) : [];
+}
+
+// Every node in the tree, in navigation order
+export function allNodeKeys() {
+  const keys = [];
+  POSITIONS.forEach((position) => {
+    availableScenarios(position).forEach((scenario) => {
+      const villains = villainOptions(position, scenario.id);
+      if (villains.length > 0) villains.forEach((v) => keys.push(makeNodeKey(position, scenario.id, v)));
+      else keys.push(makeNodeKey(position, scenario.id));
+    });
+  });
+  return keys;
+}
+
+// First valid node for a (possibly partial) selection, used when navigating up the tree
+export function resolveNode(position, scenarioId, villain) {
+  const scenarios = availableScenarios(position);
+  const scenario = scenarios.find((s) => s.id === scenarioId) || scenarios[0];
+  const villains = villainOptions(position, scenario.id);
+  const pickedVillain = villains.length === 0 ? null : villains.includes(villain) ? villain : villains[villains.length - 1];
+  return makeNodeKey(position, scenario.id, pickedVillain);
+}
+
+export function describeNode(nodeKey) {
+  const { position, scenario, villain } = parseNodeKey(nodeKey);
+  const label = getScenario(scenario).label;
+  return villain ? `${position} ${label} (${villain})` : `${position} ${label}`;
+}
+
+// How much an earlier opener's range tightens our response (UTG opens the strongest range)
+const OPENER_TIGHTNESS = { UTG: 0.15, HJ: 0.1, CO: 0.05, BTN: 0, SB: -0.03 };
+
+// Response curves map a hand's strength at the seat (0..1) onto raise/continue frequencies.
+// Hands at or above raiseFrom + raiseSpan always raise; below continueFrom always fold.
+const RESPONSE_CURVES = {
+  vsOpen: { raiseFrom: 0.62, raiseSpan: 0.25, continueFrom: 0.3, continueSpan: 0.3 },
+  vs3Bet: { raiseFrom: 0.72, raiseSpan: 0.25, continueFrom: 0.38, continueSpan: 0.3 },
+  vs4Bet: { raiseFrom: 0.85, raiseSpan: 0.15, continueFrom: 0.62, continueSpan: 0.25 },
+  vsLimp: { raiseFrom: 0.3, raiseSpan: 0.3, continueFrom: 0.15, continueSpan: 0.25 },
+};
+
+const clamp01 = (v) => Math.max(0, Math.min(1, v));
+const round1 = (v) => Math.round(v * 10) / 10;
+
+// Strength proxy from the seat's opening chart: raising counts fully, calling half
+function handStrength({ call = 0, raise = 0 }) {
+  return clamp01((raise + call * 0.5) / 100);
+}
+
+function responseChart(seatChart, curve, shift = 0) {
+  const chart = {};
+  Object.keys(seatChart).forEach((hand) => {
+    const s = handStrength(seatChart[hand]);
+    const raise = clamp01((s - curve.raiseFrom - shift) / curve.raiseSpan) * 100;
+    const cont = Math.max(raise, clamp01((s - curve.continueFrom - shift) / curve.continueSpan) * 100);
+    chart[hand] = { fold: round1(100 - cont), call: round1(cont - raise), raise: round1(raise) };
+  });
+  return chart;
+}
+
+// Build the full tree from per-seat charts: RFI nodes use the seat chart directly and the
+// response nodes are derived from each hand's strength at that seat
+export function buildScenarioStrategy(positionalStrategy) {
+  const strategy = {};
+  allNodeKeys().forEach((nodeKey) => {
+    const { position, scenario, villain } = parseNodeKey(nodeKey);
+    const seatChart = positionalStrategy[position];
+    if (scenario === 'RFI') {
+      strategy[nodeKey] = seatChart;
+    } else {
+      const shift = scenario === 'vsOpen' ? OPENER_TIGHTNESS[villain] || 0 : 0;
+      strategy[nodeKey] = responseChart(seatChart, RESPONSE_CURVES[scenario], shift);
+    }
+  });
+  return strategy;
+}
+
+export function isScenarioStrategy(strategy) {
+  return !!strategy && Object.keys(strategy).some((key) => key.includes(':'));
+}
+
+// Accept a scenario strategy, a per-seat strategy or a legacy single chart
+export function normalizeStrategy(strategy) {
+  if (!strategy) return null;
+  if (isScenarioStrategy(strategy)) return strategy;
+  return buildScenarioStrategy(normalizePositionalStrategy(strategy));
+}
@@ -0,0 +1,37 @@
+import { normalizeStrategy } from './scenarios';
+
+/**
+ * Saved strategies
+ *
+ * Charts edited in the grid editor are saved as named strategies { id, name, createdAt, strategy }
+ * (strategy is a full scenario tree). They are selectable alongside profiles in ProfileManager and
+ * as hero / villain in Testing mode, and are kept in localStorage.
+ */
+
+const STORAGE_KEY = 'pokerStrategies';
+
+// Selection ids for saved strategies, so they can share a <select> with profiles
+export const STRATEGY_ID_PREFIX = 'strategy:';
+
+export function loadSavedStrategies() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+  } catch (e) {
+    console.error('Failed to load saved strategies:', e);
+    return {};
+  }
+}
+
+export function saveSavedStrategies(strategies) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(strategies));
+}
+
+export function createSavedStrategy(name, strategy) {
+  const id = `${STRATEGY_ID_PREFIX}${Date.now()}`;
+  return {
+    id,
+    name: name.trim(),
+    createdAt: new Date().toISOString(),
+    strategy: normalizeStrategy(strategy),
+  };
+}